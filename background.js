@@ -1,18 +1,43 @@
-import { parseCommand } from "./lib/commands.js";
-import { buildClickElementJS, buildFocusElementJS } from "./lib/locators.js";
+import { parseCommand, parseOptions, parseDuration } from "./lib/commands.js";
+import { buildClickElementJS, buildFocusElementJS, buildLocatorJS } from "./lib/locators.js";
 import { formatAccessibilityTree } from "./lib/formatter.js";
+import { fetchPattern, findRoute, guessContentType, formatRoutes } from "./lib/routes.js";
+import { DEVICES, findDevice, describeDevice } from "./lib/devices.js";
+import { createConsoleLog, recordConsoleEvent, filterByLevel, formatConsoleEntry } from "./lib/console-log.js";
+import { buildHar, parseHar, findHarEntry, harResponse } from "./lib/har.js";
+import { readFile, writeFile } from "./lib/library.js";
+import { readBaseline, writeBaseline } from "./lib/baselines.js";
+import { readFixture, listFixtures, deleteFixture, bytesToBase64, formatFixtures } from "./lib/fixtures.js";
+import { DEFAULT_THRESHOLD, maskImage, compareImages } from "./lib/pixel-diff.js";
+import { pdfParams } from "./lib/pdf.js";
+import { parseChord, chordEvents, typeSteps } from "./lib/keyboard.js";
+import { normalizeSameSite, toCdpCookie, buildStorageState, parseStorageState, formatCookies } from "./lib/storage-state.js";
+import { createNetworkLog, recordNetworkEvent, filterEntries, formatEntries, formatEntryDetail } from "./lib/network.js";
 import {
   callInPage,
   selectElement,
   checkElement,
-  hoverElement,
-  dblclickElement,
-  verifyElementExists,
+  checkActionability,
+  elementExists,
+  elementBox,
+  documentBox,
+  frameContentBox,
+  offsetPoint,
+  watchDragStart,
+  dragStarted,
+  fileInputOf,
+  setInputFiles,
+  webStorage,
   verifyTextOnPage,
+  clearActiveElement,
   dispatchFillEvents,
+  resetSnapshotRefs,
+  tagSnapshotRef,
 } from "./lib/page-scripts.js";
 
-console.log("[PW] background.js loaded v0.9.3");
+const VERSION = "0.9.3";
+
+console.log(`[PW] background.js loaded v${VERSION}`);
 
 // Track which tabs we've attached the debugger to
 const attachedTabs = new Set();
@@ -41,14 +66,226 @@ function cdp(tabId, method, params = {}) {
   return chrome.debugger.sendCommand({ tabId }, method, params);
 }
 
+// Sends to an out-of-process iframe's session when sessionId is set
+function sessionCdp(tabId, sessionId, method, params = {}) {
+  return chrome.debugger.sendCommand(sessionId ? { tabId, sessionId } : { tabId }, method, params);
+}
+
+// Evaluates an expression in the document the command runs in (the frame
+// picked with `frame`, if any) and returns its value
+async function evaluate(tabId, expression) {
+  const result = await pageCdp(tabId, "Runtime.evaluate", { expression, returnByValue: true, awaitPromise: true });
+  return result?.result?.value;
+}
+
+// Same in the top document, for page-wide state (URL, title, storage)
+async function evaluateTop(tabId, expression) {
+  const result = await cdp(tabId, "Runtime.evaluate", { expression, returnByValue: true, awaitPromise: true });
+  return result?.result?.value;
+}
+
+// --- Frames ---
+
+// tabId -> Map of "sessionId:frameId" -> default execution context id
+const frameContexts = new Map();
+// tabId -> Map of frameId -> CDP session of an out-of-process iframe
+const frameSessions = new Map();
+// tabId -> frame label picked with `frame` (a name or part of the URL)
+const selectedFrames = new Map();
+// tabId -> Map of f1, f2... -> frame listed by the last snapshot
+const snapshotFrames = new Map();
+// tabId -> { label } or { frame } the running command is scoped to
+const commandFrames = new Map();
+
+function onExecutionContextEvent(tabId, sessionId, method, params) {
+  const contexts = frameContexts.get(tabId) || new Map();
+  frameContexts.set(tabId, contexts);
+  if (method === "Runtime.executionContextCreated") {
+    const { id, auxData } = params.context;
+    if (auxData?.isDefault && auxData.frameId) contexts.set(`${sessionId || ""}:${auxData.frameId}`, id);
+  } else if (method === "Runtime.executionContextDestroyed") {
+    for (const [key, id] of contexts) {
+      if (id === params.executionContextId && key.startsWith(`${sessionId || ""}:`)) contexts.delete(key);
+    }
+  } else if (method === "Runtime.executionContextsCleared") {
+    for (const key of contexts.keys()) {
+      if (key.startsWith(`${sessionId || ""}:`)) contexts.delete(key);
+    }
+  }
+}
+
+// Out-of-process iframes (Target.setAutoAttach) get their own session, with
+// the recorder injected while recording
+async function onTargetAttached(tabId, params) {
+  const { sessionId, targetInfo } = params;
+  if (targetInfo.type !== "iframe") return;
+  const sessions = frameSessions.get(tabId) || new Map();
+  frameSessions.set(tabId, sessions);
+  sessions.set(targetInfo.targetId, sessionId);
+  try {
+    await sessionCdp(tabId, sessionId, "Runtime.enable");
+    await sessionCdp(tabId, sessionId, "Target.setAutoAttach", { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+    const recording = recordingTabs.get(sessionRoot(tabId));
+    if (recording) await injectRecorderInSession(tabId, sessionId);
+  } catch (e) {
+    console.log("[PW] Could not set up iframe session", sessionId, ":", e.message);
+  }
+}
+
+function onTargetDetached(tabId, params) {
+  const sessions = frameSessions.get(tabId);
+  if (!sessions) return;
+  for (const [frameId, sessionId] of sessions) {
+    if (sessionId === params.sessionId) sessions.delete(frameId);
+  }
+  onExecutionContextEvent(tabId, params.sessionId, "Runtime.executionContextsCleared", {});
+}
+
+function forgetFrames(tabId) {
+  frameContexts.delete(tabId);
+  frameSessions.delete(tabId);
+  snapshotFrames.delete(tabId);
+  commandFrames.delete(tabId);
+}
+
+// Every frame below the top document, in document order:
+// [{ frameId, sessionId, parent, name, url }] with sessionId null for
+// frames in the tab's process and parent null for children of the top
+async function listFrames(tabId) {
+  const frames = [];
+  const sessions = frameSessions.get(tabId) || new Map();
+  const walk = async (tree, sessionId, parent) => {
+    for (const child of tree.childFrames || []) {
+      let frame = { frameId: child.frame.id, sessionId, parent, name: child.frame.name || "", url: child.frame.url };
+      let subtree = child;
+      const oopif = sessions.get(child.frame.id);
+      if (oopif) {
+        subtree = (await sessionCdp(tabId, oopif, "Page.getFrameTree")).frameTree;
+        frame = { ...frame, sessionId: oopif, name: frame.name || subtree.frame.name || "", url: subtree.frame.url };
+      }
+      frames.push(frame);
+      await walk(subtree, frame.sessionId, frame);
+    }
+  };
+  const root = (await cdp(tabId, "Page.getFrameTree"))?.frameTree;
+  if (root) await walk(root, null, null);
+  return frames;
+}
+
+function frameLabel(frame) {
+  return frame.name || frame.url;
+}
+
+// A frame's name, else the first frame whose URL contains label
+function matchFrame(frames, label) {
+  return frames.find(f => f.name === label) || frames.find(f => f.url.includes(label)) || null;
+}
+
+// Frames often load after the page, so wait for them like for elements
+async function waitForFrame(tabId, label, timeout = defaultTimeout(tabId)) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const frame = matchFrame(await listFrames(tabId), label);
+    if (frame) return frame;
+    if (Date.now() >= deadline) throw new Error(`Frame not found: "${label}"`);
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+// The frame the running command is scoped to, or null for the top document
+async function activeFrame(tabId) {
+  const scope = commandFrames.get(tabId);
+  if (!scope) return null;
+  if (!scope.frame) scope.frame = await waitForFrame(tabId, scope.label);
+  return scope.frame;
+}
+
+// Sends a command to frame's session; Runtime.evaluate runs in the frame's
+// own document. A null frame is the top document.
+function frameCdp(tabId, frame, method, params = {}) {
+  if (!frame) return cdp(tabId, method, params);
+  if (method === "Runtime.evaluate") {
+    const contextId = frameContexts.get(tabId)?.get(`${frame.sessionId || ""}:${frame.frameId}`);
+    // An out-of-process frame is its session's main frame
+    if (contextId === undefined && !frame.sessionId) throw new Error(`Frame "${frameLabel(frame)}" has no document yet`);
+    if (contextId !== undefined) params = { ...params, contextId };
+  }
+  return sessionCdp(tabId, frame.sessionId, method, params);
+}
+
+// Like cdp, in the frame the running command is scoped to
+async function pageCdp(tabId, method, params = {}) {
+  return frameCdp(tabId, await activeFrame(tabId), method, params);
+}
+
+// Where frame's document starts in the top viewport: the content boxes of
+// its <iframe> and of every frame around it
+async function frameOffset(tabId, frame) {
+  let x = 0;
+  let y = 0;
+  for (let f = frame; f; f = f.parent) {
+    const owner = await sessionCdp(tabId, f.parent?.sessionId, "DOM.getFrameOwner", { frameId: f.frameId });
+    const resolved = await sessionCdp(tabId, f.parent?.sessionId, "DOM.resolveNode", { backendNodeId: owner.backendNodeId, objectGroup: "pw-frame" });
+    const box = await sessionCdp(tabId, f.parent?.sessionId, "Runtime.callFunctionOn", {
+      objectId: resolved.object.objectId,
+      functionDeclaration: frameContentBox.toString(),
+      returnByValue: true,
+    });
+    await sessionCdp(tabId, f.parent?.sessionId, "Runtime.releaseObjectGroup", { objectGroup: "pw-frame" });
+    x += box.result.value.x;
+    y += box.result.value.y;
+  }
+  return { x, y };
+}
+
+// Input events go to the top target: moves a point in the active frame's
+// viewport to the top viewport
+async function toTopViewport(tabId, point) {
+  const frame = await activeFrame(tabId);
+  if (!frame) return point;
+  const offset = await frameOffset(tabId, frame);
+  return { ...point, x: point.x + offset.x, y: point.y + offset.y };
+}
+
+// Same for a box in the active frame's document coordinates (screenshots)
+async function toTopDocument(tabId, box) {
+  const frame = await activeFrame(tabId);
+  if (!frame) return box;
+  const offset = await frameOffset(tabId, frame);
+  const inner = await evaluate(tabId, "({ x: scrollX, y: scrollY })");
+  const outer = await evaluateTop(tabId, "({ x: scrollX, y: scrollY })");
+  return { ...box, x: box.x - inner.x + offset.x + outer.x, y: box.y - inner.y + offset.y + outer.y };
+}
+
 // --- Debugger lifecycle ---
 
+async function setFileChooserIntercept(tabId, enabled) {
+  try {
+    await cdp(tabId, "Page.setInterceptFileChooserDialog", { enabled });
+  } catch (e) {
+    console.log("[PW] File chooser interception unavailable for tab", tabId, ":", e.message);
+  }
+}
+
 async function ensureAttached(tabId) {
   if (attachedTabs.has(tabId)) return;
   console.log("[PW] Attaching debugger to tab", tabId);
   await chrome.debugger.attach({ tabId }, "1.3");
   await cdp(tabId, "Page.enable");
   await cdp(tabId, "Runtime.enable");
+  // Optional domains: new pages (popups) through Target.targetCreated,
+  // sessions for out-of-process iframes and requests for the network log;
+  // everything else works without them
+  try {
+    await cdp(tabId, "Target.setDiscoverTargets", { discover: true });
+    await cdp(tabId, "Target.setAutoAttach", { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+    await cdp(tabId, "Network.enable");
+  } catch (e) {
+    console.log("[PW] Target/Network domains unavailable for tab", tabId, ":", e.message);
+  }
+  // File choosers opened by commands (a click on "Choose file") would wait
+  // for a person; `upload` sets the files instead. Recording turns this off.
+  await setFileChooserIntercept(tabId, true);
   attachedTabs.add(tabId);
   console.log("[PW] Debugger attached and domains enabled for tab", tabId);
 }
@@ -56,6 +293,10 @@ async function ensureAttached(tabId) {
 chrome.debugger.onDetach.addListener((source) => {
   const tabId = source.tabId;
   attachedTabs.delete(tabId);
+  openDialogs.delete(tabId);
+  tabRoutes.delete(tabId);
+  tabEmulation.delete(tabId);
+  forgetFrames(tabId);
   // Also clean up recording state if debugger was forcibly detached
   const recording = recordingTabs.get(tabId);
   if (recording) {
@@ -68,6 +309,17 @@ chrome.debugger.onDetach.addListener((source) => {
 chrome.tabs.onRemoved.addListener((tabId) => {
   panelPorts.delete(tabId);
   attachedTabs.delete(tabId);
+  openDialogs.delete(tabId);
+  networkLogs.delete(tabId);
+  tabRoutes.delete(tabId);
+  harRecordings.delete(tabId);
+  tabEmulation.delete(tabId);
+  consoleLogs.delete(tabId);
+  consoleLive.delete(tabId);
+  forgetFrames(tabId);
+  selectedFrames.delete(tabId);
+  defaultTimeouts.delete(tabId);
+  forgetTab(tabId);
   const recording = recordingTabs.get(tabId);
   if (recording) {
     chrome.debugger.onEvent.removeListener(recording.listener);
@@ -107,9 +359,19 @@ chrome.runtime.onConnect.addListener((port) => {
     });
 
     panelPorts.set(tabId, port);
+    tabSessions.set(tabId, { tabs: [tabId], current: tabId });
+    dialogPolicies.delete(tabId);
+    defaultTimeouts.delete(tabId);
     port.onDisconnect.addListener(() => {
       console.log("[PW] Panel disconnected for tab", tabId);
       panelPorts.delete(tabId);
+      // Release popups and tabs opened from this panel
+      for (const other of tabSessions.get(tabId)?.tabs.slice(1) || []) {
+        if (attachedTabs.delete(other)) chrome.debugger.detach({ tabId: other }, () => void chrome.runtime.lastError);
+      }
+      tabSessions.delete(tabId);
+      harRecordings.delete(tabId);
+      consoleLive.delete(tabId);
       // Stop recording if active
       const recording = recordingTabs.get(tabId);
       if (recording) {
@@ -131,8 +393,8 @@ chrome.runtime.onConnect.addListener((port) => {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "pw-command") {
-    const { raw, tabId } = message;
-    handleCommand(raw, tabId).then(sendResponse);
+    const { tokens, tabId } = message;
+    handleCommand(tokens, tabId).then(sendResponse);
     return true;
   }
 
@@ -157,103 +419,152 @@ async function startRecording(tabId) {
     await ensureAttached(tabId);
     console.log("[PW] debugger attached");
 
+    const recording = { listener: null, post: null, scriptIds: new Map(), lastTab: tabId, frames: new Map() };
+
+    // Sends a recorded command to the panel, preceded by tab-select when it
+    // came from a different tab of the session than the previous one
+    const post = recording.post = (fromTab, command) => {
+      const port = panelPorts.get(tabId);
+      if (fromTab !== recording.lastTab) {
+        recording.lastTab = fromTab;
+        const index = tabSession(tabId).tabs.indexOf(fromTab);
+        console.log("[PW] Recorded tab switch to", index);
+        port?.postMessage({ type: "pw-recorded-command", command: `tab-select ${index}` });
+      }
+      console.log("[PW] Recorded command:", command);
+      port?.postMessage({ type: "pw-recorded-command", command });
+    };
+
     // Listen for console.debug messages from the injected recorder
     // and Page.frameNavigated for goto commands
-    const listener = (source, method, params) => {
-      if (source.tabId !== tabId) return;
+    recording.listener = (source, method, params) => {
+      const fromTab = source.tabId;
+      if (fromTab !== tabId && !tabSession(tabId).tabs.includes(fromTab)) return;
 
-      // Capture navigations as goto commands (main frame only)
-      if (method === "Page.frameNavigated" && params.frame && !params.frame.parentId) {
+      // Capture navigations as goto commands (main frame of the inspected tab
+      // only: popups navigate as a result of the action that opened them)
+      if (method === "Page.frameNavigated" && fromTab === tabId && params.frame && !params.frame.parentId) {
         const url = params.frame.url;
         if (url && !url.startsWith("about:") && !url.startsWith("chrome:")) {
-          const command = `goto ${url}`;
-          console.log("[PW] Recorded navigation:", command);
-          if (panelPorts.has(tabId)) {
-            panelPorts.get(tabId).postMessage({
-              type: "pw-recorded-command",
-              command,
-            });
-          }
+          post(fromTab, `goto ${url}`);
         }
       }
 
-      // Capture recorder events via console.debug
+      // Capture recorder events via console.debug. Events from an iframe
+      // come as `@frame "label" command` and switch frames first.
       if (method === "Runtime.consoleAPICalled" && params.type === "debug") {
         const arg = params.args && params.args[0];
         if (arg && arg.type === "string" && arg.value.startsWith("__pw:")) {
-          const command = arg.value.slice(5);
-          console.log("[PW] Recorded command:", command);
-          if (panelPorts.has(tabId)) {
-            panelPorts.get(tabId).postMessage({
-              type: "pw-recorded-command",
-              command,
-            });
+          let command = arg.value.slice(5);
+          let frame = "";
+          const m = /^@frame "((?:[^"\\]|\\.)*)" /.exec(command);
+          if (m) {
+            frame = m[1].replace(/\\"/g, '"');
+            command = command.slice(m[0].length);
+          }
+          if (frame !== (recording.frames.get(fromTab) || "")) {
+            recording.frames.set(fromTab, frame);
+            post(fromTab, frame ? `frame ${quoteArg(frame)}` : "frame main");
           }
+          post(fromTab, command);
         }
       }
     };
-    chrome.debugger.onEvent.addListener(listener);
-
-    // Use addScriptToEvaluateOnNewDocument so the recorder survives
-    // page reloads and execution context resets
-    const recorderCode = await getRecorderCode();
-    const addResult = await cdp(tabId, "Page.addScriptToEvaluateOnNewDocument", {
-      source: recorderCode,
-    });
-    const scriptId = addResult.identifier;
-    console.log("[PW] Recorder registered with scriptId:", scriptId);
-
-    // Also inject into the current page immediately
-    await cdp(tabId, "Runtime.evaluate", {
-      expression: recorderCode,
-      returnByValue: true,
-    });
-    console.log("[PW] Recorder also injected into current page");
+    chrome.debugger.onEvent.addListener(recording.listener);
+    recordingTabs.set(tabId, recording);
 
-    recordingTabs.set(tabId, { listener, scriptId });
+    for (const tab of tabSession(tabId).tabs) {
+      await injectRecorder(tabId, tab);
+    }
 
     return { success: true };
   } catch (e) {
     console.error("[PW] startRecording error:", e.message);
+    recordingTabs.delete(tabId);
     return { success: false, error: e.message };
   }
 }
 
+// Injects the recorder into one tab of a recording session
+async function injectRecorder(sessionTabId, tabId) {
+  const recording = recordingTabs.get(sessionTabId);
+  if (!recording || recording.scriptIds.has(tabId)) return;
+  await ensureAttached(tabId);
+
+  // Use addScriptToEvaluateOnNewDocument so the recorder survives
+  // page reloads and execution context resets
+  const recorderCode = await getRecorderCode();
+  const addResult = await cdp(tabId, "Page.addScriptToEvaluateOnNewDocument", {
+    source: recorderCode,
+  });
+  recording.scriptIds.set(tabId, addResult?.identifier);
+  // Let the person recording pick files; the recorder turns them into upload
+  await setFileChooserIntercept(tabId, false);
+  console.log("[PW] Recorder registered in tab", tabId, "with scriptId:", addResult?.identifier);
+
+  // Also inject into the current page immediately, with its iframes
+  await evaluateInFrames(tabId, recorderCode);
+  for (const sessionId of frameSessions.get(tabId)?.values() || []) {
+    await injectRecorderInSession(tabId, sessionId);
+  }
+}
+
+// Out-of-process iframes run their own documents: they get the recorder
+// like a tab does (the scripts go away with the session)
+async function injectRecorderInSession(tabId, sessionId) {
+  const recorderCode = await getRecorderCode();
+  await sessionCdp(tabId, sessionId, "Page.addScriptToEvaluateOnNewDocument", { source: recorderCode });
+  await sessionCdp(tabId, sessionId, "Runtime.evaluate", { expression: recorderCode, returnByValue: true });
+}
+
+// Evaluates expression in the top document and in every same-process frame
+// of the tab (the recorder guards against running twice in one document)
+async function evaluateInFrames(tabId, expression) {
+  await cdp(tabId, "Runtime.evaluate", { expression, returnByValue: true });
+  for (const [key, contextId] of frameContexts.get(tabId) || []) {
+    if (!key.startsWith(":")) continue;
+    try {
+      await cdp(tabId, "Runtime.evaluate", { expression, returnByValue: true, contextId });
+    } catch (e) { /* the frame navigated away */ }
+  }
+}
+
 async function stopRecording(tabId) {
   try {
     console.log("[PW] stopRecording for tab", tabId);
     const recording = recordingTabs.get(tabId);
+    const tabs = recording ? [...recording.scriptIds.keys()] : [tabId];
     if (recording) {
       // Remove the CDP event listener
       chrome.debugger.onEvent.removeListener(recording.listener);
-      // Remove the auto-inject script so it won't run on future navigations
-      if (attachedTabs.has(tabId) && recording.scriptId) {
+      // Remove the auto-inject scripts so they won't run on future navigations
+      for (const [tab, identifier] of recording.scriptIds) {
+        if (!attachedTabs.has(tab) || !identifier) continue;
         try {
-          await cdp(tabId, "Page.removeScriptToEvaluateOnNewDocument", {
-            identifier: recording.scriptId,
-          });
+          await cdp(tab, "Page.removeScriptToEvaluateOnNewDocument", { identifier });
         } catch (e) { /* ignore if already gone */ }
       }
       recordingTabs.delete(tabId);
     }
 
-    // Clean up the recorder in the current page
-    if (attachedTabs.has(tabId)) {
+    for (const tab of tabs) {
+      if (!attachedTabs.has(tab)) continue;
+      // Clean up the recorder in the current page and its iframes
+      const cleanup = "if (window.__pwRecorderCleanup) window.__pwRecorderCleanup();";
       try {
-        await cdp(tabId, "Runtime.evaluate", {
-          expression: "if (window.__pwRecorderCleanup) window.__pwRecorderCleanup();",
-        });
+        await evaluateInFrames(tab, cleanup);
+        for (const sessionId of frameSessions.get(tab)?.values() || []) {
+          await sessionCdp(tab, sessionId, "Runtime.evaluate", { expression: cleanup }).catch(() => {});
+        }
       } catch (e) { /* ignore if context is gone */ }
-    }
 
-    // Detach debugger so the yellow bar goes away
-    if (attachedTabs.has(tabId)) {
-      attachedTabs.delete(tabId);
-      chrome.debugger.detach({ tabId }, () => {
+      // Detach debugger so the yellow bar goes away
+      attachedTabs.delete(tab);
+      chrome.debugger.detach({ tabId: tab }, () => {
         if (chrome.runtime.lastError) {
-          console.log("[PW] Detach after stop (tab", tabId, "):", chrome.runtime.lastError.message);
+          console.log("[PW] Detach after stop (tab", tab, "):", chrome.runtime.lastError.message);
         } else {
-          console.log("[PW] Debugger detached after stop for tab", tabId);
+          console.log("[PW] Debugger detached after stop for tab", tab);
         }
       });
     }
@@ -275,6 +586,313 @@ async function getRecorderCode() {
   return _recorderCodeCache;
 }
 
+// --- Tabs ---
+
+// Tabs each panel can drive, keyed by the inspected tab: tabs[0] is the
+// inspected tab, followed by popups and tab-new tabs in opening order (the
+// order of Playwright's context.pages()). Commands go to current.
+const tabSessions = new Map();
+
+function tabSession(tabId) {
+  if (!tabSessions.has(tabId)) tabSessions.set(tabId, { tabs: [tabId], current: tabId });
+  return tabSessions.get(tabId);
+}
+
+// Inspected tab of the session a tab belongs to (itself when it has none)
+function sessionRoot(tabId) {
+  for (const [root, session] of tabSessions) {
+    if (session.tabs.includes(tabId)) return root;
+  }
+  return tabId;
+}
+
+// Removes a closed tab from every session; commands fall back to the
+// inspected tab when it was the current one
+function forgetTab(tabId) {
+  for (const [root, session] of tabSessions) {
+    if (root === tabId) {
+      tabSessions.delete(root);
+      continue;
+    }
+    session.tabs = session.tabs.filter(t => t !== tabId);
+    if (session.current === tabId) session.current = root;
+  }
+}
+
+// Adds a page opened by a session tab (window.open, target=_blank) to that
+// session, and records in it when the session is recording.
+// Returns the new tab's id, or null when the page is not ours.
+async function adoptPopup(targetInfo) {
+  if (targetInfo?.type !== "page" || !targetInfo.openerId) return null;
+  const targets = await chrome.debugger.getTargets();
+  const opener = targets.find(t => t.id === targetInfo.openerId);
+  const popup = targets.find(t => t.id === targetInfo.targetId);
+  if (!opener?.tabId || !popup?.tabId) return null;
+  for (const [root, session] of tabSessions) {
+    if (!session.tabs.includes(opener.tabId)) continue;
+    if (!session.tabs.includes(popup.tabId)) {
+      session.tabs.push(popup.tabId);
+      console.log("[PW] Popup", popup.tabId, "opened from tab", opener.tabId);
+    }
+    if (recordingTabs.has(root)) {
+      try {
+        await injectRecorder(root, popup.tabId);
+      } catch (e) {
+        console.log("[PW] Could not record in popup", popup.tabId, ":", e.message);
+      }
+    }
+    return popup.tabId;
+  }
+  return null;
+}
+
+// --- Network log ---
+
+// Requests seen in each attached tab (see lib/network.js)
+const networkLogs = new Map();
+
+function networkLog(tabId) {
+  if (!networkLogs.has(tabId)) networkLogs.set(tabId, createNetworkLog());
+  return networkLogs.get(tabId);
+}
+
+// --- Console ---
+
+// Console messages and uncaught exceptions per tab (see lib/console-log.js)
+const consoleLogs = new Map();
+
+// Panels streaming console messages as they arrive (`console live on`),
+// keyed by inspected tab
+const consoleLive = new Set();
+
+function consoleLog(tabId) {
+  if (!consoleLogs.has(tabId)) consoleLogs.set(tabId, createConsoleLog());
+  return consoleLogs.get(tabId);
+}
+
+function onConsoleEvent(tabId, method, params) {
+  const entry = recordConsoleEvent(consoleLog(tabId), method, params);
+  const root = sessionRoot(tabId);
+  if (!entry || !consoleLive.has(root)) return;
+  panelPorts.get(root)?.postMessage({ type: "pw-console", level: entry.level, text: formatConsoleEntry(entry) });
+}
+
+// --- HAR recording ---
+
+// Sessions recording a HAR, keyed by inspected tab: the network log entries
+// made since har-start, their response bodies, and body reads in flight
+const harRecordings = new Map();
+
+// Collects requests and response bodies for a recording session
+function onHarNetworkEvent(tabId, method, params) {
+  const recording = harRecordings.get(sessionRoot(tabId));
+  if (!recording) return;
+  const entry = networkLog(tabId).byRequestId.get(params.requestId);
+  if (!entry) return;
+  if (method === "Network.requestWillBeSent") {
+    recording.entries.push(entry);
+  } else if (method === "Network.loadingFinished" && recording.entries.includes(entry)) {
+    // Read the body now: Chrome drops it once the page navigates away
+    const read = cdp(tabId, "Network.getResponseBody", { requestId: params.requestId })
+      .then(body => recording.bodies.set(entry, body))
+      .catch(() => {})
+      .finally(() => recording.pending.delete(read));
+    recording.pending.add(read);
+  }
+}
+
+// --- Emulation ---
+
+// Overrides set with resize, device, locale etc. per tab; Chrome drops them
+// when the debugger detaches. viewport holds setDeviceMetricsOverride
+// params, userAgent is the device's and baseUserAgent the browser's own.
+const tabEmulation = new Map();
+
+function emulation(tabId) {
+  if (!tabEmulation.has(tabId)) tabEmulation.set(tabId, { viewport: null, userAgent: null, locale: null });
+  return tabEmulation.get(tabId);
+}
+
+// The device's user agent and the locale's Accept-Language share one CDP
+// override, so both are set together (or cleared when neither applies)
+async function applyUserAgent(tabId, state) {
+  if (!state.userAgent && !state.locale) {
+    await cdp(tabId, "Emulation.setUserAgentOverride", { userAgent: "" });
+    return;
+  }
+  if (!state.baseUserAgent) state.baseUserAgent = await evaluateTop(tabId, "navigator.userAgent");
+  const params = { userAgent: state.userAgent || state.baseUserAgent };
+  if (state.locale) params.acceptLanguage = state.locale;
+  await cdp(tabId, "Emulation.setUserAgentOverride", params);
+}
+
+// --- Routes ---
+
+// Routes set in each tab with route/route-from-file, in the order added
+// (see lib/routes.js). The Fetch domain is enabled only while there are any.
+const tabRoutes = new Map();
+
+// Base64 of a string's UTF-8 bytes, as Fetch.fulfillRequest expects
+function toBase64(text) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+// Intercepts the URLs of the tab's current routes (or stops intercepting)
+async function syncFetchPatterns(tabId) {
+  const routes = tabRoutes.get(tabId) || [];
+  if (!routes.length) {
+    await cdp(tabId, "Fetch.disable");
+    return;
+  }
+  await cdp(tabId, "Fetch.enable", { patterns: routes.map(r => ({ urlPattern: fetchPattern(r.pattern) })) });
+}
+
+async function onRequestPaused(tabId, params) {
+  const route = findRoute(tabRoutes.get(tabId) || [], params.request.url);
+  try {
+    if (!route) {
+      await cdp(tabId, "Fetch.continueRequest", { requestId: params.requestId });
+      return;
+    }
+    if (route.har) {
+      const recorded = findHarEntry(route.har.entries, params.request);
+      if (!recorded && route.har.fallback) {
+        await cdp(tabId, "Fetch.continueRequest", { requestId: params.requestId });
+        return;
+      }
+      route.hits++;
+      if (!recorded) {
+        await cdp(tabId, "Fetch.failRequest", { requestId: params.requestId, errorReason: "Failed" });
+        return;
+      }
+      await cdp(tabId, "Fetch.fulfillRequest", { requestId: params.requestId, ...harResponse(recorded, toBase64) });
+      return;
+    }
+    route.hits++;
+    if (route.abort) {
+      await cdp(tabId, "Fetch.failRequest", { requestId: params.requestId, errorReason: "Failed" });
+      return;
+    }
+    await cdp(tabId, "Fetch.fulfillRequest", {
+      requestId: params.requestId,
+      responseCode: route.status,
+      responseHeaders: [{ name: "Content-Type", value: route.contentType }],
+      body: toBase64(route.body),
+    });
+  } catch (e) {
+    console.log("[PW] Could not answer paused request", params.request.url, ":", e.message);
+  }
+}
+
+// --- Dialogs ---
+
+// JavaScript dialogs (alert, confirm, prompt, beforeunload) waiting for an
+// answer, keyed by tab: { type, message, defaultPrompt, answered }
+const openDialogs = new Map();
+
+// How each panel answers dialogs: "ask" reports them and waits for
+// dialog-accept/dialog-dismiss, "accept" and "dismiss" answer at once
+const dialogPolicies = new Map();
+
+// Commands in flight per tab; a dialog opening settles them so the REPL
+// doesn't hang on the blocked page
+const dialogWaiters = new Map();
+
+function describeDialog({ type, message, defaultPrompt }) {
+  const prompt = type === "prompt" && defaultPrompt ? ` (default "${defaultPrompt}")` : "";
+  return `${type} dialog "${message}"${prompt}`;
+}
+
+// Quotes a recorded argument with whichever quote it does not contain
+function quoteArg(text) {
+  return text.includes('"') ? `'${text}'` : `"${text}"`;
+}
+
+function notifyPanel(tabId, level, text) {
+  panelPorts.get(sessionRoot(tabId))?.postMessage({ type: "pw-event", level, text });
+}
+
+// Resolves with the command's result, or with a notice as soon as a dialog
+// opens in tabId while the policy is "ask". A command that throws resolves
+// with an error result, so the panel never waits on it
+function raceDialog(tabId, pending) {
+  return new Promise((resolve) => {
+    if (!dialogWaiters.has(tabId)) dialogWaiters.set(tabId, new Set());
+    const waiters = dialogWaiters.get(tabId);
+    waiters.add(resolve);
+    Promise.resolve(pending)
+      .then(resolve, (e) => resolve({ success: false, type: "error", data: `Command failed: ${e.message}` }))
+      .finally(() => waiters.delete(resolve));
+  });
+}
+
+async function answerDialog(tabId, accept, promptText) {
+  const dialog = openDialogs.get(tabId);
+  dialog.answered = true;
+  const params = { accept };
+  if (promptText !== undefined) params.promptText = promptText;
+  await cdp(tabId, "Page.handleJavaScriptDialog", params);
+  openDialogs.delete(tabId);
+  return dialog;
+}
+
+async function onDialogOpening(tabId, params) {
+  const dialog = { type: params.type, message: params.message, defaultPrompt: params.defaultPrompt || "" };
+  openDialogs.set(tabId, dialog);
+  const policy = dialogPolicies.get(sessionRoot(tabId)) || "ask";
+  if (policy !== "ask") {
+    try {
+      await answerDialog(tabId, policy === "accept");
+      notifyPanel(tabId, "info", `Auto-${policy === "accept" ? "accepted" : "dismissed"} ${describeDialog(dialog)}`);
+    } catch (e) {
+      notifyPanel(tabId, "error", `Could not answer ${describeDialog(dialog)}: ${e.message}`);
+    }
+    return;
+  }
+  const text = `${describeDialog(dialog)} is open. Answer with dialog-accept [text] or dialog-dismiss`;
+  const waiters = dialogWaiters.get(tabId);
+  if (waiters?.size) {
+    for (const resolve of waiters) resolve({ success: true, type: "info", data: text });
+    waiters.clear();
+  } else {
+    notifyPanel(tabId, "info", text);
+  }
+}
+
+// Dialogs answered in the browser itself are recorded as commands
+function onDialogClosed(tabId, params) {
+  const dialog = openDialogs.get(tabId);
+  openDialogs.delete(tabId);
+  if (!dialog || dialog.answered) return;
+  const recording = recordingTabs.get(sessionRoot(tabId));
+  if (!recording) return;
+  let command = "dialog-dismiss";
+  if (params.result) {
+    command = dialog.type === "prompt" ? `dialog-accept ${quoteArg(params.userInput || "")}` : "dialog-accept";
+  }
+  recording.post(tabId, command);
+}
+
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  if (method === "Target.targetCreated") adoptPopup(params.targetInfo);
+  if (method === "Page.javascriptDialogOpening") onDialogOpening(source.tabId, params);
+  if (method === "Page.javascriptDialogClosed") onDialogClosed(source.tabId, params);
+  if (method.startsWith("Network.")) {
+    recordNetworkEvent(networkLog(source.tabId), method, params);
+    onHarNetworkEvent(source.tabId, method, params);
+  }
+  if (method === "Fetch.requestPaused") onRequestPaused(source.tabId, params);
+  if (method === "Input.dragIntercepted") onDragIntercepted(source.tabId, params);
+  if (method.startsWith("Runtime.executionContext")) onExecutionContextEvent(source.tabId, source.sessionId, method, params);
+  if (method === "Target.attachedToTarget") onTargetAttached(source.tabId, params);
+  if (method === "Target.detachedFromTarget") onTargetDetached(source.tabId, params);
+  if (method === "Runtime.consoleAPICalled" || method === "Runtime.exceptionThrown") {
+    onConsoleEvent(source.tabId, method, params);
+  }
+});
+
 async function handleCommand(raw, tabId) {
   const parsed = parseCommand(raw);
   if (!parsed) {
@@ -283,10 +901,35 @@ async function handleCommand(raw, tabId) {
 
   const { command, args } = parsed;
 
-  // Help doesn't need CDP
+  // Help and settings don't need CDP
   if (command === "help") {
     return cmdHelp();
   }
+  if (command === "timeout") {
+    return cmdTimeout(tabId, args);
+  }
+  if (command === "fixtures") {
+    return cmdFixtures();
+  }
+  if (command === "fixture-delete") {
+    return cmdFixtureDelete(args);
+  }
+  switch (command) {
+    case "tab-list":    return cmdTabList(tabId);
+    case "tab-select":  return cmdTabSelect(tabId, args);
+    case "tab-new":     return cmdTabNew(tabId, args);
+    case "tab-close":   return cmdTabClose(tabId, args);
+    case "dialog-accept":   return cmdDialogAnswer(tabId, args, true);
+    case "dialog-dismiss":  return cmdDialogAnswer(tabId, args, false);
+    case "dialog-policy":   return cmdDialogPolicy(tabId, args);
+  }
+
+  // Everything else runs in the tab picked with tab-select
+  tabId = tabSession(tabId).current;
+  const dialog = openDialogs.get(tabId);
+  if (dialog) {
+    return { success: false, type: "error", data: `${describeDialog(dialog)} is blocking the page. Answer it with dialog-accept [text] or dialog-dismiss` };
+  }
 
   try {
     await ensureAttached(tabId);
@@ -294,13 +937,86 @@ async function handleCommand(raw, tabId) {
     return { success: false, type: "error", data: `Failed to attach debugger: ${e.message}` };
   }
 
+  // Waits look at requests made since the previous command started
+  const log = networkLog(tabId);
+  if (!command.startsWith("wait-for-")) log.since = log.nextId;
+
+  // Commands run in the frame picked with `frame`. A target ref from the
+  // last snapshot runs in its own document instead: a frame ref (f1e3) in
+  // the frame it points into, a plain ref (e7) in the top document
+  const ref = targetRef(command, args);
+  let scope = null;
+  if (ref?.startsWith("f")) {
+    const frame = snapshotFrames.get(tabId)?.get(ref.replace(/e\d+$/, ""));
+    if (!frame) return { success: false, type: "error", data: `Unknown ref ${ref}: not in the last snapshot, re-run snapshot` };
+    scope = { frame };
+  } else if (!ref && selectedFrames.has(tabId)) {
+    scope = { label: selectedFrames.get(tabId) };
+  }
+  if (scope) commandFrames.set(tabId, scope);
+  const pending = Promise.resolve(runPageCommand(command, args, tabId)).finally(() => {
+    if (commandFrames.get(tabId) === scope) commandFrames.delete(tabId);
+  });
+  return raceDialog(tabId, pending);
+}
+
+// Commands whose first argument is a locator target (for type, only when
+// it is followed by the text)
+const TARGET_COMMANDS = new Set([
+  "click", "c", "dblclick", "fill", "f", "select", "check", "uncheck", "hover", "drag", "upload",
+  "type", "screenshot", "verify-screenshot", "verify-element", "verify-no-element",
+]);
+
+// The snapshot ref (e7 or f1e3) a command targets, or null. Other
+// arguments shaped like a ref, such as a fill value, don't count.
+function targetRef(command, args) {
+  if (!TARGET_COMMANDS.has(command)) return null;
+  let target = args[0];
+  if (command === "type") {
+    const positional = parseOptions(args, TYPE_OPTIONS).args;
+    target = positional.length === 2 ? positional[0] : null;
+  }
+  return /^(f\d+)?e\d+$/.test(target) ? target : null;
+}
+
+// Dispatches a command that runs against the page in tabId
+function runPageCommand(command, args, tabId) {
   switch (command) {
     case "goto":
     case "open":        return cmdGoto(tabId, args);
     case "snapshot":
     case "s":           return cmdSnapshot(tabId);
+    case "frame":       return cmdFrame(tabId, args);
     case "screenshot":  return cmdScreenshot(tabId, args);
+    case "pdf":         return cmdPdf(tabId, args);
     case "eval":        return cmdEval(tabId, args);
+    case "network":     return cmdNetwork(tabId, args);
+    case "wait-for-request":   return cmdWaitForNetwork(tabId, args, "request");
+    case "wait-for-response":  return cmdWaitForNetwork(tabId, args, "response");
+    case "wait-for-idle":      return cmdWaitForIdle(tabId, args);
+    case "route":              return cmdRoute(tabId, args, false);
+    case "route-from-file":    return cmdRoute(tabId, args, true);
+    case "unroute":            return cmdUnroute(tabId, args);
+    case "routes":             return cmdRoutes(tabId);
+    case "console":            return cmdConsole(tabId, args);
+    case "resize":             return cmdResize(tabId, args);
+    case "device":             return cmdDevice(tabId, args);
+    case "color-scheme":       return cmdColorScheme(tabId, args);
+    case "geolocation":        return cmdGeolocation(tabId, args);
+    case "timezone":           return cmdTimezone(tabId, args);
+    case "locale":             return cmdLocale(tabId, args);
+    case "offline":            return cmdOffline(tabId, args);
+    case "har-start":          return cmdHarStart(tabId);
+    case "har-stop":           return cmdHarStop(tabId, args);
+    case "har-replay":         return cmdHarReplay(tabId, args);
+    case "cookies":            return cmdCookies(tabId, args);
+    case "cookie-set":         return cmdCookieSet(tabId, args);
+    case "cookie-delete":      return cmdCookieDelete(tabId, args);
+    case "cookies-clear":      return cmdCookiesClear(tabId, args);
+    case "localstorage":       return cmdWebStorage(tabId, args, "local");
+    case "sessionstorage":     return cmdWebStorage(tabId, args, "session");
+    case "storage-save":       return cmdStorageSave(tabId, args);
+    case "storage-load":       return cmdStorageLoad(tabId, args);
     case "click":
     case "c":           return cmdClick(tabId, args);
     case "fill":
@@ -310,8 +1026,11 @@ async function handleCommand(raw, tabId) {
     case "uncheck":     return cmdCheck(tabId, args, false);
     case "hover":       return cmdHover(tabId, args);
     case "dblclick":    return cmdDblclick(tabId, args);
+    case "drag":        return cmdDrag(tabId, args);
+    case "upload":      return cmdUpload(tabId, args);
     case "press":
     case "p":           return cmdPress(tabId, args);
+    case "type":        return cmdType(tabId, args);
     case "go-back":
     case "back":        return cmdGoBack(tabId);
     case "go-forward":
@@ -323,6 +1042,8 @@ async function handleCommand(raw, tabId) {
     case "verify-no-element":  return cmdVerifyElement(tabId, args, false);
     case "verify-url":      return cmdVerifyUrl(tabId, args);
     case "verify-title":    return cmdVerifyTitle(tabId, args);
+    case "verify-no-console-errors": return cmdVerifyNoConsoleErrors(tabId);
+    case "verify-screenshot": return cmdVerifyScreenshot(tabId, args);
     default:
       return { success: false, type: "error", data: `Unknown command: ${command}` };
   }
@@ -350,42 +1071,282 @@ async function cmdGoto(tabId, args) {
 async function cmdSnapshot(tabId) {
   try {
     const result = await cdp(tabId, "Accessibility.getFullAXTree", {});
-    const lines = formatAccessibilityTree(result.nodes);
+    const refs = new Map();
+    const lines = formatAccessibilityTree(result.nodes, refs);
+    await tagSnapshotRefs(tabId, null, refs);
+    // Each iframe follows as its own tree, with refs that name the frame
+    const byPrefix = new Map();
+    for (const [i, frame] of (await listFrames(tabId)).entries()) {
+      const prefix = `f${i + 1}`;
+      byPrefix.set(prefix, frame);
+      lines.push(`- frame "${frameLabel(frame)}" [frame=${prefix}]`);
+      try {
+        const tree = await sessionCdp(tabId, frame.sessionId, "Accessibility.getFullAXTree", { frameId: frame.frameId });
+        const frameRefs = new Map();
+        lines.push(...formatAccessibilityTree(tree.nodes, frameRefs, prefix).map(line => "  " + line));
+        await tagSnapshotRefs(tabId, frame, frameRefs);
+      } catch (e) {
+        lines.push(`  (unavailable: ${e.message})`);
+      }
+    }
+    snapshotFrames.set(tabId, byPrefix);
     return { success: true, type: "snapshot", data: lines.join("\n") };
   } catch (e) {
     return { success: false, type: "error", data: `Snapshot failed: ${e.message}` };
   }
 }
 
-async function cmdScreenshot(tabId, args) {
-  const fullPage = args.length > 0 && args[0] === "full";
-  try {
-    let params = { format: "png" };
-    if (fullPage) {
-      // Get full page dimensions and set clip to capture everything
-      const layout = await cdp(tabId, "Page.getLayoutMetrics");
-      const { width, height } = layout.contentSize;
-      const deviceMetrics = { width: Math.ceil(width), height: Math.ceil(height), deviceScaleFactor: 1, mobile: false };
-      await cdp(tabId, "Emulation.setDeviceMetricsOverride", deviceMetrics);
-      params.clip = { x: 0, y: 0, width, height, scale: 1 };
-    }
-    const result = await cdp(tabId, "Page.captureScreenshot", params);
-    if (fullPage) {
-      await cdp(tabId, "Emulation.clearDeviceMetricsOverride");
+// Tags the DOM node behind each snapshot ref so a later `click e7` hits
+// exactly the node that was listed, or fails as stale if it is gone.
+// frame is the iframe the refs belong to, null for the top document.
+async function tagSnapshotRefs(tabId, frame, refs) {
+  await frameCdp(tabId, frame, "Runtime.evaluate", { expression: callInPage(resetSnapshotRefs), returnByValue: true });
+  await Promise.all([...refs].map(async ([ref, backendNodeId]) => {
+    try {
+      const resolved = await frameCdp(tabId, frame, "DOM.resolveNode", { backendNodeId, objectGroup: "pw-snapshot" });
+      const objectId = resolved?.object?.objectId;
+      if (!objectId) return;
+      await frameCdp(tabId, frame, "Runtime.callFunctionOn", {
+        objectId,
+        functionDeclaration: tagSnapshotRef.toString(),
+        arguments: [{ value: ref }],
+      });
+    } catch (e) { /* node is gone, its ref will report as unknown */ }
+  }));
+  await frameCdp(tabId, frame, "Runtime.releaseObjectGroup", { objectGroup: "pw-snapshot" });
+}
+
+// frame ["name-or-url" | main] [--timeout 5s]: runs the following commands
+// in an iframe's document; without arguments lists the page's frames
+async function cmdFrame(tabId, args) {
+  const { args: [label, extra], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (extra !== undefined) {
+    return { success: false, type: "error", data: 'Usage: frame ["name-or-url" | main]' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    if (label === undefined) {
+      const frames = await listFrames(tabId);
+      const current = selectedFrames.has(tabId) ? matchFrame(frames, selectedFrames.get(tabId)) : null;
+      const header = selectedFrames.has(tabId) ? `Commands run in frame "${selectedFrames.get(tabId)}"` : "Commands run in the top document";
+      if (!frames.length) return { success: true, type: "info", data: `${header}. The page has no frames` };
+      const lines = frames.map((f, i) => `${f === current ? "*" : " "} f${i + 1}  ${f.name ? `"${f.name}"  ` : ""}${f.url}`);
+      return { success: true, type: "info", data: `${header}:\n${lines.join("\n")}` };
     }
-    return { success: true, type: "screenshot", data: result.data };
+    if (label === "main" || label === "top") {
+      selectedFrames.delete(tabId);
+      return { success: true, type: "success", data: "Commands run in the top document" };
+    }
+    const frame = await waitForFrame(tabId, label, timeout);
+    selectedFrames.set(tabId, label);
+    return { success: true, type: "success", data: `Commands run in frame "${label}" (${frame.url})` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Frame failed: ${e.message}` };
+  }
+}
+
+const SCREENSHOT_OPTIONS = { name: "value", clip: "value", timeout: "value" };
+
+// Parses --clip x,y,width,height; returns null unless all four are numbers
+// and the size is positive
+function parseClip(text) {
+  const parts = String(text).split(",").map(p => Number(p.trim()));
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n)) || parts[2] <= 0 || parts[3] <= 0) return null;
+  const [x, y, width, height] = parts;
+  return { x, y, width, height };
+}
+
+// screenshot [full | "target"] [--clip x,y,w,h] [--name file]
+async function cmdScreenshot(tabId, args) {
+  const { args: [target, extra], options } = parseOptions(args, SCREENSHOT_OPTIONS);
+  const fullPage = target === "full";
+  if (extra !== undefined || (options.clip !== undefined && target !== undefined)) {
+    return { success: false, type: "error", data: 'Usage: screenshot [full | "target" | --clip x,y,w,h] [--name file]' };
+  }
+  const name = options.name?.replace(/\.png$/i, "");
+  if (name !== undefined && !/^[\w.-]+$/.test(name)) {
+    return { success: false, type: "error", data: `Invalid screenshot name: "${options.name}" (use letters, digits, ".", "-" and "_")` };
+  }
+  const clip = options.clip === undefined ? null : parseClip(options.clip);
+  if (options.clip !== undefined && !clip) {
+    return { success: false, type: "error", data: `Invalid clip: "${options.clip}" (use x,y,width,height)` };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    const shot = await captureScreenshot(tabId, { fullPage, clip, target, timeout });
+    if (shot.error) return { success: false, type: "error", data: shot.error };
+    // name is the file name the panel saves it under
+    return { success: true, type: "screenshot", data: shot.data, name };
   } catch (e) {
     return { success: false, type: "error", data: `Screenshot failed: ${e.message}` };
   }
 }
 
+/**
+ * Captures the viewport, the full page, a viewport clip or one element as
+ * PNG. Returns { data, region } with region the captured document rect in
+ * CSS pixels, or { error }. masks (targets) are measured in document
+ * coordinates just before the capture and returned as masks.
+ */
+async function captureScreenshot(tabId, { fullPage, clip, target, timeout, masks = [] }) {
+  const params = { format: "png" };
+  let region;
+  if (fullPage) {
+    // Get full page dimensions and set clip to capture everything
+    const layout = await cdp(tabId, "Page.getLayoutMetrics");
+    const { width, height } = layout.contentSize;
+    const deviceMetrics = { width: Math.ceil(width), height: Math.ceil(height), deviceScaleFactor: 1, mobile: false };
+    await cdp(tabId, "Emulation.setDeviceMetricsOverride", deviceMetrics);
+    params.clip = { x: 0, y: 0, width, height, scale: 1 };
+    region = params.clip;
+  } else if (target) {
+    const ready = await waitForActionable(tabId, target, null, ["visible", "stable"], timeout);
+    if (ready.error) return { error: ready.error };
+    const found = await evaluate(tabId, buildLocatorJS(elementBox, target, null));
+    if (!found || found.error) return { error: found?.error || `Element not found: "${target}"` };
+    const box = await toTopDocument(tabId, found);
+    params.clip = { ...box, scale: 1 };
+    params.captureBeyondViewport = true;
+    region = box;
+  } else {
+    // --clip is relative to the viewport, CDP clips to the document
+    const layout = await cdp(tabId, "Page.getLayoutMetrics");
+    const { pageX = 0, pageY = 0, clientWidth, clientHeight } = layout.cssVisualViewport || layout.visualViewport || {};
+    if (clip) params.clip = { ...clip, x: clip.x + pageX, y: clip.y + pageY, scale: 1 };
+    region = params.clip || { x: pageX, y: pageY, width: clientWidth, height: clientHeight };
+  }
+  const maskBoxes = [];
+  for (const mask of masks) {
+    const box = await evaluate(tabId, buildLocatorJS(documentBox, mask, null));
+    if (!box || box.error) return { error: box?.error || `Element not found: "${mask}"` };
+    maskBoxes.push(await toTopDocument(tabId, box));
+  }
+  const result = await cdp(tabId, "Page.captureScreenshot", params);
+  if (fullPage) {
+    // Back to the resize/device viewport, if any
+    const viewport = tabEmulation.get(tabId)?.viewport;
+    if (viewport) await cdp(tabId, "Emulation.setDeviceMetricsOverride", viewport);
+    else await cdp(tabId, "Emulation.clearDeviceMetricsOverride");
+  }
+  return { data: result.data, region, masks: maskBoxes };
+}
+
+// Decodes a base64 PNG to { width, height, data } RGBA pixels
+async function decodePng(png) {
+  const bytes = Uint8Array.from(atob(png), c => c.charCodeAt(0));
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: "image/png" }));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  return context.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+// Encodes { width, height, data } RGBA pixels as a base64 PNG
+async function encodePng(image) {
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  canvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+  const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: "image/png" })).arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+const VERIFY_SCREENSHOT_OPTIONS = {
+  name: "value", threshold: "value", "max-diff-pixels": "value", mask: "list", update: "boolean", timeout: "value",
+};
+
+// verify-screenshot [full | "target"] [--name n] [--threshold 0.2]
+// [--max-diff-pixels n] [--mask "target"]... [--update]: compares the
+// capture with the stored baseline, saving it on the first run
+async function cmdVerifyScreenshot(tabId, args) {
+  const { args: [target, extra], options } = parseOptions(args, VERIFY_SCREENSHOT_OPTIONS);
+  if (extra !== undefined) {
+    return { success: false, type: "error", data: 'Usage: verify-screenshot [full | "target"] [--name n] [--threshold 0.2] [--max-diff-pixels n] [--mask "target"]... [--update]' };
+  }
+  const fullPage = target === "full";
+  const name = (options.name ?? (target && !fullPage ? target : "page")).replace(/\.png$/i, "");
+  if (!name) return { success: false, type: "error", data: "Baseline name is empty" };
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : Number(options.threshold);
+  if (!(threshold >= 0 && threshold <= 1)) {
+    return { success: false, type: "error", data: `Invalid threshold: "${options.threshold}" (use a number from 0 to 1)` };
+  }
+  const maxDiffPixels = options["max-diff-pixels"] === undefined ? 0 : Number(options["max-diff-pixels"]);
+  if (!Number.isInteger(maxDiffPixels) || maxDiffPixels < 0) {
+    return { success: false, type: "error", data: `Invalid --max-diff-pixels: "${options["max-diff-pixels"]}" (use a whole number)` };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    const shot = await captureScreenshot(tabId, { fullPage, target: fullPage ? undefined : target, timeout, masks: options.mask || [] });
+    if (shot.error) return { success: false, type: "error", data: shot.error };
+    const actual = await decodePng(shot.data);
+    // Masks are in document CSS pixels, the image in device pixels
+    const scale = actual.width / shot.region.width;
+    const rects = shot.masks.map(m => ({
+      x: (m.x - shot.region.x) * scale, y: (m.y - shot.region.y) * scale, width: m.width * scale, height: m.height * scale,
+    }));
+    maskImage(actual, rects);
+    const actualPng = rects.length ? await encodePng(actual) : shot.data;
+    const baseline = options.update ? null : await readBaseline(name);
+    if (baseline === null) {
+      await writeBaseline(name, actualPng);
+      return { success: true, type: "success", data: `Saved baseline "${name}" (${actual.width}x${actual.height})` };
+    }
+    const expected = await decodePng(baseline);
+    const result = compareImages(expected, actual, { threshold });
+    if (result.sizeMismatch) {
+      return {
+        success: false, type: "error",
+        data: `FAIL: Screenshot size ${actual.width}x${actual.height} differs from baseline "${name}" (${expected.width}x${expected.height})`,
+        images: { expected: baseline, actual: actualPng },
+      };
+    }
+    if (result.diffPixels <= maxDiffPixels) {
+      return { success: true, type: "success", data: `PASS: Screenshot matches baseline "${name}"` };
+    }
+    const ratio = (result.diffPixels / (actual.width * actual.height) * 100).toFixed(2);
+    return {
+      success: false, type: "error",
+      data: `FAIL: ${result.diffPixels} pixels (${ratio}%) differ from baseline "${name}"`,
+      images: { expected: baseline, actual: actualPng, diff: await encodePng(result.diff) },
+    };
+  } catch (e) {
+    return { success: false, type: "error", data: `Screenshot comparison failed: ${e.message}` };
+  }
+}
+
+const PDF_OPTIONS = { format: "value", landscape: "boolean", background: "boolean", margin: "value", name: "value" };
+
+// pdf [--format A4] [--landscape] [--background] [--margin 1cm] [--name file]
+async function cmdPdf(tabId, args) {
+  const { args: extra, options } = parseOptions(args, PDF_OPTIONS);
+  if (extra.length) {
+    return { success: false, type: "error", data: "Usage: pdf [--format A4] [--landscape] [--background] [--margin 1cm] [--name file]" };
+  }
+  const name = options.name?.replace(/\.pdf$/i, "");
+  if (name !== undefined && !/^[\w.-]+$/.test(name)) {
+    return { success: false, type: "error", data: `Invalid PDF name: "${options.name}" (use letters, digits, ".", "-" and "_")` };
+  }
+  const { params, error } = pdfParams(options);
+  if (error) return { success: false, type: "error", data: error };
+  try {
+    const result = await cdp(tabId, "Page.printToPDF", params);
+    // name is the file name the panel saves it under
+    return { success: true, type: "pdf", data: result.data, name };
+  } catch (e) {
+    return { success: false, type: "error", data: `PDF failed: ${e.message}` };
+  }
+}
+
 async function cmdEval(tabId, args) {
   if (args.length === 0) {
     return { success: false, type: "error", data: "Usage: eval <expression>" };
   }
   const expression = args.join(" ");
   try {
-    const result = await cdp(tabId, "Runtime.evaluate", {
+    const result = await pageCdp(tabId, "Runtime.evaluate", {
       expression,
       returnByValue: true,
     });
@@ -396,58 +1357,787 @@ async function cmdEval(tabId, args) {
     }
     const value = result.result?.value;
     const display = value === undefined ? "undefined" : JSON.stringify(value, null, 2);
-    return { success: true, type: "info", data: display };
+    // value is the raw result, used by `set name = eval ...` captures
+    return { success: true, type: "info", data: display, value };
   } catch (e) {
     return { success: false, type: "error", data: `Eval failed: ${e.message}` };
   }
 }
 
-async function cmdClick(tabId, args) {
-  if (args.length === 0) {
-    return { success: false, type: "error", data: 'Usage: click <ref> or click "text" [scope]' };
+const NETWORK_FILTERS = { url: "value", status: "value", type: "value", method: "value" };
+
+// network [--url x] [--status 4xx] [--type xhr] [--method POST]
+// network show <id> | network clear
+async function cmdNetwork(tabId, args) {
+  const log = networkLog(tabId);
+  if (args[0] === "clear") {
+    networkLogs.set(tabId, createNetworkLog());
+    return { success: true, type: "success", data: "Network log cleared" };
   }
-  const target = args[0];
-  const scope = args[1] || null;
-  try {
-    const js = buildClickElementJS(target, scope);
-    const result = await cdp(tabId, "Runtime.evaluate", {
-      expression: js,
-      returnByValue: true,
-    });
-    const val = result.result?.value;
-    if (!val || val.error) {
-      return { success: false, type: "error", data: val?.error || `Element not found: "${target}"` };
+  if (args[0] === "show") {
+    const id = Number((args[1] || "").replace(/^#/, ""));
+    const entry = log.entries.find(e => e.id === id);
+    if (!entry) {
+      return { success: false, type: "error", data: args[1] ? `No request #${args[1].replace(/^#/, "")} in the network log` : "Usage: network show <id>" };
     }
-    const desc = scope ? `Clicked "${target}" in "${scope}"` : `Clicked "${target}"`;
-    return { success: true, type: "success", data: desc };
-  } catch (e) {
-    return { success: false, type: "error", data: `Click failed: ${e.message}` };
+    let body = null;
+    if (entry.finished && !entry.error) {
+      try {
+        body = await cdp(tabId, "Network.getResponseBody", { requestId: entry.requestId });
+      } catch (e) {
+        body = { error: e.message };
+      }
+    }
+    return { success: true, type: "info", data: formatEntryDetail(entry, body) };
+  }
+  const { args: rest, options } = parseOptions(args, NETWORK_FILTERS);
+  if (rest.length) {
+    return { success: false, type: "error", data: "Usage: network [--url x] [--status 4xx] [--type xhr] [--method GET] | network show <id> | network clear" };
   }
+  const entries = filterEntries(log.entries, options);
+  if (entries.error) return { success: false, type: "error", data: entries.error };
+  if (!entries.length) {
+    return { success: true, type: "info", data: log.entries.length ? "No requests match the filters" : "No requests recorded yet" };
+  }
+  return { success: true, type: "info", data: formatEntries(entries) };
 }
 
-async function cmdFill(tabId, args) {
-  if (args.length < 2) {
-    return { success: false, type: "error", data: 'Usage: fill "target" "value"' };
+// How long the network must be quiet for wait-for-idle (Playwright's networkidle)
+const NETWORK_IDLE_MS = 500;
+
+// wait-for-request|wait-for-response "url part" [--timeout 10s]
+// A request made by the previous command counts even if it already completed.
+async function cmdWaitForNetwork(tabId, args, kind) {
+  const { args: [url], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (url === undefined) {
+    return { success: false, type: "error", data: `Usage: wait-for-${kind} "url part"` };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const log = networkLog(tabId);
+    const entry = log.entries.find(e =>
+      e.id >= log.since && e.url.includes(url) && (kind === "request" || e.status !== null));
+    if (entry) {
+      const detail = kind === "request" ? entry.method : entry.status;
+      return { success: true, type: "success", data: `Got ${kind} #${entry.id}: ${detail} ${entry.url}` };
+    }
+    if (Date.now() >= deadline) {
+      return { success: false, type: "error", data: `Timeout ${timeout}ms exceeded waiting for a ${kind} matching "${url}"` };
+    }
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+// wait-for-idle [ms] [--timeout 10s]: no requests in flight for ms. Like
+// the other waits it looks at requests since the previous command started,
+// so ones an earlier document left pending don't keep it from going idle
+async function cmdWaitForIdle(tabId, args) {
+  const { args: [quiet], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  const idleMs = quiet === undefined ? NETWORK_IDLE_MS : parseDuration(quiet);
+  if (idleMs === null) {
+    return { success: false, type: "error", data: "Usage: wait-for-idle [ms]" };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const deadline = Date.now() + timeout;
+  let quietSince = null; // first poll that saw nothing in flight
+  for (;;) {
+    const log = networkLog(tabId);
+    const inFlight = log.entries.filter(e => e.id >= log.since && !e.finished).length;
+    if (inFlight) {
+      quietSince = null;
+    } else if (quietSince === null) {
+      quietSince = Date.now();
+    }
+    if (quietSince !== null && Date.now() - quietSince >= idleMs) {
+      return { success: true, type: "success", data: `Network idle for ${idleMs}ms` };
+    }
+    if (Date.now() >= deadline) {
+      return { success: false, type: "error", data: `Timeout ${timeout}ms exceeded waiting for network idle (${inFlight} request${inFlight !== 1 ? "s" : ""} in flight)` };
+    }
+    await sleep(POLL_INTERVAL);
   }
-  const target = args[0];
-  const value = args[1];
+}
+
+const ROUTE_OPTIONS = { status: "value", body: "value", "content-type": "value", abort: "boolean" };
+
+// Reads a library file for a command. Returns { text }, or an error result
+// when the library cannot be read or has no such file.
+async function readLibraryFile(path) {
+  let text;
   try {
-    const js = buildFocusElementJS(target);
-    const result = await cdp(tabId, "Runtime.evaluate", {
-      expression: js,
-      returnByValue: true,
+    text = await readFile(path);
+  } catch (e) {
+    return { success: false, type: "error", data: `Could not read ${path}: ${e.message}` };
+  }
+  if (text === null) return { success: false, type: "error", data: `File not found in library: ${path}` };
+  return { text };
+}
+
+// Adds a route to the tab and starts intercepting its URLs. Returns an
+// error result when Fetch could not be enabled, else null.
+async function addRoute(tabId, route) {
+  const routes = tabRoutes.get(tabId) || [];
+  tabRoutes.set(tabId, [...routes, route]);
+  try {
+    await syncFetchPatterns(tabId);
+  } catch (e) {
+    tabRoutes.set(tabId, routes);
+    return { success: false, type: "error", data: `Route failed: ${e.message}` };
+  }
+  return null;
+}
+
+// route "pattern" [--status 500] [--body '...'] [--content-type x] | --abort
+// route-from-file "pattern" <library path> [--status 200] [--content-type x]
+async function cmdRoute(tabId, args, fromFile) {
+  const { args: [pattern, path], options } = parseOptions(args, ROUTE_OPTIONS);
+  const usage = fromFile
+    ? 'Usage: route-from-file "pattern" <library path> [--status 200] [--content-type type]'
+    : `Usage: route "pattern" [--status 500] [--body '...'] [--content-type type] | route "pattern" --abort`;
+  if (!pattern || (fromFile ? !path || options.abort : path !== undefined)) {
+    return { success: false, type: "error", data: usage };
+  }
+  const status = options.status === undefined ? 200 : Number(options.status);
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    return { success: false, type: "error", data: `Invalid status: "${options.status}"` };
+  }
+  let body = options.body ?? "";
+  if (fromFile) {
+    const file = await readLibraryFile(path);
+    if (file.text === undefined) return file;
+    body = file.text;
+  }
+  const route = {
+    pattern,
+    abort: !!options.abort,
+    status,
+    body,
+    file: fromFile ? path : null,
+    contentType: options["content-type"] || guessContentType(body, fromFile ? path : null),
+    hits: 0,
+  };
+  const error = await addRoute(tabId, route);
+  if (error) return error;
+  const answer = route.abort ? "aborting" : `answering ${status}${fromFile ? ` from ${path}` : ""}`;
+  return { success: true, type: "success", data: `Routing requests matching "${pattern}", ${answer}` };
+}
+
+// unroute ["pattern"]: removes the routes for pattern, or all routes
+async function cmdUnroute(tabId, args) {
+  const routes = tabRoutes.get(tabId) || [];
+  const kept = args[0] === undefined ? [] : routes.filter(r => r.pattern !== args[0]);
+  if (kept.length === routes.length) {
+    return { success: false, type: "error", data: args[0] === undefined ? "No routes are active" : `No route for "${args[0]}"` };
+  }
+  tabRoutes.set(tabId, kept);
+  try {
+    await syncFetchPatterns(tabId);
+  } catch (e) {
+    return { success: false, type: "error", data: `Unroute failed: ${e.message}` };
+  }
+  const removed = routes.length - kept.length;
+  return { success: true, type: "success", data: `Removed ${removed} route${removed !== 1 ? "s" : ""}` };
+}
+
+function cmdRoutes(tabId) {
+  const routes = tabRoutes.get(tabId) || [];
+  if (!routes.length) return { success: true, type: "info", data: "No routes are active" };
+  return { success: true, type: "info", data: formatRoutes(routes) };
+}
+
+// console [--level error] | console clear | console live on|off
+function cmdConsole(tabId, args) {
+  if (args[0] === "clear") {
+    consoleLogs.delete(tabId);
+    return { success: true, type: "success", data: "Console log cleared" };
+  }
+  if (args[0] === "live") {
+    if (args[1] !== "on" && args[1] !== "off") {
+      return { success: false, type: "error", data: "Usage: console live on|off" };
+    }
+    const root = sessionRoot(tabId);
+    if (args[1] === "on") consoleLive.add(root);
+    else consoleLive.delete(root);
+    return { success: true, type: "success", data: `Live console output ${args[1]}` };
+  }
+  const { args: rest, options } = parseOptions(args, { level: "value" });
+  if (rest.length) {
+    return { success: false, type: "error", data: "Usage: console [--level error|warn|info|log|debug] | console clear | console live on|off" };
+  }
+  const entries = filterByLevel(consoleLog(tabId).entries, options.level);
+  if (entries.error) return { success: false, type: "error", data: entries.error };
+  if (!entries.length) {
+    const data = options.level === undefined ? "No console messages yet" : `No console messages at level ${options.level} or above`;
+    return { success: true, type: "info", data };
+  }
+  return { success: true, type: "info", data: entries.map(formatConsoleEntry).join("\n") };
+}
+
+// Fails when the page logged console.error or threw since the console log
+// started (or was cleared)
+function cmdVerifyNoConsoleErrors(tabId) {
+  const errors = filterByLevel(consoleLog(tabId).entries, "error");
+  if (!errors.length) return { success: true, type: "success", data: "PASS: No console errors" };
+  const lines = errors.map(e => `  ${formatConsoleEntry(e)}`);
+  return { success: false, type: "error", data: [`FAIL: Page logged ${errors.length} console error${errors.length !== 1 ? "s" : ""}`, ...lines].join("\n") };
+}
+
+// har-start: records the session's requests until har-stop
+function cmdHarStart(tabId) {
+  const root = sessionRoot(tabId);
+  if (harRecordings.has(root)) {
+    return { success: false, type: "error", data: "Already recording a HAR; save it with har-stop [file]" };
+  }
+  harRecordings.set(root, { entries: [], bodies: new Map(), pending: new Set() });
+  return { success: true, type: "success", data: "Recording network traffic. Save it with har-stop [file]" };
+}
+
+// har-stop [file]: saves the recording to the library as HAR 1.2
+async function cmdHarStop(tabId, args) {
+  const root = sessionRoot(tabId);
+  const recording = harRecordings.get(root);
+  if (!recording) return { success: false, type: "error", data: "Not recording a HAR; start with har-start" };
+  const path = args[0] || `session-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.har`;
+  await Promise.all(recording.pending);
+  const har = buildHar(recording.entries, recording.bodies, VERSION);
+  let saved;
+  try {
+    saved = await writeFile(path, JSON.stringify(har, null, 2));
+  } catch (e) {
+    return { success: false, type: "error", data: `Could not save HAR: ${e.message}` };
+  }
+  harRecordings.delete(root);
+  const count = har.log.entries.length;
+  return { success: true, type: "success", data: `Saved ${count} request${count !== 1 ? "s" : ""} to library as ${saved}` };
+}
+
+const HAR_REPLAY_OPTIONS = { url: "value", fallback: "boolean" };
+
+// har-replay <file> [--url "pattern"] [--fallback]: answers requests from
+// a library HAR; unmatched ones fail unless --fallback lets them through
+async function cmdHarReplay(tabId, args) {
+  const { args: [path, extra], options } = parseOptions(args, HAR_REPLAY_OPTIONS);
+  if (!path || extra !== undefined) {
+    return { success: false, type: "error", data: 'Usage: har-replay <file> [--url "pattern"] [--fallback]' };
+  }
+  const file = await readLibraryFile(path);
+  if (file.text === undefined) return file;
+  const { entries, error: parseError } = parseHar(file.text);
+  if (parseError) return { success: false, type: "error", data: parseError };
+  const route = {
+    pattern: options.url ?? "*",
+    har: { file: path, entries, fallback: !!options.fallback },
+    hits: 0,
+  };
+  const error = await addRoute(tabId, route);
+  if (error) return error;
+  const scope = options.url === undefined ? "requests" : `requests matching "${options.url}"`;
+  return { success: true, type: "success", data: `Replaying ${scope} from ${path} (${entries.length} entries)` };
+}
+
+// resize <width> <height> | resize off
+async function cmdResize(tabId, args) {
+  const state = emulation(tabId);
+  try {
+    if (args[0] === "off" && args.length === 1) {
+      state.viewport = null;
+      await cdp(tabId, "Emulation.clearDeviceMetricsOverride");
+      return { success: true, type: "success", data: "Viewport restored to the window size" };
+    }
+    const [width, height] = args.map(Number);
+    if (args.length !== 2 || ![width, height].every(n => Number.isInteger(n) && n > 0 && n <= 10000)) {
+      return { success: false, type: "error", data: "Usage: resize <width> <height> | resize off" };
+    }
+    // Keep the device's pixel ratio and mobile mode (0 = the window's ratio)
+    state.viewport = { width, height, deviceScaleFactor: state.viewport?.deviceScaleFactor ?? 0, mobile: state.viewport?.mobile ?? false };
+    await cdp(tabId, "Emulation.setDeviceMetricsOverride", state.viewport);
+    return { success: true, type: "success", data: `Viewport set to ${width}x${height}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Resize failed: ${e.message}` };
+  }
+}
+
+// device "name" | device list | device off
+async function cmdDevice(tabId, args) {
+  if (args.length !== 1) return { success: false, type: "error", data: 'Usage: device "name" | device list | device off' };
+  if (args[0] === "list") {
+    const width = Math.max(...Object.keys(DEVICES).map(name => name.length));
+    const lines = Object.keys(DEVICES).map(name => `${name.padEnd(width)}  ${describeDevice(DEVICES[name])}`);
+    return { success: true, type: "info", data: lines.join("\n") };
+  }
+  const state = emulation(tabId);
+  const device = args[0] === "off" ? null : findDevice(args[0]);
+  if (args[0] !== "off" && !device) {
+    return { success: false, type: "error", data: `Unknown device: "${args[0]}" (see device list)` };
+  }
+  try {
+    if (device) {
+      const { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent } = device;
+      state.viewport = { ...viewport, deviceScaleFactor, mobile: isMobile };
+      await cdp(tabId, "Emulation.setDeviceMetricsOverride", state.viewport);
+      await cdp(tabId, "Emulation.setTouchEmulationEnabled", hasTouch ? { enabled: true, maxTouchPoints: 5 } : { enabled: false });
+      state.userAgent = userAgent;
+    } else {
+      state.viewport = null;
+      await cdp(tabId, "Emulation.clearDeviceMetricsOverride");
+      await cdp(tabId, "Emulation.setTouchEmulationEnabled", { enabled: false });
+      state.userAgent = null;
+    }
+    await applyUserAgent(tabId, state);
+  } catch (e) {
+    return { success: false, type: "error", data: `Device emulation failed: ${e.message}` };
+  }
+  if (!device) return { success: true, type: "success", data: "Device emulation off" };
+  return { success: true, type: "success", data: `Emulating ${device.name}: ${describeDevice(device)}` };
+}
+
+const COLOR_SCHEMES = ["light", "dark", "no-preference"];
+
+// color-scheme light|dark|no-preference|off
+async function cmdColorScheme(tabId, args) {
+  const [scheme] = args;
+  if (args.length !== 1 || (scheme !== "off" && !COLOR_SCHEMES.includes(scheme))) {
+    return { success: false, type: "error", data: "Usage: color-scheme light|dark|no-preference|off" };
+  }
+  const features = scheme === "off" ? [] : [{ name: "prefers-color-scheme", value: scheme }];
+  try {
+    await cdp(tabId, "Emulation.setEmulatedMedia", { features });
+  } catch (e) {
+    return { success: false, type: "error", data: `Color scheme failed: ${e.message}` };
+  }
+  return { success: true, type: "success", data: scheme === "off" ? "Color scheme follows the system" : `Color scheme set to ${scheme}` };
+}
+
+// geolocation <latitude> <longitude> [--accuracy m] | geolocation off
+async function cmdGeolocation(tabId, args) {
+  const { args: rest, options } = parseOptions(args, { accuracy: "value" });
+  try {
+    if (rest[0] === "off" && rest.length === 1) {
+      await cdp(tabId, "Emulation.clearGeolocationOverride");
+      return { success: true, type: "success", data: "Geolocation override removed" };
+    }
+    const [latitude, longitude] = rest.map(Number);
+    const accuracy = options.accuracy === undefined ? 0 : Number(options.accuracy);
+    if (rest.length !== 2 || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180) || !(accuracy >= 0)) {
+      return { success: false, type: "error", data: "Usage: geolocation <latitude> <longitude> [--accuracy m] | geolocation off" };
+    }
+    await cdp(tabId, "Emulation.setGeolocationOverride", { latitude, longitude, accuracy });
+    return { success: true, type: "success", data: `Geolocation set to ${latitude}, ${longitude}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Geolocation failed: ${e.message}` };
+  }
+}
+
+// timezone <IANA id> | timezone off
+async function cmdTimezone(tabId, args) {
+  if (args.length !== 1) return { success: false, type: "error", data: "Usage: timezone <id, e.g. Europe/Berlin> | timezone off" };
+  const off = args[0] === "off";
+  try {
+    await cdp(tabId, "Emulation.setTimezoneOverride", { timezoneId: off ? "" : args[0] });
+  } catch (e) {
+    return { success: false, type: "error", data: `Timezone failed: ${e.message}` };
+  }
+  return { success: true, type: "success", data: off ? "Timezone follows the system" : `Timezone set to ${args[0]}` };
+}
+
+// locale <BCP 47 tag> | locale off: Intl formatting, navigator.language
+// and the Accept-Language header
+async function cmdLocale(tabId, args) {
+  if (args.length !== 1) return { success: false, type: "error", data: "Usage: locale <tag, e.g. de-DE> | locale off" };
+  const state = emulation(tabId);
+  const off = args[0] === "off";
+  try {
+    await cdp(tabId, "Emulation.setLocaleOverride", off ? {} : { locale: args[0] });
+    state.locale = off ? null : args[0];
+    await applyUserAgent(tabId, state);
+  } catch (e) {
+    return { success: false, type: "error", data: `Locale failed: ${e.message}` };
+  }
+  return { success: true, type: "success", data: off ? "Locale follows the system" : `Locale set to ${args[0]}` };
+}
+
+// offline on|off
+async function cmdOffline(tabId, args) {
+  if (args.length !== 1 || (args[0] !== "on" && args[0] !== "off")) {
+    return { success: false, type: "error", data: "Usage: offline on|off" };
+  }
+  const offline = args[0] === "on";
+  try {
+    await cdp(tabId, "Network.emulateNetworkConditions", { offline, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+  } catch (e) {
+    return { success: false, type: "error", data: `Offline failed: ${e.message}` };
+  }
+  return { success: true, type: "success", data: offline ? "Network offline" : "Network online" };
+}
+
+// --- Cookie and storage commands ---
+
+// Cookies sent to domain (any scheme), or to the current page and its frames
+async function pageCookies(tabId, domain) {
+  const params = domain === undefined ? {} : { urls: [`https://${domain}/`, `http://${domain}/`] };
+  const { cookies } = await cdp(tabId, "Network.getCookies", params);
+  return cookies;
+}
+
+function cookieCount(n) {
+  return `${n} cookie${n !== 1 ? "s" : ""}`;
+}
+
+// cookies [domain]
+async function cmdCookies(tabId, args) {
+  if (args.length > 1) return { success: false, type: "error", data: "Usage: cookies [domain]" };
+  try {
+    const cookies = await pageCookies(tabId, args[0]);
+    if (!cookies.length) return { success: true, type: "info", data: `No cookies for ${args[0] ?? "this page"}` };
+    return { success: true, type: "info", data: formatCookies(cookies) };
+  } catch (e) {
+    return { success: false, type: "error", data: `Cookies failed: ${e.message}` };
+  }
+}
+
+const COOKIE_SET_OPTIONS = {
+  domain: "value", path: "value", expires: "value", "http-only": "boolean", secure: "boolean", "same-site": "value",
+};
+
+// cookie-set <name> <value> [--domain d] [--path /] [--expires seconds]
+// [--http-only] [--secure] [--same-site Strict|Lax|None]; without --domain
+// the cookie belongs to the current page's host
+async function cmdCookieSet(tabId, args) {
+  const { args: [name, value, extra], options } = parseOptions(args, COOKIE_SET_OPTIONS);
+  if (!name || value === undefined || extra !== undefined) {
+    return { success: false, type: "error", data: "Usage: cookie-set <name> <value> [--domain d] [--path /] [--expires seconds] [--http-only] [--secure] [--same-site Lax]" };
+  }
+  const params = { name, value, path: options.path ?? "/", httpOnly: !!options["http-only"], secure: !!options.secure };
+  if (options["same-site"] !== undefined) {
+    params.sameSite = normalizeSameSite(options["same-site"]);
+    if (!params.sameSite) return { success: false, type: "error", data: `Invalid --same-site: "${options["same-site"]}" (use Strict, Lax or None)` };
+  }
+  if (options.expires !== undefined) {
+    params.expires = Number(options.expires);
+    if (!(params.expires > 0)) return { success: false, type: "error", data: `Invalid --expires: "${options.expires}" (use seconds since 1970)` };
+  }
+  try {
+    if (options.domain !== undefined) params.domain = options.domain;
+    else params.url = await evaluateTop(tabId, "window.location.href");
+    const { success } = await cdp(tabId, "Network.setCookie", params);
+    if (!success) {
+      const hint = params.sameSite === "None" && !params.secure ? " (SameSite=None needs --secure)" : "";
+      return { success: false, type: "error", data: `Chrome rejected cookie "${name}"${hint}` };
+    }
+    return { success: true, type: "success", data: `Cookie "${name}" set` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Cookie failed: ${e.message}` };
+  }
+}
+
+// cookie-delete <name> [--domain d] [--path /]
+async function cmdCookieDelete(tabId, args) {
+  const { args: [name, extra], options } = parseOptions(args, { domain: "value", path: "value" });
+  if (!name || extra !== undefined) {
+    return { success: false, type: "error", data: "Usage: cookie-delete <name> [--domain d] [--path /]" };
+  }
+  const params = { name };
+  if (options.path !== undefined) params.path = options.path;
+  try {
+    if (options.domain !== undefined) params.domain = options.domain;
+    else params.url = await evaluateTop(tabId, "window.location.href");
+    await cdp(tabId, "Network.deleteCookies", params);
+    return { success: true, type: "success", data: `Cookie "${name}" deleted` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Cookie failed: ${e.message}` };
+  }
+}
+
+// cookies-clear [domain]: deletes the cookies `cookies` lists, leaving the
+// rest of the browser profile alone
+async function cmdCookiesClear(tabId, args) {
+  if (args.length > 1) return { success: false, type: "error", data: "Usage: cookies-clear [domain]" };
+  try {
+    const cookies = await pageCookies(tabId, args[0]);
+    for (const c of cookies) {
+      await cdp(tabId, "Network.deleteCookies", { name: c.name, domain: c.domain, path: c.path });
+    }
+    return { success: true, type: "success", data: `Cleared ${cookieCount(cookies.length)}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Cookies failed: ${e.message}` };
+  }
+}
+
+// Runs webStorage in the page; returns its result, or { error } when the
+// page threw (e.g. the storage quota is full)
+async function pageStorage(tabId, area, action, key = null, value = null) {
+  return await evaluateTop(tabId, callInPage(webStorage, area, action, key, value)) || { error: `Could not ${action} storage` };
+}
+
+// localstorage [get [key] | set <key> <value> | clear], same for sessionstorage
+async function cmdWebStorage(tabId, args, area) {
+  const label = area === "local" ? "localStorage" : "sessionStorage";
+  const [action = "get", key, value, extra] = args;
+  const valid = (action === "get" && value === undefined) ||
+    (action === "set" && key !== undefined && value !== undefined && extra === undefined) ||
+    (action === "clear" && key === undefined);
+  if (!valid) {
+    return { success: false, type: "error", data: `Usage: ${label.toLowerCase()} [get [key] | set <key> <value> | clear]` };
+  }
+  try {
+    const result = await pageStorage(tabId, area, action, key ?? null, value ?? null);
+    if (result.error) return { success: false, type: "error", data: `${label} unavailable: ${result.error}` };
+    if (action === "set") return { success: true, type: "success", data: `${label} "${key}" set` };
+    if (action === "clear") return { success: true, type: "success", data: `Cleared ${result.count} ${label} item${result.count !== 1 ? "s" : ""} of ${result.origin}` };
+    if (key !== undefined) {
+      if (result.value === null) return { success: false, type: "error", data: `No ${label} item "${key}" on ${result.origin}` };
+      return { success: true, type: "info", data: result.value };
+    }
+    if (!result.items.length) return { success: true, type: "info", data: `${label} of ${result.origin} is empty` };
+    return { success: true, type: "info", data: result.items.map(i => `${i.name} = ${i.value}`).join("\n") };
+  } catch (e) {
+    return { success: false, type: "error", data: `${label} failed: ${e.message}` };
+  }
+}
+
+// storage-save <file>: the page's cookies and its origin's localStorage,
+// saved to the library as Playwright storageState JSON
+async function cmdStorageSave(tabId, args) {
+  if (args.length !== 1) return { success: false, type: "error", data: "Usage: storage-save <file>" };
+  let state;
+  try {
+    const cookies = await pageCookies(tabId);
+    const local = await pageStorage(tabId, "local", "get");
+    const origins = local.error || !local.items.length ? [] : [{ origin: local.origin, localStorage: local.items }];
+    state = buildStorageState(cookies, origins);
+  } catch (e) {
+    return { success: false, type: "error", data: `Storage save failed: ${e.message}` };
+  }
+  let saved;
+  try {
+    saved = await writeFile(args[0], JSON.stringify(state, null, 2));
+  } catch (e) {
+    return { success: false, type: "error", data: `Could not save storage state: ${e.message}` };
+  }
+  const items = state.origins.reduce((n, o) => n + o.localStorage.length, 0);
+  return { success: true, type: "success", data: `Saved ${cookieCount(state.cookies.length)} and ${items} localStorage item${items !== 1 ? "s" : ""} to library as ${saved}` };
+}
+
+// storage-load <file>: sets the file's cookies, and the localStorage of the
+// current page's origin; other origins are reported, since their storage is
+// only reachable from their own pages
+async function cmdStorageLoad(tabId, args) {
+  if (args.length !== 1) return { success: false, type: "error", data: "Usage: storage-load <file>" };
+  const file = await readLibraryFile(args[0]);
+  if (file.text === undefined) return file;
+  const { cookies, origins, error } = parseStorageState(file.text);
+  if (error) return { success: false, type: "error", data: error };
+  try {
+    if (cookies.length) await cdp(tabId, "Network.setCookies", { cookies: cookies.map(toCdpCookie) });
+    const origin = await evaluateTop(tabId, "window.location.origin");
+    let items = 0;
+    const skipped = [];
+    for (const entry of origins) {
+      if (entry.origin !== origin) {
+        skipped.push(entry.origin);
+        continue;
+      }
+      for (const { name, value } of entry.localStorage) {
+        const result = await pageStorage(tabId, "local", "set", name, value);
+        if (result.error) return { success: false, type: "error", data: `localStorage unavailable: ${result.error}` };
+        items++;
+      }
+    }
+    const lines = [`Loaded ${cookieCount(cookies.length)} and ${items} localStorage item${items !== 1 ? "s" : ""} from ${args[0]}`];
+    if (skipped.length) lines.push(`Skipped localStorage of ${skipped.join(", ")} (goto that origin and run storage-load again)`);
+    return { success: true, type: "success", data: lines.join("\n") };
+  } catch (e) {
+    return { success: false, type: "error", data: `Storage load failed: ${e.message}` };
+  }
+}
+
+// --- Auto-waiting ---
+
+// Per-line --timeout overrides these; the `timeout` command changes them
+// per panel, keyed by inspected tab like the dialog policy
+const DEFAULT_TIMEOUT = 5000;
+const defaultTimeouts = new Map();
+const POLL_INTERVAL = 100;
+
+const TIMEOUT_OPTIONS = { timeout: "value" };
+
+// Actionability checks per action, as in Playwright's actionability table
+const CLICK_CHECKS = ["visible", "stable", "enabled", "receivesEvents"];
+const HOVER_CHECKS = ["visible", "stable", "receivesEvents"];
+const FILL_CHECKS = ["visible", "enabled", "editable"];
+const SELECT_CHECKS = ["visible", "enabled"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function defaultTimeout(tabId) {
+  return defaultTimeouts.get(sessionRoot(tabId)) ?? DEFAULT_TIMEOUT;
+}
+
+// Returns the timeout for a command in ms, or null if --timeout is invalid
+function timeoutFrom(tabId, options) {
+  if (options.timeout === undefined) return defaultTimeout(tabId);
+  return parseDuration(options.timeout);
+}
+
+function invalidTimeout(options) {
+  return { success: false, type: "error", data: `Invalid timeout: "${options.timeout}" (use e.g. 500ms, 10s)` };
+}
+
+/**
+ * Runs check() until its result passes or the timeout runs out, like
+ * Playwright's expect. Returns the last result.
+ */
+async function retryAssertion(timeout, check) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result.success) return result;
+    if (Date.now() >= deadline) {
+      if (timeout > 0) result.data += ` (timed out after ${timeout}ms)`;
+      return result;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+/**
+ * Re-resolves target until it passes the given actionability checks or the
+ * timeout runs out. Returns { success, x, y } or { error } naming the check
+ * that was still failing.
+ */
+async function waitForActionable(tabId, target, scope, checks, timeout) {
+  const deadline = Date.now() + timeout;
+  let last;
+  for (;;) {
+    last = await evaluate(tabId, buildLocatorJS(checkActionability, target, scope, checks));
+    if (last && !last.error) return toTopViewport(tabId, last);
+    if (last?.fatal || Date.now() >= deadline) break;
+    await sleep(POLL_INTERVAL);
+  }
+  const reason = last?.error || `Element not found: "${target}"`;
+  if (timeout === 0 || last?.fatal) return { error: reason };
+  return { error: `Timeout ${timeout}ms exceeded waiting for "${target}": ${reason}` };
+}
+
+function cmdTimeout(tabId, args) {
+  if (args.length === 0) {
+    return { success: true, type: "info", data: `Default timeout: ${defaultTimeout(tabId)}ms` };
+  }
+  const ms = parseDuration(args[0]);
+  if (ms === null) {
+    return { success: false, type: "error", data: "Usage: timeout <duration> (e.g. 500ms, 10s)" };
+  }
+  defaultTimeouts.set(sessionRoot(tabId), ms);
+  return { success: true, type: "success", data: `Default timeout set to ${ms}ms` };
+}
+
+// --- Mouse input ---
+
+const CLICK_OPTIONS = { ...TIMEOUT_OPTIONS, button: "value", modifiers: "value", "click-count": "value" };
+
+// Input.dispatchMouseEvent `buttons` bitmask per button
+const MOUSE_BUTTONS = { left: 1, right: 2, middle: 4 };
+
+// Input.dispatchMouseEvent `modifiers` bit per key
+const MODIFIER_BITS = { alt: 1, control: 2, ctrl: 2, meta: 4, command: 4, shift: 8 };
+
+/**
+ * Reads --button, --modifiers (Shift,Control or Shift+Control) and
+ * --click-count. Returns { button, modifiers, clickCount, labels } or { error }.
+ */
+function mouseOptions(options, defaultCount = 1) {
+  const button = (options.button || "left").toLowerCase();
+  if (!MOUSE_BUTTONS[button]) {
+    return { error: `Invalid button: "${options.button}" (use left, right or middle)` };
+  }
+  let modifiers = 0;
+  const labels = [];
+  for (const name of (options.modifiers || "").split(/[,+]/).filter(Boolean)) {
+    // ControlOrMeta is Meta on macOS, as for press
+    const key = /^controlormeta$/i.test(name) ? parseChord(name, { mac: /Mac/.test(navigator.platform) }).key : name;
+    const bit = MODIFIER_BITS[key.toLowerCase()];
+    if (!bit) return { error: `Invalid modifier: "${name}" (use Alt, Control, Meta, ControlOrMeta or Shift)` };
+    modifiers |= bit;
+    labels.push(name);
+  }
+  const clickCount = options["click-count"] === undefined ? defaultCount : parseInt(options["click-count"]);
+  if (!(clickCount >= 1)) {
+    return { error: `Invalid click count: "${options["click-count"]}"` };
+  }
+  if (button !== "left") labels.unshift(`${button} button`);
+  return { button, modifiers, clickCount, labels };
+}
+
+/**
+ * Moves the mouse to (x, y) and sends clickCount press/release pairs, so the
+ * page receives trusted pointer, mouse, click and dblclick events.
+ */
+async function dispatchClick(tabId, x, y, { button, modifiers, clickCount }) {
+  await cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", x, y, modifiers });
+  for (let count = 1; count <= clickCount; count++) {
+    await cdp(tabId, "Input.dispatchMouseEvent", {
+      type: "mousePressed", x, y, button, buttons: MOUSE_BUTTONS[button], clickCount: count, modifiers,
     });
-    const val = result.result?.value;
+    await cdp(tabId, "Input.dispatchMouseEvent", {
+      type: "mouseReleased", x, y, button, buttons: 0, clickCount: count, modifiers,
+    });
+  }
+}
+
+// --- Action commands ---
+
+async function cmdClick(tabId, args) {
+  const { args: [target, scope = null], options } = parseOptions(args, CLICK_OPTIONS);
+  if (!target) {
+    return { success: false, type: "error", data: 'Usage: click <ref> or click "text" [scope]' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const mouse = mouseOptions(options);
+  if (mouse.error) return { success: false, type: "error", data: mouse.error };
+  try {
+    const ready = await waitForActionable(tabId, target, scope, CLICK_CHECKS, timeout);
+    if (ready.error) return { success: false, type: "error", data: ready.error };
+    const val = await evaluate(tabId, buildClickElementJS(target, scope));
+    if (!val || val.error) {
+      return { success: false, type: "error", data: val?.error || `Element not found: "${target}"` };
+    }
+    const point = await toTopViewport(tabId, val);
+    await dispatchClick(tabId, point.x, point.y, mouse);
+    let desc = scope ? `Clicked "${target}" in "${scope}"` : `Clicked "${target}"`;
+    if (mouse.labels.length) desc += ` (${mouse.labels.join(", ")})`;
+    return { success: true, type: "success", data: desc };
+  } catch (e) {
+    return { success: false, type: "error", data: `Click failed: ${e.message}` };
+  }
+}
+
+async function cmdFill(tabId, args) {
+  const { args: [target, value], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (value === undefined) {
+    return { success: false, type: "error", data: 'Usage: fill "target" "value"' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    const ready = await waitForActionable(tabId, target, null, FILL_CHECKS, timeout);
+    if (ready.error) return { success: false, type: "error", data: ready.error };
+    const val = await evaluate(tabId, buildFocusElementJS(target));
     if (!val || val.error) {
       return { success: false, type: "error", data: val?.error || `Input not found: "${target}"` };
     }
     // Clear existing value and type new one
-    await cdp(tabId, "Runtime.evaluate", {
-      expression: `document.activeElement.value = ''`,
+    await pageCdp(tabId, "Runtime.evaluate", {
+      expression: callInPage(clearActiveElement),
     });
     await cdp(tabId, "Input.insertText", { text: value });
     // Dispatch input + change events so frameworks pick it up
-    await cdp(tabId, "Runtime.evaluate", {
+    await pageCdp(tabId, "Runtime.evaluate", {
       expression: callInPage(dispatchFillEvents),
     });
     return { success: true, type: "success", data: `Filled "${target}" with "${value}"` };
@@ -457,15 +2147,16 @@ async function cmdFill(tabId, args) {
 }
 
 async function cmdSelect(tabId, args) {
-  if (args.length < 2) {
+  const { args: [target, option], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (option === undefined) {
     return { success: false, type: "error", data: 'Usage: select "target" "option"' };
   }
-  const target = args[0];
-  const option = args[1];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const js = callInPage(selectElement, target, option);
-    const result = await cdp(tabId, "Runtime.evaluate", { expression: js, returnByValue: true });
-    const val = result.result?.value;
+    const ready = await waitForActionable(tabId, target, null, SELECT_CHECKS, timeout);
+    if (ready.error) return { success: false, type: "error", data: ready.error };
+    const val = await evaluate(tabId, buildLocatorJS(selectElement, target, null, option));
     if (!val || val.error) {
       return { success: false, type: "error", data: val?.error || `Select failed` };
     }
@@ -476,15 +2167,17 @@ async function cmdSelect(tabId, args) {
 }
 
 async function cmdCheck(tabId, args, checked) {
-  if (args.length === 0) {
+  const { args: [target], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (!target) {
     return { success: false, type: "error", data: `Usage: ${checked ? 'check' : 'uncheck'} "target"` };
   }
-  const target = args[0];
   const action = checked ? "check" : "uncheck";
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const js = callInPage(checkElement, target, checked);
-    const result = await cdp(tabId, "Runtime.evaluate", { expression: js, returnByValue: true });
-    const val = result.result?.value;
+    const ready = await waitForActionable(tabId, target, null, CLICK_CHECKS, timeout);
+    if (ready.error) return { success: false, type: "error", data: ready.error };
+    const val = await evaluate(tabId, buildLocatorJS(checkElement, target, null, checked));
     if (!val || val.error) {
       return { success: false, type: "error", data: val?.error || `${action} failed` };
     }
@@ -495,17 +2188,15 @@ async function cmdCheck(tabId, args, checked) {
 }
 
 async function cmdHover(tabId, args) {
-  if (args.length === 0) {
+  const { args: [target], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (!target) {
     return { success: false, type: "error", data: 'Usage: hover "text"' };
   }
-  const target = args[0];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const js = callInPage(hoverElement, target);
-    const result = await cdp(tabId, "Runtime.evaluate", { expression: js, returnByValue: true });
-    const pos = result.result?.value;
-    if (!pos || pos.error) {
-      return { success: false, type: "error", data: pos?.error || `Element not found: "${target}"` };
-    }
+    const pos = await waitForActionable(tabId, target, null, HOVER_CHECKS, timeout);
+    if (pos.error) return { success: false, type: "error", data: pos.error };
     await cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", x: pos.x, y: pos.y });
     return { success: true, type: "success", data: `Hovered "${target}"` };
   } catch (e) {
@@ -514,23 +2205,239 @@ async function cmdHover(tabId, args) {
 }
 
 async function cmdDblclick(tabId, args) {
-  if (args.length === 0) {
+  const { args: [target], options } = parseOptions(args, CLICK_OPTIONS);
+  if (!target) {
     return { success: false, type: "error", data: 'Usage: dblclick "text"' };
   }
-  const target = args[0];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const mouse = mouseOptions(options, 2);
+  if (mouse.error) return { success: false, type: "error", data: mouse.error };
   try {
-    const js = callInPage(dblclickElement, target);
-    const result = await cdp(tabId, "Runtime.evaluate", { expression: js, returnByValue: true });
-    const val = result.result?.value;
+    const ready = await waitForActionable(tabId, target, null, CLICK_CHECKS, timeout);
+    if (ready.error) return { success: false, type: "error", data: ready.error };
+    const val = await evaluate(tabId, buildClickElementJS(target, null));
     if (!val || val.error) {
       return { success: false, type: "error", data: val?.error || `Element not found: "${target}"` };
     }
-    return { success: true, type: "success", data: `Double-clicked "${target}"` };
+    const point = await toTopViewport(tabId, val);
+    await dispatchClick(tabId, point.x, point.y, mouse);
+    let desc = `Double-clicked "${target}"`;
+    if (mouse.labels.length) desc += ` (${mouse.labels.join(", ")})`;
+    return { success: true, type: "success", data: desc };
   } catch (e) {
     return { success: false, type: "error", data: `Dblclick failed: ${e.message}` };
   }
 }
 
+const DRAG_OPTIONS = { ...TIMEOUT_OPTIONS, "to-offset": "value" };
+
+// Mouse moves between the source and target centres, so pages tracking
+// pointermove see a path rather than a jump
+const DRAG_STEPS = 5;
+
+// How long to wait for Input.dragIntercepted after the page started a drag
+const DRAG_INTERCEPT_TIMEOUT = 1000;
+
+// Input.dragIntercepted data per tab, set while drag starts are intercepted
+const interceptedDrags = new Map();
+
+function onDragIntercepted(tabId, params) {
+  interceptedDrags.set(tabId, params.data);
+}
+
+/**
+ * Makes the first move of a drag with drags intercepted. Returns the drag
+ * data when the page started an HTML5 drag (dragstart not cancelled), which
+ * the rest of the drag must then replay with Input.dispatchDragEvent, or
+ * null for a plain mouse drag.
+ */
+async function startDrag(tabId, { x, y }) {
+  await evaluate(tabId, callInPage(watchDragStart));
+  interceptedDrags.delete(tabId);
+  await cdp(tabId, "Input.setInterceptDrags", { enabled: true });
+  try {
+    await cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", x, y, button: "left", buttons: 1 });
+    if (!(await evaluate(tabId, callInPage(dragStarted)))) return null;
+    const deadline = Date.now() + DRAG_INTERCEPT_TIMEOUT;
+    while (!interceptedDrags.has(tabId) && Date.now() < deadline) await sleep(POLL_INTERVAL);
+    return interceptedDrags.get(tabId) ?? null;
+  } finally {
+    interceptedDrags.delete(tabId);
+    await cdp(tabId, "Input.setInterceptDrags", { enabled: false });
+  }
+}
+
+async function cmdDrag(tabId, args) {
+  const { args: [source, target], options } = parseOptions(args, DRAG_OPTIONS);
+  if (target === undefined) {
+    return { success: false, type: "error", data: 'Usage: drag "source" "target" [--to-offset x,y]' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  let offset = null;
+  if (options["to-offset"] !== undefined) {
+    const [x, y, extra] = options["to-offset"].split(",").map(n => n.trim() === "" ? NaN : Number(n));
+    if (!Number.isFinite(x) || !Number.isFinite(y) || extra !== undefined) {
+      return { success: false, type: "error", data: `Invalid offset: "${options["to-offset"]}" (use x,y from the target's top-left corner, e.g. 10,20)` };
+    }
+    offset = { x, y };
+  }
+  let pressed = false;
+  let dragData = null;
+  try {
+    const from = await waitForActionable(tabId, source, null, HOVER_CHECKS, timeout);
+    if (from.error) return { success: false, type: "error", data: from.error };
+    await cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", x: from.x, y: from.y });
+    await cdp(tabId, "Input.dispatchMouseEvent", {
+      type: "mousePressed", x: from.x, y: from.y, button: "left", buttons: 1, clickCount: 1,
+    });
+    pressed = true;
+    const to = await waitForActionable(tabId, target, null, HOVER_CHECKS, timeout);
+    if (to.error) return { success: false, type: "error", data: to.error };
+    let end = offset ? await evaluate(tabId, buildLocatorJS(offsetPoint, target, null, offset.x, offset.y)) : to;
+    if (!end || end.error) {
+      return { success: false, type: "error", data: end?.error || `Element not found: "${target}"` };
+    }
+    if (offset) end = await toTopViewport(tabId, end);
+    const points = Array.from({ length: DRAG_STEPS }, (_, i) => ({
+      x: from.x + (end.x - from.x) * (i + 1) / DRAG_STEPS,
+      y: from.y + (end.y - from.y) * (i + 1) / DRAG_STEPS,
+    }));
+    dragData = await startDrag(tabId, points[0]);
+    if (dragData) {
+      // The browser hands an intercepted drag over to us: no mouseReleased
+      await cdp(tabId, "Input.dispatchDragEvent", { type: "dragEnter", ...points[0], data: dragData });
+      for (const point of points.slice(1)) {
+        await cdp(tabId, "Input.dispatchDragEvent", { type: "dragOver", ...point, data: dragData });
+      }
+      await cdp(tabId, "Input.dispatchDragEvent", { type: "drop", ...end, data: dragData });
+    } else {
+      for (const point of points.slice(1)) {
+        await cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", ...point, button: "left", buttons: 1 });
+      }
+      await cdp(tabId, "Input.dispatchMouseEvent", {
+        type: "mouseReleased", ...end, button: "left", buttons: 0, clickCount: 1,
+      });
+    }
+    pressed = false;
+    let desc = `Dragged "${source}" to "${target}"`;
+    if (offset) desc += ` at ${offset.x},${offset.y}`;
+    return { success: true, type: "success", data: desc };
+  } catch (e) {
+    return { success: false, type: "error", data: `Drag failed: ${e.message}` };
+  } finally {
+    // Don't leave the button held (or a drag open) when a step failed
+    if (pressed) {
+      await (dragData
+        ? cdp(tabId, "Input.dispatchDragEvent", { type: "dragCancel", x: 0, y: 0, data: dragData })
+        : cdp(tabId, "Input.dispatchMouseEvent", { type: "mouseReleased", x: 0, y: 0, button: "left", buttons: 0, clickCount: 1 })
+      ).catch(() => {});
+    }
+  }
+}
+
+// Absolute paths on this machine go to DOM.setFileInputFiles as they are;
+// anything else names a fixture
+function isLocalPath(file) {
+  return /^(\/|[a-zA-Z]:[\\/]|\\\\)/.test(file);
+}
+
+/**
+ * Resolves target to its file input, retrying until the timeout runs out.
+ * Returns { objectId } (in the "pw-upload" object group) or { error }.
+ */
+async function resolveFileInput(tabId, target, count, timeout) {
+  const expression = buildLocatorJS(fileInputOf, target, null, count);
+  const deadline = Date.now() + timeout;
+  let last;
+  for (;;) {
+    const found = await pageCdp(tabId, "Runtime.evaluate", { expression, objectGroup: "pw-upload" });
+    if (found?.result?.subtype === "node") return { objectId: found.result.objectId };
+    last = await evaluate(tabId, expression);
+    if (last?.fatal || Date.now() >= deadline) break;
+    await sleep(POLL_INTERVAL);
+  }
+  const reason = last?.error || `Element not found: "${target}"`;
+  if (timeout === 0 || last?.fatal) return { error: reason };
+  return { error: `Timeout ${timeout}ms exceeded waiting for "${target}": ${reason}` };
+}
+
+async function cmdUpload(tabId, args) {
+  const { args: [target, ...files], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (!files.length) {
+    return { success: false, type: "error", data: 'Usage: upload "target" fixtures/file [more files]' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const local = files.filter(isLocalPath);
+  if (local.length && local.length !== files.length) {
+    return { success: false, type: "error", data: "Upload either fixtures or local paths, not both" };
+  }
+  try {
+    let payload = null;
+    if (!local.length) {
+      payload = [];
+      for (const file of files) {
+        const fixture = await readFixture(file);
+        if (!fixture) {
+          return { success: false, type: "error", data: `Fixture not found: "${file}" (add it with the panel's Fixtures button)` };
+        }
+        const { name, type, lastModified, data } = fixture;
+        payload.push({ name, type, lastModified, base64: bytesToBase64(data) });
+      }
+    }
+    const input = await resolveFileInput(tabId, target, files.length, timeout);
+    if (input.error) return { success: false, type: "error", data: input.error };
+    if (payload) {
+      const set = await pageCdp(tabId, "Runtime.callFunctionOn", {
+        objectId: input.objectId,
+        functionDeclaration: setInputFiles.toString(),
+        arguments: [{ value: payload }],
+        returnByValue: true,
+      });
+      if (set?.exceptionDetails) {
+        return { success: false, type: "error", data: `Upload failed: ${set.exceptionDetails.exception?.description || set.exceptionDetails.text}` };
+      }
+    } else {
+      await pageCdp(tabId, "DOM.setFileInputFiles", { files, objectId: input.objectId });
+    }
+    const names = files.map(f => `"${f}"`).join(", ");
+    return { success: true, type: "success", data: `Uploaded ${names} to "${target}"` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Upload failed: ${e.message}` };
+  } finally {
+    await pageCdp(tabId, "Runtime.releaseObjectGroup", { objectGroup: "pw-upload" }).catch(() => {});
+  }
+}
+
+async function cmdFixtures() {
+  let fixtures;
+  try {
+    fixtures = await listFixtures();
+  } catch (e) {
+    return { success: false, type: "error", data: `Fixtures failed: ${e.message}` };
+  }
+  if (!fixtures.length) {
+    return { success: true, type: "info", data: "No fixtures. Add files with the panel's Fixtures button." };
+  }
+  return { success: true, type: "info", data: formatFixtures(fixtures) };
+}
+
+async function cmdFixtureDelete(args) {
+  if (!args[0]) {
+    return { success: false, type: "error", data: "Usage: fixture-delete <name>" };
+  }
+  try {
+    if (!(await deleteFixture(args[0]))) {
+      return { success: false, type: "error", data: `Fixture not found: "${args[0]}"` };
+    }
+  } catch (e) {
+    return { success: false, type: "error", data: `Fixture delete failed: ${e.message}` };
+  }
+  return { success: true, type: "success", data: `Deleted fixture "${args[0]}"` };
+}
+
 async function cmdGoBack(tabId) {
   try {
     const history = await cdp(tabId, "Page.getNavigationHistory");
@@ -571,142 +2478,288 @@ async function cmdReload(tabId) {
   }
 }
 
+// press <key or chord>, e.g. press Enter, press Control+Shift+K
 async function cmdPress(tabId, args) {
-  if (args.length === 0) {
-    return { success: false, type: "error", data: "Usage: press <key>" };
+  if (args.length !== 1) {
+    return { success: false, type: "error", data: "Usage: press <key>, e.g. press Enter or press Control+A" };
   }
   const key = args[0];
-  const keyMap = {
-    enter:      { key: "Enter",      code: "Enter",      keyCode: 13 },
-    tab:        { key: "Tab",        code: "Tab",        keyCode: 9 },
-    escape:     { key: "Escape",     code: "Escape",     keyCode: 27 },
-    backspace:  { key: "Backspace",  code: "Backspace",  keyCode: 8 },
-    delete:     { key: "Delete",     code: "Delete",     keyCode: 46 },
-    arrowup:    { key: "ArrowUp",    code: "ArrowUp",    keyCode: 38 },
-    arrowdown:  { key: "ArrowDown",  code: "ArrowDown",  keyCode: 40 },
-    arrowleft:  { key: "ArrowLeft",  code: "ArrowLeft",  keyCode: 37 },
-    arrowright: { key: "ArrowRight", code: "ArrowRight", keyCode: 39 },
-    space:      { key: " ",          code: "Space",      keyCode: 32 },
-  };
-
-  const mapped = keyMap[key.toLowerCase()] || {
-    key,
-    code: `Key${key.toUpperCase()}`,
-    keyCode: key.charCodeAt(0),
-  };
-
+  const chord = parseChord(key, { mac: /Mac/.test(navigator.platform) });
+  if (chord.error) return { success: false, type: "error", data: chord.error };
   try {
-    await cdp(tabId, "Input.dispatchKeyEvent", {
-      type: "keyDown",
-      key: mapped.key,
-      code: mapped.code,
-      windowsVirtualKeyCode: mapped.keyCode,
-      nativeVirtualKeyCode: mapped.keyCode,
-    });
-    await cdp(tabId, "Input.dispatchKeyEvent", {
-      type: "keyUp",
-      key: mapped.key,
-      code: mapped.code,
-      windowsVirtualKeyCode: mapped.keyCode,
-      nativeVirtualKeyCode: mapped.keyCode,
-    });
+    for (const event of chordEvents(chord)) await cdp(tabId, "Input.dispatchKeyEvent", event);
     return { success: true, type: "success", data: `Pressed ${key}` };
   } catch (e) {
     return { success: false, type: "error", data: `Press failed: ${e.message}` };
   }
 }
 
+const TYPE_OPTIONS = { ...TIMEOUT_OPTIONS, delay: "value" };
+
+// type ["target"] "text" [--delay ms]: presses a key per character (into
+// target, focused first, or the focused element), so key handlers such as
+// autocomplete see every keystroke
+async function cmdType(tabId, args) {
+  const { args: positional, options } = parseOptions(args, TYPE_OPTIONS);
+  if (positional.length < 1 || positional.length > 2) {
+    return { success: false, type: "error", data: 'Usage: type ["target"] "text" [--delay 50]' };
+  }
+  const [target, text] = positional.length === 2 ? positional : [null, positional[0]];
+  const delay = options.delay === undefined ? 0 : parseDuration(options.delay);
+  if (delay === null) return { success: false, type: "error", data: `Invalid delay: "${options.delay}" (use e.g. 50 or 50ms)` };
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    if (target !== null) {
+      const ready = await waitForActionable(tabId, target, null, FILL_CHECKS, timeout);
+      if (ready.error) return { success: false, type: "error", data: ready.error };
+      const focused = await evaluate(tabId, buildFocusElementJS(target));
+      if (!focused || focused.error) {
+        return { success: false, type: "error", data: focused?.error || `Input not found: "${target}"` };
+      }
+    }
+    const steps = typeSteps(text);
+    for (let i = 0; i < steps.length; i++) {
+      if (i > 0 && delay) await sleep(delay);
+      if (steps[i].insertText) await cdp(tabId, "Input.insertText", { text: steps[i].insertText });
+      else for (const event of steps[i].events) await cdp(tabId, "Input.dispatchKeyEvent", event);
+    }
+    return { success: true, type: "success", data: target === null ? `Typed "${text}"` : `Typed "${text}" into "${target}"` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Type failed: ${e.message}` };
+  }
+}
+
 async function cmdVerifyText(tabId, args, shouldExist) {
-  if (args.length === 0) {
+  const { args: [text], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (text === undefined) {
     return { success: false, type: "error", data: `Usage: verify-${shouldExist ? '' : 'no-'}text "text"` };
   }
-  const text = args[0];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const js = callInPage(verifyTextOnPage, text);
-    const result = await cdp(tabId, "Runtime.evaluate", {
-      expression: js,
-      returnByValue: true,
+    return await retryAssertion(timeout, async () => {
+      const found = await evaluate(tabId, callInPage(verifyTextOnPage, text)) === true;
+      if (shouldExist && found) {
+        return { success: true, type: "success", data: `PASS: Text "${text}" found on page` };
+      } else if (shouldExist && !found) {
+        return { success: false, type: "error", data: `FAIL: Text "${text}" not found on page` };
+      } else if (!shouldExist && !found) {
+        return { success: true, type: "success", data: `PASS: Text "${text}" not present (as expected)` };
+      } else {
+        return { success: false, type: "error", data: `FAIL: Text "${text}" was found on page (expected absent)` };
+      }
     });
-    const found = result.result?.value === true;
-    if (shouldExist && found) {
-      return { success: true, type: "success", data: `PASS: Text "${text}" found on page` };
-    } else if (shouldExist && !found) {
-      return { success: false, type: "error", data: `FAIL: Text "${text}" not found on page` };
-    } else if (!shouldExist && !found) {
-      return { success: true, type: "success", data: `PASS: Text "${text}" not present (as expected)` };
-    } else {
-      return { success: false, type: "error", data: `FAIL: Text "${text}" was found on page (expected absent)` };
-    }
   } catch (e) {
     return { success: false, type: "error", data: `Verify failed: ${e.message}` };
   }
 }
 
 async function cmdVerifyElement(tabId, args, shouldExist) {
-  if (args.length === 0) {
+  const { args: [target], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (target === undefined) {
     return { success: false, type: "error", data: `Usage: verify-${shouldExist ? '' : 'no-'}element "target"` };
   }
-  const target = args[0];
-  try {
-    const js = callInPage(verifyElementExists, target);
-    const result = await cdp(tabId, "Runtime.evaluate", { expression: js, returnByValue: true });
-    const found = result.result?.value === true;
-    if (shouldExist && found) {
-      return { success: true, type: "success", data: `PASS: Element "${target}" found` };
-    } else if (shouldExist && !found) {
-      return { success: false, type: "error", data: `FAIL: Element "${target}" not found` };
-    } else if (!shouldExist && !found) {
-      return { success: true, type: "success", data: `PASS: Element "${target}" not present (as expected)` };
-    } else {
-      return { success: false, type: "error", data: `FAIL: Element "${target}" was found (expected absent)` };
-    }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  try {
+    return await retryAssertion(timeout, async () => {
+      const found = await evaluate(tabId, buildLocatorJS(elementExists, target, null)) === true;
+      if (shouldExist && found) {
+        return { success: true, type: "success", data: `PASS: Element "${target}" found` };
+      } else if (shouldExist && !found) {
+        return { success: false, type: "error", data: `FAIL: Element "${target}" not found` };
+      } else if (!shouldExist && !found) {
+        return { success: true, type: "success", data: `PASS: Element "${target}" not present (as expected)` };
+      } else {
+        return { success: false, type: "error", data: `FAIL: Element "${target}" was found (expected absent)` };
+      }
+    });
   } catch (e) {
     return { success: false, type: "error", data: `Verify failed: ${e.message}` };
   }
 }
 
 async function cmdVerifyUrl(tabId, args) {
-  if (args.length === 0) {
+  const { args: [expected], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (expected === undefined) {
     return { success: false, type: "error", data: 'Usage: verify-url "substring"' };
   }
-  const expected = args[0];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const result = await cdp(tabId, "Runtime.evaluate", {
-      expression: "window.location.href",
-      returnByValue: true,
+    return await retryAssertion(timeout, async () => {
+      const url = await evaluateTop(tabId, "window.location.href") || "";
+      if (url.includes(expected)) {
+        return { success: true, type: "success", data: `PASS: URL contains "${expected}" (${url})` };
+      } else {
+        return { success: false, type: "error", data: `FAIL: URL does not contain "${expected}" (${url})` };
+      }
     });
-    const url = result.result?.value || "";
-    if (url.includes(expected)) {
-      return { success: true, type: "success", data: `PASS: URL contains "${expected}" (${url})` };
-    } else {
-      return { success: false, type: "error", data: `FAIL: URL does not contain "${expected}" (${url})` };
-    }
   } catch (e) {
     return { success: false, type: "error", data: `Verify failed: ${e.message}` };
   }
 }
 
 async function cmdVerifyTitle(tabId, args) {
-  if (args.length === 0) {
+  const { args: [expected], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (expected === undefined) {
     return { success: false, type: "error", data: 'Usage: verify-title "expected"' };
   }
-  const expected = args[0];
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
   try {
-    const result = await cdp(tabId, "Runtime.evaluate", {
-      expression: "document.title",
-      returnByValue: true,
+    return await retryAssertion(timeout, async () => {
+      const title = await evaluateTop(tabId, "document.title") || "";
+      if (title.includes(expected)) {
+        return { success: true, type: "success", data: `PASS: Title contains "${expected}" ("${title}")` };
+      } else {
+        return { success: false, type: "error", data: `FAIL: Title does not contain "${expected}" ("${title}")` };
+      }
     });
-    const title = result.result?.value || "";
-    if (title.includes(expected)) {
-      return { success: true, type: "success", data: `PASS: Title contains "${expected}" ("${title}")` };
-    } else {
-      return { success: false, type: "error", data: `FAIL: Title does not contain "${expected}" ("${title}")` };
-    }
   } catch (e) {
     return { success: false, type: "error", data: `Verify failed: ${e.message}` };
   }
 }
 
+// --- Tab commands ---
+
+// One line per session tab: index, title and URL; * marks the current tab
+async function cmdTabList(tabId) {
+  const session = tabSession(tabId);
+  try {
+    const lines = [];
+    for (const [i, id] of session.tabs.entries()) {
+      const tab = await chrome.tabs.get(id);
+      lines.push(`${id === session.current ? "*" : " "} ${i}: ${tab.title || "(untitled)"} — ${tab.url}`);
+    }
+    return { success: true, type: "info", data: lines.join("\n") };
+  } catch (e) {
+    return { success: false, type: "error", data: `Tab list failed: ${e.message}` };
+  }
+}
+
+// Finds a session tab by index or by a substring of its title or URL
+async function findTab(session, ref) {
+  if (/^\d+$/.test(ref)) return session.tabs[Number(ref)] ?? null;
+  for (const id of session.tabs) {
+    const tab = await chrome.tabs.get(id);
+    if (tab.title?.includes(ref) || tab.url?.includes(ref)) return id;
+  }
+  return null;
+}
+
+// Brings a tab (and its window, for popups) to the front
+async function showTab(id) {
+  const tab = await chrome.tabs.update(id, { active: true });
+  if (tab?.windowId !== undefined) await chrome.windows.update(tab.windowId, { focused: true });
+  return tab;
+}
+
+async function cmdTabSelect(tabId, args) {
+  const { args: [ref], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  if (ref === undefined) {
+    return { success: false, type: "error", data: 'Usage: tab-select <index|"title or url">' };
+  }
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const session = tabSession(tabId);
+  try {
+    // A popup opened by the previous command may not have been reported yet
+    const deadline = Date.now() + timeout;
+    let id;
+    while ((id = await findTab(session, ref)) === null && Date.now() < deadline) {
+      await sleep(POLL_INTERVAL);
+    }
+    if (id === null) {
+      return { success: false, type: "error", data: `No tab matches "${ref}" (see tab-list)` };
+    }
+    await ensureAttached(id);
+    session.current = id;
+    const tab = await showTab(id);
+    return { success: true, type: "success", data: `Switched to tab ${session.tabs.indexOf(id)}: ${tab?.title || tab?.url || id}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Tab select failed: ${e.message}` };
+  }
+}
+
+async function cmdTabNew(tabId, args) {
+  const session = tabSession(tabId);
+  try {
+    const tab = await chrome.tabs.create({ url: "about:blank", active: true });
+    if (!session.tabs.includes(tab.id)) session.tabs.push(tab.id);
+    await ensureAttached(tab.id);
+    session.current = tab.id;
+    const index = session.tabs.indexOf(tab.id);
+    if (args[0] !== undefined) {
+      const nav = await cmdGoto(tab.id, args);
+      if (!nav.success) return nav;
+      return { success: true, type: "success", data: `Opened tab ${index}: ${nav.data}` };
+    }
+    return { success: true, type: "success", data: `Opened tab ${index}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Tab new failed: ${e.message}` };
+  }
+}
+
+async function cmdTabClose(tabId, args) {
+  const session = tabSession(tabId);
+  const id = args[0] === undefined ? session.current : await findTab(session, args[0]).catch(() => null);
+  if (id === null) {
+    return { success: false, type: "error", data: `No tab matches "${args[0]}" (see tab-list)` };
+  }
+  if (id === tabId) {
+    return { success: false, type: "error", data: "Cannot close the inspected tab" };
+  }
+  try {
+    const index = session.tabs.indexOf(id);
+    await chrome.tabs.remove(id);
+    attachedTabs.delete(id);
+    forgetTab(id);
+    return { success: true, type: "success", data: `Closed tab ${index}; commands go to tab ${session.tabs.indexOf(session.current)}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Tab close failed: ${e.message}` };
+  }
+}
+
+// --- Dialog commands ---
+
+const DIALOG_POLICIES = ["accept", "dismiss", "ask"];
+
+async function cmdDialogAnswer(tabId, args, accept) {
+  const { args: [text], options } = parseOptions(args, TIMEOUT_OPTIONS);
+  const timeout = timeoutFrom(tabId, options);
+  if (timeout === null) return invalidTimeout(options);
+  const session = tabSession(tabId);
+  // The dialog may still be on its way (e.g. opened from a timer)
+  const deadline = Date.now() + timeout;
+  let target;
+  while ((target = [session.current, ...session.tabs].find(t => openDialogs.has(t))) === undefined && Date.now() < deadline) {
+    await sleep(POLL_INTERVAL);
+  }
+  if (target === undefined) {
+    return { success: false, type: "error", data: "No dialog is open" };
+  }
+  try {
+    const dialog = await answerDialog(target, accept, accept ? text : undefined);
+    return { success: true, type: "success", data: `${accept ? "Accepted" : "Dismissed"} ${describeDialog(dialog)}` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Dialog ${accept ? "accept" : "dismiss"} failed: ${e.message}` };
+  }
+}
+
+function cmdDialogPolicy(tabId, args) {
+  if (args.length === 0) {
+    return { success: true, type: "info", data: `Dialog policy: ${dialogPolicies.get(tabId) || "ask"}` };
+  }
+  const policy = args[0].toLowerCase();
+  if (!DIALOG_POLICIES.includes(policy)) {
+    return { success: false, type: "error", data: "Usage: dialog-policy accept|dismiss|ask" };
+  }
+  dialogPolicies.set(tabId, policy);
+  return { success: true, type: "success", data: `Dialog policy set to ${policy}` };
+}
+
 function cmdHelp() {
   const lines = [
     "Available commands:",
@@ -718,25 +2771,105 @@ function cmdHelp() {
     '  check "target"          Check a checkbox',
     '  uncheck "target"        Uncheck a checkbox',
     '  hover "text"            Hover over an element',
-    '  press/p <key>           Press a key (Enter, Tab, Escape, ...)',
+    '  drag "source" "target"  Drag an element onto another (--to-offset x,y)',
+    '  upload "target" fixtures/file [...]  Set the files of a file input',
+    '  fixtures                List files added with the panel\'s Fixtures button',
+    '  fixture-delete <name>   Remove a fixture',
+    '  press/p <key>           Press a key or chord (Enter, F5, Control+Shift+K)',
+    '  type ["target"] "text" [--delay 50]',
+    '                          Type text key by key',
     '  snapshot/s              Show accessibility tree',
+    '  frame ["name-or-url"]   Run the following commands in an iframe (list without args)',
+    '  frame main              Back to the top document',
     '  screenshot [full]       Capture screenshot',
+    '  screenshot "target"     Capture just one element',
+    '  screenshot --clip x,y,w,h  Capture a region of the viewport',
+    '                          (--name file names the saved image)',
+    '  pdf [--format A4] [--landscape] [--background] [--margin 1cm]',
+    '                          Save the page as PDF',
     '  eval <expr>             Evaluate JS expression',
+    '  timeout [duration]      Show or set the auto-wait timeout (default 5s)',
+    '  set name "value"        Set a variable, used as ${name} in any argument',
+    '  set name = <command>    Store a command result (e.g. set n = eval 1+1)',
+    '  env [profile]           List profiles or switch the active one',
+    '  env <profile> <name> "value"  Define a profile default variable',
+    '  if [not] element|text|url|title "x" ... [else ...] end',
+    '                          Run lines only when a check passes (editor only)',
+    '  repeat <n> [as i] ... end          Repeat lines n times',
+    '  foreach item in "a,b,c" ... end    Repeat lines per item as ${item}',
+    '  define name(a, b) ... end          Define a procedure (editor only)',
+    '  call name "x" "y"       Run a procedure with arguments',
+    '  include "path.pw"       Inline a script from the library',
+    '  library [save|open|remove <path>]  List or manage library scripts',
+    '  network [--url x] [--status 4xx] [--type xhr] [--method GET]',
+    '                          List requests: method, status, type, size, time',
+    '  network show <id>       Print request/response headers and body',
+    '  network clear           Clear the network log',
+    '  wait-for-request "url"  Wait for a request whose URL contains text',
+    '  wait-for-response "url" Wait for a response whose URL contains text',
+    '  wait-for-idle [ms]      Wait until no requests are in flight for ms (500)',
+    '  route "pattern" [--status 500] [--body \'...\'] [--content-type t]',
+    '                          Answer matching requests with a fake response (* = any)',
+    '  route "pattern" --abort Fail matching requests',
+    '  route-from-file "pattern" <path>  Answer with a file from the library',
+    '  unroute ["pattern"]     Remove the routes for pattern (or all)',
+    '  routes                  List active routes and their hits',
+    '  console [--level error] List page console messages and uncaught errors',
+    '  console clear           Clear the console log',
+    '  console live on|off     Stream console messages into the panel',
+    '  resize <w> <h> | off    Set the viewport size',
+    '  device "name" | list | off  Emulate a device (viewport, DPR, touch, UA)',
+    '  color-scheme dark|light|no-preference|off  Emulate prefers-color-scheme',
+    '  geolocation <lat> <lon> | off  Override the position',
+    '  timezone <id> | off     Override the timezone (e.g. Europe/Berlin)',
+    '  locale <tag> | off      Override the locale (e.g. de-DE)',
+    '  offline on|off          Take the network offline',
+    '  har-start               Record the session\'s requests as a HAR',
+    '  har-stop [file]         Save the recording to the library (HAR 1.2)',
+    '  har-replay <file> [--url "pattern"] [--fallback]',
+    '                          Answer requests from a library HAR',
+    '  cookies [domain]        List the page\'s (or a domain\'s) cookies',
+    '  cookie-set <name> <value> [--domain d] [--http-only] [--secure] [--same-site Lax]',
+    '                          Set a cookie (HttpOnly too)',
+    '  cookie-delete <name>    Delete a cookie',
+    '  cookies-clear [domain]  Delete the cookies `cookies` lists',
+    '  localstorage [get [key] | set <key> <value> | clear]',
+    '                          Read or change localStorage (also sessionstorage)',
+    '  storage-save <file>     Save cookies and localStorage as storageState JSON',
+    '  storage-load <file>     Load a storageState file',
     '  verify-text "text"      Assert text is visible on page',
     '  verify-no-text "text"   Assert text is NOT on page',
     '  verify-element "target" Assert element exists',
     '  verify-no-element "t"   Assert element does NOT exist',
     '  verify-url "substring"  Assert URL contains string',
     '  verify-title "text"     Assert page title contains string',
+    '  verify-no-console-errors  Assert the page logged no errors',
+    '  verify-screenshot [full | "target"] [--name n] [--mask "t"]... [--threshold 0.2]',
+    '                          Compare against a stored baseline (--update replaces it)',
     '  go-back/back            Navigate back',
     '  go-forward/forward      Navigate forward',
     '  reload                  Reload page',
+    '  tab-list                List tabs opened from this panel (* = current)',
+    '  tab-select <n|"text">   Send commands to tab n, or the one whose title/URL matches',
+    '  tab-new [url]           Open a tab and switch to it',
+    '  tab-close [n]           Close the current tab (or tab n)',
+    '  dialog-accept ["text"]  Accept the open alert/confirm/prompt (with prompt text)',
+    '  dialog-dismiss          Dismiss the open dialog',
+    '  dialog-policy [accept|dismiss|ask]  Answer dialogs automatically, or ask (default)',
     '  export                  Export session as Playwright test',
     '  export <cmd>            Convert one command to Playwright',
     '  history                 Show command history',
     '  clear                   Clear terminal output',
     '  reset                   Clear history and terminal',
     '  help                    Show this help',
+    '',
+    'Targets: "text", e7 (snapshot ref), role=button[name="Save"],',
+    '  text=, label=, placeholder=, testid=, css=, xpath=',
+    'Actions wait until the target is visible, stable, enabled and',
+    'receives events; verify-* commands retry until they pass.',
+    'Add --timeout 10s to a line to wait longer.',
+    'click/dblclick take --button right|middle, --modifiers Shift,Control',
+    '  and --click-count 3.',
   ];
   return { success: true, type: "info", data: lines.join("\n") };
 }
@@ -769,7 +2902,30 @@ export {
   stopRecording,
   ensureAttached,
   waitForLoad,
+  adoptPopup,
+  onDialogOpening,
+  onDialogClosed,
   attachedTabs,
+  tabSessions,
+  openDialogs,
+  dialogPolicies,
+  defaultTimeouts,
+  networkLogs,
+  tabRoutes,
+  onRequestPaused,
+  interceptedDrags,
+  onDragIntercepted,
+  frameContexts,
+  frameSessions,
+  selectedFrames,
+  onExecutionContextEvent,
+  onTargetAttached,
+  harRecordings,
+  onHarNetworkEvent,
+  consoleLogs,
+  consoleLive,
+  tabEmulation,
+  onConsoleEvent,
   recordingTabs,
   panelPorts,
 };
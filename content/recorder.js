@@ -10,7 +10,8 @@
     if (ariaLabel) return quote(ariaLabel);
 
     if (el.id) {
-      const label = document.querySelector('label[for="' + CSS.escape(el.id) + '"]');
+      // Labels and their inputs share a tree (the document or a shadow root)
+      const label = el.getRootNode().querySelector('label[for="' + CSS.escape(el.id) + '"]');
       if (label && label.textContent.trim()) return quote(label.textContent.trim());
     }
     const parentLabel = el.closest && el.closest("label");
@@ -50,8 +51,36 @@
     return '"' + s.replace(/"/g, '\\"') + '"';
   }
 
+  // The element an event happened on: e.target is retargeted to the
+  // outermost shadow host, the composed path starts inside open shadow roots
+  function eventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.find(n => n.nodeType === Node.ELEMENT_NODE) || e.target;
+  }
+
+  // change events don't leave a shadow root, so listen on the open shadow
+  // roots the user presses or types in
+  const shadowRoots = new Set();
+
+  function watchShadowRoots(e) {
+    for (const node of e.composedPath ? e.composedPath() : []) {
+      if (node instanceof ShadowRoot && !shadowRoots.has(node)) {
+        shadowRoots.add(node);
+        node.addEventListener("change", handleChange, true);
+      }
+    }
+  }
+
+  // Commands from an iframe name their frame (its name, else its URL
+  // without the query) so the background can record a `frame` switch
+  function frameLabel() {
+    if (window === window.top) return "";
+    return window.name || location.origin + location.pathname;
+  }
+
   function send(command) {
-    console.debug("__pw:" + command);
+    const frame = frameLabel();
+    console.debug("__pw:" + (frame ? "@frame " + quote(frame) + " " : "") + command);
   }
 
   let fillTimer = null;
@@ -79,7 +108,7 @@
       var input = el.querySelector('input[type="checkbox"]');
       if (input) return input;
       if (el.htmlFor) {
-        var target = document.getElementById(el.htmlFor);
+        var target = el.getRootNode().getElementById(el.htmlFor);
         if (target && target.type === "checkbox") return target;
       }
     }
@@ -92,15 +121,66 @@
     return null;
   }
 
+  // Drags: a press on one element released over another (or an HTML5
+  // dragstart and drop) is recorded as `drag "source" "target"`
+  let dragSource = null;
+  let dragStart = null;
+  let skipNextClick = false;
+
+  function handleMouseDown(e) {
+    watchShadowRoots(e);
+    dragSource = eventTarget(e);
+    dragStart = { x: e.clientX, y: e.clientY };
+    skipNextClick = false;
+  }
+
+  function handleMouseUp(e) {
+    const source = dragSource;
+    const target = eventTarget(e);
+    dragSource = null;
+    if (!source || !source.tagName || !target || !target.tagName) return;
+    const moved = Math.hypot(e.clientX - dragStart.x, e.clientY - dragStart.y) > 5;
+    if (!moved || source.contains(target) || target.contains(source)) return;
+    // Selecting text across elements isn't a drag
+    const selection = window.getSelection && window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+    recordDrag(source, target);
+  }
+
+  function handleDragStart(e) {
+    // The dragged element, which may be an ancestor of the pressed one
+    dragSource = eventTarget(e);
+  }
+
+  function handleDrop(e) {
+    const source = dragSource;
+    const target = eventTarget(e);
+    dragSource = null;
+    if (!source || !source.tagName || !target || !target.tagName || source.contains(target)) return;
+    recordDrag(source, target);
+  }
+
+  function recordDrag(source, target) {
+    if (fillTimer) { clearTimeout(fillTimer); flushFill(); }
+    send('drag ' + getLocator(source) + ' ' + getLocator(target));
+    // The browser may follow the release with a click on a common ancestor
+    skipNextClick = true;
+  }
+
   function handleClick(e) {
     try {
+      if (skipNextClick) { skipNextClick = false; return; }
       if (fillTimer) { clearTimeout(fillTimer); flushFill(); }
-      var el = e.target;
+      var el = eventTarget(e);
       if (!el || !el.tagName) return;
 
       // Skip text inputs and textareas
       if ((el.tagName === "INPUT" && el.type !== "checkbox" && el.type !== "radio") || el.tagName === "TEXTAREA") return;
 
+      // Skip clicks that open a file chooser: the pick is recorded as upload
+      var fileLabel = el.closest("label");
+      if (fileLabel && fileLabel.control && fileLabel.control.type === "file") return;
+
       // Skip clicks on non-interactive container elements
       if (skipTags.has(el.tagName) && !el.getAttribute("role") && !el.getAttribute("onclick")) return;
 
@@ -144,7 +224,7 @@
   }
 
   function handleInput(e) {
-    const el = e.target;
+    const el = eventTarget(e);
     if (el.tagName !== "INPUT" && el.tagName !== "TEXTAREA") return;
     if (el.type === "checkbox" || el.type === "radio") return;
     fillTarget = el;
@@ -153,8 +233,23 @@
     fillTimer = setTimeout(flushFill, 1500);
   }
 
+  // Locator for a file input: its label, else its name (file inputs are
+  // often hidden behind a styled button and have no text of their own)
+  function fileInputLocator(el) {
+    const locator = getLocator(el);
+    if (locator !== '"input"') return locator;
+    if (el.name) return quote("css=input[type=file][name=" + CSS.escape(el.name) + "]");
+    return quote("css=input[type=file]");
+  }
+
   function handleChange(e) {
-    const el = e.target;
+    const el = eventTarget(e);
+    if (el.tagName === "INPUT" && el.type === "file") {
+      // Picked in the file chooser; the files must be added as fixtures to replay
+      const files = [...el.files].map(f => quote("fixtures/" + f.name));
+      if (files.length) send('upload ' + fileInputLocator(el) + ' ' + files.join(" "));
+      return;
+    }
     if (el.tagName === "SELECT") {
       const opt = el.options[el.selectedIndex];
       const optText = opt ? opt.text.trim() : el.value;
@@ -163,6 +258,7 @@
   }
 
   function handleKeydown(e) {
+    watchShadowRoots(e);
     const specialKeys = ["Enter", "Tab", "Escape"];
     if (specialKeys.includes(e.key)) {
       if (fillTimer) { clearTimeout(fillTimer); flushFill(); }
@@ -174,6 +270,10 @@
   document.addEventListener("input", handleInput, true);
   document.addEventListener("change", handleChange, true);
   document.addEventListener("keydown", handleKeydown, true);
+  document.addEventListener("mousedown", handleMouseDown, true);
+  document.addEventListener("mouseup", handleMouseUp, true);
+  document.addEventListener("dragstart", handleDragStart, true);
+  document.addEventListener("drop", handleDrop, true);
 
   window.__pwRecorderCleanup = () => {
     if (fillTimer) { clearTimeout(fillTimer); flushFill(); }
@@ -181,6 +281,12 @@
     document.removeEventListener("input", handleInput, true);
     document.removeEventListener("change", handleChange, true);
     document.removeEventListener("keydown", handleKeydown, true);
+    document.removeEventListener("mousedown", handleMouseDown, true);
+    document.removeEventListener("mouseup", handleMouseUp, true);
+    document.removeEventListener("dragstart", handleDragStart, true);
+    document.removeEventListener("drop", handleDrop, true);
+    for (const root of shadowRoots) root.removeEventListener("change", handleChange, true);
+    shadowRoots.clear();
     window.__pwRecorderActive = false;
     delete window.__pwRecorderCleanup;
   };
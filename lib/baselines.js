@@ -0,0 +1,25 @@
+// Screenshot baselines for verify-screenshot, kept in chrome.storage.local
+// as one { name: base64 PNG } object.
+export const BASELINES_KEY = "pwBaselines";
+
+async function readBaselines() {
+  const stored = await chrome.storage.local.get(BASELINES_KEY);
+  return stored?.[BASELINES_KEY] || {};
+}
+
+/**
+ * Returns the base64 PNG stored as name, or null when there is none yet.
+ */
+export async function readBaseline(name) {
+  const baselines = await readBaselines();
+  return Object.prototype.hasOwnProperty.call(baselines, name) ? baselines[name] : null;
+}
+
+/**
+ * Stores a base64 PNG as the baseline for name, replacing any previous one.
+ */
+export async function writeBaseline(name, png) {
+  const baselines = await readBaselines();
+  baselines[name] = png;
+  await chrome.storage.local.set({ [BASELINES_KEY]: baselines });
+}
@@ -1,15 +1,18 @@
 /**
- * Parses a raw .pw command string into { command, args }.
- * Handles quoted arguments: fill "Email" "test@example.com"
- * Returns null for empty lines and comments.
+ * Tokenizes a raw .pw command string, respecting quoted arguments.
+ * Quotes inside a token are kept, so selectors like role=button[name="Save"]
+ * survive intact.
+ * Returns an empty array for comments and empty lines.
  */
-export function parseCommand(raw) {
+export function tokenize(raw) {
   const trimmed = raw.trim();
-  if (!trimmed || trimmed.startsWith("#")) return null;
+  if (!trimmed || trimmed.startsWith("#")) return [];
 
   const tokens = [];
   let current = "";
   let inQuote = false;
+  let inToken = false;
+  let keepQuotes = false;
   let quoteChar = "";
 
   for (let i = 0; i < trimmed.length; i++) {
@@ -17,25 +20,82 @@ export function parseCommand(raw) {
     if (inQuote) {
       if (ch === quoteChar) {
         inQuote = false;
-        tokens.push(current);
-        current = "";
+        if (keepQuotes) {
+          current += ch;
+        } else {
+          tokens.push(current);
+          current = "";
+        }
       } else {
         current += ch;
       }
     } else if (ch === '"' || ch === "'") {
       inQuote = true;
       quoteChar = ch;
+      keepQuotes = inToken;
+      if (keepQuotes) current += ch;
     } else if (ch === " " || ch === "\t") {
       if (current) {
         tokens.push(current);
         current = "";
       }
+      inToken = false;
     } else {
       current += ch;
+      inToken = true;
     }
   }
   if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Parses a raw .pw command string into { command, args }.
+ * Handles quoted arguments: fill "Email" "test@example.com"
+ * raw may also be a line tokenized already (the panel sends those, with
+ * variables substituted per token). Returns null for empty lines and comments.
+ */
+export function parseCommand(raw) {
+  const tokens = Array.isArray(raw) ? raw : tokenize(raw);
   if (tokens.length === 0) return null;
 
   return { command: tokens[0].toLowerCase(), args: tokens.slice(1) };
 }
+
+/**
+ * Splits --flags out of a command's args. spec maps each known flag name to
+ * "value" (consumes the next token), "list" (a value that may be repeated,
+ * collected into an array) or "boolean". Unknown --tokens stay positional.
+ * Returns { args, options }.
+ */
+export function parseOptions(args, spec) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const m = /^--([a-z][\w-]*)$/.exec(args[i]);
+    const kind = m && spec[m[1]];
+    if (!kind) {
+      positional.push(args[i]);
+    } else if (kind === "boolean") {
+      options[m[1]] = true;
+    } else if (kind === "list") {
+      (options[m[1]] ||= []).push(i + 1 < args.length ? args[++i] : "");
+    } else {
+      options[m[1]] = i + 1 < args.length ? args[++i] : "";
+    }
+  }
+  return { args: positional, options };
+}
+
+/**
+ * Parses a duration like "500", "500ms", "10s" or "1.5m" into milliseconds.
+ * Returns null when the value is not a duration.
+ */
+export function parseDuration(value) {
+  const m = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  if (m[2] === "s") return Math.round(n * 1000);
+  if (m[2] === "m") return Math.round(n * 60000);
+  return Math.round(n);
+}
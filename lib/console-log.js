@@ -0,0 +1,94 @@
+// Per-tab ring buffer of page console messages and uncaught exceptions
+// (CDP Runtime events), plus the filtering and formatting behind `console`.
+
+// Oldest messages are dropped beyond this many
+export const MAX_MESSAGES = 200;
+
+// Severity of each level, for `console --level` (that level and above)
+const SEVERITY = { debug: 0, log: 1, info: 1, warn: 2, error: 3 };
+
+export const CONSOLE_LEVELS = Object.keys(SEVERITY);
+
+// Console messages the recorder sends to the background worker
+const RECORDER_PREFIX = "__pw:";
+
+export function createConsoleLog() {
+  return { entries: [], nextId: 1 };
+}
+
+function levelOf(type) {
+  switch (type) {
+    case "error":
+    case "assert":  return "error";
+    case "warning": return "warn";
+    case "info":    return "info";
+    case "debug":   return "debug";
+    default:        return "log";
+  }
+}
+
+// Text for one console.* argument (a CDP RemoteObject)
+function formatArg(arg) {
+  if (arg.type === "string") return arg.value;
+  if (arg.type === "undefined") return "undefined";
+  if (arg.unserializableValue !== undefined) return arg.unserializableValue;
+  if ("value" in arg && arg.type !== "object") return String(arg.value);
+  if (arg.subtype === "null") return "null";
+  return arg.description || arg.type;
+}
+
+/**
+ * Adds the message from a Runtime.consoleAPICalled or Runtime.exceptionThrown
+ * event to log. Returns the new entry, or null for events that are not
+ * page output (recorder messages).
+ */
+export function recordConsoleEvent(log, method, params) {
+  let entry;
+  if (method === "Runtime.consoleAPICalled") {
+    const args = params.args || [];
+    if (params.type === "debug" && args[0]?.value?.startsWith?.(RECORDER_PREFIX)) return null;
+    const frame = params.stackTrace?.callFrames?.[0];
+    entry = {
+      level: levelOf(params.type),
+      text: args.map(formatArg).join(" "),
+      url: frame?.url || "",
+      line: frame ? frame.lineNumber + 1 : null,
+      exception: false,
+    };
+  } else if (method === "Runtime.exceptionThrown") {
+    const details = params.exceptionDetails || {};
+    const description = details.exception?.description?.split("\n")[0];
+    entry = {
+      level: "error",
+      text: description ? `Uncaught ${description}` : details.text || "Uncaught exception",
+      url: details.url || "",
+      line: details.lineNumber !== undefined ? details.lineNumber + 1 : null,
+      exception: true,
+    };
+  } else {
+    return null;
+  }
+  entry.id = log.nextId++;
+  log.entries.push(entry);
+  if (log.entries.length > MAX_MESSAGES) log.entries.shift();
+  return entry;
+}
+
+/**
+ * Returns the entries at level or above (all entries when level is
+ * undefined), or { error } for an unknown level.
+ */
+export function filterByLevel(entries, level) {
+  if (level === undefined) return entries;
+  const min = SEVERITY[level.toLowerCase()];
+  if (min === undefined) return { error: `Invalid level: "${level}" (use ${CONSOLE_LEVELS.join(", ")})` };
+  return entries.filter(e => SEVERITY[e.level] >= min);
+}
+
+/**
+ * Formats one message as "level  text  (url:line)".
+ */
+export function formatConsoleEntry(entry) {
+  const location = entry.url ? `  (${entry.url}${entry.line !== null ? `:${entry.line}` : ""})` : "";
+  return `${entry.level.padEnd(5)}  ${entry.text}${location}`;
+}
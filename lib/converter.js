@@ -1,25 +1,92 @@
+import { tokenize, parseOptions, parseDuration } from "./commands.js";
+import { parseSelector } from "./locators.js";
+import { parseSet, variableNames } from "./variables.js";
+import { parseCondition, parseDefine } from "./script.js";
+import { normalizePath } from "./library.js";
+import { routeRegExp, guessContentType } from "./routes.js";
+import { parseMargin } from "./pdf.js";
+import { normalizeSameSite } from "./storage-state.js";
+import { parseChord, formatChord } from "./keyboard.js";
+
+export { tokenize };
+
 /**
- * Tokenizes a raw .pw command string, respecting quoted arguments.
- * Returns an empty array for comments and empty lines.
+ * Quotes a string for TypeScript: a template literal when it references
+ * ${name} variables, otherwise a JSON string.
  */
-export function tokenize(raw) {
-  const trimmed = raw.trim();
-  if (!trimmed || trimmed.startsWith("#")) return [];
-  const tokens = [];
-  let current = "";
-  let inQuote = false;
-  let quoteChar = "";
-  for (let i = 0; i < trimmed.length; i++) {
-    const ch = trimmed[i];
-    if (inQuote) {
-      if (ch === quoteChar) { inQuote = false; tokens.push(current); current = ""; }
-      else current += ch;
-    } else if (ch === '"' || ch === "'") { inQuote = true; quoteChar = ch; }
-    else if (ch === " " || ch === "\t") { if (current) { tokens.push(current); current = ""; } }
-    else current += ch;
-  }
-  if (current) tokens.push(current);
-  return tokens;
+function str(value) {
+  if (!variableNames(value).length) return JSON.stringify(value);
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/`/g, "\\`")
+    .replace(/\$(?!\{[A-Za-z_]\w*\})/g, "\\$");
+  return "`" + escaped + "`";
+}
+
+// Regex literal matching value as a substring; a RegExp built from a
+// template literal when value references variables.
+function regexCode(value) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  if (!variableNames(value).length) return `/${escape(value)}/`;
+  const source = value.split(/(\$\{[A-Za-z_]\w*\})/).map((part, i) => i % 2 ? part : escape(part)).join("");
+  return `new RegExp(${str(source)})`;
+}
+
+/**
+ * Returns the Playwright locator expression for a .pw target.
+ * Engine selectors map to getByRole/getByText/getByLabel/getByPlaceholder/
+ * getByTestId/locator(); bare strings use the command's fallback method.
+ */
+function locatorCode(target, fallback, base = "page") {
+  const sel = parseSelector(target);
+  const exact = sel.exact ? ", { exact: true }" : "";
+  switch (sel.engine) {
+    case "role": {
+      const opts = [];
+      if (sel.name !== undefined) opts.push(`name: ${str(sel.name)}`);
+      if (sel.exact) opts.push("exact: true");
+      for (const key of ["checked", "disabled", "expanded", "pressed", "selected", "level"]) {
+        if (sel[key] !== undefined) opts.push(`${key}: ${sel[key]}`);
+      }
+      return `${base}.getByRole(${str(sel.value)}${opts.length ? `, { ${opts.join(", ")} }` : ""})`;
+    }
+    case "text":        return `${base}.getByText(${str(sel.value)}${exact})`;
+    case "label":       return `${base}.getByLabel(${str(sel.value)}${exact})`;
+    case "placeholder": return `${base}.getByPlaceholder(${str(sel.value)}${exact})`;
+    case "testid":      return `${base}.getByTestId(${str(sel.value)})`;
+    case "css":         return `${base}.locator(${str(sel.value)})`;
+    case "xpath":       return `${base}.locator(${str("xpath=" + sel.value)})`;
+    default:            return `${base}.${fallback}(${str(target)})`;
+  }
+}
+
+// Playwright's spelling for each --modifiers name
+const MODIFIERS = { alt: "Alt", control: "Control", ctrl: "Control", meta: "Meta", command: "Meta", shift: "Shift", controlormeta: "ControlOrMeta" };
+
+const OPTION_SPEC = { timeout: "value", button: "value", modifiers: "value", "click-count": "value" };
+
+// Formats --timeout, --button, --modifiers and --click-count as a Playwright
+// options object (with a leading comma when it follows other arguments),
+// or "" when none are given.
+function optionsCode(options, leadingComma = false) {
+  const fields = [];
+  if (options.button && options.button.toLowerCase() !== "left") {
+    fields.push(`button: ${JSON.stringify(options.button.toLowerCase())}`);
+  }
+  if (options.modifiers) {
+    const names = options.modifiers.split(/[,+]/).filter(Boolean)
+      .map(name => MODIFIERS[name.toLowerCase()] || name);
+    fields.push(`modifiers: [${names.map(n => JSON.stringify(n)).join(", ")}]`);
+  }
+  if (options["click-count"] !== undefined) fields.push(`clickCount: ${parseInt(options["click-count"])}`);
+  const ms = options.timeout !== undefined ? parseDuration(options.timeout) : null;
+  if (ms !== null) fields.push(`timeout: ${ms}`);
+  if (!fields.length) return "";
+  return `${leadingComma ? ", " : ""}{ ${fields.join(", ")} }`;
+}
+
+function isRef(target) {
+  return parseSelector(target).engine === "ref";
 }
 
 /**
@@ -30,70 +97,239 @@ export function pwToPlaywright(cmd) {
   const tokens = tokenize(cmd);
   if (!tokens.length) return null;
   const command = tokens[0].toLowerCase();
-  const args = tokens.slice(1);
+  const { args, options } = parseOptions(tokens.slice(1), OPTION_SPEC);
+  const opts = optionsCode(options);
+  const moreOpts = optionsCode(options, true);
 
   switch (command) {
     case "goto":
     case "open": {
       if (!args[0]) return null;
       let url = args[0];
-      if (!/^https?:\/\//i.test(url)) url = "https://" + url;
-      return `await page.goto(${JSON.stringify(url)});`;
+      if (!/^(https?:\/\/|\$\{)/i.test(url)) url = "https://" + url;
+      return `await page.goto(${str(url)});`;
     }
     case "click":
     case "c": {
       if (!args[0]) return null;
       const t = args[0];
-      if (/^e\d+$/.test(t)) return `// click ${t} — snapshot ref, use a locator instead`;
+      if (isRef(t)) return `// click ${t} — snapshot ref, use a locator instead`;
       if (args[1]) {
-        return `await page.getByText(${JSON.stringify(args[1])}).getByText(${JSON.stringify(t)}).click();`;
+        return `await ${locatorCode(t, "getByText", `page.getByText(${str(args[1])})`)}.click(${opts});`;
       }
-      return `await page.getByText(${JSON.stringify(t)}).click();`;
+      return `await ${locatorCode(t, "getByText")}.click(${opts});`;
     }
     case "dblclick": {
       if (!args[0]) return null;
-      return `await page.getByText(${JSON.stringify(args[0])}).dblclick();`;
+      if (isRef(args[0])) return `// dblclick ${args[0]} — snapshot ref, use a locator instead`;
+      return `await ${locatorCode(args[0], "getByText")}.dblclick(${opts});`;
     }
     case "fill":
     case "f": {
       if (args.length < 2) return null;
-      return `await page.getByLabel(${JSON.stringify(args[0])}).fill(${JSON.stringify(args[1])});`;
+      return `await ${locatorCode(args[0], "getByLabel")}.fill(${str(args[1])}${moreOpts});`;
     }
     case "select": {
       if (args.length < 2) return null;
-      return `await page.getByLabel(${JSON.stringify(args[0])}).selectOption(${JSON.stringify(args[1])});`;
+      return `await ${locatorCode(args[0], "getByLabel")}.selectOption(${str(args[1])}${moreOpts});`;
     }
     case "check": {
       if (!args[0]) return null;
-      return `await page.getByLabel(${JSON.stringify(args[0])}).check();`;
+      return `await ${locatorCode(args[0], "getByLabel")}.check(${opts});`;
     }
     case "uncheck": {
       if (!args[0]) return null;
-      return `await page.getByLabel(${JSON.stringify(args[0])}).uncheck();`;
+      return `await ${locatorCode(args[0], "getByLabel")}.uncheck(${opts});`;
     }
     case "hover": {
       if (!args[0]) return null;
-      return `await page.getByText(${JSON.stringify(args[0])}).hover();`;
+      return `await ${locatorCode(args[0], "getByText")}.hover(${opts});`;
     }
+    case "drag":
+      return dragCode(tokens.slice(1));
+    case "upload": {
+      if (args.length < 2) return null;
+      if (isRef(args[0])) return `// upload ${args[0]} — snapshot ref, use a locator instead`;
+      const files = args.slice(1).map(str);
+      const filesCode = files.length === 1 ? files[0] : `[${files.join(", ")}]`;
+      return `await ${locatorCode(args[0], "getByLabel")}.setInputFiles(${filesCode}${moreOpts});`;
+    }
+    case "fixtures":
+    case "fixture-delete":
+      return `// ${command} — fixtures are files in the test project`;
     case "press":
     case "p": {
       if (!args[0]) return null;
-      const key = args[0].charAt(0).toUpperCase() + args[0].slice(1);
-      return `await page.keyboard.press(${JSON.stringify(key)});`;
+      // Keys are written as Playwright names them; variables stay as they are
+      const chord = parseChord(args[0], { portable: true });
+      const key = chord.error ? args[0].charAt(0).toUpperCase() + args[0].slice(1) : formatChord(chord);
+      return `await page.keyboard.press(${str(key)});`;
     }
-    case "screenshot": {
-      if (args[0] === "full") {
-        return `await page.screenshot({ path: 'screenshot.png', fullPage: true });`;
-      }
-      return `await page.screenshot({ path: 'screenshot.png' });`;
+    case "type": {
+      const { args: typed, options: typeOptions } = parseOptions(tokens.slice(1), { timeout: "value", delay: "value" });
+      if (typed.length < 1 || typed.length > 2) return null;
+      const delay = typeOptions.delay === undefined ? null : parseDuration(typeOptions.delay);
+      const delayCode = delay ? `, { delay: ${delay} }` : "";
+      if (typed.length === 1) return `await page.keyboard.type(${str(typed[0])}${delayCode});`;
+      return `await ${locatorCode(typed[0], "getByLabel")}.pressSequentially(${str(typed[1])}${delayCode});`;
     }
+    case "screenshot":
+      return screenshotCode(tokens.slice(1));
+    case "pdf":
+      return pdfCode(tokens.slice(1));
     case "snapshot":
     case "s":
       return `// snapshot — no Playwright equivalent (use Playwright Inspector)`;
+    case "frame":
+      // Scripts map the following locators (see bodyCode)
+      if (args[0] === undefined) return `console.log(page.frames().map((f) => f.url()));`;
+      if (args[0] === "main" || args[0] === "top") return `// frame main — locators use page again`;
+      return `// frame ${JSON.stringify(args[0])} — locators use ${frameLocatorCode(args[0])}`;
+    case "network":
+      return `// network — inspect requests with page.on('request') or the trace viewer`;
+    case "wait-for-request":
+    case "wait-for-response":
+      if (args[0] === undefined) return null;
+      return `await ${networkWaitCode(command, args[0], options)};`;
+    case "route":
+    case "route-from-file":
+      return routeCode(command, tokens.slice(1));
+    case "unroute":
+      return args[0] === undefined ? `await page.unrouteAll();` : `await page.unroute(${routePatternCode(args[0])});`;
+    case "routes":
+      return `// routes — listing only`;
+    case "resize":
+      if (args[0] === "off") return `// resize off — the viewport comes from the test configuration`;
+      if (args.length !== 2) return null;
+      return `await page.setViewportSize({ width: ${numberCode(args[0])}, height: ${numberCode(args[1])} });`;
+    case "device":
+      if (args[0] === "list") return `// device list — listing only`;
+      if (args[0] === "off") return `// device off — devices are only set in test.use()`;
+      if (!args[0]) return null;
+      return `// device ${str(args[0])} — only possible in test.use({ ...devices[${str(args[0])}] })`;
+    case "color-scheme":
+      if (!args[0]) return null;
+      return `await page.emulateMedia({ colorScheme: ${args[0] === "off" ? "null" : str(args[0])} });`;
+    case "geolocation": {
+      if (args[0] === "off") return `await context.setGeolocation(null);`;
+      const code = geolocationCode(tokens.slice(1));
+      return code && `await context.setGeolocation(${code});`;
+    }
+    case "timezone":
+    case "locale": {
+      if (!args[0]) return null;
+      const option = command === "timezone" ? "timezoneId" : "locale";
+      if (args[0] === "off") return `// ${command} off — ${option} is only set in test.use()`;
+      return `// ${command} ${args[0]} — only possible in test.use({ ${option}: ${str(args[0])} })`;
+    }
+    case "offline":
+      if (args[0] !== "on" && args[0] !== "off") return null;
+      return `await context.setOffline(${args[0] === "on"});`;
+    case "console":
+      return `// console — listen with page.on('console') to see page output`;
+    case "cookies":
+      return `// cookies — inspect with await context.cookies()`;
+    case "cookie-set":
+      return cookieSetCode(tokens.slice(1));
+    case "cookie-delete": {
+      const { args: [name], options: cookie } = parseOptions(tokens.slice(1), { domain: "value", path: "value" });
+      if (!name) return null;
+      const fields = [`name: ${str(name)}`];
+      if (cookie.domain !== undefined) fields.push(`domain: ${str(cookie.domain)}`);
+      if (cookie.path !== undefined) fields.push(`path: ${str(cookie.path)}`);
+      return `await context.clearCookies({ ${fields.join(", ")} });`;
+    }
+    case "cookies-clear":
+      return `await context.clearCookies(${args[0] === undefined ? "" : `{ domain: ${str(args[0])} }`});`;
+    case "localstorage":
+    case "sessionstorage":
+      return webStorageCode(command, args);
+    case "storage-save":
+      if (!args[0]) return null;
+      return `await context.storageState({ path: ${str(args[0])} });`;
+    case "storage-load":
+      if (!args[0]) return null;
+      return `// storage-load ${args[0]} — only possible in test.use({ storageState: ${str(args[0])} })`;
+    case "har-start":
+    case "har-stop":
+      return `// ${command} — recording only (replay the saved file with har-replay)`;
+    case "har-replay":
+      return harReplayCode(tokens.slice(1));
+    case "wait-for-idle":
+      return `await page.waitForLoadState('networkidle'${moreOpts});`;
     case "eval": {
       const expr = args.join(" ");
       return `await page.evaluate(() => ${expr});`;
     }
+    case "if": {
+      const condition = parseCondition(args);
+      if (condition.error) return null;
+      return `if (${conditionCode(condition)}) {`;
+    }
+    case "else":
+      return `} else {`;
+    case "end":
+      return `}`;
+    case "repeat": {
+      if (args[0] === undefined) return null;
+      const name = args[1]?.toLowerCase() === "as" && args[2] ? args[2] : "i";
+      const ref = /^\$\{([A-Za-z_]\w*)\}$/.exec(args[0]);
+      const count = ref ? `Number(${ref[1]})` : parseInt(args[0]);
+      if (!ref && isNaN(count)) return null;
+      return `for (let ${name} = 1; ${name} <= ${count}; ${name}++) {`;
+    }
+    case "foreach": {
+      if (args[1]?.toLowerCase() !== "in" || args[2] === undefined) return null;
+      const items = variableNames(args[2]).length
+        ? `${str(args[2])}.split(",").map((s) => s.trim())`
+        : `[${args[2].split(",").map(v => v.trim()).filter(Boolean).map(v => JSON.stringify(v)).join(", ")}]`;
+      return `for (const ${args[0]} of ${items}) {`;
+    }
+    case "define": {
+      const parsed = parseDefine(cmd);
+      if (parsed.error) return null;
+      return `async function ${parsed.name}(${["page: Page", ...parsed.params.map(p => `${p}: string`)].join(", ")}) {`;
+    }
+    case "call": {
+      if (!tokens[1]) return null;
+      return `await ${tokens[1]}(${["page", ...tokens.slice(2).map(str)].join(", ")});`;
+    }
+    case "include":
+      if (!tokens[1]) return null;
+      return `// include ${JSON.stringify(tokens[1])} — export the whole script to inline it`;
+    case "set": {
+      const parsed = parseSet(cmd);
+      if (parsed.error) return null;
+      return setCode(parsed, "const");
+    }
+    case "timeout": {
+      const ms = args[0] !== undefined ? parseDuration(args[0]) : null;
+      if (ms === null) return null;
+      return `page.setDefaultTimeout(${ms});`;
+    }
+    case "tab-list":
+      return `console.log(context.pages().map((p) => p.url()));`;
+    case "tab-select": {
+      if (args[0] === undefined) return null;
+      if (/^\d+$/.test(args[0])) return `page = context.pages()[${args[0]}];`;
+      return `page = context.pages().find((p) => p.url().includes(${str(args[0])}))!;`;
+    }
+    case "tab-new":
+      if (args[0] === undefined) return `page = await context.newPage();`;
+      return `page = await context.newPage();\n${pwToPlaywright(`goto ${args[0]}`)}`;
+    case "tab-close":
+      if (/^\d+$/.test(args[0] ?? "")) return `await context.pages()[${args[0]}].close();`;
+      return `await page.close();\npage = context.pages()[0];`;
+    case "dialog-accept":
+      return `page.once('dialog', (dialog) => dialog.accept(${args[0] !== undefined ? str(args[0]) : ""}));`;
+    case "dialog-dismiss":
+      return `page.once('dialog', (dialog) => dialog.dismiss());`;
+    case "dialog-policy": {
+      const policy = args[0]?.toLowerCase();
+      if (policy === "accept" || policy === "dismiss") return `page.on('dialog', (dialog) => dialog.${policy}());`;
+      if (policy === "ask") return `page.removeAllListeners('dialog');`;
+      return null;
+    }
     case "go-back":
     case "back":
       return `await page.goBack();`;
@@ -104,29 +340,545 @@ export function pwToPlaywright(cmd) {
       return `await page.reload();`;
     case "verify-text": {
       if (!args[0]) return null;
-      return `await expect(page.getByText(${JSON.stringify(args[0])})).toBeVisible();`;
+      return `await expect(page.getByText(${str(args[0])})).toBeVisible(${opts});`;
     }
     case "verify-no-text": {
       if (!args[0]) return null;
-      return `await expect(page.getByText(${JSON.stringify(args[0])})).not.toBeVisible();`;
+      return `await expect(page.getByText(${str(args[0])})).not.toBeVisible(${opts});`;
     }
     case "verify-element": {
       if (!args[0]) return null;
-      return `await expect(page.getByText(${JSON.stringify(args[0])})).toBeVisible();`;
+      return `await expect(${locatorCode(args[0], "getByText")}).toBeVisible(${opts});`;
     }
     case "verify-no-element": {
       if (!args[0]) return null;
-      return `await expect(page.getByText(${JSON.stringify(args[0])})).not.toBeVisible();`;
+      return `await expect(${locatorCode(args[0], "getByText")}).not.toBeVisible(${opts});`;
     }
     case "verify-url": {
       if (!args[0]) return null;
-      return `await expect(page).toHaveURL(/${args[0].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/);`;
+      return `await expect(page).toHaveURL(${regexCode(args[0])}${moreOpts});`;
     }
     case "verify-title": {
       if (!args[0]) return null;
-      return `await expect(page).toHaveTitle(/${args[0].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/);`;
+      return `await expect(page).toHaveTitle(${regexCode(args[0])}${moreOpts});`;
     }
+    case "verify-screenshot":
+      return verifyScreenshotCode(tokens.slice(1));
+    case "verify-no-console-errors":
+      // consoleErrors is collected by the listeners exportScript adds
+      return `expect(consoleErrors).toEqual([]);`;
     default:
       return `// unknown command: ${cmd}`;
   }
 }
+
+const ROUTE_SPEC = { status: "value", body: "value", "content-type": "value", abort: "boolean" };
+
+// Regex for a route pattern (the URL contains it, * matches anything);
+// a RegExp built from a template literal when it references variables.
+function routePatternCode(pattern) {
+  if (!variableNames(pattern).length) return String(routeRegExp(pattern));
+  const source = pattern.split(/(\$\{[A-Za-z_]\w*\})/).map((part, i) => i % 2 ? part : part && routeRegExp(part).source).join("");
+  return `new RegExp(${str(source)})`;
+}
+
+// page.route() handler for route / route-from-file
+function routeCode(command, tokens) {
+  const { args: [pattern, path], options } = parseOptions(tokens, ROUTE_SPEC);
+  if (!pattern || (command === "route-from-file" && !path)) return null;
+  if (options.abort) return `await page.route(${routePatternCode(pattern)}, (route) => route.abort());`;
+  const fields = [];
+  if (options.status !== undefined) fields.push(`status: ${Number(options.status)}`);
+  if (command === "route-from-file") {
+    if (options["content-type"]) fields.push(`contentType: ${str(options["content-type"])}`);
+    fields.push(`path: ${str(path)}`);
+  } else {
+    const body = options.body ?? "";
+    fields.push(`contentType: ${str(options["content-type"] || guessContentType(body))}`);
+    fields.push(`body: ${str(body)}`);
+  }
+  return `await page.route(${routePatternCode(pattern)}, (route) => route.fulfill({ ${fields.join(", ")} }));`;
+}
+
+// page.frameLocator() for a `frame` label: an iframe's name, or part of its
+// URL when the label looks like one
+function frameLocatorCode(label) {
+  const attribute = /[/:.?]/.test(label) ? "src*" : "name";
+  const selector = `iframe[${attribute}="${label.replace(/["\\]/g, "\\$&")}"]`;
+  if (variableNames(selector).length) return `page.frameLocator(${str(selector)})`;
+  return `page.frameLocator('${selector.replace(/['\\]/g, "\\$&")}')`;
+}
+
+// Points a converted line's locators into the frame picked with `frame`
+function inFrame(code, label) {
+  return code.replace(/\bpage\.(?=getBy|locator\()/g, `${frameLocatorCode(label)}.`);
+}
+
+const DRAG_SPEC = { "to-offset": "value", timeout: "value" };
+
+// source.dragTo(target), with --to-offset as targetPosition
+function dragCode(tokens) {
+  const { args, options } = parseOptions(tokens, DRAG_SPEC);
+  if (args.length !== 2) return null;
+  if (args.some(isRef)) return `// drag ${args.join(" ")} — snapshot refs, use locators instead`;
+  const fields = [];
+  if (options["to-offset"] !== undefined) {
+    const [x, y, extra] = options["to-offset"].split(",").map(n => n.trim());
+    if (!x || !y || extra !== undefined) return null;
+    fields.push(`targetPosition: { x: ${numberCode(x)}, y: ${numberCode(y)} }`);
+  }
+  const ms = options.timeout !== undefined ? parseDuration(options.timeout) : null;
+  if (ms !== null) fields.push(`timeout: ${ms}`);
+  const optionsArg = fields.length ? `, { ${fields.join(", ")} }` : "";
+  return `await ${locatorCode(args[0], "getByText")}.dragTo(${locatorCode(args[1], "getByText")}${optionsArg});`;
+}
+
+const SCREENSHOT_SPEC = { name: "value", clip: "value", timeout: "value" };
+
+// page.screenshot() or locator.screenshot() saving to the --name file
+function screenshotCode(tokens) {
+  const { args: [target], options } = parseOptions(tokens, SCREENSHOT_SPEC);
+  const path = options.name === undefined ? `'screenshot.png'` : str(options.name.replace(/\.png$/i, "") + ".png");
+  if (target !== undefined && target !== "full") {
+    if (isRef(target)) return `// screenshot ${target} — snapshot ref, use a locator instead`;
+    return `await ${locatorCode(target, "getByText")}.screenshot({ path: ${path} });`;
+  }
+  const fields = [`path: ${path}`];
+  if (target === "full") fields.push(`fullPage: true`);
+  if (options.clip !== undefined) {
+    const parts = options.clip.split(",").map(part => numberCode(part.trim()));
+    if (parts.length !== 4) return null;
+    const [x, y, width, height] = parts;
+    fields.push(`clip: { x: ${x}, y: ${y}, width: ${width}, height: ${height} }`);
+  }
+  return `await page.screenshot({ ${fields.join(", ")} });`;
+}
+
+const PDF_SPEC = { format: "value", landscape: "boolean", background: "boolean", margin: "value", name: "value" };
+
+// page.pdf() saving to the --name file
+function pdfCode(tokens) {
+  const { options } = parseOptions(tokens, PDF_SPEC);
+  const path = options.name === undefined ? `'page.pdf'` : str(options.name.replace(/\.pdf$/i, "") + ".pdf");
+  const fields = [`path: ${path}`];
+  if (options.format !== undefined) fields.push(`format: ${str(options.format)}`);
+  if (options.landscape) fields.push("landscape: true");
+  if (options.background) fields.push("printBackground: true");
+  if (options.margin !== undefined) {
+    const margin = parseMargin(options.margin);
+    if (!margin) return null;
+    fields.push(`margin: { ${Object.entries(margin).map(([side, length]) => `${side}: ${str(length)}`).join(", ")} }`);
+  }
+  return `await page.pdf({ ${fields.join(", ")} });`;
+}
+
+const VERIFY_SCREENSHOT_SPEC = {
+  name: "value", threshold: "value", "max-diff-pixels": "value", mask: "list", update: "boolean", timeout: "value",
+};
+
+// expect(page or locator).toHaveScreenshot(); the snapshot is named after
+// --name, otherwise Playwright names it after the test
+function verifyScreenshotCode(tokens) {
+  const { args: [target], options } = parseOptions(tokens, VERIFY_SCREENSHOT_SPEC);
+  const onElement = target !== undefined && target !== "full";
+  if (onElement && isRef(target)) return `// verify-screenshot ${target} — snapshot ref, use a locator instead`;
+  const fields = [];
+  if (target === "full") fields.push("fullPage: true");
+  if (options.mask) fields.push(`mask: [${options.mask.map(m => locatorCode(m, "getByText")).join(", ")}]`);
+  if (options.threshold !== undefined) fields.push(`threshold: ${numberCode(options.threshold)}`);
+  if (options["max-diff-pixels"] !== undefined) fields.push(`maxDiffPixels: ${numberCode(options["max-diff-pixels"])}`);
+  const ms = options.timeout !== undefined ? parseDuration(options.timeout) : null;
+  if (ms !== null) fields.push(`timeout: ${ms}`);
+  const params = [];
+  if (options.name !== undefined) params.push(str(options.name.replace(/\.png$/i, "") + ".png"));
+  if (fields.length) params.push(`{ ${fields.join(", ")} }`);
+  const subject = onElement ? locatorCode(target, "getByText") : "page";
+  return `await expect(${subject}).toHaveScreenshot(${params.join(", ")});`;
+}
+
+// Number literal, or a variable reference converted to a number
+function numberCode(value) {
+  return variableNames(value).length ? `Number(${str(value)})` : String(Number(value));
+}
+
+// { latitude, longitude[, accuracy] } for geolocation, or null
+function geolocationCode(tokens) {
+  const { args: [latitude, longitude], options } = parseOptions(tokens, { accuracy: "value" });
+  if (latitude === undefined || longitude === undefined) return null;
+  const accuracy = options.accuracy === undefined ? "" : `, accuracy: ${numberCode(options.accuracy)}`;
+  return `{ latitude: ${numberCode(latitude)}, longitude: ${numberCode(longitude)}${accuracy} }`;
+}
+
+// Emulation commands that become test.use() options when a script starts
+// with them, by the option keys they set
+const USE_OPTIONS = {
+  resize: ["viewport"],
+  device: ["device", "viewport"],
+  "color-scheme": ["colorScheme"],
+  geolocation: ["geolocation", "permissions"],
+  timezone: ["timezoneId"],
+  locale: ["locale"],
+  offline: ["offline"],
+  "storage-load": ["storageState"],
+};
+
+// Applies one leading emulation command to the test.use() options (key ->
+// property code, in the order set). Returns false when the command can't be
+// expressed there: it uses variables or isn't valid.
+function applyUseOption(options, cmd) {
+  const tokens = tokenize(cmd);
+  const keyword = tokens[0]?.toLowerCase();
+  const args = tokens.slice(1);
+  if (!USE_OPTIONS[keyword] || !args.length || variableNames(cmd).length) return false;
+  const set = (key, code) => {
+    options.delete(key);
+    options.set(key, code);
+  };
+  if (args[0] === "off" && args.length === 1 && keyword !== "offline" && keyword !== "storage-load") {
+    for (const key of USE_OPTIONS[keyword]) options.delete(key);
+    return true;
+  }
+  switch (keyword) {
+    case "resize": {
+      const [width, height] = args.map(Number);
+      if (args.length !== 2 || !Number.isInteger(width) || !Number.isInteger(height)) return false;
+      set("viewport", `viewport: { width: ${width}, height: ${height} }`);
+      return true;
+    }
+    case "device":
+      if (args.length !== 1 || args[0] === "list") return false;
+      // The device's viewport replaces an earlier resize
+      options.delete("viewport");
+      set("device", `...devices[${str(args[0])}]`);
+      return true;
+    case "color-scheme":
+      set("colorScheme", `colorScheme: ${str(args[0])}`);
+      return true;
+    case "geolocation": {
+      const code = geolocationCode(args);
+      if (!code) return false;
+      set("geolocation", `geolocation: ${code}`);
+      set("permissions", `permissions: ["geolocation"]`);
+      return true;
+    }
+    case "timezone":
+      set("timezoneId", `timezoneId: ${str(args[0])}`);
+      return true;
+    case "locale":
+      set("locale", `locale: ${str(args[0])}`);
+      return true;
+    case "offline":
+      if (args[0] === "on") set("offline", `offline: true`);
+      else if (args[0] === "off") options.delete("offline");
+      else return false;
+      return true;
+    case "storage-load":
+      if (args.length !== 1) return false;
+      set("storageState", `storageState: ${str(args[0])}`);
+      return true;
+  }
+  return false;
+}
+
+// Moves the emulation commands (and storage-load) a script starts with
+// into test.use() options. Returns { options, rest } with the remaining commands (comments
+// among the leading commands stay).
+function splitUseOptions(cmds) {
+  const options = new Map();
+  let i = 0;
+  const comments = [];
+  for (; i < cmds.length; i++) {
+    if (cmds[i].trim().startsWith("#")) {
+      comments.push(cmds[i]);
+      continue;
+    }
+    if (!applyUseOption(options, cmds[i])) break;
+  }
+  return { options, rest: [...comments, ...cmds.slice(i)] };
+}
+
+const COOKIE_SET_SPEC = {
+  domain: "value", path: "value", expires: "value", "http-only": "boolean", secure: "boolean", "same-site": "value",
+};
+
+// context.addCookies() for cookie-set; Playwright needs a url, or a domain
+// and path
+function cookieSetCode(tokens) {
+  const { args: [name, value], options } = parseOptions(tokens, COOKIE_SET_SPEC);
+  if (!name || value === undefined) return null;
+  const fields = [`name: ${str(name)}`, `value: ${str(value)}`];
+  if (options.domain !== undefined) {
+    fields.push(`domain: ${str(options.domain)}`, `path: ${str(options.path ?? "/")}`);
+  } else {
+    fields.push(options.path === undefined ? "url: page.url()" : `domain: new URL(page.url()).hostname, path: ${str(options.path)}`);
+  }
+  if (options.expires !== undefined) fields.push(`expires: ${numberCode(options.expires)}`);
+  if (options["http-only"]) fields.push("httpOnly: true");
+  if (options.secure) fields.push("secure: true");
+  const sameSite = options["same-site"] !== undefined && normalizeSameSite(options["same-site"]);
+  if (sameSite) fields.push(`sameSite: ${str(sameSite)}`);
+  return `await context.addCookies([{ ${fields.join(", ")} }]);`;
+}
+
+// page.evaluate() calls for localstorage/sessionstorage set and clear
+function webStorageCode(command, args) {
+  const storage = command === "localstorage" ? "localStorage" : "sessionStorage";
+  const [action = "get", key, value] = args;
+  if (action === "set" && key !== undefined && value !== undefined) {
+    return `await page.evaluate(([key, value]) => ${storage}.setItem(key, value), [${str(key)}, ${str(value)}]);`;
+  }
+  if (action === "clear") return `await page.evaluate(() => ${storage}.clear());`;
+  if (action === "get") return `// ${command}${key === undefined ? "" : ` get ${key}`} — inspect with page.evaluate(() => ${storage})`;
+  return null;
+}
+
+const HAR_REPLAY_SPEC = { url: "value", fallback: "boolean" };
+
+// page.routeFromHAR() for har-replay; Playwright also aborts unmatched
+// requests unless notFound is "fallback"
+function harReplayCode(tokens) {
+  const { args: [path], options } = parseOptions(tokens, HAR_REPLAY_SPEC);
+  if (!path) return null;
+  const fields = [];
+  if (options.url !== undefined) fields.push(`url: ${routePatternCode(options.url)}`);
+  if (options.fallback) fields.push(`notFound: "fallback"`);
+  return `await page.routeFromHAR(${str(path)}${fields.length ? `, { ${fields.join(", ")} }` : ""});`;
+}
+
+// page.waitForRequest/waitForResponse expression for a wait-for-* command
+function networkWaitCode(command, url, options) {
+  const kind = command === "wait-for-request" ? "request" : "response";
+  const method = kind === "request" ? "waitForRequest" : "waitForResponse";
+  return `page.${method}((${kind}) => ${kind}.url().includes(${str(url)})${optionsCode(options, true)})`;
+}
+
+// TypeScript expression for an if condition (see parseCondition)
+function conditionCode({ kind, value, negate }) {
+  let code;
+  switch (kind) {
+    case "element": code = `await ${locatorCode(value, "getByText")}.isVisible()`; break;
+    case "text":    code = `await page.getByText(${str(value)}).isVisible()`; break;
+    case "url":     code = `page.url().includes(${str(value)})`; break;
+    case "title":   code = `(await page.title()).includes(${str(value)})`; break;
+  }
+  return negate ? `!(${code})` : code;
+}
+
+/**
+ * Converts a parsed set line to a declaration (keyword "const" or "let") or,
+ * with an empty keyword, an assignment. Only eval captures can be exported.
+ */
+function setCode({ name, value, command }, keyword) {
+  const decl = keyword ? `${keyword} ${name}` : name;
+  if (value !== undefined) return `${decl} = ${str(value)};`;
+  const tokens = tokenize(command);
+  if (tokens[0]?.toLowerCase() !== "eval") {
+    return `// set ${name} = ${command} — only eval captures can be exported`;
+  }
+  return `${decl} = await page.evaluate(() => ${tokens.slice(1).join(" ")});`;
+}
+
+// Replaces include lines with the lines of the library file they name,
+// recursively; missing files and cycles are left as comments.
+function inlineIncludes(cmds, library, stack = []) {
+  const out = [];
+  for (const cmd of cmds) {
+    const tokens = tokenize(cmd);
+    if (tokens[0]?.toLowerCase() !== "include" || !tokens[1]) {
+      out.push(cmd);
+      continue;
+    }
+    const path = normalizePath(tokens[1]);
+    if (stack.includes(path) || !Object.prototype.hasOwnProperty.call(library, path)) {
+      out.push(`# include "${path}" — ${stack.includes(path) ? "include cycle" : "not found in library"}`);
+      continue;
+    }
+    out.push(`# include "${path}"`);
+    const lines = library[path].split("\n").map(l => l.trim()).filter(Boolean);
+    out.push(...inlineIncludes(lines, library, [...stack, path]));
+  }
+  return out;
+}
+
+// Splits define ... end blocks out of cmds. Returns { main, procedures },
+// procedures being [{ header, body }] in definition order.
+function splitProcedures(cmds) {
+  const main = [];
+  const procedures = [];
+  let current = null;
+  let depth = 0;
+  for (const cmd of cmds) {
+    const keyword = cmd.trim().startsWith("#") ? "#" : tokenize(cmd)[0]?.toLowerCase();
+    if (!current) {
+      if (keyword === "define") {
+        current = { header: cmd, body: [] };
+        depth = 0;
+      } else {
+        main.push(cmd);
+      }
+      continue;
+    }
+    if (["if", "repeat", "foreach"].includes(keyword)) depth++;
+    if (keyword === "end" && depth-- === 0) {
+      procedures.push(current);
+      current = null;
+      continue;
+    }
+    current.body.push(cmd);
+  }
+  if (current) procedures.push(current);
+  return { main, procedures };
+}
+
+/**
+ * Converts a .pw script to a Playwright test file. Variables set in the
+ * script become constants (let when set more than once); variables the script
+ * only reads come from process.env, defaulting to env (the active profile).
+ * include lines are inlined from library ({ path: text }) and define blocks
+ * become helper functions taking the page and their parameters.
+ */
+export function exportScript(cmds, env = {}, library = {}) {
+  const split = splitProcedures(inlineIncludes(cmds, library));
+  const { procedures } = split;
+  const { options: useOptions, rest: main } = splitUseOptions(split.main);
+  const all = [...main, ...procedures.flatMap(p => p.body)];
+  const setCounts = new Map();
+  for (const cmd of all) {
+    const tokens = tokenize(cmd);
+    if (tokens[0]?.toLowerCase() !== "set") continue;
+    const parsed = parseSet(cmd);
+    if (!parsed.error) setCounts.set(parsed.name, (setCounts.get(parsed.name) || 0) + 1);
+  }
+  // Loop variables and parameters are declared by their for and function statements
+  const localNames = new Set();
+  for (const cmd of all) {
+    const tokens = tokenize(cmd);
+    const keyword = tokens[0]?.toLowerCase();
+    if (keyword === "foreach" && tokens[1]) localNames.add(tokens[1]);
+    if (keyword === "repeat" && tokens[2]?.toLowerCase() === "as" && tokens[3]) localNames.add(tokens[3]);
+  }
+  for (const proc of procedures) {
+    for (const name of parseDefine(proc.header).params || []) localNames.add(name);
+  }
+  const external = variableNames(all.join("\n")).filter(name => !setCounts.has(name) && !localNames.has(name));
+
+  const imports = ["test", "expect"];
+  if (useOptions.has("device")) imports.push("devices");
+  if (procedures.length) imports.push("type Page");
+  const lines = [`import { ${imports.join(", ")} } from '@playwright/test';`, ``];
+  for (const name of external) {
+    const fallback = env[name] !== undefined ? str(String(env[name])) : '""';
+    lines.push(`const ${name} = process.env.${name} ?? ${fallback};`);
+  }
+  if (external.length) lines.push(``);
+  if (useOptions.size) {
+    lines.push(`test.use({`, ...[...useOptions.values()].map(code => `  ${code},`), `});`, ``);
+  }
+  const checksConsole = all.some(cmd => tokenize(cmd)[0]?.toLowerCase() === "verify-no-console-errors");
+  if (checksConsole) lines.push(`const consoleErrors: string[] = [];`, ``);
+  for (const proc of procedures) {
+    const header = pwToPlaywright(proc.header);
+    if (!header) continue;
+    lines.push(header);
+    if (usesContext(proc.body)) lines.push(`  const context = page.context();`);
+    bodyCode(proc.body, setCounts, lines);
+    lines.push(`}`, ``);
+  }
+  const fixtures = usesContext(main) ? "page, context" : "page";
+  lines.push(`test('recorded session', async ({ ${fixtures} }) => {`);
+  if (checksConsole) {
+    lines.push(`  page.on('console', (msg) => { if (msg.type() === 'error') consoleErrors.push(msg.text()); });`);
+    lines.push(`  page.on('pageerror', (error) => consoleErrors.push(error.message));`);
+  }
+  bodyCode(main, setCounts, lines);
+  lines.push(`});`);
+  return lines.join("\n");
+}
+
+// True when cmds switch, open or close tabs, change context-wide
+// emulation or touch cookies and storage state (export needs the context)
+function usesContext(cmds) {
+  return cmds.some(cmd => /^(tab-|geolocation$|offline$|cookie-|cookies-clear$|storage-save$)/i.test(tokenize(cmd)[0] || ""));
+}
+
+// Appends the converted lines of one function body, indented one level
+// plus one per open block. Some lines answer an event caused by the previous
+// command, so their listener is set up just before that command: a
+// tab-select to a page the body has not seen yet (a popup) starts a
+// context.waitForEvent promise, wait-for-request/response a
+// page.waitForRequest/waitForResponse promise, and dialog-accept/dismiss
+// adds a page.once('dialog') handler.
+function bodyCode(cmds, setCounts, lines) {
+  const declared = new Set();
+  let depth = 1;
+  let pages = 1;
+  const waits = { "wait-for-request": 0, "wait-for-response": 0 };
+  let previous = null; // { index, depth } of the last command's first line
+  let tab = 0;
+  const frames = new Map(); // page index -> frame label picked with `frame`
+  for (const cmd of cmds) {
+    // Editor lines keep their indentation, comments inside blocks included
+    if (cmd.trim().startsWith("#")) {
+      lines.push(`${"  ".repeat(depth)}${cmd.trim().replace("#", "//")}`);
+      continue;
+    }
+    const tokens = tokenize(cmd);
+    const keyword = tokens[0]?.toLowerCase();
+    // Blocks: else/end close the current level, if/else/repeat/foreach open one
+    if ((keyword === "else" || keyword === "end") && depth > 1) depth--;
+    const indent = "  ".repeat(depth);
+    if (["if", "else", "repeat", "foreach"].includes(keyword)) depth++;
+
+    // Inserts a line before the previous command (only within one block)
+    const canHoist = previous?.depth === depth;
+    const hoist = (line) => {
+      lines.splice(previous.index, 0, `${indent}${line}`);
+      previous.index++;
+    };
+
+    let converted;
+    if (keyword === "frame" && tokens[1] !== undefined) {
+      if (tokens[1] === "main" || tokens[1] === "top") frames.delete(tab);
+      else frames.set(tab, tokens[1]);
+      continue;
+    } else if (keyword === "set") {
+      const parsed = parseSet(cmd);
+      if (parsed.error) continue;
+      const keyword = declared.has(parsed.name) ? "" : setCounts.get(parsed.name) > 1 ? "let" : "const";
+      declared.add(parsed.name);
+      converted = setCode(parsed, keyword);
+    } else if (keyword === "tab-select" && /^\d+$/.test(tokens[1] || "") && Number(tokens[1]) >= pages) {
+      const name = `page${tokens[1]}Promise`;
+      pages = Number(tokens[1]) + 1;
+      tab = Number(tokens[1]);
+      if (canHoist) {
+        hoist(`const ${name} = context.waitForEvent('page');`);
+        converted = `page = await ${name};`;
+      } else {
+        converted = `page = await context.waitForEvent('page');`;
+      }
+    } else if (keyword in waits && canHoist) {
+      const { args, options } = parseOptions(tokens.slice(1), OPTION_SPEC);
+      if (args[0] === undefined) continue;
+      const count = ++waits[keyword];
+      const name = `${keyword.slice(9)}Promise${count > 1 ? count : ""}`;
+      hoist(`const ${name} = ${networkWaitCode(keyword, args[0], options)};`);
+      // Keep previous on the action, so a following wait is set up before it too
+      lines.push(`${indent}await ${name};`);
+      continue;
+    } else if ((keyword === "dialog-accept" || keyword === "dialog-dismiss") && canHoist) {
+      hoist(pwToPlaywright(cmd));
+      continue;
+    } else {
+      converted = pwToPlaywright(cmd);
+      if (keyword === "tab-select" && /^\d+$/.test(tokens[1] || "")) tab = Number(tokens[1]);
+      if (keyword === "tab-new") tab = pages++;
+      if (keyword === "tab-close") pages--;
+    }
+    if (converted && frames.has(tab)) converted = inFrame(converted, frames.get(tab));
+    if (converted) {
+      previous = { index: lines.length, depth };
+      lines.push(...converted.split("\n").map(line => `${indent}${line}`));
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// Device descriptors for the `device` command, matching the entries of the
+// same name in Playwright's `devices` so exported tests emulate the same.
+
+const IOS_15 = "Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1";
+const IOS_16 = "Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1";
+const IOS_17 = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+const IPAD = "Mozilla/5.0 (iPad; CPU OS 12_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1";
+const CHROME = "Chrome/130.0.0.0";
+
+export const DEVICES = {
+  "iPhone SE": { viewport: { width: 320, height: 568 }, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IOS_15 },
+  "iPhone 13": { viewport: { width: 390, height: 664 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_15 },
+  "iPhone 13 Mini": { viewport: { width: 375, height: 629 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_15 },
+  "iPhone 13 Pro Max": { viewport: { width: 428, height: 746 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_15 },
+  "iPhone 14": { viewport: { width: 390, height: 664 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_16 },
+  "iPhone 14 Pro Max": { viewport: { width: 430, height: 740 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_16 },
+  "iPhone 15": { viewport: { width: 393, height: 659 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_17 },
+  "iPhone 15 Pro Max": { viewport: { width: 430, height: 739 }, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: IOS_17 },
+  "iPad Mini": { viewport: { width: 768, height: 1024 }, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD },
+  "iPad Pro 11": { viewport: { width: 834, height: 1194 }, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: IPAD },
+  "Pixel 5": {
+    viewport: { width: 393, height: 727 }, deviceScaleFactor: 2.75, isMobile: true, hasTouch: true,
+    userAgent: `Mozilla/5.0 (Linux; Android 11; Pixel 5) AppleWebKit/537.36 (KHTML, like Gecko) ${CHROME} Mobile Safari/537.36`,
+  },
+  "Pixel 7": {
+    viewport: { width: 412, height: 839 }, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true,
+    userAgent: `Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) ${CHROME} Mobile Safari/537.36`,
+  },
+  "Galaxy S9+": {
+    viewport: { width: 320, height: 658 }, deviceScaleFactor: 4.5, isMobile: true, hasTouch: true,
+    userAgent: `Mozilla/5.0 (Linux; Android 8.0.0; SM-G965U Build/R16NW) AppleWebKit/537.36 (KHTML, like Gecko) ${CHROME} Mobile Safari/537.36`,
+  },
+  "Desktop Chrome": {
+    viewport: { width: 1280, height: 720 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false,
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ${CHROME} Safari/537.36`,
+  },
+};
+
+/**
+ * Looks up a device by name, ignoring case. Returns { name, ...descriptor }
+ * with the canonical name, or null.
+ */
+export function findDevice(name) {
+  const wanted = String(name).trim().toLowerCase();
+  const key = Object.keys(DEVICES).find(k => k.toLowerCase() === wanted);
+  return key ? { name: key, ...DEVICES[key] } : null;
+}
+
+/**
+ * One-line summary of a device: "390x664 @3x, mobile, touch".
+ */
+export function describeDevice(device) {
+  const { width, height } = device.viewport;
+  const traits = [`${width}x${height} @${device.deviceScaleFactor}x`];
+  if (device.isMobile) traits.push("mobile");
+  if (device.hasTouch) traits.push("touch");
+  return traits.join(", ");
+}
@@ -0,0 +1,105 @@
+// Files for `upload`, picked once with the panel's Fixtures button and kept
+// in the extension's IndexedDB (shared by the panel and the background
+// worker). Scripts refer to them as fixtures/<name>.
+import { normalizePath } from "./library.js";
+
+const DB_NAME = "pw-fixtures";
+const STORE = "files";
+
+// Prefix scripts write before a fixture name, as in a Playwright project
+export const FIXTURES_DIR = "fixtures/";
+
+/**
+ * Store key for a fixture reference: "fixtures/avatar.png" and
+ * "avatar.png" are the same file. Returns "" for invalid names.
+ */
+export function fixtureName(ref) {
+  const path = normalizePath(ref);
+  return path.startsWith(FIXTURES_DIR) ? path.slice(FIXTURES_DIR.length) : path;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "name" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs fn(store) in one transaction and resolves with its request's result
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = fn(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Stores a file's bytes (an ArrayBuffer) under its name, replacing any
+ * previous version. Returns the name.
+ */
+export async function saveFixture(name, { type = "", lastModified = Date.now(), data }) {
+  const key = fixtureName(name);
+  if (!key) throw new Error(`Invalid fixture name: "${name}"`);
+  await withStore("readwrite", store => store.put({ name: key, type, size: data.byteLength, lastModified, data }));
+  return key;
+}
+
+/**
+ * Returns { name, type, size, lastModified, data } for a fixture
+ * reference, or null when it was never added.
+ */
+export async function readFixture(ref) {
+  const key = fixtureName(ref);
+  if (!key) return null;
+  return (await withStore("readonly", store => store.get(key))) || null;
+}
+
+/**
+ * Returns every fixture without its bytes, sorted by name.
+ */
+export async function listFixtures() {
+  const all = await withStore("readonly", store => store.getAll());
+  return all.map(({ name, type, size }) => ({ name, type, size })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Removes a fixture. Returns false when it did not exist.
+ */
+export async function deleteFixture(ref) {
+  const key = fixtureName(ref);
+  if (!key || !(await withStore("readonly", store => store.count(key)))) return false;
+  await withStore("readwrite", store => store.delete(key));
+  return true;
+}
+
+/**
+ * Base64 of an ArrayBuffer, in chunks so large files don't overflow the
+ * argument list of String.fromCharCode.
+ */
+export function bytesToBase64(data) {
+  const bytes = new Uint8Array(data);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Formats fixtures for the `fixtures` command, one per line.
+ */
+export function formatFixtures(fixtures) {
+  return fixtures.map(f => `${FIXTURES_DIR}${f.name}  ${formatSize(f.size)}${f.type ? `  ${f.type}` : ""}`).join("\n");
+}
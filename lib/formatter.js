@@ -1,8 +1,11 @@
 /**
  * Formats the CDP accessibility tree nodes into readable lines.
  * Each visible node gets a ref like [ref=e1] for later use in click/fill.
+ * When a refs Map is passed, it is filled with ref -> backendDOMNodeId so
+ * the caller can tag the real DOM nodes behind each line. Trees of iframes
+ * pass the frame's ref prefix (f1), which makes their refs f1e1, f1e2...
  */
-export function formatAccessibilityTree(nodes) {
+export function formatAccessibilityTree(nodes, refs, prefix = "") {
   if (!nodes || nodes.length === 0) return ["(empty tree)"];
 
   const lines = [];
@@ -19,7 +22,9 @@ export function formatAccessibilityTree(nodes) {
 
     let line = `- ${role}`;
     if (name) line += ` "${name}"`;
-    line += ` [ref=e${refCounter}]`;
+    const ref = `${prefix}e${refCounter}`;
+    line += ` [ref=${ref}]`;
+    if (refs && node.backendDOMNodeId) refs.set(ref, node.backendDOMNodeId);
     refCounter++;
     lines.push(line);
   }
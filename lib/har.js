@@ -0,0 +1,133 @@
+// HAR 1.2 files for har-start/har-stop (built from network log entries)
+// and har-replay (answering requests from a recorded file).
+
+// Response headers that no longer describe a replayed body: it is sent
+// decoded and whole
+const REPLAY_SKIPPED_HEADERS = new Set(["content-encoding", "content-length", "transfer-encoding"]);
+
+function harHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function httpVersion(protocol) {
+  if (!protocol) return "HTTP/1.1";
+  if (protocol === "h2") return "HTTP/2";
+  if (protocol === "h3") return "HTTP/3";
+  return protocol.toUpperCase();
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Converts one network log entry to a HAR entry. body is the entry's
+ * { body, base64Encoded } from Network.getResponseBody, when captured.
+ */
+export function harEntry(entry, body) {
+  const time = entry.end === null ? 0 : Math.max(0, Math.round((entry.end - entry.start) * 1000));
+  const request = {
+    method: entry.method,
+    url: entry.url,
+    httpVersion: httpVersion(entry.protocol),
+    cookies: [],
+    headers: harHeaders(entry.requestHeaders),
+    queryString: queryString(entry.url),
+    headersSize: -1,
+    bodySize: entry.postData ? new TextEncoder().encode(entry.postData).length : 0,
+  };
+  if (entry.postData) {
+    request.postData = {
+      mimeType: headerValue(entry.requestHeaders, "content-type") || "",
+      text: entry.postData,
+    };
+  }
+  const content = { size: 0, mimeType: entry.mimeType || "" };
+  if (body) {
+    content.text = body.body;
+    content.size = body.base64Encoded ? Math.floor(body.body.length * 3 / 4) : new TextEncoder().encode(body.body).length;
+    if (body.base64Encoded) content.encoding = "base64";
+  }
+  return {
+    startedDateTime: new Date((entry.wallTime ?? Date.now() / 1000) * 1000).toISOString(),
+    time,
+    request,
+    response: {
+      status: entry.status,
+      statusText: entry.statusText || "",
+      httpVersion: httpVersion(entry.protocol),
+      cookies: [],
+      headers: harHeaders(entry.responseHeaders),
+      content,
+      redirectURL: headerValue(entry.responseHeaders, "location") || "",
+      headersSize: -1,
+      bodySize: entry.size || -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+  };
+}
+
+/**
+ * Builds a HAR 1.2 log from network log entries. Requests that never got a
+ * response (failed or still pending) are left out, as HAR has no place for
+ * them. bodies maps entries to their captured response bodies.
+ */
+export function buildHar(entries, bodies, creatorVersion) {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "Playwright REPL", version: creatorVersion },
+      pages: [],
+      entries: entries.filter(e => e.status !== null && !e.error).map(e => harEntry(e, bodies.get(e))),
+    },
+  };
+}
+
+/**
+ * Parses HAR text. Returns the log's entries, or { error } when the text is
+ * not a HAR file.
+ */
+export function parseHar(text) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (e) {
+    return { error: `Invalid HAR file: ${e.message}` };
+  }
+  if (!Array.isArray(har?.log?.entries)) return { error: "Invalid HAR file: no log.entries" };
+  return { entries: har.log.entries };
+}
+
+/**
+ * Finds the recorded entry answering a request: same method and URL,
+ * preferring one with the same request body. Returns null when none does.
+ */
+export function findHarEntry(entries, { method, url, postData }) {
+  const candidates = entries.filter(e => e.request?.method === method && e.request?.url === url);
+  if (!candidates.length) return null;
+  return candidates.find(e => (e.request.postData?.text ?? undefined) === postData) || candidates[0];
+}
+
+/**
+ * Returns the Fetch.fulfillRequest answer for a recorded entry:
+ * { responseCode, responseHeaders, body } with a base64 body.
+ */
+export function harResponse(entry, toBase64) {
+  const { status, headers = [], content = {} } = entry.response;
+  const text = content.text ?? "";
+  return {
+    responseCode: status,
+    responseHeaders: headers.filter(h => !h.name.startsWith(":") && !REPLAY_SKIPPED_HEADERS.has(h.name.toLowerCase())),
+    body: content.encoding === "base64" ? text : toBase64(text),
+  };
+}
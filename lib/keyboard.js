@@ -0,0 +1,169 @@
+// US keyboard layout and the CDP Input.dispatchKeyEvent sequences behind
+// `press` (keys and chords like Control+Shift+K) and `type`.
+
+// Keys by code: [code, keyCode, key, shifted key, location]. Keys with a
+// single-character name type that character, like Playwright's layout.
+const US_LAYOUT = [
+  ["Escape", 27, "Escape"],
+  ...Array.from({ length: 24 }, (_, i) => [`F${i + 1}`, 112 + i, `F${i + 1}`]),
+  ["Backquote", 192, "`", "~"],
+  ...[..."0123456789"].map((digit, i) => [`Digit${digit}`, 48 + i, digit, ")!@#$%^&*("[i]]),
+  ["Minus", 189, "-", "_"],
+  ["Equal", 187, "=", "+"],
+  ["Backslash", 220, "\\", "|"],
+  ["Backspace", 8, "Backspace"],
+  ["Tab", 9, "Tab"],
+  ...[..."abcdefghijklmnopqrstuvwxyz"].map((letter, i) => [`Key${letter.toUpperCase()}`, 65 + i, letter, letter.toUpperCase()]),
+  ["BracketLeft", 219, "[", "{"],
+  ["BracketRight", 221, "]", "}"],
+  ["CapsLock", 20, "CapsLock"],
+  ["Semicolon", 186, ";", ":"],
+  ["Quote", 222, "'", "\""],
+  ["Enter", 13, "Enter"],
+  ["ShiftLeft", 16, "Shift", undefined, 1],
+  ["ShiftRight", 16, "Shift", undefined, 2],
+  ["Comma", 188, ",", "<"],
+  ["Period", 190, ".", ">"],
+  ["Slash", 191, "/", "?"],
+  ["ControlLeft", 17, "Control", undefined, 1],
+  ["ControlRight", 17, "Control", undefined, 2],
+  ["MetaLeft", 91, "Meta", undefined, 1],
+  ["MetaRight", 92, "Meta", undefined, 2],
+  ["AltLeft", 18, "Alt", undefined, 1],
+  ["AltRight", 18, "Alt", undefined, 2],
+  ["Space", 32, " "],
+  ["ContextMenu", 93, "ContextMenu"],
+  ["PrintScreen", 44, "PrintScreen"],
+  ["ScrollLock", 145, "ScrollLock"],
+  ["Pause", 19, "Pause"],
+  ["Insert", 45, "Insert"],
+  ["Home", 36, "Home"],
+  ["PageUp", 33, "PageUp"],
+  ["Delete", 46, "Delete"],
+  ["End", 35, "End"],
+  ["PageDown", 34, "PageDown"],
+  ["ArrowUp", 38, "ArrowUp"],
+  ["ArrowLeft", 37, "ArrowLeft"],
+  ["ArrowDown", 40, "ArrowDown"],
+  ["ArrowRight", 39, "ArrowRight"],
+  ["NumLock", 144, "NumLock"],
+  // Numpad keys come last, so "0" or "Enter" resolve to the main keyboard
+  ["NumpadDivide", 111, "/", undefined, 3],
+  ["NumpadMultiply", 106, "*", undefined, 3],
+  ["NumpadSubtract", 109, "-", undefined, 3],
+  ["NumpadAdd", 107, "+", undefined, 3],
+  ["NumpadDecimal", 110, ".", undefined, 3],
+  ...[..."0123456789"].map((digit, i) => [`Numpad${digit}`, 96 + i, digit, undefined, 3]),
+  ["NumpadEnter", 13, "Enter", undefined, 3],
+];
+
+// Key name or code -> { key, code, keyCode, text, location, shifted }
+const KEYS = new Map();
+for (const [code, keyCode, key, shiftKey, location = 0] of US_LAYOUT) {
+  const text = key === "Enter" ? "\r" : key.length === 1 ? key : "";
+  const shifted = shiftKey && { key: shiftKey, code, keyCode, text: shiftKey, location };
+  const description = { key, code, keyCode, text, location, shifted };
+  KEYS.set(code, description);
+  if (!KEYS.has(key)) KEYS.set(key, description);
+  if (shifted && !KEYS.has(shiftKey)) KEYS.set(shiftKey, { ...shifted, shifted });
+}
+KEYS.set("\n", KEYS.get("Enter"));
+KEYS.set("\r", KEYS.get("Enter"));
+
+// Names also accepted in any case, plus the aliases `press` always knew
+const NAMES = new Map([...KEYS.keys()].filter(k => k.length > 1).map(k => [k.toLowerCase(), k]));
+for (const [alias, name] of [["space", " "], ["esc", "Escape"], ["ctrl", "Control"], ["cmd", "Meta"], ["command", "Meta"], ["option", "Alt"]]) {
+  NAMES.set(alias, name);
+}
+
+// Input.dispatchKeyEvent `modifiers` bit per modifier key
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// Canonical name of one key ("enter" -> "Enter", "a" stays "a"), or null
+function keyName(text, mac, portable) {
+  if (/^controlormeta$/i.test(text)) return portable ? "ControlOrMeta" : mac ? "Meta" : "Control";
+  if (KEYS.has(text)) return text;
+  return NAMES.get(text.toLowerCase()) ?? null;
+}
+
+/**
+ * Parses a key or chord like "Enter", "a" or "Control+Shift+K" (names in any
+ * case; "+" alone or last is the plus key). ControlOrMeta is Meta when mac
+ * is true, and stays ControlOrMeta when portable is (for exported code).
+ * Returns { modifiers, key } with canonical names, or { error }.
+ */
+export function parseChord(text, { mac = false, portable = false } = {}) {
+  const parts = text === "+" ? ["+"] : text.endsWith("++") ? [...text.slice(0, -2).split("+"), "+"] : text.split("+");
+  if (parts.some(p => p === "")) return { error: `Invalid key: "${text}"` };
+  const names = [];
+  for (const part of parts) {
+    const name = keyName(part, mac, portable);
+    if (name === null) return { error: `Unknown key: "${part}"` };
+    names.push(name);
+  }
+  const key = names.pop();
+  const notModifier = names.find(n => !(n in MODIFIER_BITS) && n !== "ControlOrMeta");
+  if (notModifier !== undefined) return { error: `Not a modifier key: "${notModifier}" in "${text}"` };
+  return { modifiers: names, key };
+}
+
+/**
+ * Formats a parsed chord the way Playwright writes it ("Control+Shift+K",
+ * with Space for " ").
+ */
+export function formatChord({ modifiers, key }) {
+  return [...modifiers, key === " " ? "Space" : key].join("+");
+}
+
+function keyEvent(type, description, modifiers, text = "") {
+  const params = {
+    type,
+    modifiers,
+    key: description.key,
+    code: description.code,
+    windowsVirtualKeyCode: description.keyCode,
+    nativeVirtualKeyCode: description.keyCode,
+    location: description.location,
+  };
+  if (description.location === 3) params.isKeypad = true;
+  if (text) Object.assign(params, { text, unmodifiedText: text });
+  return params;
+}
+
+/**
+ * Returns the Input.dispatchKeyEvent params that press a parsed chord:
+ * modifiers down, the key down and up, modifiers up in reverse. Shift
+ * turns the key into its shifted character; Control, Alt and Meta stop it
+ * from typing text.
+ */
+export function chordEvents({ modifiers, key }) {
+  const events = [];
+  let bits = 0;
+  for (const name of modifiers) {
+    bits |= MODIFIER_BITS[name];
+    events.push(keyEvent("rawKeyDown", KEYS.get(name), bits));
+  }
+  let description = KEYS.get(key);
+  if (modifiers.includes("Shift") && description.shifted) description = description.shifted;
+  const typesText = description.text && !modifiers.some(m => m !== "Shift");
+  events.push(keyEvent(typesText ? "keyDown" : "rawKeyDown", description, bits, typesText ? description.text : ""));
+  events.push(keyEvent("keyUp", description, bits));
+  for (const name of [...modifiers].reverse()) {
+    bits &= ~MODIFIER_BITS[name];
+    events.push(keyEvent("keyUp", KEYS.get(name), bits));
+  }
+  return events;
+}
+
+/**
+ * Splits text for `type` into one step per character: { events } pressing
+ * its key on the US layout, or { insertText } for characters it lacks
+ * (accents, emoji), which are inserted without key events.
+ */
+export function typeSteps(text) {
+  return [...text].map(char => {
+    const description = KEYS.get(char);
+    if (!description) return { insertText: char };
+    return { events: chordEvents({ modifiers: [], key: char }) };
+  });
+}
@@ -0,0 +1,54 @@
+// Files stored by the extension (shared scripts for `include`), kept in
+// chrome.storage.local as one { path: text } object.
+export const LIBRARY_KEY = "pwLibrary";
+
+/**
+ * Normalizes a library path: forward slashes, no leading "./" or "/",
+ * no empty or "." segments. Returns "" for paths that climb out with "..".
+ */
+export function normalizePath(path) {
+  const parts = String(path).trim().replace(/\\/g, "/").split("/").filter(p => p && p !== ".");
+  if (parts.includes("..")) return "";
+  return parts.join("/");
+}
+
+/**
+ * Returns every stored file as { path: text }.
+ */
+export async function readLibrary() {
+  const stored = await chrome.storage.local.get(LIBRARY_KEY);
+  return stored?.[LIBRARY_KEY] || {};
+}
+
+/**
+ * Returns the text of one stored file, or null when it does not exist.
+ */
+export async function readFile(path) {
+  const library = await readLibrary();
+  const key = normalizePath(path);
+  return Object.prototype.hasOwnProperty.call(library, key) ? library[key] : null;
+}
+
+/**
+ * Stores text under path, replacing any previous version.
+ */
+export async function writeFile(path, text) {
+  const key = normalizePath(path);
+  if (!key) throw new Error(`Invalid library path: "${path}"`);
+  const library = await readLibrary();
+  library[key] = text;
+  await chrome.storage.local.set({ [LIBRARY_KEY]: library });
+  return key;
+}
+
+/**
+ * Removes a stored file. Returns false when it did not exist.
+ */
+export async function deleteFile(path) {
+  const key = normalizePath(path);
+  const library = await readLibrary();
+  if (!Object.prototype.hasOwnProperty.call(library, key)) return false;
+  delete library[key];
+  await chrome.storage.local.set({ [LIBRARY_KEY]: library });
+  return true;
+}
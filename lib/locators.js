@@ -1,24 +1,92 @@
-import { callInPage, clickElementByRef, clickElementByText, focusElement } from "./page-scripts.js";
+import { resolveLocator, clickElement, focusElement } from "./page-scripts.js";
+
+// Playwright selector engines understood by the page-side locator engine
+const ENGINES = new Set(["role", "text", "label", "placeholder", "testid", "css", "xpath"]);
 
 /**
- * Returns JS code to evaluate in the page context that finds an element
- * and clicks it directly. Returns { success, tag } or { error }.
+ * Parses a Playwright-style selector string into { engine, value, source, ... }.
+ *
+ *   e7 / f1e7                   → snapshot ref (f1e7: in the snapshot's frame f1)
+ *   role=button[name="Save"]    → role engine (name, checked, disabled, expanded,
+ *                                 level, pressed, selected attributes)
+ *   text=Save / text="Save"     → substring ignoring case / exact match
+ *   label= placeholder= testid= css= xpath=
+ *   //div[@id="x"]              → xpath
+ *   anything else               → "auto": the bare-string strategy list
  */
-export function buildClickElementJS(target, scope) {
-  // Ref from snapshot: e1, e8, etc.
-  if (/^e\d+$/.test(target)) {
-    const index = parseInt(target.slice(1)) - 1;
-    return callInPage(clickElementByRef, index, target);
+export function parseSelector(target) {
+  if (/^(f\d+)?e\d+$/.test(target)) return { engine: "ref", value: target, source: target };
+
+  const m = /^([a-z]+)=([\s\S]*)$/.exec(target);
+  if (m && ENGINES.has(m[1])) {
+    const engine = m[1];
+    const body = m[2].trim();
+    if (engine === "role") return { ...parseRoleSelector(body), source: target };
+    if (engine === "css" || engine === "xpath") return { engine, value: body, source: target };
+    const quoted = /^"([\s\S]*)"$/.exec(body) || /^'([\s\S]*)'$/.exec(body);
+    if (quoted) return { engine, value: quoted[1], exact: true, source: target };
+    return { engine, value: body, exact: false, source: target };
+  }
+
+  if (target.startsWith("//") || target.startsWith("(//")) {
+    return { engine: "xpath", value: target, source: target };
   }
+  return { engine: "auto", value: target, source: target };
+}
+
+function parseRoleSelector(body) {
+  const m = /^([\w-]+)([\s\S]*)$/.exec(body);
+  const selector = { engine: "role", value: m ? m[1].toLowerCase() : body };
+  if (!m) return selector;
 
-  // Text-based locator, optionally scoped to a container matching scope text
-  return callInPage(clickElementByText, target, scope || null);
+  const attrRe = /\[\s*([\w-]+)\s*(?:=\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\]\s]*))\s*([is])?)?\s*\]/g;
+  let attr;
+  while ((attr = attrRe.exec(m[2]))) {
+    const [, name, dq, sq, bare, flag] = attr;
+    const hasValue = dq !== undefined || sq !== undefined || bare !== undefined;
+    const raw = dq !== undefined ? dq.replace(/\\(.)/g, "$1") : sq !== undefined ? sq : bare;
+    if (name === "name") {
+      selector.name = raw;
+      selector.exact = flag === "s";
+    } else if (name === "level") {
+      selector.level = parseInt(raw);
+    } else {
+      selector[name] = hasValue ? raw !== "false" : true;
+    }
+  }
+  return selector;
+}
+
+/**
+ * Returns JS code that resolves target with the locator engine and calls the
+ * page-context function fn(element, ...args) on the first match.
+ * Resolves to fn's return value, or { error } when nothing matches
+ * ({ error, fatal } when retrying cannot help, e.g. a stale ref).
+ */
+export function buildLocatorJS(fn, target, scope, ...args) {
+  const selector = parseSelector(target);
+  const where = scope ? ' in "' + scope + '"' : "";
+  const extra = args.map(a => ", " + JSON.stringify(a)).join("");
+  return `(function () {
+  var found = (${resolveLocator.toString()})(${JSON.stringify(selector)}, ${JSON.stringify(scope || null)});
+  if (found.error) return found;
+  if (!found.elements.length) return { error: ${JSON.stringify("No element found matching: " + target + where)} };
+  return (${fn.toString()})(found.elements[0]${extra});
+})()`;
+}
+
+/**
+ * Returns JS code to evaluate in the page context that finds an element
+ * and returns the point to click. Returns { x, y, tag } or { error }.
+ */
+export function buildClickElementJS(target, scope) {
+  return buildLocatorJS(clickElement, target, scope);
 }
 
 /**
- * Returns JS code that finds an element by text/ref and focuses it.
+ * Returns JS code that finds an element by selector and focuses it.
  * Returns { success } or { error }.
  */
 export function buildFocusElementJS(target) {
-  return callInPage(focusElement, target);
+  return buildLocatorJS(focusElement, target, null);
 }
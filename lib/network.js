@@ -0,0 +1,179 @@
+// Per-tab network log built from CDP Network domain events, plus the
+// filtering and formatting behind the `network` command.
+
+// Oldest requests are dropped beyond this many
+export const MAX_ENTRIES = 500;
+
+// Longest response body printed by `network show`
+const MAX_BODY_LENGTH = 10000;
+
+/**
+ * Returns an empty log: entries in request order, each with a short id
+ * used by `network show`. since is the first id made by the current command
+ * (set by the caller), which wait-for-request/response look at.
+ */
+export function createNetworkLog() {
+  return { entries: [], byRequestId: new Map(), nextId: 1, since: 1 };
+}
+
+/**
+ * Updates log from one CDP Network.* event. Redirects end the previous
+ * entry and start a new one for the same requestId.
+ */
+export function recordNetworkEvent(log, method, params) {
+  const current = log.byRequestId.get(params.requestId);
+  switch (method) {
+    case "Network.requestWillBeSent": {
+      if (current && params.redirectResponse) {
+        applyResponse(current, params.redirectResponse);
+        current.end = params.timestamp;
+        current.finished = true;
+      }
+      const entry = {
+        id: log.nextId++,
+        requestId: params.requestId,
+        method: params.request.method,
+        url: params.request.url,
+        type: params.type || "Other",
+        requestHeaders: params.request.headers || {},
+        postData: params.request.postData,
+        start: params.timestamp,
+        wallTime: params.wallTime,
+        end: null,
+        status: null,
+        size: 0,
+        finished: false,
+      };
+      log.entries.push(entry);
+      log.byRequestId.set(params.requestId, entry);
+      if (log.entries.length > MAX_ENTRIES) {
+        const dropped = log.entries.shift();
+        if (log.byRequestId.get(dropped.requestId) === dropped) log.byRequestId.delete(dropped.requestId);
+      }
+      break;
+    }
+    case "Network.responseReceived":
+      if (!current) return;
+      applyResponse(current, params.response);
+      if (params.type) current.type = params.type;
+      break;
+    case "Network.loadingFinished":
+      if (!current) return;
+      current.end = params.timestamp;
+      current.size = params.encodedDataLength ?? current.size;
+      current.finished = true;
+      break;
+    case "Network.loadingFailed":
+      if (!current) return;
+      current.end = params.timestamp;
+      current.error = params.canceled ? "canceled" : params.errorText;
+      current.finished = true;
+      break;
+  }
+}
+
+function applyResponse(entry, response) {
+  entry.status = response.status;
+  entry.statusText = response.statusText || "";
+  entry.mimeType = response.mimeType || "";
+  entry.protocol = response.protocol || "";
+  entry.responseHeaders = response.headers || {};
+}
+
+// Matches a status filter: an exact code (404) or a class (4xx)
+function statusMatcher(text) {
+  if (/^\d{3}$/.test(text)) return (status) => status === Number(text);
+  const m = /^([1-5])xx$/i.exec(text);
+  if (m) return (status) => status !== null && Math.floor(status / 100) === Number(m[1]);
+  return null;
+}
+
+/**
+ * Returns the entries matching every given filter: url (substring),
+ * status (404 or 4xx), type (resource type, e.g. xhr) and method.
+ * Returns { error } for an invalid status filter.
+ */
+export function filterEntries(entries, { url, status, type, method } = {}) {
+  let matchStatus = null;
+  if (status !== undefined) {
+    matchStatus = statusMatcher(status);
+    if (!matchStatus) return { error: `Invalid status filter: "${status}" (use e.g. 404 or 4xx)` };
+  }
+  return entries.filter(e =>
+    (url === undefined || e.url.includes(url)) &&
+    (!matchStatus || matchStatus(e.status)) &&
+    (type === undefined || e.type.toLowerCase() === type.toLowerCase()) &&
+    (method === undefined || e.method.toUpperCase() === method.toUpperCase())
+  );
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(entry) {
+  if (entry.end === null) return "pending";
+  return `${Math.round((entry.end - entry.start) * 1000)} ms`;
+}
+
+function statusText(entry) {
+  if (entry.error) return "failed";
+  if (entry.status === null) return "—";
+  return String(entry.status);
+}
+
+/**
+ * Formats entries as aligned columns: id, method, status, type, size,
+ * time and URL.
+ */
+export function formatEntries(entries) {
+  const rows = entries.map(e => [
+    `#${e.id}`,
+    e.method,
+    statusText(e),
+    e.type,
+    e.finished && !e.error ? formatSize(e.size) : "",
+    formatDuration(e),
+    e.url,
+  ]);
+  const widths = [0, 1, 2, 3, 4, 5].map(i => Math.max(...rows.map(r => r[i].length)));
+  return rows.map(r => r.map((cell, i) => i < 6 ? cell.padEnd(widths[i]) : cell).join("  ")).join("\n");
+}
+
+function formatHeaders(headers) {
+  const names = Object.keys(headers || {});
+  if (!names.length) return ["  (none)"];
+  return names.map(name => `  ${name}: ${headers[name]}`);
+}
+
+/**
+ * Formats one entry with its headers and, when given, the response body
+ * ({ body, base64Encoded } from Network.getResponseBody, or { error }).
+ */
+export function formatEntryDetail(entry, body) {
+  const lines = [`#${entry.id} ${entry.method} ${entry.url}`];
+  if (entry.error) {
+    lines.push(`Failed: ${entry.error}`);
+  } else if (entry.status !== null) {
+    lines.push(`Status: ${entry.status} ${entry.statusText}`.trimEnd());
+  }
+  lines.push(`Type: ${entry.type}   Time: ${formatDuration(entry)}`);
+  lines.push("", "Request headers:", ...formatHeaders(entry.requestHeaders));
+  if (entry.postData) lines.push("", "Request body:", entry.postData);
+  if (entry.responseHeaders) lines.push("", "Response headers:", ...formatHeaders(entry.responseHeaders));
+  if (body) {
+    lines.push("", "Response body:");
+    if (body.error) {
+      lines.push(`  (unavailable: ${body.error})`);
+    } else if (body.base64Encoded) {
+      lines.push(`  (binary, ${Math.floor(body.body.length * 3 / 4)} bytes)`);
+    } else if (body.body.length > MAX_BODY_LENGTH) {
+      lines.push(body.body.slice(0, MAX_BODY_LENGTH), `… (${body.body.length - MAX_BODY_LENGTH} more characters)`);
+    } else {
+      lines.push(body.body || "  (empty)");
+    }
+  }
+  return lines.join("\n");
+}
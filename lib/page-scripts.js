@@ -13,107 +13,413 @@ export function callInPage(fn, ...args) {
   return `(${fn.toString()})(${args.map(a => JSON.stringify(a)).join(", ")})`;
 }
 
-// --- Click / navigation ---
-
-export function clickElementByRef(index, refName) {
-  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
-  const elements = [];
-  while (walker.nextNode()) elements.push(walker.currentNode);
-  const el = elements[index];
-  if (!el) return { error: "Element " + refName + " not found" };
-  el.scrollIntoView({ block: "center" });
-  el.click();
-  return { success: true, tag: el.tagName.toLowerCase() };
-}
+// --- Locator engine ---
+
+/**
+ * Resolves a parsed selector (see parseSelector in locators.js) to the
+ * matching elements, in priority order. Supports the ref, role, text, label,
+ * placeholder, testid, css, xpath and auto (bare string) engines. Like
+ * Playwright's, every engine but xpath looks inside open shadow roots.
+ * Returns { elements } or { error }.
+ */
+export function resolveLocator(selector, scopeText) {
+  function norm(s) { return (s || "").replace(/\s+/g, " ").trim(); }
+
+  // Bare strings match the whole text, ignoring case (the legacy behaviour)
+  function matchesExactly(s, expected) { return !!s && norm(s).toLowerCase() === expected.toLowerCase(); }
+
+  // Engine values match a substring ignoring case, or the full text when quoted
+  function matchesText(s, expected, exact) {
+    if (!s) return false;
+    if (exact) return norm(s) === expected;
+    return norm(s).toLowerCase().includes(expected.toLowerCase());
+  }
+
+  // querySelectorAll that also searches open shadow roots, in document order
+  // with a shadow tree's matches right after its host
+  function all(root, css) {
+    const matched = new Set(root.querySelectorAll(css));
+    const found = [];
+    for (const e of root.querySelectorAll("*")) {
+      if (matched.has(e)) found.push(e);
+      if (e.shadowRoot) found.push(...all(e.shadowRoot, css));
+    }
+    return found;
+  }
+
+  // closest() that continues from a shadow root to its host
+  function closestComposed(el, css) {
+    for (let e = el; e; e = e.parentElement || e.getRootNode().host) {
+      if (e.matches(css)) return e;
+    }
+    return null;
+  }
+
+  function isHidden(el) {
+    if (closestComposed(el, "[hidden], [aria-hidden=\"true\"]")) return true;
+    const style = getComputedStyle(el);
+    return style.display === "none" || style.visibility === "hidden";
+  }
+
+  function roleOf(el) {
+    const explicit = el.getAttribute("role");
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    switch (tag) {
+      case "a": case "area": return el.hasAttribute("href") ? "link" : null;
+      case "button": return "button";
+      case "input":
+        if (["button", "submit", "reset", "image"].includes(type)) return "button";
+        if (type === "checkbox") return "checkbox";
+        if (type === "radio") return "radio";
+        if (type === "range") return "slider";
+        if (type === "number") return "spinbutton";
+        if (type === "hidden") return null;
+        if (el.hasAttribute("list")) return "combobox";
+        return type === "search" ? "searchbox" : "textbox";
+      case "select": return el.multiple || el.size > 1 ? "listbox" : "combobox";
+      case "textarea": return "textbox";
+      case "h1": case "h2": case "h3": case "h4": case "h5": case "h6": return "heading";
+      case "img": return el.getAttribute("alt") === "" ? "presentation" : "img";
+      case "ul": case "ol": case "menu": return "list";
+      case "li": return "listitem";
+      case "nav": return "navigation";
+      case "main": return "main";
+      case "aside": return "complementary";
+      case "header": return el.closest("article, section") ? null : "banner";
+      case "footer": return el.closest("article, section") ? null : "contentinfo";
+      case "form": return "form";
+      case "table": return "table";
+      case "tr": return "row";
+      case "td": return "cell";
+      case "th": return "columnheader";
+      case "thead": case "tbody": case "tfoot": return "rowgroup";
+      case "dialog": return "dialog";
+      case "option": return "option";
+      case "progress": return "progressbar";
+      case "hr": return "separator";
+      case "article": return "article";
+      case "fieldset": case "details": return "group";
+      case "summary": return "button";
+      case "p": return "paragraph";
+      default: return null;
+    }
+  }
+
+  // Roles whose accessible name comes from their content
+  const nameFromContent = new Set(["button", "link", "heading", "cell", "columnheader", "option",
+    "tab", "menuitem", "checkbox", "radio", "treeitem", "tooltip", "row", "switch"]);
+
+  function nameOf(el) {
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => el.getRootNode().getElementById(id))
+        .filter(Boolean).map(l => l.textContent).join(" ");
+      if (norm(text)) return norm(text);
+    }
+    const ariaLabel = el.getAttribute("aria-label");
+    if (norm(ariaLabel)) return norm(ariaLabel);
+    if (el.labels && el.labels.length) return norm([...el.labels].map(l => l.textContent).join(" "));
+    if (el.tagName === "IMG" || (el.tagName === "INPUT" && el.type === "image")) {
+      if (el.alt) return norm(el.alt);
+    }
+    if (el.tagName === "INPUT" && ["button", "submit", "reset"].includes(el.type)) {
+      return norm(el.value || (el.type === "submit" ? "Submit" : el.type === "reset" ? "Reset" : ""));
+    }
+    if (nameFromContent.has(roleOf(el))) {
+      const text = norm(el.textContent);
+      if (text) return text;
+    }
+    return norm(el.getAttribute("title") || el.getAttribute("placeholder") || "");
+  }
+
+  function controlOf(label) {
+    return label.control || (label.htmlFor && label.getRootNode().getElementById(label.htmlFor)) || null;
+  }
 
-export function clickElementByText(text, scopeText) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
+  // Smallest elements whose text matches: no child element matches on its own
+  function byText(root, expected, exact) {
+    return all(root, "*").filter(e => {
+      if (["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"].includes(e.tagName)) return false;
+      const text = e.tagName === "INPUT" && ["button", "submit"].includes(e.type) ? e.value : e.textContent;
+      if (!matchesText(text, expected, exact)) return false;
+      return ![...e.children].some(c => matchesText(c.textContent, expected, exact));
+    });
+  }
+
+  function byRole(root, sel) {
+    return all(root, "*").filter(e => {
+      if (roleOf(e) !== sel.value) return false;
+      if (isHidden(e)) return false;
+      if (sel.name !== undefined && !matchesText(nameOf(e), sel.name, sel.exact)) return false;
+      if (sel.checked !== undefined) {
+        const checked = "checked" in e && (e.type === "checkbox" || e.type === "radio")
+          ? e.checked : e.getAttribute("aria-checked") === "true";
+        if (checked !== sel.checked) return false;
+      }
+      if (sel.disabled !== undefined) {
+        const disabled = !!e.disabled || e.getAttribute("aria-disabled") === "true";
+        if (disabled !== sel.disabled) return false;
+      }
+      if (sel.expanded !== undefined && (e.getAttribute("aria-expanded") === "true") !== sel.expanded) return false;
+      if (sel.pressed !== undefined && (e.getAttribute("aria-pressed") === "true") !== sel.pressed) return false;
+      if (sel.selected !== undefined) {
+        const selected = e.tagName === "OPTION" ? e.selected : e.getAttribute("aria-selected") === "true";
+        if (selected !== sel.selected) return false;
+      }
+      if (sel.level !== undefined) {
+        const level = parseInt(e.getAttribute("aria-level") || (/^H[1-6]$/.test(e.tagName) ? e.tagName[1] : ""));
+        if (level !== sel.level) return false;
+      }
+      return true;
+    });
+  }
+
+  function byLabel(root, expected, exact) {
+    const found = [];
+    for (const label of all(root, "label")) {
+      if (!matchesText(label.textContent, expected, exact)) continue;
+      const control = controlOf(label);
+      if (control) found.push(control);
+    }
+    for (const e of all(root, "[aria-label], [aria-labelledby]")) {
+      if (!found.includes(e) && matchesText(nameOf(e), expected, exact)) found.push(e);
+    }
+    return found;
+  }
+
+  // Legacy strategy list for bare strings, shared by every action command
+  function byAuto(root, text) {
+    // Strategy 1: buttons, links, submit inputs by text/value
+    const interactive = all(root, 'button, a, [role="button"], input[type="submit"], input[type="button"]')
+      .filter(e => matchesExactly(e.textContent, text) || matchesExactly(e.value, text));
+    if (interactive.length) return interactive;
+
+    // Strategy 2: inputs/textareas by placeholder or associated label
+    const placeholders = all(root, "input, textarea").filter(e => matchesExactly(e.placeholder, text));
+    if (placeholders.length) return placeholders;
+    const labelled = all(root, "label").filter(l => matchesExactly(l.textContent, text))
+      .map(controlOf).filter(Boolean);
+    if (labelled.length) return labelled;
+
+    // Strategy 3: aria-label
+    const ariaLabelled = all(root, "[aria-label]").filter(e => matchesExactly(e.getAttribute("aria-label"), text));
+    if (ariaLabelled.length) return ariaLabelled;
+
+    // Strategy 4: title attribute
+    const titled = all(root, "[title]").filter(e => matchesExactly(e.getAttribute("title"), text));
+    if (titled.length) return titled;
+
+    // Strategy 5: smallest element with exact text
+    return all(root, "*").filter(e => matchesExactly(e.textContent, text) &&
+      ![...e.children].some(c => matchesExactly(c.textContent, text)));
+  }
+
+  // Refs are tagged onto the real nodes by snapshot (see tagSnapshotRef)
+  function byRef(ref) {
+    if (!window.__pwRefs) return { error: "Stale ref " + ref + ": the page changed since the last snapshot, re-run snapshot", fatal: true };
+    const el = window.__pwRefs.get(ref);
+    if (!el) return { error: "Unknown ref " + ref + ": not in the last snapshot, re-run snapshot", fatal: true };
+    if (!el.isConnected) return { error: "Stale ref " + ref + ": the element was removed from the page, re-run snapshot", fatal: true };
+    return { elements: [el] };
+  }
 
   // If scope is provided, find the container first, then search within it
   let root = document;
   if (scopeText) {
     const scopeLower = scopeText.toLowerCase();
-    const containers = [...document.querySelectorAll('li, tr, [role="listitem"], [role="row"], article, div')];
-    const container = containers.find(c => {
-      const t = c.textContent.trim().toLowerCase();
-      return t.includes(scopeLower);
-    });
+    const containers = all(document, 'li, tr, [role="listitem"], [role="row"], article, div');
+    const container = containers.find(c => c.textContent.trim().toLowerCase().includes(scopeLower));
     if (container) root = container;
   }
 
-  // Strategy 1: buttons, links, submit inputs by text/value
-  const interactive = [...root.querySelectorAll('button, a, [role="button"], input[type="submit"], input[type="button"]')];
-  let el = interactive.find(e => matches(e.textContent) || matches(e.value));
-
-  // Strategy 2: inputs/textareas by placeholder or associated label
-  if (!el) {
-    const inputs = [...root.querySelectorAll('input, textarea')];
-    el = inputs.find(e => matches(e.placeholder));
-  }
-  if (!el) {
-    const labels = [...root.querySelectorAll('label')];
-    const label = labels.find(l => matches(l.textContent));
-    if (label) {
-      el = label.control || document.getElementById(label.htmlFor);
+  try {
+    switch (selector.engine) {
+      case "ref": return byRef(selector.value);
+      case "role": return { elements: byRole(root, selector) };
+      case "text": return { elements: byText(root, selector.value, selector.exact) };
+      case "label": return { elements: byLabel(root, selector.value, selector.exact) };
+      case "placeholder":
+        return { elements: all(root, "[placeholder]").filter(e => matchesText(e.getAttribute("placeholder"), selector.value, selector.exact)) };
+      case "testid": return { elements: all(root, '[data-testid="' + CSS.escape(selector.value) + '"]') };
+      case "css": return { elements: all(root, selector.value) };
+      case "xpath": {
+        const snapshot = document.evaluate(selector.value, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const elements = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+          const node = snapshot.snapshotItem(i);
+          if (node.nodeType === Node.ELEMENT_NODE) elements.push(node);
+        }
+        return { elements };
+      }
+      default: return { elements: byAuto(root, selector.value) };
     }
+  } catch (e) {
+    return { error: "Invalid selector " + selector.source + ": " + e.message, fatal: true };
   }
+}
+
+// --- Snapshot refs ---
 
-  // Strategy 3: aria-label
-  if (!el) {
-    const all = [...root.querySelectorAll('[aria-label]')];
-    el = all.find(e => matches(e.getAttribute('aria-label')));
+export function resetSnapshotRefs() {
+  window.__pwRefs = new Map();
+}
+
+/**
+ * Called via Runtime.callFunctionOn with `this` bound to the DOM node behind
+ * a snapshot line. Text nodes are tagged through their parent element (the
+ * host, at the top of a shadow root).
+ */
+export function tagSnapshotRef(ref) {
+  const el = this.nodeType === Node.ELEMENT_NODE ? this
+    : this.nodeType === Node.DOCUMENT_NODE ? this.documentElement
+    : this.parentElement || (this.parentNode && this.parentNode.host);
+  if (!el) return;
+  if (!window.__pwRefs) window.__pwRefs = new Map();
+  window.__pwRefs.set(ref, el);
+}
+
+// --- Actionability ---
+
+/**
+ * Runs Playwright-style actionability checks on a resolved element.
+ * checks is a list of "visible", "stable", "enabled", "editable" and
+ * "receivesEvents". Returns { success, x, y } with the element's center,
+ * or { error, check } naming the first check that did not pass.
+ */
+export async function checkActionability(el, checks) {
+  function describe(e) {
+    let d = "<" + e.tagName.toLowerCase();
+    if (e.id) d += ' id="' + e.id + '"';
+    else if (typeof e.className === "string" && e.className.trim()) d += ' class="' + e.className.trim() + '"';
+    return d + ">";
   }
+  function fail(check, message) { return { error: message, check }; }
 
-  // Strategy 4: title attribute
-  if (!el) {
-    const all = [...root.querySelectorAll('[title]')];
-    el = all.find(e => matches(e.getAttribute('title')));
+  // querySelector that also looks inside open shadow roots, el's own included
+  function queryComposed(root, css) {
+    const found = root.querySelector(css);
+    if (found) return found;
+    for (const e of [root, ...root.querySelectorAll("*")]) {
+      const inner = e.shadowRoot && queryComposed(e.shadowRoot, css);
+      if (inner) return inner;
+    }
+    return null;
   }
 
-  // Strategy 5: any leaf element with exact text
-  if (!el) {
-    const all = [...root.querySelectorAll('*')];
-    el = all.find(e => matches(e.textContent) && e.children.length === 0);
+  if (!el.isConnected) return fail("attached", "element is not attached to the DOM");
+
+  // Labels stand in for their control, like Playwright's retargeting
+  let control = el;
+  if (el.tagName === "LABEL" && (el.control || document.getElementById(el.htmlFor))) {
+    control = el.control || document.getElementById(el.htmlFor);
+  } else if (checks.includes("editable") && !el.matches("input, textarea, select, [contenteditable]")) {
+    control = queryComposed(el, "input, textarea, [contenteditable]") || el;
   }
 
-  if (!el) return { error: "No element found matching: " + text + (scopeText ? ' in "' + scopeText + '"' : "") };
-  el.scrollIntoView({ block: "center" });
-  el.click();
-  return { success: true, tag: el.tagName.toLowerCase() };
-}
+  if (el.scrollIntoViewIfNeeded) el.scrollIntoViewIfNeeded(true);
+  else el.scrollIntoView({ block: "center", inline: "center" });
 
-// --- Focus ---
+  let rect = el.getBoundingClientRect();
+  if (checks.includes("visible")) {
+    const style = getComputedStyle(el);
+    if (rect.width === 0 || rect.height === 0 || style.visibility === "hidden") {
+      return fail("visible", "element is not visible");
+    }
+  }
 
-export function focusElement(text) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
+  if (checks.includes("enabled")) {
+    const disabled = (control.matches && control.matches(":disabled")) ||
+      !!control.closest('[aria-disabled="true"]');
+    if (disabled) return fail("enabled", "element is not enabled");
+  }
 
-  // Find by placeholder
-  let el;
-  const inputs = [...document.querySelectorAll('input, textarea')];
-  el = inputs.find(e => matches(e.placeholder));
+  if (checks.includes("editable")) {
+    if (!control.matches('input, textarea, select, [contenteditable=""], [contenteditable="true"]')) {
+      return fail("editable", "element is not editable: " + describe(control));
+    }
+    if (control.readOnly || control.getAttribute("aria-readonly") === "true") {
+      return fail("editable", "element is not editable: it is read-only");
+    }
+  }
 
-  // Find by label
-  if (!el) {
-    const labels = [...document.querySelectorAll('label')];
-    const label = labels.find(l => matches(l.textContent));
-    if (label) el = label.control || document.getElementById(label.htmlFor);
+  if (checks.includes("stable")) {
+    // Same bounding box across two animation frames (timer fallback for hidden tabs)
+    await new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(resolve));
+      setTimeout(resolve, 100);
+    });
+    const next = el.getBoundingClientRect();
+    if (next.x !== rect.x || next.y !== rect.y || next.width !== rect.width || next.height !== rect.height) {
+      return fail("stable", "element is not stable: it is still moving");
+    }
+    rect = next;
   }
 
-  // Find by aria-label
-  if (!el) {
-    const all = [...document.querySelectorAll('[aria-label]')];
-    el = all.find(e => matches(e.getAttribute('aria-label')));
+  const x = rect.x + rect.width / 2;
+  const y = rect.y + rect.height / 2;
+
+  if (checks.includes("receivesEvents")) {
+    // elementFromPoint answers with the shadow host: follow open shadow roots
+    let hit = document.elementFromPoint(x, y);
+    while (hit && hit.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) break;
+      hit = inner;
+    }
+    // Also true when hit is in a shadow tree inside el
+    function contains(node) {
+      for (let n = node; n; n = n.parentNode || n.host) {
+        if (n === el) return true;
+      }
+      return false;
+    }
+    const label = hit && hit.closest && hit.closest("label");
+    const ok = hit && (contains(hit) ||
+      (label && (label.control === control || label.control === el)));
+    if (!ok) {
+      return fail("receivesEvents", "element does not receive pointer events: " +
+        (hit ? describe(hit) + " intercepts them" : "nothing is at its center point"));
+    }
   }
 
-  // Find by role=textbox with name
-  if (!el) {
-    const editables = [...document.querySelectorAll('input, textarea, [contenteditable="true"]')];
-    el = editables.find(e => matches(e.getAttribute('aria-label')) || matches(e.placeholder));
+  return { success: true, x, y };
+}
+
+// --- Click ---
+
+/**
+ * Scrolls el into view and returns its center point. The press itself is
+ * sent by the background script through Input.dispatchMouseEvent, so the
+ * page sees trusted pointer, mouse and click events.
+ */
+export function clickElement(el) {
+  el.scrollIntoView({ block: "center" });
+  const rect = el.getBoundingClientRect();
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2, tag: el.tagName.toLowerCase() };
+}
+
+// --- Focus ---
+
+export function focusElement(el) {
+  // querySelector that also looks inside open shadow roots, el's own included
+  function queryComposed(root, css) {
+    const found = root.querySelector(css);
+    if (found) return found;
+    for (const e of [root, ...root.querySelectorAll("*")]) {
+      const inner = e.shadowRoot && queryComposed(e.shadowRoot, css);
+      if (inner) return inner;
+    }
+    return null;
   }
 
-  if (!el) return { error: "No input found matching: " + text };
+  if (el.tagName === "LABEL") {
+    el = el.control || document.getElementById(el.htmlFor) || el;
+  }
+  const editable = 'input, textarea, [contenteditable=""], [contenteditable="true"]';
+  if (!el.matches(editable)) el = queryComposed(el, editable) || el;
+  if (!el.matches(editable)) return { error: "Element is not an input: <" + el.tagName.toLowerCase() + ">" };
   el.focus();
   el.select && el.select();
   return { success: true };
@@ -121,117 +427,231 @@ export function focusElement(text) {
 
 // --- Select ---
 
-export function selectElement(text, optText) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
-  let sel = document.querySelector('select[aria-label="' + CSS.escape(text) + '"]');
-  if (!sel) {
-    const labels = [...document.querySelectorAll('label')];
-    const label = labels.find(l => matches(l.textContent));
-    if (label) sel = label.control || document.getElementById(label.htmlFor);
-  }
-  if (!sel || sel.tagName !== "SELECT") return { error: "No select found: " + text };
-  const opt = [...sel.options].find(o =>
+export function selectElement(el, optText) {
+  if (el.tagName === "LABEL") {
+    el = el.control || document.getElementById(el.htmlFor) || el;
+  }
+  if (el.tagName !== "SELECT") el = el.querySelector("select") || el;
+  if (el.tagName !== "SELECT") return { error: "No select found: <" + el.tagName.toLowerCase() + ">" };
+  const opt = [...el.options].find(o =>
     o.text.trim().toLowerCase() === optText.toLowerCase() ||
     o.value.toLowerCase() === optText.toLowerCase()
   );
   if (!opt) return { error: "Option not found: " + optText };
-  sel.value = opt.value;
-  sel.dispatchEvent(new Event("change", { bubbles: true }));
+  el.value = opt.value;
+  el.dispatchEvent(new Event("change", { bubbles: true }));
   return { success: true };
 }
 
 // --- Checkbox ---
 
-export function checkElement(text, checked) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
-  let el;
-  // 1. Find by label association (for/id)
-  const labels = [...document.querySelectorAll('label')];
-  const label = labels.find(l => matches(l.textContent));
-  if (label) el = label.control || document.getElementById(label.htmlFor);
-  // 2. Find by aria-label on the checkbox itself
-  if (!el) el = document.querySelector('input[type="checkbox"][aria-label="' + CSS.escape(text) + '"]');
-  // 3. Find checkbox in the same container as matching text (sibling pattern)
-  if (!el && label) {
-    const container = label.closest('li, tr, div, [role="listitem"]');
-    if (container) el = container.querySelector('input[type="checkbox"]');
-  }
-  // 4. Find a list item/container whose text matches, then get its checkbox
-  if (!el) {
-    const items = [...document.querySelectorAll('li, tr, [role="listitem"], [role="row"]')];
-    const item = items.find(i => i.textContent.trim().toLowerCase().includes(lower));
-    if (item) el = item.querySelector('input[type="checkbox"]');
-  }
-  if (!el || (el.type !== "checkbox" && el.type !== "radio")) return { error: "No checkbox found: " + text };
-  if (el.checked !== checked) {
-    el.click();
-  }
-  return { success: true, checked: el.checked };
+export function checkElement(el, checked) {
+  const toggles = 'input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="radio"], [role="switch"]';
+  function isChecked(e) {
+    return e.tagName === "INPUT" ? e.checked : e.getAttribute("aria-checked") === "true";
+  }
+  // 1. The element itself, or the control of a label
+  let box = el.matches(toggles) ? el : null;
+  if (!box && el.tagName === "LABEL") {
+    const control = el.control || document.getElementById(el.htmlFor);
+    if (control && control.matches(toggles)) box = control;
+  }
+  // 2. A checkbox inside the element (list item whose text matched)
+  if (!box) box = el.querySelector(toggles);
+  // 3. A checkbox in the same container as the element (sibling pattern)
+  if (!box) {
+    const container = el.closest('li, tr, [role="listitem"], [role="row"], div');
+    if (container) box = container.querySelector(toggles);
+  }
+  if (!box) return { error: "No checkbox found: <" + el.tagName.toLowerCase() + ">" };
+  if (isChecked(box) !== checked) {
+    box.click();
+  }
+  return { success: true, checked: isChecked(box) };
 }
 
 // --- Hover ---
 
-export function hoverElement(text) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
-  const interactive = [...document.querySelectorAll('button, a, [role="button"], input, textarea, select, [role="menuitem"]')];
-  let el = interactive.find(e => matches(e.textContent) || matches(e.value) || matches(e.getAttribute('aria-label')));
-  if (!el) {
-    const all = [...document.querySelectorAll('*')];
-    el = all.find(e => matches(e.textContent) && e.children.length === 0);
-  }
-  if (!el) return { error: "No element found: " + text };
+export function hoverElement(el) {
   el.scrollIntoView({ block: "center" });
   const rect = el.getBoundingClientRect();
   return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
 }
 
-// --- Double-click ---
+// --- Drag ---
+
+// Viewport point at (x, y) from el's top-left corner, for drag --to-offset
+export function offsetPoint(el, x, y) {
+  const rect = el.getBoundingClientRect();
+  return { x: rect.x + x, y: rect.y + y };
+}
+
+/**
+ * Watches for a dragstart caused by the next mouse move, as Playwright
+ * does. dragStarted() then tells whether the page started an HTML5 drag
+ * (one that was not cancelled with preventDefault).
+ */
+export function watchDragStart() {
+  let dragEvent = null;
+  let started = Promise.resolve(false);
+  const onDragStart = (e) => { dragEvent = e; };
+  const onMouseMove = () => {
+    started = new Promise(resolve => {
+      window.addEventListener("dragstart", onDragStart, { once: true, capture: true });
+      setTimeout(() => resolve(dragEvent ? !dragEvent.defaultPrevented : false), 0);
+    });
+  };
+  window.addEventListener("mousemove", onMouseMove, { once: true, capture: true });
+  window.__pwDragStarted = async () => {
+    const result = await started;
+    window.removeEventListener("mousemove", onMouseMove, true);
+    window.removeEventListener("dragstart", onDragStart, true);
+    delete window.__pwDragStarted;
+    return result;
+  };
+}
+
+export function dragStarted() {
+  return window.__pwDragStarted ? window.__pwDragStarted() : false;
+}
+
+// --- Upload ---
 
-export function dblclickElement(text) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
-  const interactive = [...document.querySelectorAll('button, a, [role="button"], input, textarea')];
-  let el = interactive.find(e => matches(e.textContent) || matches(e.value));
-  if (!el) {
-    const all = [...document.querySelectorAll('*')];
-    el = all.find(e => matches(e.textContent) && e.children.length === 0);
+/**
+ * Returns the file input behind el (el itself, a label's control or the
+ * only file input inside el) if it can take count files, or { error }.
+ * File inputs are often hidden behind a styled label, so visibility is not
+ * required.
+ */
+export function fileInputOf(el, count) {
+  let input = el;
+  if (el.tagName === "LABEL" && el.control) input = el.control;
+  else if (el.tagName !== "INPUT") input = el.querySelector('input[type="file"]') || el;
+  if (input.tagName !== "INPUT" || input.type !== "file") {
+    return { error: "Not a file input: <" + el.tagName.toLowerCase() + ">" };
   }
-  if (!el) return { error: "No element found: " + text };
-  el.scrollIntoView({ block: "center" });
-  const event = new MouseEvent("dblclick", { bubbles: true, cancelable: true });
-  el.dispatchEvent(event);
-  return { success: true };
+  if (input.disabled) return { error: "File input is disabled" };
+  if (count > 1 && !input.multiple) return { error: "File input does not accept multiple files" };
+  return input;
 }
 
-// --- Verify ---
+/**
+ * Called via Runtime.callFunctionOn with `this` bound to a file input: sets
+ * its files from [{ name, type, lastModified, base64 }] and fires input and
+ * change, as picking them in the file chooser does.
+ */
+export function setInputFiles(files) {
+  const transfer = new DataTransfer();
+  for (const file of files) {
+    const bytes = Uint8Array.from(atob(file.base64), c => c.charCodeAt(0));
+    transfer.items.add(new File([bytes], file.name.split("/").pop(), { type: file.type, lastModified: file.lastModified }));
+  }
+  this.files = transfer.files;
+  this.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+  this.dispatchEvent(new Event("change", { bubbles: true }));
+  return this.files.length;
+}
+
+// --- Screenshot ---
 
-export function verifyElementExists(text) {
-  const lower = text.toLowerCase();
-  function matches(s) { return s && s.trim().toLowerCase() === lower; }
-  const interactive = [...document.querySelectorAll('button, a, [role="button"], input, textarea, select, [role="menuitem"], [role="link"], [role="tab"]')];
-  let el = interactive.find(e => matches(e.textContent) || matches(e.value) || matches(e.getAttribute('aria-label')));
-  if (!el) {
-    const labels = [...document.querySelectorAll('label')];
-    el = labels.find(l => matches(l.textContent));
+/**
+ * Scrolls el into view if needed and returns its box in document
+ * coordinates, the clip Page.captureScreenshot expects.
+ */
+export function elementBox(el) {
+  el.scrollIntoView({ block: "nearest", inline: "nearest" });
+  const rect = el.getBoundingClientRect();
+  if (!rect.width || !rect.height) return { error: "Element has no size: <" + el.tagName.toLowerCase() + ">" };
+  return { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height };
+}
+
+// Element rect in document coordinates, without scrolling (for masks)
+export function documentBox(el) {
+  const rect = el.getBoundingClientRect();
+  return { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height };
+}
+
+// --- Frames ---
+
+/**
+ * Called via Runtime.callFunctionOn with `this` bound to an <iframe>:
+ * returns where its document starts in the parent's viewport (inside the
+ * border and padding).
+ */
+export function frameContentBox() {
+  const rect = this.getBoundingClientRect();
+  const style = getComputedStyle(this);
+  return {
+    x: rect.x + this.clientLeft + parseFloat(style.paddingLeft),
+    y: rect.y + this.clientTop + parseFloat(style.paddingTop),
+  };
+}
+
+// --- Web storage ---
+
+// localStorage ("local") or sessionStorage ("session") of the page:
+// "get" returns one item's value, or every item when key is null; "set"
+// stores value under key; "clear" empties it. Returns { error } when the
+// page has no storage (e.g. about:blank).
+export function webStorage(area, action, key, value) {
+  let storage;
+  try {
+    storage = area === "session" ? window.sessionStorage : window.localStorage;
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (action === "set") {
+    storage.setItem(key, value);
+    return { origin: location.origin };
+  }
+  if (action === "clear") {
+    const count = storage.length;
+    storage.clear();
+    return { origin: location.origin, count };
   }
-  if (!el) {
-    const all = [...document.querySelectorAll('*')];
-    el = all.find(e => matches(e.textContent) && e.children.length === 0);
+  if (key !== null) return { origin: location.origin, value: storage.getItem(key) };
+  const items = [];
+  for (let i = 0; i < storage.length; i++) {
+    const name = storage.key(i);
+    items.push({ name, value: storage.getItem(name) });
   }
+  return { origin: location.origin, items };
+}
+
+// --- Verify ---
+
+export function elementExists(el) {
   return !!el;
 }
 
 export function verifyTextOnPage(text) {
-  return document.body.innerText.includes(text);
+  if (document.body.innerText.includes(text)) return true;
+  // innerText leaves out shadow trees: look at each open one
+  const roots = [document];
+  for (let i = 0; i < roots.length; i++) {
+    for (const el of roots[i].querySelectorAll("*")) {
+      if (!el.shadowRoot) continue;
+      roots.push(el.shadowRoot);
+      const visible = [...el.shadowRoot.children].filter(c => !["STYLE", "SCRIPT", "TEMPLATE"].includes(c.tagName));
+      if (visible.some(c => (c.innerText || "").includes(text))) return true;
+    }
+  }
+  return false;
 }
 
 // --- Fill helpers ---
 
+// Empties the focused field before fill types into it
+export function clearActiveElement() {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  el.value = "";
+}
+
 export function dispatchFillEvents() {
-  const el = document.activeElement;
+  // document.activeElement is the host when focus is in a shadow tree
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
   el.dispatchEvent(new Event("input", { bubbles: true }));
   el.dispatchEvent(new Event("change", { bubbles: true }));
 }
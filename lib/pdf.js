@@ -0,0 +1,65 @@
+// Options of the `pdf` command and their mapping to CDP Page.printToPDF.
+
+// Paper sizes in inches, as in Playwright's page.pdf()
+export const PAPER_FORMATS = {
+  letter: [8.5, 11],
+  legal: [8.5, 14],
+  tabloid: [11, 17],
+  ledger: [17, 11],
+  a0: [33.1, 46.8],
+  a1: [23.4, 33.1],
+  a2: [16.54, 23.4],
+  a3: [11.7, 16.54],
+  a4: [8.27, 11.7],
+  a5: [5.83, 8.27],
+  a6: [4.13, 5.83],
+};
+
+// Length units accepted by --margin, in inches
+const UNITS = { px: 1 / 96, in: 1, cm: 1 / 2.54, mm: 1 / 25.4 };
+
+// Converts a length like "1cm", "0.5in", "20mm" or "40" (pixels) to
+// inches; returns null when it is not a length
+function toInches(text) {
+  const m = /^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/i.exec(text.trim());
+  return m ? Number(m[1]) * UNITS[(m[2] || "px").toLowerCase()] : null;
+}
+
+/**
+ * Splits --margin into { top, right, bottom, left } lengths: one value for
+ * every side, or four comma-separated values in CSS order. Returns null
+ * when a value is not a length.
+ */
+export function parseMargin(text) {
+  const parts = String(text).split(",").map(p => p.trim());
+  if (parts.length !== 1 && parts.length !== 4) return null;
+  if (parts.some(p => toInches(p) === null)) return null;
+  const [top, right = top, bottom = top, left = top] = parts;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Builds Page.printToPDF params from the pdf options (format, landscape,
+ * background, margin). Like Playwright, the default is Letter paper
+ * without margins. Returns { params } or { error }.
+ */
+export function pdfParams({ format = "Letter", landscape = false, background = false, margin } = {}) {
+  const size = PAPER_FORMATS[format.toLowerCase()];
+  if (!size) {
+    return { error: `Unknown paper format: "${format}" (use ${Object.keys(PAPER_FORMATS).map(f => f.charAt(0).toUpperCase() + f.slice(1)).join(", ")})` };
+  }
+  const margins = margin === undefined ? { top: "0", right: "0", bottom: "0", left: "0" } : parseMargin(margin);
+  if (!margins) return { error: `Invalid margin: "${margin}" (use e.g. 1cm, or top,right,bottom,left)` };
+  return {
+    params: {
+      landscape,
+      printBackground: background,
+      paperWidth: size[0],
+      paperHeight: size[1],
+      marginTop: toInches(margins.top),
+      marginRight: toInches(margins.right),
+      marginBottom: toInches(margins.bottom),
+      marginLeft: toInches(margins.left),
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// Pixel comparison behind verify-screenshot. Images are RGBA pixel data
+// shaped like ImageData: { width, height, data }.
+
+// Playwright's default per-pixel color threshold (0 = exact, 1 = anything)
+export const DEFAULT_THRESHOLD = 0.2;
+
+// Largest possible YIQ distance between two colors
+const MAX_DELTA = 35215;
+
+// Masked regions are painted over in this color (as in Playwright)
+const MASK_COLOR = [255, 0, 255, 255];
+
+/**
+ * Paints rects ({ x, y, width, height } in pixels) over image in the mask
+ * color, clipped to the image. Returns image.
+ */
+export function maskImage(image, rects) {
+  for (const rect of rects) {
+    const left = Math.max(0, Math.floor(rect.x));
+    const top = Math.max(0, Math.floor(rect.y));
+    const right = Math.min(image.width, Math.ceil(rect.x + rect.width));
+    const bottom = Math.min(image.height, Math.ceil(rect.y + rect.height));
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) image.data.set(MASK_COLOR, (y * image.width + x) * 4);
+    }
+  }
+  return image;
+}
+
+// Pixel at p blended onto white by its alpha
+function blended(data, p) {
+  const alpha = data[p + 3] / 255;
+  return [0, 1, 2].map(c => 255 + (data[p + c] - 255) * alpha);
+}
+
+function luminance([r, g, b]) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+// Squared YIQ distance between two pixels, as in pixelmatch
+function colorDelta(a, b) {
+  const [r1, g1, b1] = a;
+  const [r2, g2, b2] = b;
+  const y = luminance(a) - luminance(b);
+  const i = (r1 * 0.59597799 - g1 * 0.2741761 - b1 * 0.32180189) - (r2 * 0.59597799 - g2 * 0.2741761 - b2 * 0.32180189);
+  const q = (r1 * 0.21147017 - g1 * 0.52261711 + b1 * 0.31114694) - (r2 * 0.21147017 - g2 * 0.52261711 + b2 * 0.31114694);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * Compares two images pixel by pixel. A pixel differs when its color
+ * distance exceeds threshold (0-1). Returns { sizeMismatch: true } for
+ * images of different sizes, else { diffPixels, diff } where diff is an
+ * image with differing pixels in red over a faded copy of expected.
+ */
+export function compareImages(expected, actual, { threshold = DEFAULT_THRESHOLD } = {}) {
+  if (expected.width !== actual.width || expected.height !== actual.height) return { sizeMismatch: true };
+  const maxDelta = MAX_DELTA * threshold * threshold;
+  const { width, height } = expected;
+  const diff = new Uint8ClampedArray(width * height * 4);
+  let diffPixels = 0;
+  for (let p = 0; p < diff.length; p += 4) {
+    const before = blended(expected.data, p);
+    if (colorDelta(before, blended(actual.data, p)) > maxDelta) {
+      diffPixels++;
+      diff.set([255, 0, 0, 255], p);
+    } else {
+      const gray = 255 + (luminance(before) - 255) * 0.1;
+      diff.set([gray, gray, gray, 255], p);
+    }
+  }
+  return { sizeMismatch: false, diffPixels, diff: { width, height, data: diff } };
+}
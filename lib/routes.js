@@ -0,0 +1,79 @@
+// Request routes set with `route`/`route-from-file`/`har-replay`: URL
+// patterns, how matching requests are answered, and the `routes` listing.
+
+// Content types guessed from a route-from-file extension
+const CONTENT_TYPES = {
+  json: "application/json",
+  html: "text/html",
+  htm: "text/html",
+  js: "text/javascript",
+  css: "text/css",
+  svg: "image/svg+xml",
+  xml: "application/xml",
+  txt: "text/plain",
+  csv: "text/csv",
+};
+
+/**
+ * Converts a route pattern to a RegExp: the URL must contain the pattern,
+ * where * matches any run of characters.
+ */
+export function routeRegExp(pattern) {
+  const source = pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")).join(".*");
+  // The match is unanchored, so leading and trailing wildcards add nothing
+  return new RegExp(source.replace(/^(?:\.\*)+|(?:\.\*)+$/g, ""));
+}
+
+/**
+ * CDP Fetch urlPattern intercepting the URLs a route pattern matches
+ * (CDP patterns are anchored, with * and ? wildcards).
+ */
+export function fetchPattern(pattern) {
+  return `*${pattern.replace(/[?\\]/g, "\\$&")}*`;
+}
+
+/**
+ * Returns the route answering url: the most recently added match, like
+ * Playwright. Returns null when no route matches.
+ */
+export function findRoute(routes, url) {
+  for (let i = routes.length - 1; i >= 0; i--) {
+    if (routeRegExp(routes[i].pattern).test(url)) return routes[i];
+  }
+  return null;
+}
+
+/**
+ * Content type for a fulfilled route: the file extension for
+ * route-from-file, JSON when the body parses as JSON, else plain text.
+ */
+export function guessContentType(body, path) {
+  if (path) {
+    const ext = path.split(".").pop().toLowerCase();
+    return CONTENT_TYPES[ext] || "application/octet-stream";
+  }
+  try {
+    JSON.parse(body);
+    return "application/json";
+  } catch {
+    return "text/plain";
+  }
+}
+
+/**
+ * Formats routes for the `routes` command, one per line with its hit count.
+ */
+export function formatRoutes(routes) {
+  return routes.map((r, i) => {
+    let answer;
+    if (r.har) {
+      answer = `HAR ${r.har.file} (${r.har.entries.length} entries${r.har.fallback ? ", fallback" : ""})`;
+    } else if (r.abort) {
+      answer = "abort";
+    } else {
+      const source = r.file ? `from ${r.file}` : `${new TextEncoder().encode(r.body).length} bytes`;
+      answer = `${r.status} ${r.contentType} (${source})`;
+    }
+    return `${i + 1}. "${r.pattern}" → ${answer}, ${r.hits} hit${r.hits !== 1 ? "s" : ""}`;
+  }).join("\n");
+}
@@ -0,0 +1,380 @@
+import { tokenize } from "./commands.js";
+import { normalizePath } from "./library.js";
+
+// Conditions understood by `if`, each a non-retrying verify-* check
+const CONDITIONS = new Set(["element", "text", "url", "title"]);
+
+const NAME_RE = /^[A-Za-z_]\w*$/;
+
+/**
+ * Parses an if condition: [not] element|text|url|title "value".
+ * Returns { kind, value, negate } or { error }.
+ */
+export function parseCondition(tokens) {
+  let i = 0;
+  const negate = tokens[i]?.toLowerCase() === "not";
+  if (negate) i++;
+  const kind = tokens[i]?.toLowerCase();
+  if (!CONDITIONS.has(kind)) {
+    return { error: `Unknown condition "${tokens[i] || ""}" (use element, text, url or title)` };
+  }
+  const value = tokens[i + 1];
+  if (value === undefined || tokens.length > i + 2) {
+    return { error: `Usage: if [not] ${kind} "value"` };
+  }
+  return { kind, value, negate };
+}
+
+/**
+ * Returns the verify-* command that tests a condition once (no retrying).
+ * The tokenizer has no escapes, so the value is quoted with a quote
+ * character it does not contain (role=button[name="Save"] in single quotes).
+ */
+export function conditionCommand({ kind, value }) {
+  const quoted = value.includes('"') ? `'${value}'` : `"${value}"`;
+  return `verify-${kind} ${quoted} --timeout 0`;
+}
+
+// Call depth at which a runaway recursive procedure is stopped
+const MAX_CALL_DEPTH = 100;
+
+// Largest repeat count, so a typo or a stray variable can't freeze the panel
+const MAX_REPEAT = 10000;
+
+/**
+ * Parses a procedure header: define name(a, b) or define name.
+ * Returns { name, params } or { error }.
+ */
+export function parseDefine(raw) {
+  const m = /^define\s+([A-Za-z_]\w*)\s*(?:\(([^)]*)\))?\s*$/i.exec(raw.trim());
+  const usage = "Usage: define name(param, ...)";
+  if (!m) return { error: usage };
+  const params = (m[2] || "").split(",").map(p => p.trim()).filter(Boolean);
+  if (params.some(p => !NAME_RE.test(p))) return { error: usage };
+  return { name: m[1], params };
+}
+
+/**
+ * Returns the library paths named by include lines in text.
+ */
+export function includePaths(text) {
+  const paths = [];
+  for (const line of text.split("\n")) {
+    const tokens = tokenize(line);
+    if (tokens[0]?.toLowerCase() === "include" && tokens[1]) paths.push(normalizePath(tokens[1]));
+  }
+  return paths;
+}
+
+/**
+ * Compiles .pw script text into a flat program of instructions so Run and
+ * Step can share one program counter:
+ *
+ *   { op: "command" | "comment", line, raw }
+ *   { op: "if", line, raw, condition, next }   next: index after else / end
+ *                                              (elseIndex: its else, if any)
+ *   { op: "else", line, next }                 next: index after end
+ *   { op: "repeat", line, count, as, next }    count may use ${name}
+ *   { op: "foreach", line, name, items, next } items: comma-separated list
+ *   { op: "define", line, name, params, next } skipped unless called
+ *   { op: "call", line, raw, name, args, target }  target: define index
+ *   { op: "end", line, block, start }          start: block header index
+ *
+ * include "path" lines are replaced by the compiled file from library
+ * ({ path: text }); its instructions keep the include line so the gutter
+ * stays on it. Lines are 0-based. Returns { program, errors: [{ line, message }] }.
+ */
+export function compileScript(text, library = {}) {
+  const unit = { program: [], errors: [], procedures: new Map(), library, stack: [] };
+  compileInto(unit, text, null);
+
+  for (const instr of unit.program) {
+    if (instr.op !== "call") continue;
+    const proc = unit.procedures.get(instr.name);
+    if (!proc) {
+      unit.errors.push({ line: instr.line, message: `Unknown procedure: ${instr.name}` });
+    } else if (proc.params.length !== instr.args.length) {
+      const n = proc.params.length;
+      unit.errors.push({ line: instr.line, message: `${instr.name} expects ${n} argument${n !== 1 ? "s" : ""}, got ${instr.args.length}` });
+    } else {
+      instr.target = proc.index;
+    }
+  }
+  unit.errors.sort((a, b) => a.line - b.line);
+  return { program: unit.program, errors: unit.errors };
+}
+
+// Compiles one file into unit.program. include is null for the main script,
+// else { line, path } for an included file.
+function compileInto(unit, text, include) {
+  const { program, procedures } = unit;
+  const open = []; // indexes of unclosed block headers in this file
+
+  text.split("\n").forEach((rawLine, fileLine) => {
+    const line = include ? include.line : fileLine;
+    const error = (message) => unit.errors.push({
+      line,
+      message: include ? `${include.path}:${fileLine + 1}: ${message}` : message,
+    });
+    const raw = rawLine.trim();
+    if (!raw) return;
+    if (raw.startsWith("#")) {
+      if (!include) program.push({ op: "comment", line, raw });
+      return;
+    }
+    const tokens = tokenize(raw);
+    const keyword = tokens[0].toLowerCase();
+
+    switch (keyword) {
+      case "if": {
+        const condition = parseCondition(tokens.slice(1));
+        if (condition.error) error(condition.error);
+        open.push(program.length);
+        program.push({ op: "if", line, raw, condition, next: -1 });
+        break;
+      }
+      case "else": {
+        const header = program[open[open.length - 1]];
+        if (!header || header.op !== "if" || header.elseIndex !== undefined) {
+          error("'else' without a matching 'if'");
+          break;
+        }
+        header.elseIndex = program.length;
+        header.next = program.length + 1;
+        program.push({ op: "else", line, next: -1 });
+        break;
+      }
+      case "repeat": {
+        const [, count, as, name] = tokens;
+        const dynamic = count !== undefined && /\$\{/.test(count);
+        if (count === undefined || (!dynamic && !/^\d+$/.test(count))) {
+          error("Usage: repeat <count> [as name]");
+        } else if (as !== undefined && (as.toLowerCase() !== "as" || !NAME_RE.test(name || "") || tokens.length > 4)) {
+          error("Usage: repeat <count> [as name]");
+        }
+        open.push(program.length);
+        program.push({ op: "repeat", line, count, as: name || null, next: -1 });
+        break;
+      }
+      case "foreach": {
+        const [, name, inWord, items] = tokens;
+        if (!NAME_RE.test(name || "") || inWord?.toLowerCase() !== "in" || items === undefined || tokens.length > 4) {
+          error('Usage: foreach name in "a,b,c"');
+        }
+        open.push(program.length);
+        program.push({ op: "foreach", line, name, items, next: -1 });
+        break;
+      }
+      case "define": {
+        const parsed = parseDefine(raw);
+        if (parsed.error) {
+          error(parsed.error);
+        } else if (open.length) {
+          error("'define' must be at the top level");
+        } else if (procedures.has(parsed.name)) {
+          error(`Procedure already defined: ${parsed.name}`);
+        } else {
+          procedures.set(parsed.name, { params: parsed.params, index: program.length });
+        }
+        open.push(program.length);
+        program.push({ op: "define", line, name: parsed.name, params: parsed.params || [], next: -1 });
+        break;
+      }
+      case "call": {
+        if (!tokens[1]) {
+          error('Usage: call name "arg" ...');
+          break;
+        }
+        program.push({ op: "call", line, raw, name: tokens[1], args: tokens.slice(2), target: -1 });
+        break;
+      }
+      case "include": {
+        const path = normalizePath(tokens[1] || "");
+        if (!path || tokens.length > 2) {
+          error('Usage: include "path/to/script.pw"');
+        } else if (unit.stack.includes(path)) {
+          error(`Include cycle: ${[...unit.stack, path].join(" -> ")}`);
+        } else if (!Object.prototype.hasOwnProperty.call(unit.library, path)) {
+          error(`Script not found in library: ${path}`);
+        } else {
+          unit.stack.push(path);
+          compileInto(unit, unit.library[path], { line, path });
+          unit.stack.pop();
+        }
+        break;
+      }
+      case "end": {
+        if (!open.length) {
+          error("'end' without a matching block");
+          break;
+        }
+        const start = open.pop();
+        const header = program[start];
+        const end = program.length;
+        program.push({ op: "end", line, block: header.op, start });
+        if (header.elseIndex !== undefined) {
+          program[header.elseIndex].next = end + 1;
+        } else {
+          header.next = end + 1;
+        }
+        break;
+      }
+      default:
+        program.push({ op: "command", line, raw });
+    }
+  });
+
+  for (const index of open) {
+    const header = program[index];
+    const message = `'${header.op}' is missing 'end'`;
+    unit.errors.push({ line: header.line, message: include ? `${include.path}: ${message}` : message });
+  }
+}
+
+/**
+ * Returns fresh execution state for a compiled program.
+ */
+export function createRunState() {
+  return { pc: 0, loops: [], calls: [] };
+}
+
+/**
+ * True when no further command or block header can run.
+ */
+export function isFinished(program, state) {
+  let depth = state.loops.length;
+  let calls = state.calls.length;
+  for (let pc = state.pc; pc < program.length; pc++) {
+    const instr = program[pc];
+    if (instr.op === "define") {
+      pc = instr.next - 1;
+      continue;
+    }
+    if (instr.op === "end" && instr.block === "define") {
+      // Returning resumes the caller after its call line
+      const frame = state.calls[--calls];
+      if (!frame) continue;
+      depth = frame.loopDepth;
+      pc = frame.returnTo - 1;
+      continue;
+    }
+    if (instr.op === "comment" || (instr.op === "end" && instr.block === "if")) continue;
+    if (instr.op !== "end") return false;
+    // A loop end either jumps back for another iteration or falls through
+    const loop = state.loops[--depth];
+    if (!loop || loop.index + 1 < loop.values.length) return false;
+  }
+  return true;
+}
+
+/**
+ * Executes instructions until one that is visible to the user has run
+ * (a command, comment or block header), and returns it. Returns null once
+ * the program is finished. ctx provides:
+ *
+ *   enter(instr)         called before a visible instruction runs
+ *   execute(instr)       runs a command or comment
+ *   test(condition)      resolves to true when the if condition holds
+ *   expand(text)         substitutes ${name} variables (may throw)
+ *   getVariable(name)
+ *   setVariable(name, value)   undefined removes the variable
+ */
+export async function stepScript(program, state, ctx) {
+  while (state.pc < program.length) {
+    const instr = program[state.pc];
+    if (instr.op !== "else" && instr.op !== "end" && instr.op !== "define") ctx.enter(instr);
+    switch (instr.op) {
+      case "command":
+      case "comment":
+        state.pc++;
+        await ctx.execute(instr);
+        return instr;
+
+      case "if": {
+        const holds = await ctx.test(instr.condition);
+        state.pc = holds !== instr.condition.negate ? state.pc + 1 : instr.next;
+        return instr;
+      }
+
+      case "else":
+        // Reached by falling out of the if branch
+        state.pc = instr.next;
+        break;
+
+      case "repeat": {
+        const count = parseInt(ctx.expand(instr.count));
+        if (!(count > 0)) {
+          state.pc = instr.next;
+          return instr;
+        }
+        if (count > MAX_REPEAT) throw new Error(`Repeat count ${count} is above the limit (${MAX_REPEAT})`);
+        state.loops.push({ start: state.pc, values: Array.from({ length: count }, (_, i) => String(i + 1)), index: 0 });
+        if (instr.as) ctx.setVariable(instr.as, "1");
+        state.pc++;
+        return instr;
+      }
+
+      case "foreach": {
+        const values = ctx.expand(instr.items).split(",").map(v => v.trim()).filter(Boolean);
+        if (!values.length) {
+          state.pc = instr.next;
+          return instr;
+        }
+        state.loops.push({ start: state.pc, values, index: 0 });
+        ctx.setVariable(instr.name, values[0]);
+        state.pc++;
+        return instr;
+      }
+
+      case "define":
+        // Procedure bodies only run through call
+        state.pc = instr.next;
+        break;
+
+      case "call": {
+        if (state.calls.length >= MAX_CALL_DEPTH) {
+          throw new Error(`Maximum call depth (${MAX_CALL_DEPTH}) exceeded in ${instr.name}`);
+        }
+        const proc = program[instr.target];
+        const values = instr.args.map(arg => ctx.expand(arg));
+        // Parameters are local: remember what they shadow and restore on return
+        const saved = proc.params.map(name => [name, ctx.getVariable(name)]);
+        proc.params.forEach((name, i) => ctx.setVariable(name, values[i]));
+        state.calls.push({ returnTo: state.pc + 1, saved, loopDepth: state.loops.length });
+        state.pc = instr.target + 1;
+        return instr;
+      }
+
+      case "end": {
+        if (instr.block === "if") {
+          state.pc++;
+          break;
+        }
+        if (instr.block === "define") {
+          const frame = state.calls.pop();
+          if (!frame) {
+            state.pc++;
+            break;
+          }
+          for (const [name, value] of frame.saved) ctx.setVariable(name, value);
+          state.loops.length = frame.loopDepth;
+          state.pc = frame.returnTo;
+          break;
+        }
+        const loop = state.loops[state.loops.length - 1];
+        loop.index++;
+        if (loop.index < loop.values.length) {
+          const header = program[loop.start];
+          const name = header.op === "foreach" ? header.name : header.as;
+          if (name) ctx.setVariable(name, loop.values[loop.index]);
+          state.pc = loop.start + 1;
+        } else {
+          state.loops.pop();
+          state.pc++;
+        }
+        break;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,104 @@
+// Cookies and localStorage in Playwright's storageState JSON format
+// ({ cookies, origins }), for storage-save/storage-load, plus the cookie
+// listing behind the `cookies` command.
+
+const SAME_SITE = { strict: "Strict", lax: "Lax", none: "None" };
+
+/**
+ * Returns the SameSite value CDP and Playwright spell as Strict, Lax or
+ * None, or null when text is none of them.
+ */
+export function normalizeSameSite(text) {
+  return SAME_SITE[String(text).toLowerCase()] || null;
+}
+
+/**
+ * Converts a CDP Network.Cookie to a storageState cookie. Session cookies
+ * expire at -1 and a missing SameSite means Lax, as in Playwright.
+ */
+export function toStateCookie(cookie) {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.session || !(cookie.expires > 0) ? -1 : cookie.expires,
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+    sameSite: cookie.sameSite || "Lax",
+  };
+}
+
+/**
+ * Converts a storageState cookie to Network.setCookies parameters.
+ */
+export function toCdpCookie(cookie) {
+  const params = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path || "/",
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+  };
+  if (cookie.expires > 0) params.expires = cookie.expires;
+  const sameSite = cookie.sameSite && normalizeSameSite(cookie.sameSite);
+  if (sameSite) params.sameSite = sameSite;
+  return params;
+}
+
+/**
+ * Builds a storageState object from CDP cookies and the localStorage of
+ * each origin ([{ origin, localStorage: [{ name, value }] }]).
+ */
+export function buildStorageState(cookies, origins) {
+  return { cookies: cookies.map(toStateCookie), origins };
+}
+
+/**
+ * Parses storageState JSON. Returns { cookies, origins } or { error }.
+ */
+export function parseStorageState(text) {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (e) {
+    return { error: `Not a storage state file: ${e.message}` };
+  }
+  const isString = (v) => typeof v === "string";
+  const cookies = state?.cookies ?? [];
+  const origins = state?.origins ?? [];
+  if (!Array.isArray(cookies) || !cookies.every(c => isString(c?.name) && isString(c.value) && isString(c.domain))) {
+    return { error: "Not a storage state file: cookies need a name, value and domain" };
+  }
+  if (!Array.isArray(origins) || !origins.every(o => isString(o?.origin) && Array.isArray(o.localStorage) &&
+      o.localStorage.every(item => isString(item?.name) && isString(item.value)))) {
+    return { error: "Not a storage state file: origins need an origin and localStorage items" };
+  }
+  return { cookies, origins };
+}
+
+// Longest cookie value shown by `cookies`
+const MAX_VALUE_LENGTH = 40;
+
+function cookieFlags(cookie) {
+  const flags = [];
+  if (cookie.httpOnly) flags.push("HttpOnly");
+  if (cookie.secure) flags.push("Secure");
+  if (cookie.sameSite) flags.push(`SameSite=${cookie.sameSite}`);
+  return flags.join(" ");
+}
+
+/**
+ * Formats CDP cookies as aligned columns: name=value, domain, path,
+ * expiry (session or ISO date) and flags.
+ */
+export function formatCookies(cookies) {
+  const rows = cookies.map(c => {
+    const value = c.value.length > MAX_VALUE_LENGTH ? c.value.slice(0, MAX_VALUE_LENGTH) + "…" : c.value;
+    const expires = c.session || !(c.expires > 0) ? "session" : new Date(c.expires * 1000).toISOString().slice(0, 19) + "Z";
+    return [`${c.name}=${value}`, c.domain, c.path, expires, cookieFlags(c)];
+  });
+  const widths = [0, 1, 2, 3].map(i => Math.max(...rows.map(r => r[i].length)));
+  return rows.map(r => r.map((cell, i) => i < 4 ? cell.padEnd(widths[i]) : cell).join("  ").trimEnd()).join("\n");
+}
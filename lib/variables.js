@@ -0,0 +1,73 @@
+import { tokenize } from "./commands.js";
+
+// ${name} reference inside a command
+const VAR_RE = /\$\{([A-Za-z_]\w*)\}/g;
+
+const NAME_RE = /^[A-Za-z_]\w*$/;
+
+/**
+ * Replaces every ${name} in raw with its value from vars.
+ * Throws on a variable that is not defined.
+ */
+export function interpolate(raw, vars) {
+  return raw.replace(VAR_RE, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+      throw new Error(`Undefined variable: ${name}`);
+    }
+    return String(vars[name]);
+  });
+}
+
+/**
+ * Substitutes ${name} in each token of a tokenized command, so a value with
+ * spaces or quotes (often page text captured with set name = eval) stays
+ * one argument. Throws on a variable that is not defined.
+ */
+export function interpolateTokens(tokens, vars) {
+  return tokens.map(token => interpolate(token, vars));
+}
+
+/**
+ * Returns the variable names referenced with ${name} in text, in order of
+ * first use.
+ */
+export function variableNames(text) {
+  const names = [];
+  for (const m of text.matchAll(VAR_RE)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+/**
+ * Parses a set line into one of:
+ *   set name "value"         → { name, value }
+ *   set name = eval <expr>   → { name, command: "eval <expr>" } (capture)
+ * Returns { error } for malformed lines.
+ */
+export function parseSet(raw) {
+  const usage = 'Usage: set name "value" or set name = <command>';
+  const tokens = tokenize(raw);
+  const name = tokens[1];
+  if (!name) return { error: usage };
+  if (!NAME_RE.test(name)) return { error: `Invalid variable name: "${name}"` };
+
+  const capture = /^\s*\S+\s+\S+\s+=(?:\s+|$)([\s\S]*)$/.exec(raw);
+  if (capture) {
+    const command = capture[1].trim();
+    if (!command) return { error: usage };
+    return { name, command };
+  }
+  if (tokens.length !== 3) return { error: usage };
+  return { name, value: tokens[2] };
+}
+
+/**
+ * Converts a command result into the string stored by a capture.
+ * Uses the raw value when the command provides one (eval does).
+ */
+export function capturedValue(result) {
+  const value = "value" in result ? result.value : result.data;
+  if (value === undefined || value === null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
@@ -1,4 +1,10 @@
-import { pwToPlaywright } from "../lib/converter.js";
+import { pwToPlaywright, exportScript } from "../lib/converter.js";
+import { tokenize } from "../lib/commands.js";
+import { interpolate, interpolateTokens, parseSet, capturedValue } from "../lib/variables.js";
+import { compileScript, conditionCommand, createRunState, stepScript, isFinished } from "../lib/script.js";
+import { LIBRARY_KEY, readLibrary, writeFile, deleteFile, normalizePath } from "../lib/library.js";
+import { createZip } from "../lib/zip.js";
+import { FIXTURES_DIR, saveFixture } from "../lib/fixtures.js";
 
 // --- DOM references ---
 
@@ -16,6 +22,7 @@ const saveBtn = document.getElementById("save-btn");
 const exportBtn = document.getElementById("export-btn");
 const recordBtn = document.getElementById("record-btn");
 const copyBtn = document.getElementById("copy-btn");
+const fixturesBtn = document.getElementById("fixtures-btn");
 const stepBtn = document.getElementById("step-btn");
 const consoleClearBtn = document.getElementById("console-clear-btn");
 const lineHighlight = document.getElementById("line-highlight");
@@ -23,6 +30,7 @@ const lightbox = document.getElementById("lightbox");
 const lightboxImg = document.getElementById("lightbox-img");
 const lightboxSaveBtn = document.getElementById("lightbox-save-btn");
 const lightboxCloseBtn = document.getElementById("lightbox-close-btn");
+const lightboxCompare = document.getElementById("lightbox-compare");
 const ghostText = document.getElementById("ghost-text");
 const dropdown = document.getElementById("autocomplete-dropdown");
 
@@ -47,24 +55,45 @@ let currentRunLine = -1;
 let runPassCount = 0;
 let runFailCount = 0;
 let lineResults = []; // "pass" | "fail" | null per line
+let runScreenshots = []; // { name, data } taken by the current run, for the zip
 
-// Step state
-let stepLine = -1; // Next line to execute when stepping, -1 = not stepping
+// Step state: { program, state } while stepping through the script, else null
+let stepSession = null;
 
 // File state
 let currentFilename = "";
 
+// Variables: set by `set` (cleared when a run starts) over the active
+// environment profile's defaults. Profiles live in chrome.storage.local.
+const ENV_STORAGE_KEY = "pwEnvProfiles";
+let scriptVariables = {};
+let envProfiles = {};
+let activeEnv = "";
+
+// Scripts stored by the extension for `include` ({ path: text }), kept in
+// sync with chrome.storage.local
+let library = {};
+
+// Control-flow keywords, run by the script interpreter (lib/script.js)
+const BLOCK_KEYWORDS = new Set(["if", "else", "end", "repeat", "foreach", "define", "call", "include"]);
+
 // Commands handled locally (not added to history, not sent to background)
 const LOCAL_COMMANDS = new Set(["history", "clear", "reset"]);
 
 // All commands for autocomplete
 const COMMANDS = [
   "goto", "open", "click", "dblclick", "fill", "select",
-  "check", "uncheck", "hover", "press", "snapshot",
-  "screenshot", "eval", "go-back", "back", "go-forward", "forward",
+  "check", "uncheck", "hover", "drag", "upload", "fixtures", "fixture-delete", "press", "type", "snapshot", "frame",
+  "screenshot", "pdf", "eval", "network", "wait-for-request", "wait-for-response",
+  "wait-for-idle", "route", "route-from-file", "unroute", "routes",
+  "console", "har-start", "har-stop", "har-replay", "resize", "device", "color-scheme",
+  "geolocation", "timezone", "locale", "offline", "cookies", "cookie-set", "cookie-delete",
+  "cookies-clear", "localstorage", "sessionstorage", "storage-save", "storage-load", "go-back", "back", "go-forward", "forward",
   "reload", "verify-text", "verify-no-text", "verify-element",
-  "verify-no-element", "verify-url", "verify-title",
-  "export", "help", "history", "clear", "reset"
+  "verify-no-element", "verify-url", "verify-title", "verify-no-console-errors", "verify-screenshot", "timeout",
+  "set", "env", "if", "else", "end", "repeat", "foreach",
+  "define", "call", "include", "library", "tab-list", "tab-select", "tab-new", "tab-close",
+  "dialog-accept", "dialog-dismiss", "dialog-policy", "export", "help", "history", "clear", "reset"
 ];
 
 // --- Autocomplete ---
@@ -155,8 +184,14 @@ function addSnapshot(text) {
   addLine(text, "line-snapshot");
 }
 
-function addScreenshot(base64) {
+// File name for a screenshot: its --name, else a timestamp
+function screenshotFileName(name) {
+  return (name || "screenshot-" + new Date().toISOString().slice(0, 19).replace(/:/g, "-")) + ".png";
+}
+
+function addScreenshot(base64, name) {
   const dataUrl = "data:image/png;base64," + base64;
+  const filename = screenshotFileName(name);
 
   const wrapper = document.createElement("div");
   wrapper.className = "screenshot-block";
@@ -165,6 +200,7 @@ function addScreenshot(base64) {
   img.src = dataUrl;
   img.addEventListener("click", () => {
     lightboxImg.src = dataUrl;
+    lightboxImg.dataset.filename = filename;
     lightbox.hidden = false;
   });
   wrapper.appendChild(img);
@@ -183,7 +219,7 @@ function addScreenshot(base64) {
   saveBtnEl.addEventListener("click", () => {
     const a = document.createElement("a");
     a.href = dataUrl;
-    a.download = "screenshot-" + new Date().toISOString().slice(0, 19).replace(/:/g, "-") + ".png";
+    a.download = filename;
     a.click();
   });
   actions.appendChild(saveBtnEl);
@@ -194,6 +230,115 @@ function addScreenshot(base64) {
   output.scrollTop = output.scrollHeight;
 }
 
+// Blob URLs given to a download or a new tab are revoked only once the
+// browser has had time to read them
+const BLOB_URL_LIFETIME = 60000;
+
+function revokeLater(url) {
+  setTimeout(() => URL.revokeObjectURL(url), BLOB_URL_LIFETIME);
+}
+
+// File name for a PDF: its --name, else a timestamp
+function pdfFileName(name) {
+  return (name || "page-" + new Date().toISOString().slice(0, 19).replace(/:/g, "-")) + ".pdf";
+}
+
+function addPdf(base64, name) {
+  const filename = pdfFileName(name);
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+  const line = document.createElement("div");
+  line.className = "line line-info pdf-block";
+  line.textContent = `${filename} (${Math.ceil(bytes.length / 1024)} kB) `;
+
+  const openBtn = document.createElement("button");
+  openBtn.className = "screenshot-btn";
+  openBtn.textContent = "Open";
+  openBtn.addEventListener("click", () => {
+    const url = URL.createObjectURL(new Blob([bytes], { type: "application/pdf" }));
+    window.open(url);
+    revokeLater(url);
+  });
+
+  const saveBtnEl = document.createElement("button");
+  saveBtnEl.className = "screenshot-btn";
+  saveBtnEl.textContent = "Save";
+  saveBtnEl.addEventListener("click", () => {
+    const a = document.createElement("a");
+    a.href = "data:application/pdf;base64," + base64;
+    a.download = filename;
+    a.click();
+  });
+
+  line.append(openBtn, saveBtnEl);
+  output.appendChild(line);
+  output.scrollTop = output.scrollHeight;
+}
+
+// Labelled images of a failed verify-screenshot (expected, actual and,
+// unless the sizes differ, the diff)
+function comparisonFigures(images) {
+  return [["Expected", images.expected], ["Actual", images.actual], ["Diff", images.diff]]
+    .filter(([, data]) => data)
+    .map(([label, data]) => {
+      const figure = document.createElement("figure");
+      const img = document.createElement("img");
+      img.src = "data:image/png;base64," + data;
+      const caption = document.createElement("figcaption");
+      caption.textContent = label;
+      figure.append(img, caption);
+      return figure;
+    });
+}
+
+function addScreenshotComparison(images) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "screenshot-compare";
+  wrapper.append(...comparisonFigures(images));
+  wrapper.addEventListener("click", () => {
+    lightboxCompare.replaceChildren(...comparisonFigures(images));
+    lightboxCompare.hidden = false;
+    lightboxImg.hidden = true;
+    lightboxSaveBtn.hidden = true;
+    lightbox.hidden = false;
+  });
+  output.appendChild(wrapper);
+  output.scrollTop = output.scrollHeight;
+}
+
+// Keeps a Run screenshot for the zip, named by its script line
+// (line-12.png, or line-12-checkout.png with --name; repeats get -2, -3...)
+function collectRunScreenshot(result) {
+  const base = `line-${currentRunLine + 1}${result.name ? "-" + result.name : ""}`;
+  let name = base;
+  for (let n = 2; runScreenshots.some(s => s.name === name + ".png"); n++) name = `${base}-${n}`;
+  runScreenshots.push({ name: name + ".png", data: result.data });
+}
+
+// Offers the Run's screenshots as one zip download
+function addScreenshotZip(screenshots) {
+  const line = document.createElement("div");
+  line.className = "line line-info screenshot-zip";
+  line.textContent = `${screenshots.length} screenshot${screenshots.length !== 1 ? "s" : ""} taken during this run `;
+
+  const downloadBtn = document.createElement("button");
+  downloadBtn.className = "screenshot-btn";
+  downloadBtn.textContent = "Download zip";
+  downloadBtn.addEventListener("click", () => {
+    const files = screenshots.map(({ name, data }) => ({ name, data: Uint8Array.from(atob(data), c => c.charCodeAt(0)) }));
+    const url = URL.createObjectURL(new Blob([createZip(files)], { type: "application/zip" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "screenshots-" + new Date().toISOString().slice(0, 19).replace(/:/g, "-") + ".zip";
+    a.click();
+    revokeLater(url);
+  });
+  line.appendChild(downloadBtn);
+
+  output.appendChild(line);
+  output.scrollTop = output.scrollHeight;
+}
+
 function addComment(text) {
   addLine(text, "line-comment");
 }
@@ -309,12 +454,9 @@ function clearConsole() {
   updateConsoleStats();
 }
 
-function findNextExecutableLine(startFrom, lines) {
-  for (let i = startFrom; i < lines.length; i++) {
-    const trimmed = lines[i].trim();
-    if (trimmed && !trimmed.startsWith("#")) return i;
-  }
-  return -1;
+// Records a line's result; inside loops a failure sticks across iterations
+function markLine(status) {
+  if (lineResults[currentRunLine] !== "fail") lineResults[currentRunLine] = status;
 }
 
 function updateConsoleStats() {
@@ -330,7 +472,7 @@ function updateConsoleStats() {
 // Editor input/scroll listeners
 editor.addEventListener("input", () => {
   // Reset execution state when editor content changes
-  stepLine = -1;
+  stepSession = null;
   currentRunLine = -1;
   lineResults = [];
   updateLineNumbers();
@@ -342,25 +484,151 @@ editor.addEventListener("scroll", syncScroll);
 // --- Export helper ---
 
 function exportFromLines(cmds) {
-  const lines = [
-    `import { test, expect } from '@playwright/test';`,
-    ``,
-    `test('recorded session', async ({ page }) => {`,
-  ];
-  for (const cmd of cmds) {
-    if (cmd.startsWith("#")) {
-      lines.push(`  ${cmd.replace("#", "//")}`);
-      continue;
+  addCodeBlock(exportScript(cmds, envProfiles[activeEnv] || {}, library));
+}
+
+// --- Variables and environment profiles ---
+
+function currentVariables() {
+  return { ...(envProfiles[activeEnv] || {}), ...scriptVariables };
+}
+
+async function loadEnvProfiles() {
+  try {
+    const stored = await chrome.storage.local.get(ENV_STORAGE_KEY);
+    envProfiles = stored?.[ENV_STORAGE_KEY] || {};
+  } catch (e) {
+    envProfiles = {};
+  }
+}
+
+// set name "value" | set name = <command>
+async function cmdSet(raw) {
+  const parsed = parseSet(raw);
+  if (parsed.error) return { success: false, type: "error", data: parsed.error };
+  if (parsed.command === undefined) {
+    let value;
+    try {
+      value = interpolate(parsed.value, currentVariables());
+    } catch (e) {
+      return { success: false, type: "error", data: e.message };
     }
-    const converted = pwToPlaywright(cmd);
-    if (converted) {
-      lines.push(`  ${converted}`);
+    scriptVariables[parsed.name] = value;
+    return { success: true, type: "success", data: `${parsed.name} = ${JSON.stringify(value)}` };
+  }
+  const result = await runCommand(parsed.command);
+  if (!result || !result.success) return result;
+  const value = capturedValue(result);
+  scriptVariables[parsed.name] = value;
+  return { success: true, type: "success", data: `${parsed.name} = ${JSON.stringify(value)}` };
+}
+
+// env | env <profile> | env <profile> <name> "value"
+async function cmdEnv(args) {
+  const [profile, name, value] = args;
+  if (!profile) {
+    const names = Object.keys(envProfiles);
+    if (!names.length) {
+      return { success: true, type: "info", data: 'No environment profiles. Define one with: env dev baseUrl "http://localhost:3000"' };
+    }
+    const lines = names.map(n => {
+      const vars = Object.entries(envProfiles[n]).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(" ");
+      return `${n === activeEnv ? "*" : " "} ${n}  ${vars}`;
+    });
+    return { success: true, type: "info", data: lines.join("\n") };
+  }
+  if (name === undefined) {
+    if (!envProfiles[profile]) {
+      return { success: false, type: "error", data: `Unknown environment: ${profile}` };
     }
+    activeEnv = profile;
+    return { success: true, type: "success", data: `Using environment "${profile}"` };
   }
-  lines.push(`});`);
+  if (value === undefined) {
+    return { success: false, type: "error", data: 'Usage: env <profile> <name> "value"' };
+  }
+  envProfiles[profile] = { ...envProfiles[profile], [name]: value };
+  try {
+    await chrome.storage.local.set({ [ENV_STORAGE_KEY]: envProfiles });
+  } catch (e) {
+    return { success: false, type: "error", data: `Could not save environment: ${e.message}` };
+  }
+  return { success: true, type: "success", data: `${profile}: ${name} = ${JSON.stringify(value)}` };
+}
 
-  const code = lines.join("\n");
-  addCodeBlock(code);
+// --- Script library ---
+
+async function loadLibrary() {
+  try {
+    library = await readLibrary();
+  } catch (e) {
+    library = {};
+  }
+}
+
+// library | library save|open|remove <path>
+async function cmdLibrary(args) {
+  const [action, path] = args;
+  if (!action) {
+    const paths = Object.keys(library).sort();
+    if (!paths.length) {
+      return { success: true, type: "info", data: "Library is empty. Store the editor with: library save common/login.pw" };
+    }
+    return { success: true, type: "info", data: paths.join("\n") };
+  }
+  if (!["save", "open", "remove"].includes(action) || !path) {
+    return { success: false, type: "error", data: "Usage: library [save|open|remove <path>]" };
+  }
+  const key = normalizePath(path);
+  try {
+    if (action === "save") {
+      if (!editor.value.trim()) return { success: false, type: "error", data: "Editor is empty." };
+      await writeFile(key, editor.value);
+      library[key] = editor.value;
+      return { success: true, type: "success", data: `Saved editor to library as ${key}` };
+    }
+    if (!Object.prototype.hasOwnProperty.call(library, key)) {
+      return { success: false, type: "error", data: `Script not found in library: ${key}` };
+    }
+    if (action === "open") {
+      editor.value = library[key];
+      currentFilename = key;
+      editor.dispatchEvent(new Event("input"));
+      return { success: true, type: "success", data: `Opened ${key} from library` };
+    }
+    await deleteFile(key);
+    delete library[key];
+    return { success: true, type: "success", data: `Removed ${key} from library` };
+  } catch (e) {
+    return { success: false, type: "error", data: `Library ${action} failed: ${e.message}` };
+  }
+}
+
+/**
+ * Runs one command: set/env are handled here, anything else has its
+ * ${name} variables substituted token by token and is sent to the
+ * background worker as tokens.
+ */
+async function runCommand(raw) {
+  const tokens = tokenize(raw);
+  const command = (tokens[0] || "").toLowerCase();
+  if (command === "set") return cmdSet(raw);
+  if (command === "env") return cmdEnv(tokens.slice(1));
+  if (command === "library") return cmdLibrary(tokens.slice(1));
+  if (BLOCK_KEYWORDS.has(command)) {
+    return { success: false, type: "error", data: `'${command}' blocks only run from the editor (Run or Step)` };
+  }
+  let expanded;
+  try {
+    expanded = interpolateTokens(tokens, currentVariables());
+  } catch (e) {
+    return { success: false, type: "error", data: e.message };
+  }
+  return chrome.runtime.sendMessage({
+    type: "pw-command",
+    tokens: expanded,
+    tabId: inspectedTabId,
+  });
 }
 
 // --- Command execution (REPL ad-hoc) ---
@@ -425,11 +693,7 @@ async function executeCommand(raw) {
   addCommand(trimmed);
 
   try {
-    const result = await chrome.runtime.sendMessage({
-      type: "pw-command",
-      raw: trimmed,
-      tabId: inspectedTabId,
-    });
+    const result = await runCommand(trimmed);
 
     if (!result) {
       addError("No response from background worker.");
@@ -442,6 +706,7 @@ async function executeCommand(raw) {
         break;
       case "error":
         addError(result.data);
+        if (result.images) addScreenshotComparison(result.images);
         break;
       case "info":
         addInfo(result.data);
@@ -452,7 +717,10 @@ async function executeCommand(raw) {
         }
         break;
       case "screenshot":
-        addScreenshot(result.data);
+        addScreenshot(result.data, result.name);
+        break;
+      case "pdf":
+        addPdf(result.data, result.name);
         break;
       default:
         addInfo(result.data || "Done.");
@@ -477,15 +745,11 @@ async function executeCommandForRun(raw) {
   addCommand(trimmed);
 
   try {
-    const result = await chrome.runtime.sendMessage({
-      type: "pw-command",
-      raw: trimmed,
-      tabId: inspectedTabId,
-    });
+    const result = await runCommand(trimmed);
 
     if (!result) {
       addError("No response from background worker.");
-      lineResults[currentRunLine] = "fail";
+      markLine("fail");
       runFailCount++;
       updateConsoleStats();
       updateLineNumbers();
@@ -495,39 +759,46 @@ async function executeCommandForRun(raw) {
     switch (result.type) {
       case "success":
         addSuccess(result.data);
-        lineResults[currentRunLine] = "pass";
+        markLine("pass");
         runPassCount++;
         break;
       case "error":
         addError(result.data);
-        lineResults[currentRunLine] = "fail";
+        if (result.images) addScreenshotComparison(result.images);
+        markLine("fail");
         runFailCount++;
         break;
       case "info":
         addInfo(result.data);
-        lineResults[currentRunLine] = "pass";
+        markLine("pass");
         runPassCount++;
         break;
       case "snapshot":
         for (const line of result.data.split("\n")) {
           addSnapshot(line);
         }
-        lineResults[currentRunLine] = "pass";
+        markLine("pass");
         runPassCount++;
         break;
       case "screenshot":
-        addScreenshot(result.data);
-        lineResults[currentRunLine] = "pass";
+        addScreenshot(result.data, result.name);
+        collectRunScreenshot(result);
+        markLine("pass");
+        runPassCount++;
+        break;
+      case "pdf":
+        addPdf(result.data, result.name);
+        markLine("pass");
         runPassCount++;
         break;
       default:
         addInfo(result.data || "Done.");
-        lineResults[currentRunLine] = "pass";
+        markLine("pass");
         runPassCount++;
     }
   } catch (e) {
     addError(`Error: ${e.message}`);
-    lineResults[currentRunLine] = "fail";
+    markLine("fail");
     runFailCount++;
   }
   updateConsoleStats();
@@ -665,6 +936,68 @@ editor.addEventListener("keydown", (e) => {
   }
 });
 
+// --- Script execution (Run and Step share one program counter) ---
+
+// Compiles the editor, reporting block errors in the console and gutter.
+// Returns the program, or null when the script does not parse.
+function compileEditor() {
+  const { program, errors } = compileScript(editor.value, library);
+  if (!errors.length) return program;
+  lineResults = [];
+  for (const { line, message } of errors) {
+    addError(`Line ${line + 1}: ${message}`);
+    lineResults[line] = "fail";
+  }
+  updateLineNumbers();
+  return null;
+}
+
+function scriptContext({ showComments }) {
+  return {
+    enter(instr) {
+      currentRunLine = instr.line;
+      updateLineNumbers();
+      // The source line itself: an if or call inside an included file or a
+      // procedure is not the editor line the gutter shows
+      if (instr.op === "call" || instr.op === "if") addCommand(instr.raw);
+    },
+    async execute(instr) {
+      if (instr.op === "command") await executeCommandForRun(instr.raw);
+      else if (showComments) addComment(instr.raw);
+    },
+    async test(condition) {
+      const result = await runCommand(conditionCommand(condition));
+      return !!result?.success;
+    },
+    expand(text) {
+      return interpolate(text, currentVariables());
+    },
+    getVariable(name) {
+      return scriptVariables[name];
+    },
+    setVariable(name, value) {
+      if (value === undefined) delete scriptVariables[name];
+      else scriptVariables[name] = value;
+    },
+  };
+}
+
+// Runs one visible instruction; a thrown error (e.g. an undefined variable
+// in a loop header) fails the current line. Returns the instruction or null.
+async function stepSessionOnce(session, ctx) {
+  try {
+    return await stepScript(session.program, session.state, ctx);
+  } catch (e) {
+    addError(e.message);
+    markLine("fail");
+    runFailCount++;
+    updateConsoleStats();
+    updateLineNumbers();
+    session.state.pc = session.program.length;
+    return null;
+  }
+}
+
 // --- Run button ---
 
 runBtn.addEventListener("click", async () => {
@@ -683,35 +1016,31 @@ runBtn.addEventListener("click", async () => {
     return;
   }
 
-  const lines = content.split("\n");
-  const startLine = stepLine > 0 ? stepLine : 0;
-
-  isRunning = true;
-  stepBtn.disabled = true;
-  runBtn.textContent = "\u25A0";
-
-  // Only reset stats if starting fresh (not continuing from step)
-  if (startLine === 0) {
+  // Continue from the current step, or start fresh
+  const continuing = stepSession !== null;
+  let session = stepSession;
+  if (!continuing) {
+    const program = compileEditor();
+    if (!program) return;
+    session = { program, state: createRunState() };
     runPassCount = 0;
     runFailCount = 0;
-    lineResults = new Array(lines.length).fill(null);
+    lineResults = new Array(content.split("\n").length).fill(null);
+    scriptVariables = {};
+    runScreenshots = [];
     updateConsoleStats();
   }
 
-  addInfo(startLine > 0 ? "Continuing run from step..." : "Running script...");
-
-  for (let i = startLine; i < lines.length; i++) {
-    if (!isRunning) break;
-    const line = lines[i].trim();
-
-    // Skip empty lines and comments (comments shown but not counted)
-    if (!line) continue;
-
-    currentRunLine = i;
-    updateLineNumbers();
+  isRunning = true;
+  stepBtn.disabled = true;
+  runBtn.textContent = "\u25A0";
 
-    await executeCommandForRun(line);
+  addInfo(continuing ? "Continuing run from step..." : "Running script...");
 
+  const ctx = scriptContext({ showComments: true });
+  while (isRunning) {
+    const instr = await stepSessionOnce(session, ctx);
+    if (!instr) break;
     if (isRunning) await new Promise((r) => setTimeout(r, 300));
   }
 
@@ -719,9 +1048,10 @@ runBtn.addEventListener("click", async () => {
   stepBtn.disabled = false;
   runBtn.textContent = "\u25B6";
   currentRunLine = -1;
-  stepLine = -1;
+  stepSession = null;
   updateLineNumbers();
   addInfo("Run complete.");
+  if (runScreenshots.length) addScreenshotZip(runScreenshots);
 });
 
 // --- Step button ---
@@ -735,44 +1065,44 @@ stepBtn.addEventListener("click", async () => {
     return;
   }
 
-  const lines = content.split("\n");
-
   // Initialize step state on first click
-  if (stepLine === -1) {
-    stepLine = 0;
-    lineResults = new Array(lines.length).fill(null);
+  if (stepSession === null) {
+    const program = compileEditor();
+    if (!program) return;
+    stepSession = { program, state: createRunState() };
+    lineResults = new Array(content.split("\n").length).fill(null);
+    scriptVariables = {};
+    runScreenshots = [];
     runPassCount = 0;
     runFailCount = 0;
     updateConsoleStats();
   }
 
-  // Find next executable line from current step position
-  const nextLine = findNextExecutableLine(stepLine, lines);
+  // Execute the next command or block header (comments are skipped)
+  stepBtn.disabled = true;
+  const session = stepSession;
+  const ctx = scriptContext({ showComments: false });
+  let instr;
+  do {
+    instr = await stepSessionOnce(session, ctx);
+  } while (instr && instr.op === "comment");
+  stepBtn.disabled = false;
 
-  if (nextLine === -1) {
+  if (!instr) {
     addInfo("Step complete. No more lines to execute.");
-    stepLine = -1;
+    stepSession = null;
     currentRunLine = -1;
     updateLineNumbers();
     return;
   }
 
-  // Execute the line
-  stepBtn.disabled = true;
-  currentRunLine = nextLine;
+  // Keep highlight on last stepped line
   updateLineNumbers();
 
-  await executeCommandForRun(lines[nextLine]);
-
-  stepLine = nextLine + 1;
-  currentRunLine = nextLine; // Keep highlight on last stepped line
-  updateLineNumbers();
-  stepBtn.disabled = false;
-
   // Check if there are more executable lines
-  if (findNextExecutableLine(stepLine, lines) === -1) {
+  if (isFinished(session.program, session.state)) {
     addInfo("Step complete. All lines executed.");
-    stepLine = -1;
+    stepSession = null;
     currentRunLine = -1;
     updateLineNumbers();
   }
@@ -821,7 +1151,7 @@ saveBtn.addEventListener("click", () => {
   a.href = url;
   a.download = finalName;
   a.click();
-  URL.revokeObjectURL(url);
+  revokeLater(url);
   currentFilename = finalName;
   updateFileInfo();
   addSuccess("Saved as " + finalName);
@@ -854,6 +1184,31 @@ copyBtn.addEventListener("click", () => {
   }
 });
 
+// --- Fixtures button ---
+
+// Files picked here are kept in the extension for `upload`, since commands
+// have no access to the file system
+fixturesBtn.addEventListener("click", () => {
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.multiple = true;
+  fileInput.addEventListener("change", async () => {
+    for (const file of fileInput.files) {
+      try {
+        const name = await saveFixture(file.name, {
+          type: file.type,
+          lastModified: file.lastModified,
+          data: await file.arrayBuffer(),
+        });
+        addSuccess(`Added fixture ${FIXTURES_DIR}${name}`);
+      } catch (e) {
+        addError(`Could not add fixture ${file.name}: ${e.message}`);
+      }
+    }
+  });
+  fileInput.click();
+});
+
 // --- Console header clear button ---
 
 consoleClearBtn.addEventListener("click", clearConsole);
@@ -911,6 +1266,13 @@ function connectPort() {
   port.onMessage.addListener((message) => {
     if (message.type === "pw-recorded-command") {
       appendToEditor(message.command);
+    } else if (message.type === "pw-event") {
+      // Page events reported by the background worker (e.g. dialogs)
+      if (message.level === "error") addError(message.text);
+      else addInfo(message.text);
+    } else if (message.type === "pw-console") {
+      // Page console output streamed by `console live on`
+      addLine(message.text, `line-console line-console-${message.level}`);
     }
   });
   port.onDisconnect.addListener(() => {
@@ -960,23 +1322,26 @@ document.addEventListener("mouseup", () => {
 
 // --- Lightbox ---
 
+function closeLightbox() {
+  lightbox.hidden = true;
+  lightboxImg.src = "";
+  lightboxImg.hidden = false;
+  lightboxSaveBtn.hidden = false;
+  lightboxCompare.hidden = true;
+  lightboxCompare.replaceChildren();
+}
+
 lightbox.addEventListener("click", (e) => {
   // Only close when clicking the backdrop, not the image or save button
-  if (e.target === lightbox) {
-    lightbox.hidden = true;
-    lightboxImg.src = "";
-  }
+  if (e.target === lightbox || e.target === lightboxCompare) closeLightbox();
 });
 
-lightboxCloseBtn.addEventListener("click", () => {
-  lightbox.hidden = true;
-  lightboxImg.src = "";
-});
+lightboxCloseBtn.addEventListener("click", closeLightbox);
 
 lightboxSaveBtn.addEventListener("click", () => {
   const a = document.createElement("a");
   a.href = lightboxImg.src;
-  a.download = "screenshot-" + new Date().toISOString().slice(0, 19).replace(/:/g, "-") + ".png";
+  a.download = lightboxImg.dataset.filename || screenshotFileName();
   a.click();
 });
 
@@ -984,13 +1349,17 @@ document.addEventListener("keydown", (e) => {
   if (e.key === "Escape" && !lightbox.hidden) {
     e.stopPropagation();
     e.preventDefault();
-    lightbox.hidden = true;
-    lightboxImg.src = "";
+    closeLightbox();
   }
 });
 
 // --- Init ---
 
+loadEnvProfiles();
+loadLibrary();
+chrome.storage?.onChanged?.addListener((changes, area) => {
+  if (area === "local" && changes[LIBRARY_KEY]) library = changes[LIBRARY_KEY].newValue || {};
+});
 updateLineNumbers();
 updateFileInfo();
 updateButtonStates();
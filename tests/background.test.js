@@ -1,6 +1,9 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { chrome } from "vitest-chrome/lib/index.esm.js";
 import { readFileSync } from "fs";
+import { createNetworkLog, recordNetworkEvent } from "../lib/network.js";
+import { saveFixture } from "../lib/fixtures.js";
+import { createIndexedDB } from "./indexeddb-stub.js";
 import { resolve } from "path";
 
 // Read the actual recorder.js file content for fetch mock
@@ -31,7 +34,11 @@ beforeEach(() => {
 
 // Dynamic import so chrome mocks are in place first
 let handleCommand, cmdHelp, getRecorderCode, startRecording, stopRecording,
-  ensureAttached, waitForLoad, attachedTabs, recordingTabs, panelPorts;
+  ensureAttached, waitForLoad, adoptPopup, onDialogOpening, onDialogClosed,
+  attachedTabs, recordingTabs, panelPorts, tabSessions, openDialogs, dialogPolicies, defaultTimeouts, networkLogs,
+  tabRoutes, onRequestPaused, interceptedDrags, onDragIntercepted, frameContexts, frameSessions, selectedFrames,
+  onExecutionContextEvent, onTargetAttached, harRecordings, onHarNetworkEvent, consoleLogs, consoleLive, onConsoleEvent,
+  tabEmulation;
 
 beforeEach(async () => {
   const mod = await import("../background.js");
@@ -42,13 +49,46 @@ beforeEach(async () => {
   stopRecording = mod.stopRecording;
   ensureAttached = mod.ensureAttached;
   waitForLoad = mod.waitForLoad;
+  adoptPopup = mod.adoptPopup;
+  onDialogOpening = mod.onDialogOpening;
+  onDialogClosed = mod.onDialogClosed;
+  openDialogs = mod.openDialogs;
+  dialogPolicies = mod.dialogPolicies;
+  defaultTimeouts = mod.defaultTimeouts;
+  networkLogs = mod.networkLogs;
+  tabRoutes = mod.tabRoutes;
+  onRequestPaused = mod.onRequestPaused;
+  interceptedDrags = mod.interceptedDrags;
+  onDragIntercepted = mod.onDragIntercepted;
+  frameContexts = mod.frameContexts;
+  frameSessions = mod.frameSessions;
+  selectedFrames = mod.selectedFrames;
+  onExecutionContextEvent = mod.onExecutionContextEvent;
+  onTargetAttached = mod.onTargetAttached;
+  harRecordings = mod.harRecordings;
+  onHarNetworkEvent = mod.onHarNetworkEvent;
+  consoleLogs = mod.consoleLogs;
+  consoleLive = mod.consoleLive;
+  onConsoleEvent = mod.onConsoleEvent;
+  tabEmulation = mod.tabEmulation;
   attachedTabs = mod.attachedTabs;
+  tabSessions = mod.tabSessions;
   recordingTabs = mod.recordingTabs;
   panelPorts = mod.panelPorts;
   // Ensure clean state
   attachedTabs.clear();
   recordingTabs.clear();
   panelPorts.clear();
+  tabSessions.clear();
+  openDialogs.clear();
+  dialogPolicies.clear();
+  defaultTimeouts.clear();
+  networkLogs.clear();
+  tabRoutes.clear();
+  harRecordings.clear();
+  consoleLogs.clear();
+  consoleLive.clear();
+  tabEmulation.clear();
 });
 
 // Helper: mock sendCommand that triggers loadEventFired for navigation commands
@@ -86,6 +126,13 @@ describe("cmdHelp", () => {
     expect(result.data).toContain("reset");
     expect(result.data).toContain("help");
   });
+
+  it("keeps the screenshot --name note next to the screenshot entries", () => {
+    const lines = cmdHelp().data.split("\n");
+    const clip = lines.findIndex(l => l.includes("screenshot --clip"));
+    expect(lines[clip + 1]).toContain("(--name file names the saved image)");
+    expect(lines[clip + 2]).toContain("pdf [--format A4]");
+  });
 });
 
 describe("getRecorderCode", () => {
@@ -290,6 +337,92 @@ describe("handleCommand", () => {
     expect(result.data).toContain('Clicked "Submit"');
   });
 
+  it("resolves check targets with the shared locator engine", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({
+      result: { value: { success: true, checked: true } },
+    });
+    const result = await handleCommand(`check 'role=checkbox[name="Agree"]'`, 1);
+    expect(result.success).toBe(true);
+    const evalCall = chrome.debugger.sendCommand.mock.calls.find(c => c[1] === "Runtime.evaluate");
+    expect(evalCall[2].expression).toContain('"engine":"role"');
+    expect(evalCall[2].expression).toContain("function resolveLocator");
+  });
+
+  it("waits for the target to become actionable before clicking", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    let checks = 0;
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method !== "Runtime.evaluate") return {};
+      if (params.expression.includes("function checkActionability")) {
+        checks++;
+        return { result: { value: checks < 3 ? { error: "No element found matching: Save" } : { success: true, x: 5, y: 5 } } };
+      }
+      return { result: { value: { success: true, tag: "button" } } };
+    });
+    const result = await handleCommand('click "Save"', 1);
+    expect(result.success).toBe(true);
+    expect(checks).toBe(3);
+  });
+
+  it("names the failing actionability check when the timeout runs out", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({
+      result: { value: { error: "element is not enabled", check: "enabled" } },
+    });
+    const result = await handleCommand('click "Save" --timeout 250ms', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe('Timeout 250ms exceeded waiting for "Save": element is not enabled');
+  });
+
+  it("does not retry stale refs", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({
+      result: { value: { error: "Stale ref e3: re-run snapshot", fatal: true } },
+    });
+    const result = await handleCommand("click e3", 1);
+    expect(result.data).toBe("Stale ref e3: re-run snapshot");
+    const evals = chrome.debugger.sendCommand.mock.calls.filter(c => c[1] === "Runtime.evaluate");
+    expect(evals).toHaveLength(1);
+  });
+
+  it("rejects an invalid --timeout", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({});
+    const result = await handleCommand('click "Save" --timeout soon', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain("Invalid timeout");
+  });
+
+  it("timeout command shows and sets the default timeout without CDP", async () => {
+    expect((await handleCommand("timeout", 1)).data).toBe("Default timeout: 5000ms");
+    expect((await handleCommand("timeout 2s", 1)).data).toBe("Default timeout set to 2000ms");
+    expect((await handleCommand("timeout", 1)).data).toBe("Default timeout: 2000ms");
+    await handleCommand("timeout 5s", 1);
+    expect(chrome.debugger.attach).not.toHaveBeenCalled();
+  });
+
+  it("forgets a closed tab's default timeout", async () => {
+    await handleCommand("timeout 2s", 3);
+    chrome.tabs.onRemoved.callListeners(3, {});
+    expect(defaultTimeouts.has(3)).toBe(false);
+    expect((await handleCommand("timeout", 3)).data).toBe("Default timeout: 5000ms");
+  });
+
+  it("keeps the default timeout per panel", async () => {
+    await handleCommand("timeout 0", 1);
+    expect((await handleCommand("timeout", 2)).data).toBe("Default timeout: 5000ms");
+
+    // Commands in a popup of the session use the panel's timeout
+    tabSessions.set(1, { tabs: [1, 7], current: 7 });
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({ result: { value: { error: "Element is not visible" } } });
+    const started = Date.now();
+    const result = await handleCommand('click "Save"', 1);
+    expect(result.data).toBe("Element is not visible");
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
   it("handles eval with result", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
     chrome.debugger.sendCommand.mockResolvedValue({
@@ -298,6 +431,8 @@ describe("handleCommand", () => {
     const result = await handleCommand("eval document.title", 1);
     expect(result.success).toBe(true);
     expect(result.type).toBe("info");
+    expect(result.data).toBe('"Test Page"');
+    expect(result.value).toBe("Test Page");
   });
 
   it("handles snapshot", async () => {
@@ -313,6 +448,25 @@ describe("handleCommand", () => {
     expect(result.data).toContain("button");
   });
 
+  it("tags snapshot refs on the DOM nodes behind them", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Accessibility.getFullAXTree") {
+        return { nodes: [{ role: { value: "button" }, name: { value: "Save" }, backendDOMNodeId: 42 }] };
+      }
+      if (method === "DOM.resolveNode") return { object: { objectId: `obj-${params.backendNodeId}` } };
+      return {};
+    });
+    const result = await handleCommand("snapshot", 1);
+    expect(result.data).toBe('- button "Save" [ref=e1]');
+    const calls = chrome.debugger.sendCommand.mock.calls;
+    expect(calls.find(c => c[1] === "DOM.resolveNode")[2].backendNodeId).toBe(42);
+    const tag = calls.find(c => c[1] === "Runtime.callFunctionOn")[2];
+    expect(tag.objectId).toBe("obj-42");
+    expect(tag.functionDeclaration).toContain("__pwRefs");
+    expect(tag.arguments).toEqual([{ value: "e1" }]);
+  });
+
   it("handles screenshot", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
     chrome.debugger.sendCommand.mockResolvedValue({
@@ -349,6 +503,74 @@ describe("handleCommand", () => {
     expect(result.data).toContain("Filled");
   });
 
+  it("clicks with real mouse press and release events", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return { result: { value: { success: true, x: 10, y: 20, tag: "tr" } } };
+      return {};
+    });
+    const result = await handleCommand('click "Row" --button right --modifiers Shift', 1);
+    expect(result.success).toBe(true);
+    expect(result.data).toBe('Clicked "Row" (right button, Shift)');
+    const mouse = chrome.debugger.sendCommand.mock.calls
+      .filter(c => c[1] === "Input.dispatchMouseEvent")
+      .map(c => c[2]);
+    expect(mouse.map(m => m.type)).toEqual(["mouseMoved", "mousePressed", "mouseReleased"]);
+    expect(mouse[1]).toMatchObject({ x: 10, y: 20, button: "right", buttons: 2, clickCount: 1, modifiers: 8 });
+  });
+
+  it("sends two press/release pairs for dblclick", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return { result: { value: { success: true, x: 1, y: 1 } } };
+      return {};
+    });
+    await handleCommand('dblclick "Item"', 1);
+    const presses = chrome.debugger.sendCommand.mock.calls
+      .filter(c => c[1] === "Input.dispatchMouseEvent" && c[2].type === "mousePressed")
+      .map(c => c[2].clickCount);
+    expect(presses).toEqual([1, 2]);
+  });
+
+  it("supports --click-count and combined modifiers", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return { result: { value: { success: true, x: 1, y: 1 } } };
+      return {};
+    });
+    await handleCommand('click "Word" --click-count 3 --modifiers Control+Alt', 1);
+    const presses = chrome.debugger.sendCommand.mock.calls
+      .filter(c => c[1] === "Input.dispatchMouseEvent" && c[2].type === "mousePressed")
+      .map(c => c[2]);
+    expect(presses.map(p => p.clickCount)).toEqual([1, 2, 3]);
+    expect(presses[0].modifiers).toBe(3);
+  });
+
+  it("resolves the ControlOrMeta click modifier by platform", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return { result: { value: { success: true, x: 1, y: 1 } } };
+      return {};
+    });
+    const pressedModifiers = () => chrome.debugger.sendCommand.mock.calls
+      .filter(c => c[1] === "Input.dispatchMouseEvent" && c[2].type === "mousePressed")
+      .map(c => c[2].modifiers);
+    const platform = vi.spyOn(navigator, "platform", "get").mockReturnValue("Linux x86_64");
+    expect((await handleCommand('click "Row" --modifiers controlormeta', 1)).data).toBe('Clicked "Row" (controlormeta)');
+    platform.mockReturnValue("MacIntel");
+    await handleCommand('click "Row" --modifiers ControlOrMeta+Shift', 1);
+    expect(pressedModifiers()).toEqual([2, 12]);
+    platform.mockRestore();
+  });
+
+  it("rejects an unknown mouse button", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({});
+    const result = await handleCommand('click "Row" --button back', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain("Invalid button");
+  });
+
   it("handles click with scoped target", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
     chrome.debugger.sendCommand.mockResolvedValue({
@@ -364,7 +586,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: { error: "No element found" } },
     });
-    const result = await handleCommand('click "Missing"', 1);
+    const result = await handleCommand('click "Missing" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("No element found");
   });
@@ -389,7 +611,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: { error: "Input not found: Email" } },
     });
-    const result = await handleCommand('fill "Email" "test@test.com"', 1);
+    const result = await handleCommand('fill "Email" "test@test.com" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("Input not found");
   });
@@ -409,7 +631,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: { error: "No select found: Country" } },
     });
-    const result = await handleCommand('select "Country" "US"', 1);
+    const result = await handleCommand('select "Country" "US" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("No select found");
   });
@@ -457,7 +679,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: { error: "No element found: Missing" } },
     });
-    const result = await handleCommand('hover "Missing"', 1);
+    const result = await handleCommand('hover "Missing" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("No element found");
   });
@@ -477,7 +699,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: { error: "No element found: Missing" } },
     });
-    const result = await handleCommand('dblclick "Missing"', 1);
+    const result = await handleCommand('dblclick "Missing" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("No element found");
   });
@@ -617,6 +839,71 @@ describe("handleCommand", () => {
     expect(result.data).toBe("fullpagebase64");
   });
 
+  it("captures an element's box", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Runtime.evaluate") {
+        const value = params.expression.includes("scrollX")
+          ? { x: 10, y: 120, width: 300, height: 200 }
+          : { x: 160, y: 220 };
+        return { result: { value } };
+      }
+      if (method === "Page.captureScreenshot") return { data: "elementbase64" };
+      return undefined;
+    });
+    const result = await handleCommand('screenshot "Login form" --name login', 1);
+    expect(result).toEqual({ success: true, type: "screenshot", data: "elementbase64", name: "login" });
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Page.captureScreenshot", {
+      format: "png",
+      clip: { x: 10, y: 120, width: 300, height: 200, scale: 1 },
+      captureBeyondViewport: true,
+    });
+  });
+
+  it("captures a clip relative to the viewport", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Page.getLayoutMetrics") return { cssVisualViewport: { pageX: 0, pageY: 500 } };
+      if (method === "Page.captureScreenshot") return { data: "clipbase64" };
+      return undefined;
+    });
+    const result = await handleCommand("screenshot --clip 0,0,400,300", 1);
+    expect(result.data).toBe("clipbase64");
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Page.captureScreenshot", {
+      format: "png",
+      clip: { x: 0, y: 500, width: 400, height: 300, scale: 1 },
+    });
+  });
+
+  it("prints the page to PDF with the given options", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) =>
+      method === "Page.printToPDF" ? { data: "pdfbase64" } : undefined);
+    const result = await handleCommand("pdf --format A4 --landscape --background --margin 1in --name report.pdf", 1);
+    expect(result).toEqual({ success: true, type: "pdf", data: "pdfbase64", name: "report" });
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Page.printToPDF", {
+      landscape: true, printBackground: true, paperWidth: 8.27, paperHeight: 11.7,
+      marginTop: 1, marginRight: 1, marginBottom: 1, marginLeft: 1,
+    });
+  });
+
+  it("rejects invalid pdf options", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    expect((await handleCommand("pdf --format B5", 1)).data).toContain('Unknown paper format: "B5"');
+    expect((await handleCommand("pdf --margin wide", 1)).data).toContain('Invalid margin: "wide"');
+    expect((await handleCommand("pdf --name ../x", 1)).data).toContain("Invalid PDF name");
+    expect((await handleCommand("pdf report", 1)).data).toContain("Usage: pdf");
+  });
+
+  it("rejects invalid screenshot clips and names", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    expect((await handleCommand("screenshot --clip 0,0,400", 1)).data).toBe('Invalid clip: "0,0,400" (use x,y,width,height)');
+    expect((await handleCommand("screenshot --name ../x", 1)).data).toContain("Invalid screenshot name");
+    expect((await handleCommand('screenshot "Logo" --clip 0,0,1,1', 1)).data).toContain("Usage: screenshot");
+  });
+
   it("handles eval with exception", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
     chrome.debugger.sendCommand.mockResolvedValue({
@@ -645,6 +932,186 @@ describe("handleCommand", () => {
     expect(result.data).toContain("Pressed a");
   });
 
+  it("presses chords with US key codes", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    const result = await handleCommand("press Control+Shift+K", 1);
+    expect(result.data).toBe("Pressed Control+Shift+K");
+    const keys = chrome.debugger.sendCommand.mock.calls
+      .filter(([, method]) => method === "Input.dispatchKeyEvent")
+      .map(([, , params]) => `${params.type} ${params.code} ${params.windowsVirtualKeyCode} ${params.modifiers}`);
+    expect(keys).toEqual([
+      "rawKeyDown ControlLeft 17 2",
+      "rawKeyDown ShiftLeft 16 10",
+      "rawKeyDown KeyK 75 10",
+      "keyUp KeyK 75 10",
+      "keyUp ShiftLeft 16 2",
+      "keyUp ControlLeft 17 0",
+    ]);
+  });
+
+  it("rejects unknown keys", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    expect((await handleCommand("press Hyper+A", 1)).data).toBe('Unknown key: "Hyper"');
+  });
+
+  it("types text key by key with a delay", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    const started = Date.now();
+    const result = await handleCommand('type "a1é" --delay 20', 1);
+    expect(result.data).toBe('Typed "a1é"');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(35);
+    const calls = chrome.debugger.sendCommand.mock.calls
+      .filter(([, method]) => method.startsWith("Input."))
+      .map(([, method, params]) => method === "Input.insertText" ? `insert ${params.text}` : `${params.type} ${params.key} ${params.text ?? ""}`.trim());
+    expect(calls).toEqual(["keyDown a a", "keyUp a", "keyDown 1 1", "keyUp 1", "insert é"]);
+  });
+
+  it("focuses the target before typing into it", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) =>
+      method === "Runtime.evaluate" ? { result: { value: { x: 1, y: 1, success: true } } } : undefined);
+    const result = await handleCommand('type "Search" "pw"', 1);
+    expect(result.data).toBe('Typed "pw" into "Search"');
+    const focus = chrome.debugger.sendCommand.mock.calls.find(([, method, params]) =>
+      method === "Runtime.evaluate" && params.expression.includes("focus"));
+    expect(focus).toBeDefined();
+  });
+
+  // Answers Runtime.evaluate for drag: the card sits at (10, 10), the column
+  // at (110, 210) with its top-left corner at (60, 160)
+  function mockDrag({ html5 = false } = {}) {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Input.setInterceptDrags" && params.enabled && html5) {
+        onDragIntercepted(1, { data: { items: [{ mimeType: "text/plain", data: "A" }], dragOperationsMask: 1 } });
+      }
+      if (method !== "Runtime.evaluate") return undefined;
+      const { expression } = params;
+      if (expression.includes("function dragStarted")) return { result: { value: html5 } };
+      if (expression.includes("function offsetPoint")) return { result: { value: { x: 70, y: 165 } } };
+      if (expression.includes("Card A")) return { result: { value: { success: true, x: 10, y: 10 } } };
+      return { result: { value: { success: true, x: 110, y: 210 } } };
+    });
+  }
+
+  const inputCalls = () => chrome.debugger.sendCommand.mock.calls
+    .filter(([, method]) => method === "Input.dispatchMouseEvent" || method === "Input.dispatchDragEvent")
+    .map(([, , params]) => `${params.type} ${params.x},${params.y}`);
+
+  it("drags with a pointer sequence from source to target", async () => {
+    mockDrag();
+    const result = await handleCommand('drag "Card A" "Done column"', 1);
+    expect(result.data).toBe('Dragged "Card A" to "Done column"');
+    expect(inputCalls()).toEqual([
+      "mouseMoved 10,10", "mousePressed 10,10",
+      "mouseMoved 30,50", "mouseMoved 50,90", "mouseMoved 70,130", "mouseMoved 90,170", "mouseMoved 110,210",
+      "mouseReleased 110,210",
+    ]);
+    const intercept = chrome.debugger.sendCommand.mock.calls.filter(([, method]) => method === "Input.setInterceptDrags");
+    expect(intercept.map(([, , params]) => params.enabled)).toEqual([true, false]);
+  });
+
+  it("replays HTML5 drags through Input.dispatchDragEvent", async () => {
+    mockDrag({ html5: true });
+    const result = await handleCommand('drag "Card A" "Done column"', 1);
+    expect(result.success).toBe(true);
+    expect(inputCalls()).toEqual([
+      "mouseMoved 10,10", "mousePressed 10,10", "mouseMoved 30,50",
+      "dragEnter 30,50", "dragOver 50,90", "dragOver 70,130", "dragOver 90,170", "dragOver 110,210",
+      "drop 110,210",
+    ]);
+    const drop = chrome.debugger.sendCommand.mock.calls.find(([, , params]) => params?.type === "drop");
+    expect(drop[2].data.items[0].data).toBe("A");
+    expect(interceptedDrags.size).toBe(0);
+  });
+
+  it("drops at --to-offset from the target's top-left corner", async () => {
+    mockDrag();
+    const result = await handleCommand('drag "Card A" "Done column" --to-offset 10,5', 1);
+    expect(result.data).toBe('Dragged "Card A" to "Done column" at 10,5');
+    expect(inputCalls().at(-1)).toBe("mouseReleased 70,165");
+    expect((await handleCommand('drag "Card A" "Done column" --to-offset 10', 1)).data).toContain("Invalid offset");
+  });
+
+  it("releases the mouse when the drag target is missing", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method !== "Runtime.evaluate") return undefined;
+      if (params.expression.includes("Card A")) return { result: { value: { success: true, x: 10, y: 10 } } };
+      return { result: { value: { error: "No element found: Nowhere", fatal: true } } };
+    });
+    const result = await handleCommand('drag "Card A" "Nowhere"', 1);
+    expect(result.data).toContain("No element found");
+    expect(inputCalls()).toEqual(["mouseMoved 10,10", "mousePressed 10,10", "mouseReleased 0,0"]);
+    expect((await handleCommand('drag "Card A"', 1)).data).toContain("Usage");
+  });
+
+  describe("upload", () => {
+    beforeEach(() => {
+      vi.stubGlobal("indexedDB", createIndexedDB());
+      chrome.debugger.attach.mockResolvedValue(undefined);
+      chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+        if (method === "Runtime.evaluate" && params.objectGroup === "pw-upload") {
+          return { result: { type: "object", subtype: "node", objectId: "input-1" } };
+        }
+        if (method === "Runtime.callFunctionOn") return { result: { value: 1 } };
+        return undefined;
+      });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("sets fixture files on the input through the page", async () => {
+      await saveFixture("avatar.png", { type: "image/png", lastModified: 7, data: new TextEncoder().encode("PNG").buffer });
+      const result = await handleCommand('upload "Avatar" fixtures/avatar.png', 1);
+      expect(result.data).toBe('Uploaded "fixtures/avatar.png" to "Avatar"');
+      const [, , call] = chrome.debugger.sendCommand.mock.calls.find(([, method]) => method === "Runtime.callFunctionOn");
+      expect(call.objectId).toBe("input-1");
+      expect(call.arguments[0].value).toEqual([{ name: "avatar.png", type: "image/png", lastModified: 7, base64: "UE5H" }]);
+      expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Runtime.releaseObjectGroup", { objectGroup: "pw-upload" });
+    });
+
+    it("passes local paths to DOM.setFileInputFiles", async () => {
+      const result = await handleCommand('upload "Avatar" /home/me/avatar.png', 1);
+      expect(result.success).toBe(true);
+      expect(chrome.debugger.sendCommand).toHaveBeenCalledWith(
+        { tabId: 1 }, "DOM.setFileInputFiles", { files: ["/home/me/avatar.png"], objectId: "input-1" });
+    });
+
+    it("reports missing fixtures and elements that are not file inputs", async () => {
+      expect((await handleCommand('upload "Avatar" fixtures/missing.png', 1)).data)
+        .toBe('Fixture not found: "fixtures/missing.png" (add it with the panel\'s Fixtures button)');
+      expect((await handleCommand('upload "Avatar" fixtures/a.png /tmp/b.png', 1)).data).toContain("not both");
+
+      chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+        if (method !== "Runtime.evaluate") return undefined;
+        return params.returnByValue ? { result: { value: { error: "Not a file input: <div>" } } } : { result: { type: "object" } };
+      });
+      expect((await handleCommand('upload "Panel" /tmp/a.png --timeout 0', 1)).data).toBe("Not a file input: <div>");
+    });
+
+    it("lists and deletes fixtures", async () => {
+      expect((await handleCommand("fixtures", 1)).data).toContain("No fixtures");
+      await saveFixture("avatar.png", { type: "image/png", data: new ArrayBuffer(3) });
+      expect((await handleCommand("fixtures", 1)).data).toBe("fixtures/avatar.png  3 B  image/png");
+      expect((await handleCommand("fixture-delete fixtures/avatar.png", 1)).data).toBe('Deleted fixture "fixtures/avatar.png"');
+      expect((await handleCommand("fixture-delete avatar.png", 1)).success).toBe(false);
+    });
+
+    it("reports fixtures that cannot be opened", async () => {
+      vi.stubGlobal("indexedDB", createIndexedDB({ openError: new Error("Database blocked") }));
+      expect(await handleCommand("fixtures", 1))
+        .toEqual({ success: false, type: "error", data: "Fixtures failed: Database blocked" });
+      expect(await handleCommand("fixture-delete fixtures/avatar.png", 1))
+        .toEqual({ success: false, type: "error", data: "Fixture delete failed: Database blocked" });
+    });
+  });
+
   it("handles command aliases: c for click, s for snapshot, f for fill, p for press", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
     chrome.debugger.sendCommand.mockResolvedValue({
@@ -687,7 +1154,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: false },
     });
-    const result = await handleCommand('verify-text "Missing"', 1);
+    const result = await handleCommand('verify-text "Missing" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("not found");
@@ -718,7 +1185,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: true },
     });
-    const result = await handleCommand('verify-no-text "Oops"', 1);
+    const result = await handleCommand('verify-no-text "Oops" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("was found");
@@ -749,7 +1216,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: false },
     });
-    const result = await handleCommand('verify-element "Missing"', 1);
+    const result = await handleCommand('verify-element "Missing" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("not found");
@@ -780,7 +1247,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: true },
     });
-    const result = await handleCommand('verify-no-element "Still here"', 1);
+    const result = await handleCommand('verify-no-element "Still here" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("was found");
@@ -811,7 +1278,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: "https://example.com/home" },
     });
-    const result = await handleCommand('verify-url "dashboard"', 1);
+    const result = await handleCommand('verify-url "dashboard" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("does not contain");
@@ -842,7 +1309,7 @@ describe("handleCommand", () => {
     chrome.debugger.sendCommand.mockResolvedValue({
       result: { value: "My App - Home" },
     });
-    const result = await handleCommand('verify-title "Dashboard"', 1);
+    const result = await handleCommand('verify-title "Dashboard" --timeout 0', 1);
     expect(result.success).toBe(false);
     expect(result.data).toContain("FAIL");
     expect(result.data).toContain("does not contain");
@@ -856,6 +1323,39 @@ describe("handleCommand", () => {
     expect(result.data).toContain("Usage");
   });
 
+  // --- verify retrying ---
+  it("verify-text retries until the text appears", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    let evaluations = 0;
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method !== "Runtime.evaluate") return undefined;
+      evaluations++;
+      return { result: { value: evaluations >= 3 } };
+    });
+    const result = await handleCommand('verify-text "Saved" --timeout 2s', 1);
+    expect(result.success).toBe(true);
+    expect(evaluations).toBe(3);
+  });
+
+  it("verify-title reports the timeout when it never passes", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({
+      result: { value: "My App - Home" },
+    });
+    const result = await handleCommand('verify-title "Dashboard" --timeout 250ms', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain('FAIL: Title does not contain "Dashboard"');
+    expect(result.data).toContain("timed out after 250ms");
+  });
+
+  it("verify-url rejects an invalid --timeout", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    const result = await handleCommand('verify-url "x" --timeout later', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain("Invalid timeout");
+  });
+
   // --- verify error handling ---
   it("verify-text handles CDP errors", async () => {
     chrome.debugger.attach.mockResolvedValue(undefined);
@@ -903,6 +1403,17 @@ describe("startRecording", () => {
     expect(recordingTabs.has(1)).toBe(true);
   });
 
+  it("lets the person recording pick files in the file chooser", async () => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({ identifier: "script-1" });
+    await startRecording(1);
+    const intercept = chrome.debugger.sendCommand.mock.calls
+      .filter(([, method]) => method === "Page.setInterceptFileChooserDialog")
+      .map(([, , params]) => params.enabled);
+    // Commands intercept choosers from attach on; recording turns it off
+    expect(intercept).toEqual([true, false]);
+  });
+
   it("returns error when attach fails", async () => {
     chrome.debugger.attach.mockRejectedValue(new Error("Cannot attach"));
     const result = await startRecording(1);
@@ -1017,6 +1528,937 @@ describe("stopRecording", () => {
   });
 });
 
+describe("tabs", () => {
+  const tabs = {
+    1: { id: 1, windowId: 10, title: "App", url: "https://app.test/" },
+    2: { id: 2, windowId: 20, title: "Sign in", url: "https://auth.test/login" },
+  };
+
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({ identifier: "script-1" });
+    chrome.debugger.getTargets = vi.fn().mockResolvedValue([
+      { id: "T1", tabId: 1, type: "page" },
+      { id: "T2", tabId: 2, type: "page" },
+    ]);
+    chrome.tabs.get.mockImplementation(async (id) => tabs[id]);
+    chrome.tabs.update.mockImplementation(async (id) => tabs[id]);
+    chrome.windows = { update: vi.fn().mockResolvedValue(undefined) };
+  });
+
+  it("adopts popups opened by a session tab", async () => {
+    expect(await adoptPopup({ type: "page", targetId: "T2", openerId: "T1" })).toBe(null);
+    tabSessions.set(1, { tabs: [1], current: 1 });
+    expect(await adoptPopup({ type: "page", targetId: "T2", openerId: "T1" })).toBe(2);
+    expect(tabSessions.get(1).tabs).toEqual([1, 2]);
+  });
+
+  it("lists tabs and marks the current one", async () => {
+    tabSessions.set(1, { tabs: [1, 2], current: 2 });
+    const result = await handleCommand("tab-list", 1);
+    expect(result.data).toBe("  0: App — https://app.test/\n* 1: Sign in — https://auth.test/login");
+  });
+
+  it("switches the command target with tab-select", async () => {
+    tabSessions.set(1, { tabs: [1, 2], current: 1 });
+    const result = await handleCommand('tab-select "auth.test"', 1);
+    expect(result.success).toBe(true);
+    expect(result.data).toBe("Switched to tab 1: Sign in");
+    expect(chrome.windows.update).toHaveBeenCalledWith(20, { focused: true });
+
+    chrome.debugger.sendCommand.mockResolvedValue({ result: { value: "https://auth.test/login" } });
+    await handleCommand('verify-url "auth"', 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 2 }, "Runtime.evaluate", expect.anything());
+  });
+
+  it("waits for a popup that has not been reported yet", async () => {
+    tabSessions.set(1, { tabs: [1], current: 1 });
+    setTimeout(() => tabSessions.get(1).tabs.push(2), 150);
+    const result = await handleCommand("tab-select 1", 1);
+    expect(result.success).toBe(true);
+    expect(tabSessions.get(1).current).toBe(2);
+  });
+
+  it("fails tab-select for unknown tabs after the timeout", async () => {
+    const result = await handleCommand("tab-select 3 --timeout 0", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain('No tab matches "3"');
+  });
+
+  it("opens a tab with tab-new and closes it with tab-close", async () => {
+    chrome.tabs.create.mockResolvedValue({ id: 3 });
+    chrome.tabs.remove.mockResolvedValue(undefined);
+    const opened = await handleCommand("tab-new", 1);
+    expect(opened.data).toBe("Opened tab 1");
+    expect(tabSessions.get(1)).toEqual({ tabs: [1, 3], current: 3 });
+
+    const closed = await handleCommand("tab-close", 1);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(3);
+    expect(closed.data).toBe("Closed tab 1; commands go to tab 0");
+    expect(tabSessions.get(1)).toEqual({ tabs: [1], current: 1 });
+  });
+
+  it("refuses to close the inspected tab", async () => {
+    const result = await handleCommand("tab-close", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe("Cannot close the inspected tab");
+  });
+
+  it("records in popups and emits tab-select when the user moves between tabs", async () => {
+    const mockPort = { postMessage: vi.fn() };
+    panelPorts.set(1, mockPort);
+    tabSessions.set(1, { tabs: [1], current: 1 });
+    await startRecording(1);
+    await adoptPopup({ type: "page", targetId: "T2", openerId: "T1" });
+    expect(recordingTabs.get(1).scriptIds.has(2)).toBe(true);
+
+    const record = (tabId, command) => chrome.debugger.onEvent.callListeners(
+      { tabId }, "Runtime.consoleAPICalled", { type: "debug", args: [{ type: "string", value: "__pw:" + command }] }
+    );
+    record(1, 'click "Sign in with Auth"');
+    record(2, 'fill "User" "bob"');
+    record(1, 'verify-text "Welcome"');
+    const commands = mockPort.postMessage.mock.calls.map((c) => c[0].command);
+    expect(commands).toEqual([
+      'click "Sign in with Auth"', "tab-select 1", 'fill "User" "bob"', "tab-select 0", 'verify-text "Welcome"',
+    ]);
+  });
+});
+
+describe("network", () => {
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    const log = createNetworkLog();
+    for (const [requestId, url, status] of [["r1", "https://app.test/api/todos", 200], ["r2", "https://app.test/api/missing", 404]]) {
+      recordNetworkEvent(log, "Network.requestWillBeSent", { requestId, timestamp: 1, type: "XHR", request: { url, method: "GET", headers: {} } });
+      recordNetworkEvent(log, "Network.responseReceived", { requestId, response: { status, statusText: "", headers: {} } });
+      recordNetworkEvent(log, "Network.loadingFinished", { requestId, timestamp: 1.01, encodedDataLength: 10 });
+    }
+    networkLogs.set(1, log);
+  });
+
+  it("enables the Network domain when attaching", async () => {
+    await ensureAttached(1);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.enable", {});
+  });
+
+  it("lists requests matching the filters", async () => {
+    const result = await handleCommand("network --url /api/ --status 4xx", 1);
+    expect(result.type).toBe("info");
+    expect(result.data).toBe("#2  GET  404  XHR  10 B  10 ms  https://app.test/api/missing");
+  });
+
+  it("reports invalid filters and empty results", async () => {
+    expect((await handleCommand("network --status 9", 1)).success).toBe(false);
+    expect((await handleCommand("network --url /nothing/", 1)).data).toBe("No requests match the filters");
+    await handleCommand("network clear", 1);
+    expect((await handleCommand("network", 1)).data).toBe("No requests recorded yet");
+  });
+
+  it("shows a request with its response body", async () => {
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) =>
+      method === "Network.getResponseBody" ? { body: "[]", base64Encoded: false } : undefined);
+    const result = await handleCommand("network show 1", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.getResponseBody", { requestId: "r1" });
+    expect(result.data).toContain("#1 GET https://app.test/api/todos");
+    expect(result.data).toContain("Response body:\n[]");
+    expect((await handleCommand("network show 7", 1)).data).toBe("No request #7 in the network log");
+  });
+});
+
+describe("network waits", () => {
+  const send = (requestId, url) => recordNetworkEvent(networkLogs.get(1), "Network.requestWillBeSent", {
+    requestId, timestamp: 1, type: "XHR", request: { url, method: "POST", headers: {} },
+  });
+  const respond = (requestId) => {
+    recordNetworkEvent(networkLogs.get(1), "Network.responseReceived", { requestId, response: { status: 201, headers: {} } });
+    recordNetworkEvent(networkLogs.get(1), "Network.loadingFinished", { requestId, timestamp: 1.1, encodedDataLength: 2 });
+  };
+
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+    networkLogs.set(1, createNetworkLog());
+  });
+
+  it("matches a response to the previous command even if it already arrived", async () => {
+    mockSendCommandWithNavigation();
+    await handleCommand("reload", 1);
+    send("r1", "https://app.test/api/todos");
+    respond("r1");
+    const result = await handleCommand('wait-for-response "/api/todos"', 1);
+    expect(result.success).toBe(true);
+    expect(result.data).toBe("Got response #1: 201 https://app.test/api/todos");
+  });
+
+  it("ignores requests from before the previous command", async () => {
+    send("r1", "https://app.test/api/todos");
+    respond("r1");
+    mockSendCommandWithNavigation();
+    await handleCommand("reload", 1);
+    const result = await handleCommand('wait-for-request "/api/todos" --timeout 0', 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe('Timeout 0ms exceeded waiting for a request matching "/api/todos"');
+  });
+
+  it("waits for a response that is still on its way", async () => {
+    setTimeout(() => send("r1", "https://app.test/api/save"), 50);
+    setTimeout(() => respond("r1"), 150);
+    const result = await handleCommand('wait-for-response "/api/save" --timeout 2s', 1);
+    expect(result.success).toBe(true);
+  });
+
+  it("waits until no requests are in flight", async () => {
+    send("r1", "https://app.test/api/slow");
+    setTimeout(() => respond("r1"), 150);
+    const started = Date.now();
+    const result = await handleCommand("wait-for-idle 100ms", 1);
+    expect(result.data).toBe("Network idle for 100ms");
+    expect(Date.now() - started).toBeGreaterThanOrEqual(240);
+  });
+
+  it("ignores requests left pending before the previous command", async () => {
+    send("r1", "https://app.test/old-page/stream");
+    mockSendCommandWithNavigation();
+    await handleCommand("reload", 1);
+    const result = await handleCommand("wait-for-idle 100ms --timeout 1s", 1);
+    expect(result.data).toBe("Network idle for 100ms");
+  });
+
+  it("times out while requests stay in flight", async () => {
+    send("r1", "https://app.test/stream");
+    const result = await handleCommand("wait-for-idle --timeout 200ms", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe("Timeout 200ms exceeded waiting for network idle (1 request in flight)");
+  });
+});
+
+describe("routes", () => {
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+  });
+
+  const paused = (url) => onRequestPaused(1, { requestId: "req-1", request: { url } });
+
+  it("fulfills matching requests with the fake response", async () => {
+    const result = await handleCommand(`route "/api/user" --status 500 --body '{"error":1}'`, 1);
+    expect(result.data).toBe('Routing requests matching "/api/user", answering 500');
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Fetch.enable", {
+      patterns: [{ urlPattern: "*/api/user*" }],
+    });
+
+    await paused("https://app.test/api/user");
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.fulfillRequest", {
+      requestId: "req-1",
+      responseCode: 500,
+      responseHeaders: [{ name: "Content-Type", value: "application/json" }],
+      body: btoa('{"error":1}'),
+    });
+  });
+
+  it("aborts requests and continues unmatched ones", async () => {
+    await handleCommand('route "*.png" --abort', 1);
+    await paused("https://app.test/logo.png");
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.failRequest", { requestId: "req-1", errorReason: "Failed" });
+    await paused("https://app.test/logo.svg");
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.continueRequest", { requestId: "req-1" });
+  });
+
+  it("answers route-from-file with a library file", async () => {
+    chrome.storage.local.get.mockResolvedValue({ pwLibrary: { "mocks/user.json": '{"name":"Ann"}' } });
+    const result = await handleCommand('route-from-file "/api/user" mocks/user.json', 1);
+    expect(result.success).toBe(true);
+    expect(tabRoutes.get(1)[0]).toMatchObject({ body: '{"name":"Ann"}', contentType: "application/json", file: "mocks/user.json" });
+
+    const missing = await handleCommand('route-from-file "/api/x" mocks/none.json', 1);
+    expect(missing.data).toBe("File not found in library: mocks/none.json");
+  });
+
+  it("reports a library that cannot be read", async () => {
+    chrome.storage.local.get.mockRejectedValue(new Error("Storage unavailable"));
+    const result = await handleCommand('route-from-file "/api/user" mocks/user.json', 1);
+    expect(result).toEqual({ success: false, type: "error", data: "Could not read mocks/user.json: Storage unavailable" });
+    expect(tabRoutes.has(1)).toBe(false);
+  });
+
+  it("lists routes and removes them with unroute", async () => {
+    await handleCommand('route "/api/user" --status 404', 1);
+    await handleCommand('route "*.png" --abort', 1);
+    await paused("https://app.test/api/user");
+    expect((await handleCommand("routes", 1)).data).toBe([
+      '1. "/api/user" → 404 text/plain (0 bytes), 1 hit',
+      '2. "*.png" → abort, 0 hits',
+    ].join("\n"));
+
+    expect((await handleCommand('unroute "/api/user"', 1)).data).toBe("Removed 1 route");
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.enable", { patterns: [{ urlPattern: "**.png*" }] });
+    await handleCommand("unroute", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.disable", {});
+    expect((await handleCommand("routes", 1)).data).toBe("No routes are active");
+    expect((await handleCommand("unroute", 1)).success).toBe(false);
+  });
+
+  it("validates route arguments", async () => {
+    expect((await handleCommand("route", 1)).data).toContain("Usage: route");
+    expect((await handleCommand('route "/x" --status 99', 1)).data).toBe('Invalid status: "99"');
+  });
+});
+
+describe("emulation", () => {
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return { result: { value: "Mozilla/5.0 (X11; Linux x86_64) Chrome" } };
+      if (method === "Page.getLayoutMetrics") return { contentSize: { width: 1200, height: 5000 } };
+      if (method === "Page.captureScreenshot") return { data: "png" };
+      return undefined;
+    });
+  });
+
+  const sent = (method) => chrome.debugger.sendCommand.mock.calls.filter(c => c[1] === method).map(c => c[2]);
+
+  it("resizes the viewport and restores it", async () => {
+    expect((await handleCommand("resize 800 600", 1)).data).toBe("Viewport set to 800x600");
+    expect(sent("Emulation.setDeviceMetricsOverride")).toEqual([{ width: 800, height: 600, deviceScaleFactor: 0, mobile: false }]);
+    expect((await handleCommand("resize off", 1)).success).toBe(true);
+    expect(sent("Emulation.clearDeviceMetricsOverride")).toHaveLength(1);
+    expect((await handleCommand("resize wide", 1)).data).toContain("Usage: resize");
+  });
+
+  it("emulates a device's viewport, touch and user agent", async () => {
+    const result = await handleCommand('device "iPhone 13"', 1);
+    expect(result.data).toBe("Emulating iPhone 13: 390x664 @3x, mobile, touch");
+    expect(sent("Emulation.setDeviceMetricsOverride")).toEqual([{ width: 390, height: 664, deviceScaleFactor: 3, mobile: true }]);
+    expect(sent("Emulation.setTouchEmulationEnabled")).toEqual([{ enabled: true, maxTouchPoints: 5 }]);
+    expect(sent("Emulation.setUserAgentOverride")[0].userAgent).toContain("iPhone OS 15_0");
+
+    // resize keeps the device's pixel ratio and mobile mode
+    await handleCommand("resize 400 700", 1);
+    expect(sent("Emulation.setDeviceMetricsOverride")[1]).toEqual({ width: 400, height: 700, deviceScaleFactor: 3, mobile: true });
+
+    await handleCommand("device off", 1);
+    expect(sent("Emulation.setUserAgentOverride").at(-1)).toEqual({ userAgent: "" });
+    expect(sent("Emulation.setTouchEmulationEnabled").at(-1)).toEqual({ enabled: false });
+  });
+
+  it("lists devices and rejects unknown ones", async () => {
+    expect((await handleCommand("device list", 1)).data).toContain("Pixel 5");
+    expect((await handleCommand('device "Nokia 3310"', 1)).data).toBe('Unknown device: "Nokia 3310" (see device list)');
+  });
+
+  it("keeps the emulated viewport after a full-page screenshot", async () => {
+    await handleCommand("resize 800 600", 1);
+    await handleCommand("screenshot full", 1);
+    expect(sent("Emulation.setDeviceMetricsOverride").at(-1)).toEqual({ width: 800, height: 600, deviceScaleFactor: 0, mobile: false });
+    expect(sent("Emulation.clearDeviceMetricsOverride")).toHaveLength(0);
+  });
+
+  it("sets color scheme, geolocation, timezone and offline mode", async () => {
+    await handleCommand("color-scheme dark", 1);
+    expect(sent("Emulation.setEmulatedMedia")).toEqual([{ features: [{ name: "prefers-color-scheme", value: "dark" }] }]);
+    await handleCommand("geolocation 52.52 13.405", 1);
+    expect(sent("Emulation.setGeolocationOverride")).toEqual([{ latitude: 52.52, longitude: 13.405, accuracy: 0 }]);
+    await handleCommand("timezone Europe/Berlin", 1);
+    expect(sent("Emulation.setTimezoneOverride")).toEqual([{ timezoneId: "Europe/Berlin" }]);
+    await handleCommand("offline on", 1);
+    expect(sent("Network.emulateNetworkConditions")).toEqual([{ offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]);
+
+    expect((await handleCommand("color-scheme purple", 1)).success).toBe(false);
+    expect((await handleCommand("geolocation 100 0", 1)).success).toBe(false);
+    expect((await handleCommand("offline maybe", 1)).success).toBe(false);
+  });
+
+  it("sets the locale together with Accept-Language", async () => {
+    expect((await handleCommand("locale de-DE", 1)).data).toBe("Locale set to de-DE");
+    expect(sent("Emulation.setLocaleOverride")).toEqual([{ locale: "de-DE" }]);
+    expect(sent("Emulation.setUserAgentOverride")).toEqual([{ userAgent: "Mozilla/5.0 (X11; Linux x86_64) Chrome", acceptLanguage: "de-DE" }]);
+    await handleCommand("locale off", 1);
+    expect(sent("Emulation.setLocaleOverride").at(-1)).toEqual({});
+    expect(sent("Emulation.setUserAgentOverride").at(-1)).toEqual({ userAgent: "" });
+  });
+
+  it("reports CDP errors", async () => {
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Emulation.setTimezoneOverride") throw new Error("Invalid timezone ID");
+    });
+    expect((await handleCommand("timezone Mars/Olympus", 1)).data).toBe("Timezone failed: Invalid timezone ID");
+  });
+});
+
+describe("console", () => {
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue(undefined);
+  });
+
+  const log = (type, text) => onConsoleEvent(1, "Runtime.consoleAPICalled", { type, args: [{ type: "string", value: text }] });
+  const thrown = (description) => onConsoleEvent(1, "Runtime.exceptionThrown", { exceptionDetails: { text: "Uncaught", exception: { description } } });
+
+  it("lists console messages, filtered by level", async () => {
+    log("log", "Loaded");
+    log("warning", "Deprecated API");
+    thrown("TypeError: boom");
+    expect((await handleCommand("console", 1)).data).toBe("log    Loaded\nwarn   Deprecated API\nerror  Uncaught TypeError: boom");
+    expect((await handleCommand("console --level error", 1)).data).toBe("error  Uncaught TypeError: boom");
+    expect((await handleCommand("console --level loud", 1)).success).toBe(false);
+  });
+
+  it("reports empty logs and clears them", async () => {
+    expect((await handleCommand("console", 1)).data).toBe("No console messages yet");
+    log("log", "Loaded");
+    expect((await handleCommand("console --level warn", 1)).data).toBe("No console messages at level warn or above");
+    await handleCommand("console clear", 1);
+    expect((await handleCommand("console", 1)).data).toBe("No console messages yet");
+  });
+
+  it("streams messages to the panel with console live on", async () => {
+    const port = { postMessage: vi.fn() };
+    panelPorts.set(1, port);
+    log("log", "before");
+    await handleCommand("console live on", 1);
+    log("error", "Failed to load");
+    expect(port.postMessage).toHaveBeenCalledTimes(1);
+    expect(port.postMessage).toHaveBeenCalledWith({ type: "pw-console", level: "error", text: "error  Failed to load" });
+    await handleCommand("console live off", 1);
+    log("log", "after");
+    expect(port.postMessage).toHaveBeenCalledTimes(1);
+    expect((await handleCommand("console live", 1)).data).toBe("Usage: console live on|off");
+  });
+
+  it("verify-no-console-errors fails once the page logged an error or threw", async () => {
+    log("warning", "Deprecated API");
+    expect(await handleCommand("verify-no-console-errors", 1)).toEqual({ success: true, type: "success", data: "PASS: No console errors" });
+    log("error", "Failed to load");
+    thrown("TypeError: boom");
+    const result = await handleCommand("verify-no-console-errors", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe("FAIL: Page logged 2 console errors\n  error  Failed to load\n  error  Uncaught TypeError: boom");
+  });
+});
+
+describe("HAR", () => {
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) =>
+      method === "Network.getResponseBody" ? { body: '[{"id":1}]', base64Encoded: false } : undefined);
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue(undefined);
+  });
+
+  // Feeds a network event to both the log and the HAR recorder, as the
+  // onEvent dispatcher does
+  const event = (method, params) => {
+    if (!networkLogs.has(1)) networkLogs.set(1, createNetworkLog());
+    recordNetworkEvent(networkLogs.get(1), method, params);
+    onHarNetworkEvent(1, method, params);
+  };
+  const exchange = (requestId, url) => {
+    event("Network.requestWillBeSent", {
+      requestId, timestamp: 1, wallTime: 1760000000, type: "XHR", request: { url, method: "GET", headers: { Accept: "*/*" } },
+    });
+    event("Network.responseReceived", {
+      requestId, response: { status: 200, statusText: "OK", mimeType: "application/json", headers: { "Content-Type": "application/json" } },
+    });
+    event("Network.loadingFinished", { requestId, timestamp: 1.05, encodedDataLength: 10 });
+  };
+
+  it("saves requests made between har-start and har-stop to the library", async () => {
+    exchange("r0", "https://app.test/before");
+    expect((await handleCommand("har-start", 1)).success).toBe(true);
+    exchange("r1", "https://app.test/api/todos");
+    const result = await handleCommand("har-stop demo.har", 1);
+    expect(result.data).toBe("Saved 1 request to library as demo.har");
+
+    const [[stored]] = chrome.storage.local.set.mock.calls;
+    const har = JSON.parse(stored.pwLibrary["demo.har"]);
+    expect(har.log.version).toBe("1.2");
+    expect(har.log.entries).toHaveLength(1);
+    expect(har.log.entries[0].request.url).toBe("https://app.test/api/todos");
+    expect(har.log.entries[0].response.content.text).toBe('[{"id":1}]');
+    expect(harRecordings.size).toBe(0);
+  });
+
+  it("reports har-start twice and har-stop without a recording", async () => {
+    expect((await handleCommand("har-stop", 1)).data).toBe("Not recording a HAR; start with har-start");
+    await handleCommand("har-start", 1);
+    expect((await handleCommand("har-start", 1)).success).toBe(false);
+  });
+
+  it("replays recorded responses and aborts unknown requests", async () => {
+    const har = {
+      log: {
+        version: "1.2",
+        entries: [{
+          request: { method: "GET", url: "https://app.test/api/todos" },
+          response: { status: 200, headers: [{ name: "Content-Type", value: "application/json" }, { name: "Content-Encoding", value: "gzip" }], content: { text: "[]" } },
+        }],
+      },
+    };
+    chrome.storage.local.get.mockResolvedValue({ pwLibrary: { "demo.har": JSON.stringify(har) } });
+    const result = await handleCommand("har-replay demo.har", 1);
+    expect(result.data).toBe("Replaying requests from demo.har (1 entries)");
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Fetch.enable", { patterns: [{ urlPattern: "***" }] });
+
+    await onRequestPaused(1, { requestId: "p1", request: { method: "GET", url: "https://app.test/api/todos" } });
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.fulfillRequest", {
+      requestId: "p1",
+      responseCode: 200,
+      responseHeaders: [{ name: "Content-Type", value: "application/json" }],
+      body: btoa("[]"),
+    });
+    await onRequestPaused(1, { requestId: "p2", request: { method: "GET", url: "https://app.test/other" } });
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.failRequest", { requestId: "p2", errorReason: "Failed" });
+    expect((await handleCommand("routes", 1)).data).toBe('1. "*" → HAR demo.har (1 entries), 2 hits');
+  });
+
+  it("lets unknown requests through with --fallback", async () => {
+    chrome.storage.local.get.mockResolvedValue({ pwLibrary: { "demo.har": '{"log":{"entries":[]}}' } });
+    await handleCommand('har-replay demo.har --url "/api/" --fallback', 1);
+    await onRequestPaused(1, { requestId: "p1", request: { method: "GET", url: "https://app.test/api/x" } });
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Fetch.continueRequest", { requestId: "p1" });
+  });
+
+  it("rejects missing and invalid HAR files", async () => {
+    chrome.storage.local.get.mockResolvedValue({ pwLibrary: { "bad.har": "not json" } });
+    expect((await handleCommand("har-replay none.har", 1)).data).toBe("File not found in library: none.har");
+    expect((await handleCommand("har-replay bad.har", 1)).data).toContain("Invalid HAR file");
+  });
+});
+
+describe("cookies and storage", () => {
+  let stored;
+  const sid = { name: "sid", value: "abc", domain: "app.test", path: "/", expires: -1, session: true, httpOnly: true, secure: true, sameSite: "Lax" };
+
+  beforeEach(() => {
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (key) => (key in stored ? { [key]: stored[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => { Object.assign(stored, items); });
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    // Page expressions run against the test document's storage
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Network.getCookies") return { cookies: [sid] };
+      if (method === "Network.setCookie") return { success: params.sameSite !== "None" || params.secure };
+      if (method === "Runtime.evaluate") return { result: { value: (0, eval)(params.expression) } };
+      return {};
+    });
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it("lists cookies for the page or a domain", async () => {
+    expect((await handleCommand("cookies", 1)).data).toContain("sid=abc  app.test  /  session  HttpOnly Secure SameSite=Lax");
+    await handleCommand("cookies app.test", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.getCookies", { urls: ["https://app.test/", "http://app.test/"] });
+  });
+
+  it("sets cookies for the current page or a domain", async () => {
+    const result = await handleCommand("cookie-set token t1 --http-only --same-site strict", 1);
+    expect(result).toEqual({ success: true, type: "success", data: 'Cookie "token" set' });
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.setCookie", {
+      name: "token", value: "t1", path: "/", httpOnly: true, secure: false, sameSite: "Strict", url: window.location.href,
+    });
+    await handleCommand("cookie-set token t1 --domain app.test --expires 1893456000", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.setCookie", expect.objectContaining({ domain: "app.test", expires: 1893456000 }));
+  });
+
+  it("reports cookies Chrome rejects", async () => {
+    expect((await handleCommand("cookie-set a 1 --same-site None", 1)).data).toBe('Chrome rejected cookie "a" (SameSite=None needs --secure)');
+    expect((await handleCommand("cookie-set a 1 --same-site loose", 1)).data).toContain("Invalid --same-site");
+  });
+
+  it("deletes one cookie or clears the page's cookies", async () => {
+    await handleCommand("cookie-delete sid --domain app.test", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.deleteCookies", { name: "sid", domain: "app.test" });
+    chrome.debugger.sendCommand.mockClear();
+    expect((await handleCommand("cookies-clear", 1)).data).toBe("Cleared 1 cookie");
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.deleteCookies", { name: "sid", domain: "app.test", path: "/" });
+  });
+
+  it("gets, sets and clears localStorage and sessionStorage", async () => {
+    expect((await handleCommand("localstorage set theme dark", 1)).data).toBe('localStorage "theme" set');
+    expect(localStorage.getItem("theme")).toBe("dark");
+    expect((await handleCommand("localstorage get theme", 1)).data).toBe("dark");
+    expect((await handleCommand("localstorage", 1)).data).toBe("theme = dark");
+    expect((await handleCommand("localstorage get missing", 1)).data).toContain('No localStorage item "missing"');
+    expect((await handleCommand("localstorage clear", 1)).data).toContain("Cleared 1 localStorage item");
+    expect((await handleCommand("sessionstorage", 1)).data).toContain("sessionStorage of");
+    expect((await handleCommand("sessionstorage set", 1)).data).toContain("Usage: sessionstorage");
+  });
+
+  it("saves and loads storageState files", async () => {
+    localStorage.setItem("token", "t1");
+    const saved = await handleCommand("storage-save auth.json", 1);
+    expect(saved.data).toBe("Saved 1 cookie and 1 localStorage item to library as auth.json");
+    const state = JSON.parse(stored.pwLibrary["auth.json"]);
+    expect(state.cookies[0]).toMatchObject({ name: "sid", expires: -1, httpOnly: true, sameSite: "Lax" });
+    expect(state.origins).toEqual([{ origin: window.location.origin, localStorage: [{ name: "token", value: "t1" }] }]);
+
+    localStorage.clear();
+    state.origins.push({ origin: "https://other.test", localStorage: [{ name: "x", value: "1" }] });
+    stored.pwLibrary["auth.json"] = JSON.stringify(state);
+    const loaded = await handleCommand("storage-load auth.json", 1);
+    expect(loaded.data).toBe("Loaded 1 cookie and 1 localStorage item from auth.json\nSkipped localStorage of https://other.test (goto that origin and run storage-load again)");
+    expect(localStorage.getItem("token")).toBe("t1");
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Network.setCookies", {
+      cookies: [{ name: "sid", value: "abc", domain: "app.test", path: "/", httpOnly: true, secure: true, sameSite: "Lax" }],
+    });
+  });
+
+  it("rejects missing or invalid storage files", async () => {
+    expect((await handleCommand("storage-load nope.json", 1)).data).toBe("File not found in library: nope.json");
+    stored.pwLibrary = { "bad.json": "[1" };
+    expect((await handleCommand("storage-load bad.json", 1)).data).toContain("Not a storage state file");
+  });
+});
+
+describe("verify-screenshot", () => {
+  let stored, encoded;
+
+  // Fake PNG codec: a "PNG" is base64 of a color name, decoded to a solid
+  // 4x2 image; encoded PNGs come back as base64 of "encoded"
+  const COLORS = { white: [255, 255, 255, 255], black: [0, 0, 0, 255] };
+  const png = (color) => btoa(color);
+
+  beforeEach(() => {
+    stored = {};
+    encoded = [];
+    chrome.storage.local.get.mockImplementation(async (key) => (key in stored ? { [key]: stored[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => { Object.assign(stored, items); });
+    vi.stubGlobal("createImageBitmap", async (blob) => ({ width: 4, height: 2, color: await blob.text() }));
+    vi.stubGlobal("ImageData", class { constructor(data, width, height) { Object.assign(this, { data, width, height }); } });
+    vi.stubGlobal("OffscreenCanvas", class {
+      getContext() {
+        return {
+          drawImage(bitmap) {
+            const data = new Uint8ClampedArray(bitmap.width * bitmap.height * 4);
+            for (let p = 0; p < data.length; p += 4) data.set(COLORS[bitmap.color], p);
+            this.image = { width: bitmap.width, height: bitmap.height, data };
+          },
+          getImageData() { return this.image; },
+          putImageData(image) { encoded.push(image); },
+        };
+      }
+      async convertToBlob() { return new Blob(["encoded"]); }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // Page whose viewport screenshot is color
+  function page(color) {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Page.getLayoutMetrics") {
+        return { contentSize: { width: 4, height: 2 }, cssVisualViewport: { pageX: 0, pageY: 0, clientWidth: 4, clientHeight: 2 } };
+      }
+      if (method === "Runtime.evaluate") {
+        const value = params.expression.includes("scrollX") ? { x: 0, y: 0, width: 2, height: 2 } : { x: 1, y: 1 };
+        return { result: { value } };
+      }
+      if (method === "Page.captureScreenshot") return { data: png(color) };
+      return undefined;
+    });
+  }
+
+  it("saves the baseline on the first run", async () => {
+    page("white");
+    const result = await handleCommand("verify-screenshot", 1);
+    expect(result).toEqual({ success: true, type: "success", data: 'Saved baseline "page" (4x2)' });
+    expect(stored.pwBaselines).toEqual({ page: png("white") });
+  });
+
+  it("passes when the capture matches the baseline", async () => {
+    stored.pwBaselines = { page: png("white") };
+    page("white");
+    const result = await handleCommand("verify-screenshot", 1);
+    expect(result).toEqual({ success: true, type: "success", data: 'PASS: Screenshot matches baseline "page"' });
+  });
+
+  it("fails with expected, actual and diff images", async () => {
+    stored.pwBaselines = { page: png("white") };
+    page("black");
+    const result = await handleCommand("verify-screenshot", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe('FAIL: 8 pixels (100.00%) differ from baseline "page"');
+    expect(result.images).toEqual({ expected: png("white"), actual: png("black"), diff: btoa("encoded") });
+  });
+
+  it("allows --max-diff-pixels differing pixels", async () => {
+    stored.pwBaselines = { page: png("white") };
+    page("black");
+    expect((await handleCommand("verify-screenshot --max-diff-pixels 8", 1)).success).toBe(true);
+  });
+
+  it("masks regions before comparing", async () => {
+    stored.pwBaselines = { page: png("white") };
+    page("black");
+    const result = await handleCommand('verify-screenshot --mask "Clock"', 1);
+    // The left 2x2 of the capture is painted magenta, the rest stays black
+    const [actual] = encoded;
+    expect(Array.from(actual.data.slice(0, 4))).toEqual([255, 0, 255, 255]);
+    expect(Array.from(actual.data.slice(8, 12))).toEqual([0, 0, 0, 255]);
+    expect(result.images.actual).toBe(btoa("encoded"));
+  });
+
+  it("names baselines after the target or --name, and --update replaces them", async () => {
+    page("white");
+    await handleCommand('verify-screenshot "Header"', 1);
+    await handleCommand("verify-screenshot full --name home.png", 1);
+    expect(Object.keys(stored.pwBaselines)).toEqual(["Header", "home"]);
+    stored.pwBaselines.home = png("black");
+    expect((await handleCommand("verify-screenshot full --name home --update", 1)).data).toBe('Saved baseline "home" (4x2)');
+    expect(stored.pwBaselines.home).toBe(png("white"));
+  });
+
+  it("rejects invalid thresholds", async () => {
+    page("white");
+    expect((await handleCommand("verify-screenshot --threshold 2", 1)).data).toContain("Invalid threshold");
+    expect((await handleCommand("verify-screenshot --max-diff-pixels -1", 1)).data).toContain("Invalid --max-diff-pixels");
+  });
+});
+
+describe("dialogs", () => {
+  const confirm = { type: "confirm", message: "Delete item?", defaultPrompt: "" };
+
+  beforeEach(() => {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockResolvedValue({ identifier: "script-1" });
+  });
+
+  it("settles a command blocked by a dialog and reports it", async () => {
+    // Runtime.evaluate never returns while the dialog is open
+    chrome.debugger.sendCommand.mockImplementation(async (source, method) => {
+      if (method === "Runtime.evaluate") return new Promise(() => {});
+      return undefined;
+    });
+    const pending = handleCommand('eval "confirm(\'Delete item?\')"', 1);
+    await new Promise((r) => setTimeout(r, 0));
+    await onDialogOpening(1, confirm);
+    const result = await pending;
+    expect(result.type).toBe("info");
+    expect(result.data).toBe('confirm dialog "Delete item?" is open. Answer with dialog-accept [text] or dialog-dismiss');
+  });
+
+  it("refuses page commands while a dialog is open", async () => {
+    await onDialogOpening(1, confirm);
+    const result = await handleCommand("snapshot", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toContain("is blocking the page");
+  });
+
+  it("reports dialogs opened outside a command to the panel", async () => {
+    const mockPort = { postMessage: vi.fn() };
+    panelPorts.set(1, mockPort);
+    await onDialogOpening(1, { type: "alert", message: "Saved" });
+    expect(mockPort.postMessage).toHaveBeenCalledWith({
+      type: "pw-event",
+      level: "info",
+      text: 'alert dialog "Saved" is open. Answer with dialog-accept [text] or dialog-dismiss',
+    });
+  });
+
+  it("accepts a prompt with text and dismisses dialogs", async () => {
+    await onDialogOpening(1, { type: "prompt", message: "Name?", defaultPrompt: "guest" });
+    const accepted = await handleCommand('dialog-accept "Alice"', 1);
+    expect(accepted.data).toBe('Accepted prompt dialog "Name?" (default "guest")');
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Page.handleJavaScriptDialog", { accept: true, promptText: "Alice" });
+    expect(openDialogs.has(1)).toBe(false);
+
+    await onDialogOpening(1, confirm);
+    await handleCommand("dialog-dismiss", 1);
+    expect(chrome.debugger.sendCommand).toHaveBeenLastCalledWith({ tabId: 1 }, "Page.handleJavaScriptDialog", { accept: false });
+  });
+
+  it("fails dialog-accept when no dialog opens", async () => {
+    const result = await handleCommand("dialog-accept --timeout 0", 1);
+    expect(result.success).toBe(false);
+    expect(result.data).toBe("No dialog is open");
+  });
+
+  it("answers dialogs automatically under an accept or dismiss policy", async () => {
+    expect((await handleCommand("dialog-policy", 1)).data).toBe("Dialog policy: ask");
+    expect((await handleCommand("dialog-policy maybe", 1)).success).toBe(false);
+    await handleCommand("dialog-policy dismiss", 1);
+    expect(dialogPolicies.get(1)).toBe("dismiss");
+    await onDialogOpening(1, confirm);
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1 }, "Page.handleJavaScriptDialog", { accept: false });
+    expect(openDialogs.has(1)).toBe(false);
+  });
+
+  it("records dialogs answered in the browser", async () => {
+    const mockPort = { postMessage: vi.fn() };
+    panelPorts.set(1, mockPort);
+    await startRecording(1);
+    await onDialogOpening(1, { type: "prompt", message: "Name?", defaultPrompt: "" });
+    onDialogClosed(1, { result: true, userInput: "Bob" });
+    await onDialogOpening(1, confirm);
+    onDialogClosed(1, { result: false, userInput: "" });
+    const commands = mockPort.postMessage.mock.calls.map((c) => c[0].command).filter(Boolean);
+    expect(commands).toEqual(['dialog-accept "Bob"', "dialog-dismiss"]);
+  });
+
+  it("does not record dialogs answered by a command", async () => {
+    const mockPort = { postMessage: vi.fn() };
+    panelPorts.set(1, mockPort);
+    await startRecording(1);
+    await onDialogOpening(1, confirm);
+    await handleCommand("dialog-accept", 1);
+    onDialogClosed(1, { result: true, userInput: "" });
+    expect(mockPort.postMessage.mock.calls.map((c) => c[0].command).filter(Boolean)).toEqual([]);
+  });
+});
+
+describe("frames", () => {
+  // A shop page with a payment iframe at (100, 50) whose document has
+  // execution context 12
+  function mockFrames() {
+    chrome.debugger.attach.mockResolvedValue(undefined);
+    chrome.debugger.sendCommand.mockImplementation(async (source, method, params) => {
+      if (method === "Page.getFrameTree" && source.sessionId === "S1") {
+        return { frameTree: { frame: { id: "pay", name: "", url: "https://pay.test/card" } } };
+      }
+      if (method === "Page.getFrameTree") {
+        return {
+          frameTree: {
+            frame: { id: "top", url: "https://shop.test/" },
+            childFrames: [{ frame: { id: "pay", name: "payment", url: "https://pay.test/card" } }],
+          },
+        };
+      }
+      if (method === "Accessibility.getFullAXTree") {
+        const [name, backendDOMNodeId] = params.frameId === "pay" ? ["Pay", 9] : ["Save", 42];
+        return { nodes: [{ role: { value: "button" }, name: { value: name }, backendDOMNodeId }] };
+      }
+      if (method === "DOM.getFrameOwner") return { backendNodeId: 7 };
+      if (method === "DOM.resolveNode") return { object: { objectId: `obj-${params.backendNodeId}` } };
+      if (method === "Runtime.callFunctionOn" && params.objectId === "obj-7") return { result: { value: { x: 100, y: 50 } } };
+      if (method === "Runtime.evaluate") return { result: { value: { success: true, x: 10, y: 20 } } };
+      return {};
+    });
+    onExecutionContextEvent(1, undefined, "Runtime.executionContextCreated", {
+      context: { id: 12, auxData: { isDefault: true, frameId: "pay" } },
+    });
+  }
+
+  const calls = (method) => chrome.debugger.sendCommand.mock.calls.filter(c => c[1] === method);
+
+  beforeEach(() => {
+    frameContexts.clear();
+    frameSessions.clear();
+    selectedFrames.clear();
+  });
+
+  it("runs commands in the selected frame, with clicks offset by the iframe", async () => {
+    mockFrames();
+    const selected = await handleCommand('frame "payment"', 1);
+    expect(selected.data).toBe('Commands run in frame "payment" (https://pay.test/card)');
+    chrome.debugger.sendCommand.mockClear();
+
+    const result = await handleCommand('click "Pay"', 1);
+    expect(result.success).toBe(true);
+    expect(calls("Runtime.evaluate").every(c => c[2].contextId === 12)).toBe(true);
+    expect(calls("DOM.getFrameOwner")[0][2]).toEqual({ frameId: "pay" });
+    const pressed = calls("Input.dispatchMouseEvent").find(c => c[2].type === "mousePressed");
+    expect(pressed[2]).toMatchObject({ x: 110, y: 70 });
+  });
+
+  it("lists frames, goes back to the top document and reports unknown frames", async () => {
+    mockFrames();
+    await handleCommand('frame "pay.test"', 1);
+    expect((await handleCommand("frame", 1)).data).toBe(
+      'Commands run in frame "pay.test":\n* f1  "payment"  https://pay.test/card'
+    );
+    expect((await handleCommand("frame main", 1)).data).toBe("Commands run in the top document");
+    expect(selectedFrames.has(1)).toBe(false);
+    chrome.debugger.sendCommand.mockClear();
+    await handleCommand('eval "document.title"', 1);
+    expect(calls("Runtime.evaluate")[0][2].contextId).toBeUndefined();
+
+    const missing = await handleCommand('frame "chat" --timeout 0', 1);
+    expect(missing.success).toBe(false);
+    expect(missing.data).toBe('Frame failed: Frame not found: "chat"');
+  });
+
+  it("keeps page-wide commands on the top document", async () => {
+    mockFrames();
+    await handleCommand('frame "payment"', 1);
+    chrome.debugger.sendCommand.mockClear();
+    await handleCommand('verify-url "shop" --timeout 0', 1);
+    expect(calls("Runtime.evaluate")[0][2].contextId).toBeUndefined();
+  });
+
+  it("lists iframe trees in snapshots with refs that run in their frame", async () => {
+    mockFrames();
+    const snapshot = await handleCommand("snapshot", 1);
+    expect(snapshot.data).toBe([
+      '- button "Save" [ref=e1]',
+      '- frame "payment" [frame=f1]',
+      '  - button "Pay" [ref=f1e1]',
+    ].join("\n"));
+    const tag = calls("Runtime.callFunctionOn").find(c => c[2].objectId === "obj-9")[2];
+    expect(tag.arguments).toEqual([{ value: "f1e1" }]);
+
+    chrome.debugger.sendCommand.mockClear();
+    expect((await handleCommand("click f1e1", 1)).success).toBe(true);
+    expect(calls("Runtime.evaluate").every(c => c[2].contextId === 12)).toBe(true);
+    expect((await handleCommand("click f2e1", 1)).data).toBe("Unknown ref f2e1: not in the last snapshot, re-run snapshot");
+  });
+
+  it("runs plain refs in the top document while a frame is selected", async () => {
+    mockFrames();
+    await handleCommand("snapshot", 1);
+    await handleCommand('frame "payment"', 1);
+    chrome.debugger.sendCommand.mockClear();
+    expect((await handleCommand("click e1", 1)).success).toBe(true);
+    expect(calls("Runtime.evaluate").every(c => c[2].contextId === undefined)).toBe(true);
+    expect(calls("DOM.getFrameOwner")).toEqual([]);
+  });
+
+  it("only treats the target argument as a frame ref", async () => {
+    mockFrames();
+    await handleCommand("snapshot", 1);
+    chrome.debugger.sendCommand.mockClear();
+    expect((await handleCommand('fill "Note" f2e1', 1)).success).toBe(true);
+    expect(calls("Runtime.evaluate").every(c => c[2].contextId === undefined)).toBe(true);
+    expect((await handleCommand('type f1e1 "4242"', 1)).success).toBe(true);
+    expect(calls("Runtime.evaluate").at(-1)[2].contextId).toBe(12);
+  });
+
+  it("sends commands for out-of-process iframes to their session", async () => {
+    mockFrames();
+    frameContexts.clear();
+    await onTargetAttached(1, { sessionId: "S1", targetInfo: { type: "iframe", targetId: "pay" } });
+    expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 1, sessionId: "S1" }, "Runtime.enable", {});
+    await handleCommand('frame "pay.test/card"', 1);
+    chrome.debugger.sendCommand.mockClear();
+    await handleCommand('eval "1 + 1"', 1);
+    expect(calls("Runtime.evaluate")[0][0]).toEqual({ tabId: 1, sessionId: "S1" });
+  });
+
+  it("injects the recorder into iframes and records frame switches", async () => {
+    mockFrames();
+    const mockPort = { postMessage: vi.fn() };
+    panelPorts.set(1, mockPort);
+    await startRecording(1);
+    const injected = calls("Runtime.evaluate").filter(c => c[2].expression.includes("__pwRecorderActive"));
+    expect(injected.map(c => c[2].contextId)).toEqual([undefined, 12]);
+
+    const debug = (value) => chrome.debugger.onEvent.callListeners(
+      { tabId: 1 }, "Runtime.consoleAPICalled", { type: "debug", args: [{ type: "string", value }] }
+    );
+    debug('__pw:@frame "payment" fill "Card number" "4242"');
+    debug('__pw:@frame "payment" click "Pay"');
+    debug('__pw:click "Done"');
+    expect(mockPort.postMessage.mock.calls.map(c => c[0].command)).toEqual([
+      'frame "payment"', 'fill "Card number" "4242"', 'click "Pay"', "frame main", 'click "Done"',
+    ]);
+  });
+});
+
 describe("waitForLoad", () => {
   it("resolves when Page.loadEventFired is received", async () => {
     setTimeout(() => {
@@ -0,0 +1,24 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { BASELINES_KEY, readBaseline, writeBaseline } from "../lib/baselines.js";
+
+describe("baselines", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (key) => (key in stored ? { [key]: stored[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => { Object.assign(stored, items); });
+  });
+
+  it("returns null for a missing baseline", async () => {
+    expect(await readBaseline("header")).toBeNull();
+  });
+
+  it("writes and replaces baselines by name", async () => {
+    await writeBaseline("header", "AAA");
+    await writeBaseline("footer", "BBB");
+    await writeBaseline("header", "CCC");
+    expect(stored[BASELINES_KEY]).toEqual({ header: "CCC", footer: "BBB" });
+    expect(await readBaseline("header")).toBe("CCC");
+  });
+});
@@ -1,11 +1,16 @@
 import { describe, it, expect } from "vitest";
-import { parseCommand } from "../lib/commands.js";
+import { parseCommand, parseOptions, parseDuration } from "../lib/commands.js";
 
 describe("parseCommand", () => {
   it("parses a simple command with no args", () => {
     expect(parseCommand("help")).toEqual({ command: "help", args: [] });
   });
 
+  it("takes a line that is already tokenized", () => {
+    expect(parseCommand(["Fill", "Name", "John Smith"])).toEqual({ command: "fill", args: ["Name", "John Smith"] });
+    expect(parseCommand([])).toBeNull();
+  });
+
   it("parses a command with one arg", () => {
     expect(parseCommand("click Submit")).toEqual({
       command: "click",
@@ -81,6 +86,17 @@ describe("parseCommand", () => {
     });
   });
 
+  it("keeps quotes that appear inside a token", () => {
+    expect(parseCommand('click role=button[name="Save"]')).toEqual({
+      command: "click",
+      args: ['role=button[name="Save"]'],
+    });
+    expect(parseCommand("eval document.querySelector('h1').textContent")).toEqual({
+      command: "eval",
+      args: ["document.querySelector('h1').textContent"],
+    });
+  });
+
   it("handles eval with multi-word expression", () => {
     expect(parseCommand("eval document.title")).toEqual({
       command: "eval",
@@ -88,3 +104,53 @@ describe("parseCommand", () => {
     });
   });
 });
+
+describe("parseOptions", () => {
+  it("splits known flags from positional args", () => {
+    expect(parseOptions(["Save", "--timeout", "10s", "Row"], { timeout: "value" })).toEqual({
+      args: ["Save", "Row"],
+      options: { timeout: "10s" },
+    });
+  });
+
+  it("handles boolean flags", () => {
+    expect(parseOptions(["--abort", "*.png"], { abort: "boolean" })).toEqual({
+      args: ["*.png"],
+      options: { abort: true },
+    });
+  });
+
+  it("collects repeated list flags", () => {
+    expect(parseOptions(["Header", "--mask", "Clock", "--mask", "Ad"], { mask: "list" })).toEqual({
+      args: ["Header"],
+      options: { mask: ["Clock", "Ad"] },
+    });
+  });
+
+  it("leaves unknown flags positional", () => {
+    expect(parseOptions(["Flags", "--verbose"], { timeout: "value" })).toEqual({
+      args: ["Flags", "--verbose"],
+      options: {},
+    });
+  });
+
+  it("gives a trailing value flag an empty value", () => {
+    expect(parseOptions(["Save", "--timeout"], { timeout: "value" }).options).toEqual({ timeout: "" });
+  });
+});
+
+describe("parseDuration", () => {
+  it("parses milliseconds, seconds and minutes", () => {
+    expect(parseDuration("500")).toBe(500);
+    expect(parseDuration("500ms")).toBe(500);
+    expect(parseDuration("10s")).toBe(10000);
+    expect(parseDuration("1.5s")).toBe(1500);
+    expect(parseDuration("2m")).toBe(120000);
+  });
+
+  it("returns null for non-durations", () => {
+    expect(parseDuration("soon")).toBeNull();
+    expect(parseDuration("")).toBeNull();
+    expect(parseDuration("-1s")).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { MAX_MESSAGES, createConsoleLog, recordConsoleEvent, filterByLevel, formatConsoleEntry } from "../lib/console-log.js";
+
+const logged = (type, ...args) => ({
+  type,
+  args: args.map(value => typeof value === "string" ? { type: "string", value } : value),
+  stackTrace: { callFrames: [{ url: "https://app.test/app.js", lineNumber: 11 }] },
+});
+
+describe("recordConsoleEvent", () => {
+  it("records console calls with their level, text and location", () => {
+    const log = createConsoleLog();
+    const entry = recordConsoleEvent(log, "Runtime.consoleAPICalled",
+      logged("warning", "Slow response:", { type: "number", value: 1200 }, { type: "object", className: "Object", description: "Object" }));
+    expect(entry).toMatchObject({ id: 1, level: "warn", text: "Slow response: 1200 Object", url: "https://app.test/app.js", line: 12 });
+    expect(log.entries).toEqual([entry]);
+  });
+
+  it("formats special values", () => {
+    const log = createConsoleLog();
+    const entry = recordConsoleEvent(log, "Runtime.consoleAPICalled", logged("log",
+      { type: "undefined" }, { type: "object", subtype: "null", value: null },
+      { type: "number", unserializableValue: "NaN" }, { type: "boolean", value: false }));
+    expect(entry.text).toBe("undefined null NaN false");
+  });
+
+  it("records uncaught exceptions as errors", () => {
+    const log = createConsoleLog();
+    const entry = recordConsoleEvent(log, "Runtime.exceptionThrown", {
+      exceptionDetails: {
+        text: "Uncaught", url: "https://app.test/app.js", lineNumber: 3,
+        exception: { description: "TypeError: x is not a function\n    at app.js:4:1" },
+      },
+    });
+    expect(entry).toMatchObject({ level: "error", text: "Uncaught TypeError: x is not a function", line: 4, exception: true });
+  });
+
+  it("skips recorder messages", () => {
+    const log = createConsoleLog();
+    expect(recordConsoleEvent(log, "Runtime.consoleAPICalled", logged("debug", '__pw:click "Save"'))).toBeNull();
+    expect(log.entries).toHaveLength(0);
+  });
+
+  it("drops the oldest messages beyond the limit", () => {
+    const log = createConsoleLog();
+    for (let i = 0; i <= MAX_MESSAGES; i++) recordConsoleEvent(log, "Runtime.consoleAPICalled", logged("log", `m${i}`));
+    expect(log.entries).toHaveLength(MAX_MESSAGES);
+    expect(log.entries[0].text).toBe("m1");
+  });
+});
+
+describe("filterByLevel", () => {
+  const log = createConsoleLog();
+  for (const type of ["debug", "log", "info", "warning", "error"]) recordConsoleEvent(log, "Runtime.consoleAPICalled", logged(type, type));
+
+  it("keeps messages at the level and above", () => {
+    expect(filterByLevel(log.entries, "warn").map(e => e.level)).toEqual(["warn", "error"]);
+    expect(filterByLevel(log.entries, "info").map(e => e.level)).toEqual(["log", "info", "warn", "error"]);
+    expect(filterByLevel(log.entries, undefined)).toHaveLength(5);
+  });
+
+  it("rejects unknown levels", () => {
+    expect(filterByLevel(log.entries, "fatal").error).toBe('Invalid level: "fatal" (use debug, log, info, warn, error)');
+  });
+});
+
+describe("formatConsoleEntry", () => {
+  it("pads the level and appends the location", () => {
+    expect(formatConsoleEntry({ level: "warn", text: "Slow", url: "https://app.test/app.js", line: 12 }))
+      .toBe("warn   Slow  (https://app.test/app.js:12)");
+    expect(formatConsoleEntry({ level: "error", text: "Boom", url: "", line: null })).toBe("error  Boom");
+  });
+});
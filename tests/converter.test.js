@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { tokenize, pwToPlaywright } from "../lib/converter.js";
+import { tokenize, pwToPlaywright, exportScript } from "../lib/converter.js";
 
 describe("tokenize", () => {
   it("tokenizes simple words", () => {
@@ -52,6 +52,13 @@ describe("tokenize", () => {
   it("handles quoted string with spaces", () => {
     expect(tokenize('click "Sign In"')).toEqual(["click", "Sign In"]);
   });
+
+  it("keeps quotes inside a token", () => {
+    expect(tokenize('click role=button[name="Sign In"]')).toEqual([
+      "click",
+      'role=button[name="Sign In"]',
+    ]);
+  });
 });
 
 describe("pwToPlaywright", () => {
@@ -113,6 +120,82 @@ describe("pwToPlaywright", () => {
     expect(pwToPlaywright("click")).toBeNull();
   });
 
+  // locator engines
+  it("converts role selectors to getByRole", () => {
+    expect(pwToPlaywright(`click 'role=button[name="Save"]'`)).toBe(
+      'await page.getByRole("button", { name: "Save" }).click();'
+    );
+    expect(pwToPlaywright(`check 'role=checkbox[name="Agree"s]'`)).toBe(
+      'await page.getByRole("checkbox", { name: "Agree", exact: true }).check();'
+    );
+    expect(pwToPlaywright("click role=heading[level=2]")).toBe(
+      'await page.getByRole("heading", { level: 2 }).click();'
+    );
+  });
+
+  it("converts text, label and placeholder engines", () => {
+    expect(pwToPlaywright(`click 'text="Log in"'`)).toBe(
+      'await page.getByText("Log in", { exact: true }).click();'
+    );
+    expect(pwToPlaywright('fill label=Email "a@b.c"')).toBe(
+      'await page.getByLabel("Email").fill("a@b.c");'
+    );
+    expect(pwToPlaywright('fill placeholder=Search "shoes"')).toBe(
+      'await page.getByPlaceholder("Search").fill("shoes");'
+    );
+  });
+
+  it("converts testid, css and xpath engines", () => {
+    expect(pwToPlaywright("click testid=submit")).toBe(
+      'await page.getByTestId("submit").click();'
+    );
+    expect(pwToPlaywright("hover css=.menu")).toBe(
+      'await page.locator(".menu").hover();'
+    );
+    expect(pwToPlaywright("verify-element xpath=//h1")).toBe(
+      'await expect(page.locator("xpath=//h1")).toBeVisible();'
+    );
+  });
+
+  it("scopes engine selectors to the container", () => {
+    expect(pwToPlaywright('click testid=delete "Buy milk"')).toBe(
+      'await page.getByText("Buy milk").getByTestId("delete").click();'
+    );
+  });
+
+  // auto-wait timeouts
+  it("carries --timeout into action options", () => {
+    expect(pwToPlaywright('click "Save" --timeout 10s')).toBe(
+      'await page.getByText("Save").click({ timeout: 10000 });'
+    );
+    expect(pwToPlaywright('fill "Email" "a@b.c" --timeout 500ms')).toBe(
+      'await page.getByLabel("Email").fill("a@b.c", { timeout: 500 });'
+    );
+    expect(pwToPlaywright('click "delete" "Buy milk" --timeout 2s')).toBe(
+      'await page.getByText("Buy milk").getByText("delete").click({ timeout: 2000 });'
+    );
+  });
+
+  it("carries mouse options into click and dblclick", () => {
+    expect(pwToPlaywright('click "Row" --button right --modifiers Shift')).toBe(
+      'await page.getByText("Row").click({ button: "right", modifiers: ["Shift"] });'
+    );
+    expect(pwToPlaywright('click "Word" --click-count 3 --modifiers control+alt --timeout 1s')).toBe(
+      'await page.getByText("Word").click({ modifiers: ["Control", "Alt"], clickCount: 3, timeout: 1000 });'
+    );
+    expect(pwToPlaywright('click "Row" --modifiers controlormeta')).toBe(
+      'await page.getByText("Row").click({ modifiers: ["ControlOrMeta"] });'
+    );
+    expect(pwToPlaywright('dblclick "Item" --button middle')).toBe(
+      'await page.getByText("Item").dblclick({ button: "middle" });'
+    );
+  });
+
+  it("converts timeout to setDefaultTimeout", () => {
+    expect(pwToPlaywright("timeout 10s")).toBe("page.setDefaultTimeout(10000);");
+    expect(pwToPlaywright("timeout")).toBeNull();
+  });
+
   // dblclick
   it("converts dblclick", () => {
     expect(pwToPlaywright('dblclick "Item"')).toBe(
@@ -164,6 +247,30 @@ describe("pwToPlaywright", () => {
     );
   });
 
+  // drag
+  it("converts drag to dragTo", () => {
+    expect(pwToPlaywright('drag "Card A" "Done column"')).toBe(
+      'await page.getByText("Card A").dragTo(page.getByText("Done column"));'
+    );
+    expect(pwToPlaywright('drag css=.card "Done" --to-offset 10,20 --timeout 2s')).toBe(
+      'await page.locator(".card").dragTo(page.getByText("Done"), { targetPosition: { x: 10, y: 20 }, timeout: 2000 });'
+    );
+    expect(pwToPlaywright("drag e1 e2")).toContain("snapshot refs");
+    expect(pwToPlaywright('drag "Card A"')).toBeNull();
+  });
+
+  // upload
+  it("converts upload to setInputFiles", () => {
+    expect(pwToPlaywright('upload "Avatar" fixtures/avatar.png')).toBe(
+      'await page.getByLabel("Avatar").setInputFiles("fixtures/avatar.png");'
+    );
+    expect(pwToPlaywright("upload css=#docs fixtures/a.pdf fixtures/b.pdf --timeout 2s")).toBe(
+      'await page.locator("#docs").setInputFiles(["fixtures/a.pdf", "fixtures/b.pdf"], { timeout: 2000 });'
+    );
+    expect(pwToPlaywright('upload "Avatar"')).toBeNull();
+    expect(pwToPlaywright("fixtures")).toMatch(/^\/\/ fixtures/);
+  });
+
   // press
   it("converts press with capitalization", () => {
     expect(pwToPlaywright("press enter")).toBe(
@@ -171,6 +278,22 @@ describe("pwToPlaywright", () => {
     );
   });
 
+  it("converts key chords to Playwright key names", () => {
+    expect(pwToPlaywright("press control+shift+K")).toBe('await page.keyboard.press("Control+Shift+K");');
+    expect(pwToPlaywright("press arrowdown")).toBe('await page.keyboard.press("ArrowDown");');
+    expect(pwToPlaywright("press space")).toBe('await page.keyboard.press("Space");');
+    expect(pwToPlaywright("press ControlOrMeta+a")).toBe('await page.keyboard.press("ControlOrMeta+a");');
+    expect(pwToPlaywright("press controlormeta+shift+z")).toBe('await page.keyboard.press("ControlOrMeta+Shift+z");');
+  });
+
+  it("converts type to keyboard.type or pressSequentially", () => {
+    expect(pwToPlaywright('type "hello"')).toBe('await page.keyboard.type("hello");');
+    expect(pwToPlaywright('type "Search" "playwright" --delay 50')).toBe(
+      'await page.getByLabel("Search").pressSequentially("playwright", { delay: 50 });'
+    );
+    expect(pwToPlaywright("type")).toBeNull();
+  });
+
   it("converts p alias", () => {
     expect(pwToPlaywright("p tab")).toBe(
       'await page.keyboard.press("Tab");'
@@ -184,6 +307,34 @@ describe("pwToPlaywright", () => {
     );
   });
 
+  it("converts element, clipped and named screenshots", () => {
+    expect(pwToPlaywright('screenshot "Login form" --name login')).toBe(
+      'await page.getByText("Login form").screenshot({ path: "login.png" });'
+    );
+    expect(pwToPlaywright("screenshot --clip 0,0,400,300 --name hero.png")).toBe(
+      'await page.screenshot({ path: "hero.png", clip: { x: 0, y: 0, width: 400, height: 300 } });'
+    );
+    expect(pwToPlaywright("screenshot full --name home")).toBe('await page.screenshot({ path: "home.png", fullPage: true });');
+  });
+
+  it("converts pdf with its options", () => {
+    expect(pwToPlaywright("pdf")).toBe("await page.pdf({ path: 'page.pdf' });");
+    expect(pwToPlaywright("pdf --format A4 --landscape --background --margin 1cm --name report")).toBe(
+      'await page.pdf({ path: "report.pdf", format: "A4", landscape: true, printBackground: true, margin: { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" } });'
+    );
+    expect(pwToPlaywright("pdf --margin 1cm,2cm,1cm,2cm")).toContain('margin: { top: "1cm", right: "2cm", bottom: "1cm", left: "2cm" }');
+    expect(pwToPlaywright("pdf --margin wide")).toBeNull();
+  });
+
+  it("converts verify-screenshot to toHaveScreenshot", () => {
+    expect(pwToPlaywright("verify-screenshot")).toBe("await expect(page).toHaveScreenshot();");
+    expect(pwToPlaywright('verify-screenshot "header"')).toBe('await expect(page.getByText("header")).toHaveScreenshot();');
+    expect(pwToPlaywright('verify-screenshot full --name home --mask "Clock" --mask "css=#ad" --threshold 0.3 --max-diff-pixels 50')).toBe(
+      'await expect(page).toHaveScreenshot("home.png", { fullPage: true, mask: [page.getByText("Clock"), page.locator("#ad")], threshold: 0.3, maxDiffPixels: 50 });'
+    );
+    expect(pwToPlaywright("verify-screenshot e5")).toBe("// verify-screenshot e5 — snapshot ref, use a locator instead");
+  });
+
   it("converts screenshot full", () => {
     expect(pwToPlaywright("screenshot full")).toBe(
       "await page.screenshot({ path: 'screenshot.png', fullPage: true });"
@@ -270,6 +421,21 @@ describe("pwToPlaywright", () => {
     );
   });
 
+  it("carries --timeout into assertions", () => {
+    expect(pwToPlaywright('verify-text "Saved" --timeout 10s')).toBe(
+      'await expect(page.getByText("Saved")).toBeVisible({ timeout: 10000 });'
+    );
+    expect(pwToPlaywright('verify-no-element "Spinner" --timeout 2s')).toBe(
+      'await expect(page.getByText("Spinner")).not.toBeVisible({ timeout: 2000 });'
+    );
+    expect(pwToPlaywright('verify-url "dashboard" --timeout 500ms')).toBe(
+      'await expect(page).toHaveURL(/dashboard/, { timeout: 500 });'
+    );
+    expect(pwToPlaywright('verify-title "My App" --timeout 1s')).toBe(
+      'await expect(page).toHaveTitle(/My App/, { timeout: 1000 });'
+    );
+  });
+
   it("returns null for verify-text without arg", () => {
     expect(pwToPlaywright("verify-text")).toBeNull();
   });
@@ -282,8 +448,356 @@ describe("pwToPlaywright", () => {
     expect(pwToPlaywright("verify-title")).toBeNull();
   });
 
+  // variables
+  it("converts set to a constant", () => {
+    expect(pwToPlaywright('set email "a@b.c"')).toBe('const email = "a@b.c";');
+  });
+
+  it("converts eval captures to page.evaluate", () => {
+    expect(pwToPlaywright("set total = eval document.title")).toBe(
+      "const total = await page.evaluate(() => document.title);"
+    );
+  });
+
+  it("emits template literals for ${name} references", () => {
+    expect(pwToPlaywright('fill "Email" "${user}@example.com"')).toBe(
+      'await page.getByLabel("Email").fill(`${user}@example.com`);'
+    );
+    expect(pwToPlaywright("goto ${baseUrl}/login")).toBe("await page.goto(`${baseUrl}/login`);");
+    expect(pwToPlaywright('verify-url "${baseUrl}/home"')).toBe(
+      "await expect(page).toHaveURL(new RegExp(`${baseUrl}\\\\/home`));"
+    );
+  });
+
+  it("escapes backticks and stray dollars in template literals", () => {
+    expect(pwToPlaywright('verify-text "`$5` for ${item}"')).toBe(
+      "await expect(page.getByText(`\\`\\$5\\` for ${item}`)).toBeVisible();"
+    );
+  });
+
+  // blocks
+  it("converts if conditions", () => {
+    expect(pwToPlaywright('if not url "/login"')).toBe('if (!(page.url().includes("/login"))) {');
+    expect(pwToPlaywright('if title "Inbox"')).toBe('if ((await page.title()).includes("Inbox")) {');
+    expect(pwToPlaywright('if text "Welcome"')).toBe('if (await page.getByText("Welcome").isVisible()) {');
+    expect(pwToPlaywright("else")).toBe("} else {");
+    expect(pwToPlaywright("end")).toBe("}");
+  });
+
+  it("converts repeat and foreach loops", () => {
+    expect(pwToPlaywright("repeat 5")).toBe("for (let i = 1; i <= 5; i++) {");
+    expect(pwToPlaywright("repeat ${count} as n")).toBe("for (let n = 1; n <= Number(count); n++) {");
+    expect(pwToPlaywright('foreach item in "a,b,c"')).toBe('for (const item of ["a", "b", "c"]) {');
+    expect(pwToPlaywright('foreach item in "${list}"')).toBe(
+      'for (const item of `${list}`.split(",").map((s) => s.trim())) {'
+    );
+  });
+
+  it("converts procedure definitions and calls", () => {
+    expect(pwToPlaywright("define login(user, pass)")).toBe("async function login(page: Page, user: string, pass: string) {");
+    expect(pwToPlaywright("define logout")).toBe("async function logout(page: Page) {");
+    expect(pwToPlaywright('call login "alice" "${secret}"')).toBe('await login(page, "alice", `${secret}`);');
+  });
+
+  it("converts tab commands to context pages", () => {
+    expect(pwToPlaywright("tab-select 0")).toBe("page = context.pages()[0];");
+    expect(pwToPlaywright('tab-select "auth.test"')).toBe('page = context.pages().find((p) => p.url().includes("auth.test"))!;');
+    expect(pwToPlaywright("tab-new example.com")).toBe('page = await context.newPage();\nawait page.goto("https://example.com");');
+    expect(pwToPlaywright("tab-close")).toBe("await page.close();\npage = context.pages()[0];");
+    expect(pwToPlaywright("tab-close 2")).toBe("await context.pages()[2].close();");
+  });
+
+  it("notes frame switches as comments", () => {
+    expect(pwToPlaywright('frame "payment"')).toBe(`// frame "payment" — locators use page.frameLocator('iframe[name="payment"]')`);
+    expect(pwToPlaywright('frame "pay.test/card"')).toBe(`// frame "pay.test/card" — locators use page.frameLocator('iframe[src*="pay.test/card"]')`);
+    expect(pwToPlaywright("frame main")).toBe("// frame main — locators use page again");
+    expect(pwToPlaywright("frame")).toBe("console.log(page.frames().map((f) => f.url()));");
+  });
+
+  it("converts dialog commands to dialog handlers", () => {
+    expect(pwToPlaywright("dialog-accept")).toBe("page.once('dialog', (dialog) => dialog.accept());");
+    expect(pwToPlaywright('dialog-accept "Bob"')).toBe(`page.once('dialog', (dialog) => dialog.accept("Bob"));`);
+    expect(pwToPlaywright("dialog-dismiss")).toBe("page.once('dialog', (dialog) => dialog.dismiss());");
+    expect(pwToPlaywright("dialog-policy accept")).toBe("page.on('dialog', (dialog) => dialog.accept());");
+    expect(pwToPlaywright("dialog-policy ask")).toBe("page.removeAllListeners('dialog');");
+    expect(pwToPlaywright("dialog-policy maybe")).toBeNull();
+  });
+
+  it("notes that network has no test equivalent", () => {
+    expect(pwToPlaywright("network --status 4xx")).toMatch(/^\/\/ network/);
+  });
+
+  it("converts network waits", () => {
+    expect(pwToPlaywright('wait-for-response "/api/todos"')).toBe(
+      'await page.waitForResponse((response) => response.url().includes("/api/todos"));'
+    );
+    expect(pwToPlaywright('wait-for-request "/api/save" --timeout 2s')).toBe(
+      'await page.waitForRequest((request) => request.url().includes("/api/save"), { timeout: 2000 });'
+    );
+    expect(pwToPlaywright("wait-for-idle 1000")).toBe("await page.waitForLoadState('networkidle');");
+    expect(pwToPlaywright("wait-for-response")).toBeNull();
+  });
+
+  it("converts routes to page.route handlers", () => {
+    expect(pwToPlaywright(`route "/api/user" --status 500 --body '{"error":1}'`)).toBe(
+      'await page.route(/\\/api\\/user/, (route) => route.fulfill({ status: 500, contentType: "application/json", body: "{\\"error\\":1}" }));'
+    );
+    expect(pwToPlaywright('route "*.png" --abort')).toBe("await page.route(/\\.png/, (route) => route.abort());");
+    expect(pwToPlaywright('route-from-file "/api/user" mocks/user.json')).toBe(
+      'await page.route(/\\/api\\/user/, (route) => route.fulfill({ path: "mocks/user.json" }));'
+    );
+    expect(pwToPlaywright('unroute "/api/user"')).toBe("await page.unroute(/\\/api\\/user/);");
+    expect(pwToPlaywright("unroute")).toBe("await page.unrouteAll();");
+  });
+
+  it("converts har-replay to page.routeFromHAR", () => {
+    expect(pwToPlaywright("har-replay demo.har")).toBe('await page.routeFromHAR("demo.har");');
+    expect(pwToPlaywright('har-replay demo.har --url "/api/" --fallback')).toBe(
+      'await page.routeFromHAR("demo.har", { url: /\\/api\\//, notFound: "fallback" });'
+    );
+    expect(pwToPlaywright("har-start")).toMatch(/^\/\/ har-start/);
+  });
+
+  it("converts verify-no-console-errors to a check of collected errors", () => {
+    expect(pwToPlaywright("verify-no-console-errors")).toBe("expect(consoleErrors).toEqual([]);");
+    expect(pwToPlaywright("console --level error")).toMatch(/^\/\/ console/);
+  });
+
+  it("converts emulation commands to their page and context methods", () => {
+    expect(pwToPlaywright("resize 800 600")).toBe("await page.setViewportSize({ width: 800, height: 600 });");
+    expect(pwToPlaywright("color-scheme dark")).toBe('await page.emulateMedia({ colorScheme: "dark" });');
+    expect(pwToPlaywright("geolocation 52.52 13.4")).toBe("await context.setGeolocation({ latitude: 52.52, longitude: 13.4 });");
+    expect(pwToPlaywright("offline on")).toBe("await context.setOffline(true);");
+    expect(pwToPlaywright("timezone Europe/Berlin")).toBe('// timezone Europe/Berlin — only possible in test.use({ timezoneId: "Europe/Berlin" })');
+  });
+
+  it("converts cookie commands to context methods", () => {
+    expect(pwToPlaywright("cookie-set token t1")).toBe('await context.addCookies([{ name: "token", value: "t1", url: page.url() }]);');
+    expect(pwToPlaywright("cookie-set token t1 --domain app.test --http-only --secure --same-site none --expires 1893456000")).toBe(
+      'await context.addCookies([{ name: "token", value: "t1", domain: "app.test", path: "/", expires: 1893456000, httpOnly: true, secure: true, sameSite: "None" }]);'
+    );
+    expect(pwToPlaywright("cookie-delete sid --domain app.test")).toBe('await context.clearCookies({ name: "sid", domain: "app.test" });');
+    expect(pwToPlaywright("cookies-clear")).toBe("await context.clearCookies();");
+    expect(pwToPlaywright("cookies")).toMatch(/^\/\/ cookies/);
+  });
+
+  it("converts web storage and storage state commands", () => {
+    expect(pwToPlaywright("localstorage set theme dark")).toBe(
+      'await page.evaluate(([key, value]) => localStorage.setItem(key, value), ["theme", "dark"]);'
+    );
+    expect(pwToPlaywright("sessionstorage clear")).toBe("await page.evaluate(() => sessionStorage.clear());");
+    expect(pwToPlaywright("localstorage get theme")).toMatch(/^\/\/ localstorage get theme/);
+    expect(pwToPlaywright("storage-save auth.json")).toBe('await context.storageState({ path: "auth.json" });');
+    expect(pwToPlaywright("storage-load auth.json")).toBe('// storage-load auth.json — only possible in test.use({ storageState: "auth.json" })');
+  });
+
   // unknown
   it("converts unknown command to comment", () => {
     expect(pwToPlaywright("foobar")).toBe("// unknown command: foobar");
   });
 });
+
+describe("exportScript", () => {
+  it("wraps commands in a test", () => {
+    const code = exportScript(["goto https://example.com", "# done"]);
+    expect(code).toBe([
+      "import { test, expect } from '@playwright/test';",
+      "",
+      "test('recorded session', async ({ page }) => {",
+      '  await page.goto("https://example.com");',
+      "  // done",
+      "});",
+    ].join("\n"));
+  });
+
+  it("moves leading emulation commands into test.use()", () => {
+    const code = exportScript([
+      "resize 800 600",
+      'device "iPhone 13"',
+      "color-scheme dark",
+      "geolocation 52.52 13.4",
+      "locale de-DE",
+      "goto https://example.com",
+      "offline on",
+    ]);
+    expect(code).toBe([
+      "import { test, expect, devices } from '@playwright/test';",
+      "",
+      "test.use({",
+      '  ...devices["iPhone 13"],',
+      '  colorScheme: "dark",',
+      "  geolocation: { latitude: 52.52, longitude: 13.4 },",
+      '  permissions: ["geolocation"],',
+      '  locale: "de-DE",',
+      "});",
+      "",
+      "test('recorded session', async ({ page, context }) => {",
+      '  await page.goto("https://example.com");',
+      "  await context.setOffline(true);",
+      "});",
+    ].join("\n"));
+  });
+
+  it("moves a leading storage-load into test.use()", () => {
+    const code = exportScript(["storage-load auth.json", "goto https://app.test", "storage-save after.json"]);
+    expect(code).toBe([
+      "import { test, expect } from '@playwright/test';",
+      "",
+      "test.use({",
+      '  storageState: "auth.json",',
+      "});",
+      "",
+      "test('recorded session', async ({ page, context }) => {",
+      '  await page.goto("https://app.test");',
+      '  await context.storageState({ path: "after.json" });',
+      "});",
+    ].join("\n"));
+  });
+
+  it("collects console errors from the start of the test for verify-no-console-errors", () => {
+    const code = exportScript(['click "Save"', "verify-no-console-errors"]);
+    expect(code).toBe([
+      "import { test, expect } from '@playwright/test';",
+      "",
+      "const consoleErrors: string[] = [];",
+      "",
+      "test('recorded session', async ({ page }) => {",
+      "  page.on('console', (msg) => { if (msg.type() === 'error') consoleErrors.push(msg.text()); });",
+      "  page.on('pageerror', (error) => consoleErrors.push(error.message));",
+      '  await page.getByText("Save").click();',
+      "  expect(consoleErrors).toEqual([]);",
+      "});",
+    ].join("\n"));
+  });
+
+  it("converts blocks to if/for statements with nested indentation", () => {
+    const code = exportScript([
+      'if element "Accept cookies"',
+      'click "Accept cookies"',
+      'end',
+      'repeat 3 as n',
+      'foreach item in "a,b"',
+      'fill "New todo" "${item} ${n}"',
+      'end',
+      'end',
+    ]);
+    expect(code).toContain([
+      '  if (await page.getByText("Accept cookies").isVisible()) {',
+      '    await page.getByText("Accept cookies").click();',
+      '  }',
+      '  for (let n = 1; n <= 3; n++) {',
+      '    for (const item of ["a", "b"]) {',
+      '      await page.getByLabel("New todo").fill(`${item} ${n}`);',
+      '    }',
+      '  }',
+    ].join("\n"));
+    expect(code).not.toContain("process.env");
+  });
+
+  it("keeps indented comments inside blocks and procedures", () => {
+    const code = exportScript([
+      'define add(x)',
+      '  # type the item',
+      '  fill "New todo" "${x}"',
+      'end',
+      'repeat 2',
+      '  # one more',
+      '  click "Add"',
+      'end',
+    ]);
+    expect(code).toContain([
+      'async function add(page: Page, x: string) {',
+      '  // type the item',
+      '  await page.getByLabel("New todo").fill(`${x}`);',
+      '}',
+    ].join("\n"));
+    expect(code).toContain([
+      '  for (let i = 1; i <= 2; i++) {',
+      '    // one more',
+      '    await page.getByText("Add").click();',
+      '  }',
+    ].join("\n"));
+  });
+
+  it("declares variables set more than once with let", () => {
+    const code = exportScript(['set n "1"', 'set n "2"', 'set m "x"']);
+    expect(code).toContain('  let n = "1";');
+    expect(code).toContain('  n = "2";');
+    expect(code).toContain('  const m = "x";');
+  });
+
+  it("reads variables the script never sets from process.env", () => {
+    const code = exportScript(["goto ${baseUrl}", 'fill "User" "${user}"'], { baseUrl: "https://staging.test" });
+    expect(code).toContain('const baseUrl = process.env.baseUrl ?? "https://staging.test";');
+    expect(code).toContain('const user = process.env.user ?? "";');
+    expect(code.indexOf("process.env")).toBeLessThan(code.indexOf("test('recorded session'"));
+  });
+
+  it("turns procedures into helper functions and inlines includes", () => {
+    const library = { "common/login.pw": 'define login(user, pass)\n  fill "User" "${user}"\n  fill "Password" "${pass}"\nend' };
+    const code = exportScript(['include "common/login.pw"', 'call login "alice" "${secret}"'], {}, library);
+    expect(code).toBe([
+      "import { test, expect, type Page } from '@playwright/test';",
+      "",
+      'const secret = process.env.secret ?? "";',
+      "",
+      "async function login(page: Page, user: string, pass: string) {",
+      '  await page.getByLabel("User").fill(`${user}`);',
+      '  await page.getByLabel("Password").fill(`${pass}`);',
+      "}",
+      "",
+      "test('recorded session', async ({ page }) => {",
+      '  // include "common/login.pw"',
+      '  await login(page, "alice", `${secret}`);',
+      "});",
+    ].join("\n"));
+  });
+
+  it("notes includes missing from the library", () => {
+    expect(exportScript(['include "nope.pw"'])).toContain('  // include "nope.pw" — not found in library');
+  });
+
+  it("waits for popups with context.waitForEvent before the action that opens them", () => {
+    const code = exportScript(['click "Sign in with Auth"', "tab-select 1", 'fill "User" "bob"', "tab-select 0"]);
+    expect(code).toContain([
+      "test('recorded session', async ({ page, context }) => {",
+      "  const page1Promise = context.waitForEvent('page');",
+      '  await page.getByText("Sign in with Auth").click();',
+      "  page = await page1Promise;",
+      '  await page.getByLabel("User").fill("bob");',
+      "  page = context.pages()[0];",
+      "});",
+    ].join("\n"));
+  });
+
+  it("points locators after a frame command into page.frameLocator()", () => {
+    const code = exportScript(['frame "payment"', 'fill "Card number" "4242"', 'verify-text "Paid"', 'verify-url "done"', "frame main", 'click "Back"']);
+    expect(code).toContain([
+      `  await page.frameLocator('iframe[name="payment"]').getByLabel("Card number").fill("4242");`,
+      `  await expect(page.frameLocator('iframe[name="payment"]').getByText("Paid")).toBeVisible();`,
+      "  await expect(page).toHaveURL(/done/);",
+      '  await page.getByText("Back").click();',
+    ].join("\n"));
+  });
+
+  it("registers dialog handlers before the action that opens the dialog", () => {
+    const code = exportScript(['click "Delete"', "dialog-accept", 'verify-no-text "Buy milk"']);
+    expect(code).toContain([
+      "  page.once('dialog', (dialog) => dialog.accept());",
+      '  await page.getByText("Delete").click();',
+      '  await expect(page.getByText("Buy milk")).not.toBeVisible();',
+    ].join("\n"));
+  });
+
+  it("starts waitForResponse/waitForRequest promises before the action that triggers them", () => {
+    const code = exportScript(['click "Save"', 'wait-for-request "/api/save"', 'wait-for-response "/api/save"', "wait-for-idle"]);
+    expect(code).toContain([
+      '  const requestPromise = page.waitForRequest((request) => request.url().includes("/api/save"));',
+      '  const responsePromise = page.waitForResponse((response) => response.url().includes("/api/save"));',
+      '  await page.getByText("Save").click();',
+      "  await requestPromise;",
+      "  await responsePromise;",
+      "  await page.waitForLoadState('networkidle');",
+    ].join("\n"));
+  });
+});
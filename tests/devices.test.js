@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { DEVICES, findDevice, describeDevice } from "../lib/devices.js";
+
+describe("findDevice", () => {
+  it("finds devices by name, ignoring case", () => {
+    expect(findDevice("iphone 13")).toMatchObject({
+      name: "iPhone 13",
+      viewport: { width: 390, height: 664 },
+      deviceScaleFactor: 3,
+      isMobile: true,
+      hasTouch: true,
+    });
+    expect(findDevice("Nokia 3310")).toBeNull();
+  });
+
+  it("gives every device a complete descriptor", () => {
+    for (const device of Object.values(DEVICES)) {
+      expect(device.viewport.width).toBeGreaterThan(0);
+      expect(device.deviceScaleFactor).toBeGreaterThan(0);
+      expect(device.userAgent).toMatch(/^Mozilla\/5\.0 /);
+    }
+  });
+});
+
+describe("describeDevice", () => {
+  it("summarizes size, pixel ratio and traits", () => {
+    expect(describeDevice(DEVICES["Pixel 5"])).toBe("393x727 @2.75x, mobile, touch");
+    expect(describeDevice(DEVICES["Desktop Chrome"])).toBe("1280x720 @1x");
+  });
+});
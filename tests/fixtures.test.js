@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  fixtureName,
+  saveFixture,
+  readFixture,
+  listFixtures,
+  deleteFixture,
+  bytesToBase64,
+  formatFixtures,
+} from "../lib/fixtures.js";
+import { createIndexedDB } from "./indexeddb-stub.js";
+
+const bytes = (text) => new TextEncoder().encode(text).buffer;
+
+describe("fixtures", () => {
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", createIndexedDB());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("accepts names with or without the fixtures/ prefix", () => {
+    expect(fixtureName("fixtures/avatar.png")).toBe("avatar.png");
+    expect(fixtureName("./avatar.png")).toBe("avatar.png");
+    expect(fixtureName("fixtures/docs/cv.pdf")).toBe("docs/cv.pdf");
+    expect(fixtureName("../avatar.png")).toBe("");
+  });
+
+  it("saves, reads, lists and deletes files", async () => {
+    expect(await saveFixture("fixtures/avatar.png", { type: "image/png", lastModified: 1, data: bytes("PNG") })).toBe("avatar.png");
+    await saveFixture("cv.pdf", { type: "application/pdf", data: bytes("%PDF-1.7") });
+
+    const avatar = await readFixture("avatar.png");
+    expect(avatar).toMatchObject({ name: "avatar.png", type: "image/png", size: 3, lastModified: 1 });
+    expect(new TextDecoder().decode(avatar.data)).toBe("PNG");
+    expect(await listFixtures()).toEqual([
+      { name: "avatar.png", type: "image/png", size: 3 },
+      { name: "cv.pdf", type: "application/pdf", size: 8 },
+    ]);
+
+    expect(await deleteFixture("fixtures/cv.pdf")).toBe(true);
+    expect(await deleteFixture("cv.pdf")).toBe(false);
+    expect(await readFixture("cv.pdf")).toBeNull();
+  });
+
+  it("rejects invalid names", async () => {
+    await expect(saveFixture("../x.png", { data: bytes("x") })).rejects.toThrow("Invalid fixture name");
+  });
+
+  it("encodes bytes as base64", () => {
+    expect(bytesToBase64(bytes("PNG"))).toBe("UE5H");
+    expect(atob(bytesToBase64(new Uint8Array(70000).fill(65).buffer))).toHaveLength(70000);
+  });
+
+  it("formats the fixtures list", () => {
+    expect(formatFixtures([
+      { name: "avatar.png", type: "image/png", size: 2048 },
+      { name: "notes", type: "", size: 12 },
+    ])).toBe("fixtures/avatar.png  2.0 kB  image/png\nfixtures/notes  12 B");
+  });
+});
@@ -19,6 +19,17 @@ describe("formatAccessibilityTree", () => {
     ]);
   });
 
+  it("fills the refs map with backend DOM node ids", () => {
+    const nodes = [
+      { role: { value: "generic" }, backendDOMNodeId: 1 },
+      { role: { value: "button" }, name: { value: "OK" }, backendDOMNodeId: 12 },
+      { role: { value: "link" }, name: { value: "Home" }, backendDOMNodeId: 15 },
+    ];
+    const refs = new Map();
+    formatAccessibilityTree(nodes, refs);
+    expect([...refs]).toEqual([["e1", 12], ["e2", 15]]);
+  });
+
   it("formats multiple nodes with sequential refs", () => {
     const nodes = [
       { role: { value: "link" }, name: { value: "Home" } },
@@ -78,6 +89,13 @@ describe("formatAccessibilityTree", () => {
     expect(result).toEqual(['- button "Visible" [ref=e1]']);
   });
 
+  it("prefixes refs of an iframe's tree", () => {
+    const refs = new Map();
+    const nodes = [{ role: { value: "button" }, name: { value: "Pay" }, backendDOMNodeId: 9 }];
+    expect(formatAccessibilityTree(nodes, refs, "f1")).toEqual(['- button "Pay" [ref=f1e1]']);
+    expect([...refs]).toEqual([["f1e1", 9]]);
+  });
+
   it("formats node without name", () => {
     const nodes = [{ role: { value: "separator" } }];
     const result = formatAccessibilityTree(nodes);
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { createNetworkLog, recordNetworkEvent } from "../lib/network.js";
+import { harEntry, buildHar, parseHar, findHarEntry, harResponse } from "../lib/har.js";
+
+function logWith(...requests) {
+  const log = createNetworkLog();
+  for (const { requestId, url, method = "GET", postData, status = 200, failed } of requests) {
+    recordNetworkEvent(log, "Network.requestWillBeSent", {
+      requestId, timestamp: 10, wallTime: 1760000000, type: "Fetch",
+      request: { url, method, postData, headers: { "Content-Type": "application/json" } },
+    });
+    if (failed) {
+      recordNetworkEvent(log, "Network.loadingFailed", { requestId, timestamp: 10.1, errorText: "net::ERR_FAILED" });
+      continue;
+    }
+    recordNetworkEvent(log, "Network.responseReceived", {
+      requestId,
+      response: { status, statusText: "OK", mimeType: "application/json", protocol: "h2", headers: { "content-type": "application/json" } },
+    });
+    recordNetworkEvent(log, "Network.loadingFinished", { requestId, timestamp: 10.25, encodedDataLength: 42 });
+  }
+  return log;
+}
+
+describe("harEntry", () => {
+  it("converts a log entry with its request and response", () => {
+    const [entry] = logWith({ requestId: "r1", url: "https://app.test/api/todos?page=2", method: "POST", postData: '{"a":1}' }).entries;
+    const har = harEntry(entry, { body: "[]", base64Encoded: false });
+    expect(har.startedDateTime).toBe(new Date(1760000000 * 1000).toISOString());
+    expect(har.time).toBe(250);
+    expect(har.request).toMatchObject({
+      method: "POST",
+      httpVersion: "HTTP/2",
+      headers: [{ name: "Content-Type", value: "application/json" }],
+      queryString: [{ name: "page", value: "2" }],
+      postData: { mimeType: "application/json", text: '{"a":1}' },
+    });
+    expect(har.response).toMatchObject({ status: 200, statusText: "OK", bodySize: 42 });
+    expect(har.response.content).toEqual({ size: 2, mimeType: "application/json", text: "[]" });
+  });
+
+  it("keeps binary bodies base64 encoded", () => {
+    const [entry] = logWith({ requestId: "r1", url: "https://app.test/logo.png" }).entries;
+    expect(harEntry(entry, { body: "AAAA", base64Encoded: true }).response.content).toMatchObject({
+      size: 3, text: "AAAA", encoding: "base64",
+    });
+  });
+});
+
+describe("buildHar", () => {
+  it("builds a HAR 1.2 log without failed requests", () => {
+    const log = logWith(
+      { requestId: "r1", url: "https://app.test/a" },
+      { requestId: "r2", url: "https://app.test/b", failed: true },
+    );
+    const har = buildHar(log.entries, new Map(), "1.0.0");
+    expect(har.log.version).toBe("1.2");
+    expect(har.log.creator).toEqual({ name: "Playwright REPL", version: "1.0.0" });
+    expect(har.log.entries.map(e => e.request.url)).toEqual(["https://app.test/a"]);
+  });
+});
+
+describe("parseHar", () => {
+  it("returns the entries or an error", () => {
+    expect(parseHar('{"log":{"entries":[]}}')).toEqual({ entries: [] });
+    expect(parseHar("{}").error).toBe("Invalid HAR file: no log.entries");
+    expect(parseHar("nope").error).toContain("Invalid HAR file");
+  });
+});
+
+describe("findHarEntry", () => {
+  const entries = [
+    { request: { method: "POST", url: "https://app.test/api", postData: { text: "a" } } },
+    { request: { method: "POST", url: "https://app.test/api", postData: { text: "b" } } },
+    { request: { method: "GET", url: "https://app.test/api" } },
+  ];
+
+  it("matches method and URL, preferring the same body", () => {
+    expect(findHarEntry(entries, { method: "POST", url: "https://app.test/api", postData: "b" })).toBe(entries[1]);
+    expect(findHarEntry(entries, { method: "POST", url: "https://app.test/api", postData: "c" })).toBe(entries[0]);
+    expect(findHarEntry(entries, { method: "GET", url: "https://app.test/api" })).toBe(entries[2]);
+    expect(findHarEntry(entries, { method: "GET", url: "https://app.test/other" })).toBeNull();
+  });
+});
+
+describe("harResponse", () => {
+  it("drops encoding and pseudo headers and base64-encodes text", () => {
+    const response = harResponse({
+      response: {
+        status: 201,
+        headers: [
+          { name: ":status", value: "201" },
+          { name: "Content-Type", value: "text/plain" },
+          { name: "content-length", value: "99" },
+        ],
+        content: { text: "hi" },
+      },
+    }, btoa);
+    expect(response).toEqual({ responseCode: 201, responseHeaders: [{ name: "Content-Type", value: "text/plain" }], body: btoa("hi") });
+  });
+});
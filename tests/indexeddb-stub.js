@@ -0,0 +1,56 @@
+// Minimal in-memory indexedDB for code under test (happy-dom has none):
+// object stores with a keyPath and put/get/getAll/count/delete requests.
+// With openError, every open fails with it, like a blocked or broken database.
+
+function request(run) {
+  const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+  setTimeout(() => {
+    try {
+      req.result = run();
+      req.onsuccess?.();
+    } catch (e) {
+      req.error = e;
+      req.onerror?.();
+    }
+  }, 0);
+  return req;
+}
+
+function objectStore(records, keyPath) {
+  return {
+    put: (value) => request(() => { records.set(value[keyPath], structuredClone(value)); return value[keyPath]; }),
+    get: (key) => request(() => structuredClone(records.get(key))),
+    getAll: () => request(() => [...records.values()].map(v => structuredClone(v))),
+    count: (key) => request(() => key === undefined ? records.size : Number(records.has(key))),
+    delete: (key) => request(() => { records.delete(key); }),
+  };
+}
+
+export function createIndexedDB({ openError } = {}) {
+  const databases = new Map();
+  return {
+    open(name) {
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+      setTimeout(() => {
+        if (openError) {
+          req.error = openError;
+          req.onerror?.();
+          return;
+        }
+        let stores = databases.get(name);
+        const upgrade = !stores;
+        if (upgrade) databases.set(name, stores = new Map());
+        req.result = {
+          createObjectStore: (store, { keyPath }) => stores.set(store, { keyPath, records: new Map() }),
+          transaction: (store) => ({
+            objectStore: () => objectStore(stores.get(store).records, stores.get(store).keyPath),
+          }),
+          close() {},
+        };
+        if (upgrade) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      }, 0);
+      return req;
+    },
+  };
+}
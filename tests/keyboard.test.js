@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { parseChord, formatChord, chordEvents, typeSteps } from "../lib/keyboard.js";
+
+describe("parseChord", () => {
+  it("parses keys and chords with canonical names", () => {
+    expect(parseChord("enter")).toEqual({ modifiers: [], key: "Enter" });
+    expect(parseChord("a")).toEqual({ modifiers: [], key: "a" });
+    expect(parseChord("ctrl+shift+K")).toEqual({ modifiers: ["Control", "Shift"], key: "K" });
+    expect(parseChord("Shift+Tab")).toEqual({ modifiers: ["Shift"], key: "Tab" });
+    expect(parseChord("F5")).toEqual({ modifiers: [], key: "F5" });
+  });
+
+  it("treats a lone or trailing + as the plus key", () => {
+    expect(parseChord("+")).toEqual({ modifiers: [], key: "+" });
+    expect(parseChord("Control++")).toEqual({ modifiers: ["Control"], key: "+" });
+  });
+
+  it("maps ControlOrMeta by platform", () => {
+    expect(parseChord("ControlOrMeta+A").modifiers).toEqual(["Control"]);
+    expect(parseChord("ControlOrMeta+A", { mac: true }).modifiers).toEqual(["Meta"]);
+    expect(parseChord("controlormeta+A", { portable: true }).modifiers).toEqual(["ControlOrMeta"]);
+  });
+
+  it("rejects unknown keys and non-modifier prefixes", () => {
+    expect(parseChord("Hyper")).toEqual({ error: 'Unknown key: "Hyper"' });
+    expect(parseChord("a+b")).toEqual({ error: 'Not a modifier key: "a" in "a+b"' });
+    expect(parseChord("Control+")).toEqual({ error: 'Invalid key: "Control+"' });
+  });
+});
+
+describe("formatChord", () => {
+  it("writes chords the way Playwright does", () => {
+    expect(formatChord(parseChord("control+shift+K"))).toBe("Control+Shift+K");
+    expect(formatChord(parseChord("space"))).toBe("Space");
+  });
+});
+
+describe("chordEvents", () => {
+  it("presses digits and punctuation with their US key codes", () => {
+    const [down, up] = chordEvents(parseChord("1"));
+    expect(down).toMatchObject({ type: "keyDown", key: "1", code: "Digit1", windowsVirtualKeyCode: 49, text: "1" });
+    expect(up).toMatchObject({ type: "keyUp", key: "1", code: "Digit1" });
+    expect(chordEvents(parseChord("/"))[0]).toMatchObject({ code: "Slash", windowsVirtualKeyCode: 191, text: "/" });
+    expect(chordEvents(parseChord("F12"))[0]).toMatchObject({ type: "rawKeyDown", code: "F12", windowsVirtualKeyCode: 123 });
+    expect(chordEvents(parseChord("Enter"))[0]).toMatchObject({ type: "keyDown", text: "\r" });
+  });
+
+  it("holds modifiers around the key and releases them in reverse", () => {
+    const events = chordEvents(parseChord("Control+Shift+K"));
+    expect(events.map(e => [e.type, e.key, e.modifiers])).toEqual([
+      ["rawKeyDown", "Control", 2],
+      ["rawKeyDown", "Shift", 10],
+      ["rawKeyDown", "K", 10],
+      ["keyUp", "K", 10],
+      ["keyUp", "Shift", 2],
+      ["keyUp", "Control", 0],
+    ]);
+    expect(events[2].text).toBeUndefined();
+  });
+
+  it("types the shifted character with Shift held", () => {
+    const [, keyDown] = chordEvents(parseChord("Shift+1"));
+    expect(keyDown).toMatchObject({ type: "keyDown", key: "!", code: "Digit1", text: "!", modifiers: 8 });
+  });
+
+  it("marks numpad keys", () => {
+    expect(chordEvents(parseChord("Numpad5"))[0]).toMatchObject({ key: "5", windowsVirtualKeyCode: 101, location: 3, isKeypad: true });
+  });
+});
+
+describe("typeSteps", () => {
+  it("presses a key per character and inserts characters the layout lacks", () => {
+    const steps = typeSteps("Hi!\né");
+    expect(steps.map(s => s.events ? s.events[0].key : s.insertText)).toEqual(["H", "i", "!", "Enter", "é"]);
+    expect(steps[0].events[0]).toMatchObject({ code: "KeyH", windowsVirtualKeyCode: 72, text: "H" });
+  });
+});
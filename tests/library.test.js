@@ -0,0 +1,33 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { LIBRARY_KEY, normalizePath, readLibrary, readFile, writeFile, deleteFile } from "../lib/library.js";
+
+describe("library", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (key) => (key in stored ? { [key]: stored[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => { Object.assign(stored, items); });
+  });
+
+  it("normalizes paths", () => {
+    expect(normalizePath("./common//login.pw")).toBe("common/login.pw");
+    expect(normalizePath("\\common\\login.pw")).toBe("common/login.pw");
+    expect(normalizePath("../secrets.pw")).toBe("");
+  });
+
+  it("writes, reads and deletes files", async () => {
+    expect(await writeFile("/common/login.pw", 'fill "User" "me"')).toBe("common/login.pw");
+    expect(stored[LIBRARY_KEY]).toEqual({ "common/login.pw": 'fill "User" "me"' });
+    expect(await readFile("common/login.pw")).toBe('fill "User" "me"');
+    expect(await readLibrary()).toEqual({ "common/login.pw": 'fill "User" "me"' });
+
+    expect(await deleteFile("common/login.pw")).toBe(true);
+    expect(await deleteFile("common/login.pw")).toBe(false);
+    expect(await readFile("common/login.pw")).toBeNull();
+  });
+
+  it("rejects paths outside the library", async () => {
+    await expect(writeFile("../x.pw", "")).rejects.toThrow('Invalid library path: "../x.pw"');
+  });
+});
@@ -1,29 +1,93 @@
 import { describe, it, expect } from "vitest";
-import { buildClickElementJS, buildFocusElementJS } from "../lib/locators.js";
+import { parseSelector, buildLocatorJS, buildClickElementJS, buildFocusElementJS } from "../lib/locators.js";
+import { hoverElement } from "../lib/page-scripts.js";
+
+describe("parseSelector", () => {
+  it("parses snapshot refs", () => {
+    expect(parseSelector("e7")).toEqual({ engine: "ref", value: "e7", source: "e7" });
+    expect(parseSelector("f2e7")).toEqual({ engine: "ref", value: "f2e7", source: "f2e7" });
+  });
+
+  it("treats bare strings as auto", () => {
+    expect(parseSelector("Sign in")).toMatchObject({ engine: "auto", value: "Sign in" });
+  });
+
+  it("parses role selectors with a name", () => {
+    expect(parseSelector('role=button[name="Save"]')).toMatchObject({
+      engine: "role", value: "button", name: "Save", exact: false,
+    });
+  });
+
+  it("parses the exact flag and state attributes", () => {
+    expect(parseSelector('role=checkbox[name="Agree"s][checked]')).toMatchObject({
+      engine: "role", value: "checkbox", name: "Agree", exact: true, checked: true,
+    });
+    expect(parseSelector("role=heading[level=2]")).toMatchObject({ level: 2 });
+    expect(parseSelector("role=button[disabled=false]")).toMatchObject({ disabled: false });
+  });
+
+  it("parses quoted text engines as exact", () => {
+    expect(parseSelector('text="Log in"')).toMatchObject({ engine: "text", value: "Log in", exact: true });
+    expect(parseSelector("text=Log in")).toMatchObject({ engine: "text", value: "Log in", exact: false });
+    expect(parseSelector("label=Email")).toMatchObject({ engine: "label", value: "Email" });
+    expect(parseSelector("placeholder='Search'")).toMatchObject({ engine: "placeholder", exact: true });
+    expect(parseSelector("testid=submit")).toMatchObject({ engine: "testid", value: "submit" });
+  });
+
+  it("keeps css and xpath bodies verbatim", () => {
+    expect(parseSelector('css=input[name="q"]')).toMatchObject({ engine: "css", value: 'input[name="q"]' });
+    expect(parseSelector("xpath=//button")).toMatchObject({ engine: "xpath", value: "//button" });
+    expect(parseSelector("//div[@id='x']")).toMatchObject({ engine: "xpath", value: "//div[@id='x']" });
+  });
+
+  it("ignores unknown engine prefixes", () => {
+    expect(parseSelector("a=b")).toMatchObject({ engine: "auto", value: "a=b" });
+  });
+});
+
+describe("buildLocatorJS", () => {
+  it("evaluates fn on the first match", () => {
+    document.body.innerHTML = '<button>Menu</button>';
+    const pos = eval(buildLocatorJS(hoverElement, 'role=button[name="Menu"]', null));
+    expect(pos).toHaveProperty("x");
+  });
+
+  it("passes extra arguments to fn", () => {
+    document.body.innerHTML = '<span id="a">A</span>';
+    function tagWith(el, suffix) { return el.id + suffix; }
+    expect(eval(buildLocatorJS(tagWith, "A", null, "!"))).toBe("a!");
+  });
+
+  it("returns an error when nothing matches", () => {
+    document.body.innerHTML = "<p>Nothing</p>";
+    const result = eval(buildLocatorJS(hoverElement, "Missing", "Row"));
+    expect(result.error).toBe('No element found matching: Missing in "Row"');
+  });
+});
 
 describe("buildClickElementJS", () => {
   it("generates code for snapshot ref e1", () => {
     const js = buildClickElementJS("e1");
-    expect(js).toContain("elements[index]");
-    expect(js).toContain("(0,");
-    expect(js).toContain(".click()");
+    expect(js).toContain('"engine":"ref"');
+    expect(js).toContain('"value":"e1"');
+    expect(js).toContain("getBoundingClientRect");
   });
 
-  it("generates code for snapshot ref e8", () => {
-    const js = buildClickElementJS("e8");
-    expect(js).toContain("(7,");
+  it("locates the element a snapshot ref points at", () => {
+    document.body.innerHTML = "<div><span>A</span><button id='b'>B</button></div>";
+    window.__pwRefs = new Map([["e3", document.getElementById("b")]]);
+    expect(eval(buildClickElementJS("e3")).tag).toBe("button");
   });
 
   it("generates code for text locator", () => {
     const js = buildClickElementJS("Submit");
     expect(js).toContain('"Submit"');
-    expect(js).toContain(".click()");
     expect(js).toContain("matches");
   });
 
   it("passes null scope when scope is null", () => {
     const js = buildClickElementJS("Submit", null);
-    expect(js).toContain('"Submit", null)');
+    expect(js).toContain('"source":"Submit"}, null)');
   });
 
   it("generates scoped code when scope is provided", () => {
@@ -36,7 +100,8 @@ describe("buildClickElementJS", () => {
 
   it("generates valid function call expression", () => {
     const js = buildClickElementJS("Submit");
-    expect(js.trim()).toMatch(/^\(function clickElementByText/);
+    expect(js.trim()).toMatch(/^\(function \(\) \{/);
+    expect(js).toContain("function clickElement(el)");
     expect(js.trim()).toMatch(/\)$/);
   });
 
@@ -46,7 +111,7 @@ describe("buildClickElementJS", () => {
     expect(js).toContain("No element found");
   });
 
-  it("includes scrollIntoView before click", () => {
+  it("includes scrollIntoView before reading coordinates", () => {
     const js = buildClickElementJS("Submit");
     expect(js).toContain("scrollIntoView");
   });
@@ -60,22 +125,16 @@ describe("buildClickElementJS", () => {
     expect(js).toContain("Strategy 5");
   });
 
-  it("uses tree walker for snapshot refs", () => {
-    const js = buildClickElementJS("e3");
-    expect(js).toContain("createTreeWalker");
-    expect(js).toContain("(2,");
-  });
 
   it("includes scope error message when scope is provided", () => {
     const js = buildClickElementJS("delete", "costco");
     expect(js).toContain("in");
   });
 
-  it("generates valid ref function call expression", () => {
-    const js = buildClickElementJS("e5");
-    expect(js.trim()).toMatch(/^\(function clickElementByRef/);
-    expect(js).toContain("4");
-    expect(js).toContain('"e5"');
+  it("uses the role engine for role selectors", () => {
+    const js = buildClickElementJS('role=button[name="Save"]');
+    expect(js).toContain('"engine":"role"');
+    expect(js).toContain('"name":"Save"');
   });
 });
 
@@ -88,7 +147,7 @@ describe("buildFocusElementJS", () => {
 
   it("generates valid function call expression", () => {
     const js = buildFocusElementJS("Search");
-    expect(js.trim()).toMatch(/^\(function focusElement/);
+    expect(js).toContain("function focusElement(el)");
     expect(js.trim()).toMatch(/\)$/);
   });
 
@@ -110,7 +169,7 @@ describe("buildFocusElementJS", () => {
   it("includes error handling", () => {
     const js = buildFocusElementJS("Missing");
     expect(js).toContain("error");
-    expect(js).toContain("No input found");
+    expect(js).toContain("No element found matching: Missing");
   });
 
   it("calls select() after focus", () => {
@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_ENTRIES,
+  createNetworkLog,
+  recordNetworkEvent,
+  filterEntries,
+  formatEntries,
+  formatEntryDetail,
+} from "../lib/network.js";
+
+// Feeds a complete request/response cycle into log
+function request(log, requestId, { url, method = "GET", type = "XHR", status = 200, size = 512, start = 1, end = 1.12 }) {
+  recordNetworkEvent(log, "Network.requestWillBeSent", {
+    requestId, timestamp: start, type,
+    request: { url, method, headers: { Accept: "*/*" } },
+  });
+  recordNetworkEvent(log, "Network.responseReceived", {
+    requestId, type,
+    response: { status, statusText: "OK", mimeType: "application/json", headers: { "Content-Type": "application/json" } },
+  });
+  recordNetworkEvent(log, "Network.loadingFinished", { requestId, timestamp: end, encodedDataLength: size });
+}
+
+describe("recordNetworkEvent", () => {
+  it("builds entries from request, response and finish events", () => {
+    const log = createNetworkLog();
+    request(log, "r1", { url: "https://app.test/api/todos" });
+    expect(log.entries).toHaveLength(1);
+    expect(log.entries[0]).toMatchObject({
+      id: 1, method: "GET", url: "https://app.test/api/todos", type: "XHR",
+      status: 200, size: 512, finished: true,
+    });
+  });
+
+  it("marks failed requests", () => {
+    const log = createNetworkLog();
+    recordNetworkEvent(log, "Network.requestWillBeSent", {
+      requestId: "r1", timestamp: 1, type: "Fetch", request: { url: "https://x.test/", method: "GET" },
+    });
+    recordNetworkEvent(log, "Network.loadingFailed", { requestId: "r1", timestamp: 2, errorText: "net::ERR_FAILED" });
+    expect(log.entries[0]).toMatchObject({ error: "net::ERR_FAILED", finished: true });
+  });
+
+  it("splits redirects into separate entries", () => {
+    const log = createNetworkLog();
+    recordNetworkEvent(log, "Network.requestWillBeSent", {
+      requestId: "r1", timestamp: 1, type: "Document", request: { url: "http://app.test/", method: "GET" },
+    });
+    recordNetworkEvent(log, "Network.requestWillBeSent", {
+      requestId: "r1", timestamp: 1.05, type: "Document", request: { url: "https://app.test/", method: "GET" },
+      redirectResponse: { status: 301, headers: {} },
+    });
+    expect(log.entries.map(e => [e.id, e.status])).toEqual([[1, 301], [2, null]]);
+  });
+
+  it("drops the oldest entries beyond the limit", () => {
+    const log = createNetworkLog();
+    for (let i = 0; i <= MAX_ENTRIES; i++) request(log, `r${i}`, { url: `https://app.test/${i}` });
+    expect(log.entries).toHaveLength(MAX_ENTRIES);
+    expect(log.entries[0].id).toBe(2);
+    expect(log.byRequestId.has("r0")).toBe(false);
+  });
+});
+
+describe("filterEntries", () => {
+  const log = createNetworkLog();
+  request(log, "r1", { url: "https://app.test/api/todos", status: 200 });
+  request(log, "r2", { url: "https://app.test/api/todos/9", method: "DELETE", status: 404 });
+  request(log, "r3", { url: "https://app.test/app.js", type: "Script", status: 200 });
+
+  it("filters by url, status class, exact status, type and method", () => {
+    const ids = (filters) => filterEntries(log.entries, filters).map(e => e.id);
+    expect(ids({ url: "/api/" })).toEqual([1, 2]);
+    expect(ids({ url: "/api/", status: "4xx" })).toEqual([2]);
+    expect(ids({ status: "200" })).toEqual([1, 3]);
+    expect(ids({ type: "script" })).toEqual([3]);
+    expect(ids({ method: "delete" })).toEqual([2]);
+  });
+
+  it("rejects invalid status filters", () => {
+    expect(filterEntries(log.entries, { status: "bad" }).error).toContain("Invalid status filter");
+  });
+});
+
+describe("formatEntries", () => {
+  it("aligns method, status, type, size and time columns", () => {
+    const log = createNetworkLog();
+    request(log, "r1", { url: "https://app.test/api/todos", size: 2048 });
+    request(log, "r2", { url: "https://app.test/api/todos", method: "POST", status: 201, size: 40, end: 1.5 });
+    recordNetworkEvent(log, "Network.requestWillBeSent", {
+      requestId: "r3", timestamp: 2, type: "Fetch", request: { url: "https://app.test/slow", method: "GET" },
+    });
+    expect(formatEntries(log.entries).split("\n")).toEqual([
+      "#1  GET   200  XHR    2.0 kB  120 ms   https://app.test/api/todos",
+      "#2  POST  201  XHR    40 B    500 ms   https://app.test/api/todos",
+      "#3  GET   —    Fetch          pending  https://app.test/slow",
+    ]);
+  });
+});
+
+describe("formatEntryDetail", () => {
+  it("prints headers and the response body", () => {
+    const log = createNetworkLog();
+    request(log, "r1", { url: "https://app.test/api/todos" });
+    const text = formatEntryDetail(log.entries[0], { body: '[{"title":"Buy milk"}]', base64Encoded: false });
+    expect(text).toContain("#1 GET https://app.test/api/todos\nStatus: 200 OK");
+    expect(text).toContain("Request headers:\n  Accept: */*");
+    expect(text).toContain("Response headers:\n  Content-Type: application/json");
+    expect(text).toContain('Response body:\n[{"title":"Buy milk"}]');
+  });
+
+  it("summarizes binary and unavailable bodies", () => {
+    const log = createNetworkLog();
+    request(log, "r1", { url: "https://app.test/logo.png" });
+    expect(formatEntryDetail(log.entries[0], { body: "AAAA", base64Encoded: true })).toContain("(binary, 3 bytes)");
+    expect(formatEntryDetail(log.entries[0], { error: "No resource with given identifier" }))
+      .toContain("(unavailable: No resource with given identifier)");
+  });
+});
@@ -1,17 +1,47 @@
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
 import {
   callInPage,
-  clickElementByRef,
-  clickElementByText,
+  resolveLocator,
+  clickElement,
   focusElement,
   selectElement,
   checkElement,
   hoverElement,
-  dblclickElement,
-  verifyElementExists,
+  offsetPoint,
+  watchDragStart,
+  dragStarted,
+  fileInputOf,
+  setInputFiles,
+  elementBox,
+  documentBox,
+  frameContentBox,
+  webStorage,
+  elementExists,
   verifyTextOnPage,
+  clearActiveElement,
   dispatchFillEvents,
+  resetSnapshotRefs,
+  tagSnapshotRef,
+  checkActionability,
 } from "../lib/page-scripts.js";
+import { parseSelector } from "../lib/locators.js";
+
+// Resolve a selector string the way background.js does
+function locate(target, scope = null) {
+  return resolveLocator(parseSelector(target), scope);
+}
+
+function first(target, scope = null) {
+  return locate(target, scope).elements[0];
+}
+
+// Appends a <ds-card> host with an open shadow root holding html
+function shadowHost(html, parent = document.body) {
+  const host = document.createElement("ds-card");
+  parent.appendChild(host);
+  host.attachShadow({ mode: "open" }).innerHTML = html;
+  return host;
+}
 
 describe("callInPage", () => {
   it("wraps a function with no args", () => {
@@ -55,78 +85,317 @@ describe("callInPage", () => {
   });
 });
 
-describe("clickElementByText", () => {
+describe("resolveLocator (auto)", () => {
   beforeEach(() => {
     document.body.innerHTML = "";
   });
 
-  it("clicks a button by text", () => {
+  it("finds a button by text", () => {
     document.body.innerHTML = '<button id="btn">Submit</button>';
-    let clicked = false;
-    document.getElementById("btn").addEventListener("click", () => { clicked = true; });
-    const result = clickElementByText("Submit", null);
-    expect(result.success).toBe(true);
-    expect(result.tag).toBe("button");
-    expect(clicked).toBe(true);
+    expect(first("Submit").id).toBe("btn");
   });
 
-  it("clicks a link by text", () => {
+  it("finds a link by text", () => {
     document.body.innerHTML = '<a id="lnk" href="#">About Us</a>';
-    const result = clickElementByText("About Us", null);
-    expect(result.success).toBe(true);
-    expect(result.tag).toBe("a");
+    expect(first("About Us").id).toBe("lnk");
   });
 
   it("finds element by aria-label", () => {
-    document.body.innerHTML = '<button aria-label="Close dialog">X</button>';
-    const result = clickElementByText("Close dialog", null);
-    expect(result.success).toBe(true);
+    document.body.innerHTML = '<button id="x" aria-label="Close dialog">X</button>';
+    expect(first("Close dialog").id).toBe("x");
   });
 
   it("finds element by title", () => {
-    document.body.innerHTML = '<button title="Settings">⚙</button>';
-    const result = clickElementByText("Settings", null);
-    expect(result.success).toBe(true);
+    document.body.innerHTML = '<button id="s" title="Settings">⚙</button>';
+    expect(first("Settings").id).toBe("s");
   });
 
-  it("returns error for missing element", () => {
+  it("finds input by placeholder", () => {
+    document.body.innerHTML = '<input id="q" type="text" placeholder="Search...">';
+    expect(first("Search...").id).toBe("q");
+  });
+
+  it("finds input through its label", () => {
+    document.body.innerHTML = `
+      <label for="email-input">Email Address</label>
+      <input type="text" id="email-input">
+    `;
+    expect(first("Email Address").id).toBe("email-input");
+  });
+
+  it("prefers the smallest element with matching text", () => {
+    document.body.innerHTML = "<div><p><span id='t'>Hello</span></p></div>";
+    expect(first("Hello").id).toBe("t");
+  });
+
+  it("returns no elements when nothing matches", () => {
     document.body.innerHTML = "<p>Nothing here</p>";
-    const result = clickElementByText("Missing Button", null);
-    expect(result.error).toContain("No element found");
+    expect(locate("Missing Button").elements).toEqual([]);
   });
 
   it("scopes to container when scopeText is provided", () => {
     document.body.innerHTML = `
-      <li>Buy milk <button>delete</button></li>
-      <li>Buy eggs <button>delete</button></li>
+      <li>Buy milk <button id="a">delete</button></li>
+      <li>Buy eggs <button id="b">delete</button></li>
     `;
-    const result = clickElementByText("delete", "Buy eggs");
-    expect(result.success).toBe(true);
+    expect(first("delete", "Buy eggs").id).toBe("b");
   });
 
   it("is case-insensitive", () => {
-    document.body.innerHTML = '<button>SUBMIT</button>';
-    const result = clickElementByText("submit", null);
-    expect(result.success).toBe(true);
+    document.body.innerHTML = '<button id="btn">SUBMIT</button>';
+    expect(first("submit").id).toBe("btn");
   });
 });
 
-describe("clickElementByRef", () => {
+describe("resolveLocator (engines)", () => {
   beforeEach(() => {
     document.body.innerHTML = "";
   });
 
-  it("clicks the nth element in tree order", () => {
-    document.body.innerHTML = "<div><span>A</span><span>B</span><span>C</span></div>";
-    const result = clickElementByRef(2, "e3");
-    expect(result.success).toBe(true);
-    expect(result.tag).toBe("span");
+  it("role= matches implicit roles and accessible names", () => {
+    document.body.innerHTML = `
+      <button id="cancel">Cancel</button>
+      <button id="save">Save changes</button>
+      <a id="link" href="/save">Save</a>
+    `;
+    expect(first('role=button[name="Save"]').id).toBe("save");
+    expect(first('role=link[name="save"]').id).toBe("link");
+    expect(locate("role=button").elements).toHaveLength(2);
+  });
+
+  it("role= with the s flag requires an exact name", () => {
+    document.body.innerHTML = '<button>Save changes</button><button id="exact">Save</button>';
+    expect(first('role=button[name="Save"s]').id).toBe("exact");
+  });
+
+  it("role= skips hidden elements", () => {
+    document.body.innerHTML = '<button hidden>Save</button><button id="shown">Save</button>';
+    expect(first('role=button[name="Save"]').id).toBe("shown");
+  });
+
+  it("role= supports checked and level", () => {
+    document.body.innerHTML = `
+      <input type="checkbox" id="a" aria-label="A">
+      <input type="checkbox" id="b" aria-label="B" checked>
+      <h1 id="h1">Title</h1><h2 id="h2">Title</h2>
+    `;
+    expect(first("role=checkbox[checked]").id).toBe("b");
+    expect(first("role=checkbox[checked=false]").id).toBe("a");
+    expect(first('role=heading[level=2][name="Title"]').id).toBe("h2");
+  });
+
+  it("role= names inputs from their labels", () => {
+    document.body.innerHTML = '<label for="e">Email</label><input id="e" type="email">';
+    expect(first('role=textbox[name="Email"]').id).toBe("e");
+  });
+
+  it("text= matches substrings, quoted text= matches exactly", () => {
+    document.body.innerHTML = '<span id="a">Log in now</span><span id="b">Log in</span>';
+    expect(first("text=log in").id).toBe("a");
+    expect(first('text="Log in"').id).toBe("b");
+  });
+
+  it("label= resolves to the labelled control", () => {
+    document.body.innerHTML = '<label for="pw">Password</label><input id="pw" type="password">';
+    expect(first("label=Password").id).toBe("pw");
+  });
+
+  it("placeholder= matches the placeholder attribute", () => {
+    document.body.innerHTML = '<input id="s" placeholder="Search products">';
+    expect(first("placeholder=search").id).toBe("s");
+  });
+
+  it("testid= matches data-testid", () => {
+    document.body.innerHTML = '<div data-testid="cart" id="c"></div>';
+    expect(first("testid=cart").id).toBe("c");
+  });
+
+  it("css= runs a CSS selector", () => {
+    document.body.innerHTML = '<ul><li class="item" id="one">1</li></ul>';
+    expect(first("css=ul > .item").id).toBe("one");
+  });
+
+  it("reports invalid CSS as an error", () => {
+    expect(locate("css=[[[").error).toContain("Invalid selector");
+  });
+
+  it("looks inside open shadow roots, nested ones included", () => {
+    document.body.innerHTML = '<button id="light">Cancel</button>';
+    const host = shadowHost('<label for="q">Search</label><input id="q"><button id="submit">Submit</button>');
+    const inner = shadowHost('<span data-testid="badge" id="badge">3</span>', host.shadowRoot);
+    expect(first("Submit").id).toBe("submit");
+    expect(first('role=button[name="Submit"]').id).toBe("submit");
+    expect(first("label=Search").id).toBe("q");
+    expect(first("testid=badge")).toBe(inner.shadowRoot.getElementById("badge"));
+    expect(locate("css=button").elements.map(e => e.id)).toEqual(["light", "submit"]);
+  });
+
+  it("treats elements in a hidden host as hidden", () => {
+    const host = shadowHost("<button>Submit</button>");
+    host.setAttribute("hidden", "");
+    expect(locate("role=button").elements).toEqual([]);
+  });
+
+});
+
+describe("snapshot refs", () => {
+  beforeEach(() => {
+    delete window.__pwRefs;
+    document.body.innerHTML = "";
+  });
+
+  it("resolves a ref to the node it was tagged on", () => {
+    document.body.innerHTML = "<div><span>A</span><span id='b'>B</span></div>";
+    resetSnapshotRefs();
+    tagSnapshotRef.call(document.getElementById("b"), "e7");
+    expect(first("e7").id).toBe("b");
+  });
+
+  it("tags text nodes through their parent element", () => {
+    document.body.innerHTML = "<p id='p'>Hello</p>";
+    tagSnapshotRef.call(document.getElementById("p").firstChild, "e2");
+    expect(first("e2").id).toBe("p");
+  });
+
+  it("tags text nodes at the top of a shadow root through the host", () => {
+    const host = shadowHost("Hello");
+    tagSnapshotRef.call(host.shadowRoot.firstChild, "e3");
+    expect(first("e3")).toBe(host);
+  });
+
+  it("keeps pointing at the same node when the DOM changes", () => {
+    document.body.innerHTML = "<ul><li id='x'>X</li></ul>";
+    resetSnapshotRefs();
+    tagSnapshotRef.call(document.getElementById("x"), "e1");
+    document.querySelector("ul").insertAdjacentHTML("afterbegin", "<li>New</li>");
+    expect(first("e1").id).toBe("x");
+  });
+
+  it("reports a ref whose node was removed as stale", () => {
+    document.body.innerHTML = "<button id='b'>B</button>";
+    resetSnapshotRefs();
+    tagSnapshotRef.call(document.getElementById("b"), "e1");
+    document.body.innerHTML = "<button id='b'>B</button>";
+    expect(locate("e1").error).toContain("Stale ref e1");
+    expect(locate("e1").error).toContain("re-run snapshot");
+  });
+
+  it("reports refs before any snapshot as stale", () => {
+    expect(locate("e3").error).toContain("Stale ref e3");
+  });
+
+  it("reports refs missing from the last snapshot", () => {
+    resetSnapshotRefs();
+    expect(locate("e99").error).toContain("Unknown ref e99");
+  });
+});
+
+describe("checkActionability", () => {
+  function box(el, rect) {
+    el.getBoundingClientRect = () => ({ x: 10, y: 20, width: 100, height: 40, ...rect });
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = "";
+    document.elementFromPoint = () => null;
+  });
+
+  it("passes and returns the center point", async () => {
+    document.body.innerHTML = "<button>Go</button>";
+    const btn = document.querySelector("button");
+    box(btn);
+    document.elementFromPoint = () => btn;
+    const result = await checkActionability(btn, ["visible", "stable", "enabled", "receivesEvents"]);
+    expect(result).toEqual({ success: true, x: 60, y: 40 });
+  });
+
+  it("fails the visible check for an empty box", async () => {
+    document.body.innerHTML = "<button>Go</button>";
+    const btn = document.querySelector("button");
+    box(btn, { width: 0, height: 0 });
+    const result = await checkActionability(btn, ["visible"]);
+    expect(result.check).toBe("visible");
+    expect(result.error).toBe("element is not visible");
+  });
+
+  it("fails the enabled check for disabled controls", async () => {
+    document.body.innerHTML = "<button disabled>Go</button><div aria-disabled='true'><span>Menu</span></div>";
+    const btn = document.querySelector("button");
+    box(btn);
+    expect((await checkActionability(btn, ["visible", "enabled"])).check).toBe("enabled");
+    const span = document.querySelector("span");
+    box(span);
+    expect((await checkActionability(span, ["enabled"])).check).toBe("enabled");
+  });
+
+  it("fails the editable check for read-only and non-input elements", async () => {
+    document.body.innerHTML = "<input readonly><p>Text</p>";
+    expect((await checkActionability(document.querySelector("input"), ["editable"])).error).toContain("read-only");
+    expect((await checkActionability(document.querySelector("p"), ["editable"])).check).toBe("editable");
   });
 
-  it("returns error for out-of-range index", () => {
-    document.body.innerHTML = "<div><span>A</span></div>";
-    const result = clickElementByRef(999, "e1000");
-    expect(result.error).toContain("not found");
+  it("retargets a label to its control for the editable check", async () => {
+    document.body.innerHTML = '<label for="n">Name</label><input id="n">';
+    const label = document.querySelector("label");
+    box(label);
+    expect((await checkActionability(label, ["visible", "editable"])).success).toBe(true);
+  });
+
+  it("retargets a shadow host to the input in its open shadow root", async () => {
+    document.body.innerHTML = "";
+    const host = shadowHost('<span>Email</span><input id="email">');
+    box(host);
+    expect((await checkActionability(host, ["visible", "enabled", "editable"])).success).toBe(true);
+    host.shadowRoot.getElementById("email").readOnly = true;
+    expect((await checkActionability(host, ["editable"])).error).toContain("read-only");
+  });
+
+  it("fails the stable check while the element moves", async () => {
+    document.body.innerHTML = "<button>Go</button>";
+    const btn = document.querySelector("button");
+    let x = 0;
+    btn.getBoundingClientRect = () => ({ x: x += 10, y: 0, width: 10, height: 10 });
+    expect((await checkActionability(btn, ["stable"])).check).toBe("stable");
+  });
+
+  it("names the element that intercepts pointer events", async () => {
+    document.body.innerHTML = '<button>Go</button><div id="overlay"></div>';
+    const btn = document.querySelector("button");
+    box(btn);
+    document.elementFromPoint = () => document.getElementById("overlay");
+    const result = await checkActionability(btn, ["receivesEvents"]);
+    expect(result.check).toBe("receivesEvents");
+    expect(result.error).toContain('<div id="overlay"> intercepts them');
+  });
+
+  it("follows the hit point into shadow roots", async () => {
+    const host = shadowHost("<button>Go</button><div id='overlay'></div>");
+    const btn = host.shadowRoot.querySelector("button");
+    box(btn);
+    document.elementFromPoint = () => host;
+    host.shadowRoot.elementFromPoint = () => btn;
+    expect(await checkActionability(btn, ["receivesEvents"])).toEqual({ success: true, x: 60, y: 40 });
+    host.shadowRoot.elementFromPoint = () => host.shadowRoot.getElementById("overlay");
+    expect((await checkActionability(btn, ["receivesEvents"])).error).toContain('<div id="overlay"> intercepts them');
+  });
+
+  it("fails for detached elements", async () => {
+    const orphan = document.createElement("button");
+    expect((await checkActionability(orphan, ["visible"])).check).toBe("attached");
+  });
+});
+
+describe("clickElement", () => {
+  it("returns the center point without clicking", () => {
+    document.body.innerHTML = '<button id="btn">Submit</button>';
+    let clicked = false;
+    const btn = document.getElementById("btn");
+    btn.addEventListener("click", () => { clicked = true; });
+    const result = clickElement(btn);
+    expect(result).toHaveProperty("x");
+    expect(result).toHaveProperty("y");
+    expect(result.tag).toBe("button");
+    expect(clicked).toBe(false);
   });
 });
 
@@ -135,31 +404,30 @@ describe("focusElement", () => {
     document.body.innerHTML = "";
   });
 
-  it("focuses input by placeholder", () => {
+  it("focuses an input", () => {
     document.body.innerHTML = '<input type="text" placeholder="Search...">';
-    const result = focusElement("Search...");
+    const result = focusElement(first("Search..."));
     expect(result.success).toBe(true);
+    expect(document.activeElement.tagName).toBe("INPUT");
   });
 
-  it("focuses input by label", () => {
-    document.body.innerHTML = `
-      <label for="email-input">Email Address</label>
-      <input type="text" id="email-input">
-    `;
-    const result = focusElement("Email Address");
+  it("retargets a label to its control", () => {
+    document.body.innerHTML = '<label for="x">Name</label><input id="x">';
+    const result = focusElement(document.querySelector("label"));
     expect(result.success).toBe(true);
+    expect(document.activeElement.id).toBe("x");
   });
 
-  it("focuses input by aria-label", () => {
-    document.body.innerHTML = '<input type="text" aria-label="Username">';
-    const result = focusElement("Username");
-    expect(result.success).toBe(true);
+  it("focuses the input inside a shadow host", () => {
+    const host = shadowHost('<input id="email">');
+    expect(focusElement(host).success).toBe(true);
+    expect(host.shadowRoot.activeElement.id).toBe("email");
   });
 
-  it("returns error for missing input", () => {
+  it("returns error for non-input elements", () => {
     document.body.innerHTML = "<p>No inputs</p>";
-    const result = focusElement("Missing");
-    expect(result.error).toContain("No input found");
+    const result = focusElement(document.querySelector("p"));
+    expect(result.error).toContain("not an input");
   });
 });
 
@@ -175,7 +443,7 @@ describe("selectElement", () => {
         <option value="b">Blue</option>
       </select>
     `;
-    const result = selectElement("Color", "Blue");
+    const result = selectElement(first("Color"), "Blue");
     expect(result.success).toBe(true);
     expect(document.querySelector("select").value).toBe("b");
   });
@@ -188,14 +456,14 @@ describe("selectElement", () => {
         <option value="uk">United Kingdom</option>
       </select>
     `;
-    const result = selectElement("Country", "United Kingdom");
+    const result = selectElement(first("Country"), "United Kingdom");
     expect(result.success).toBe(true);
     expect(document.getElementById("country").value).toBe("uk");
   });
 
-  it("returns error for missing select", () => {
+  it("returns error for non-select elements", () => {
     document.body.innerHTML = "<p>No select</p>";
-    const result = selectElement("Color", "Red");
+    const result = selectElement(document.querySelector("p"), "Red");
     expect(result.error).toContain("No select found");
   });
 
@@ -205,7 +473,7 @@ describe("selectElement", () => {
         <option value="r">Red</option>
       </select>
     `;
-    const result = selectElement("Color", "Green");
+    const result = selectElement(first("Color"), "Green");
     expect(result.error).toContain("Option not found");
   });
 });
@@ -220,13 +488,14 @@ describe("checkElement", () => {
       <label for="cb">Accept terms</label>
       <input type="checkbox" id="cb">
     `;
-    const result = checkElement("Accept terms", true);
+    const result = checkElement(first("Accept terms"), true);
     expect(result.success).toBe(true);
+    expect(document.getElementById("cb").checked).toBe(true);
   });
 
   it("checks a checkbox by aria-label", () => {
     document.body.innerHTML = '<input type="checkbox" aria-label="Remember me">';
-    const result = checkElement("Remember me", true);
+    const result = checkElement(first("Remember me"), true);
     expect(result.success).toBe(true);
   });
 
@@ -234,80 +503,164 @@ describe("checkElement", () => {
     document.body.innerHTML = `
       <li>Buy milk <input type="checkbox"></li>
     `;
-    const result = checkElement("Buy milk", true);
+    const result = checkElement(first("Buy milk"), true);
     expect(result.success).toBe(true);
+    expect(result.checked).toBe(true);
+  });
+
+  it("finds sibling checkbox of a label without for", () => {
+    document.body.innerHTML = '<li><input type="checkbox"><label>Walk dog</label></li>';
+    const result = checkElement(first("Walk dog"), true);
+    expect(result.checked).toBe(true);
+  });
+
+  it("leaves an already-unchecked box alone", () => {
+    document.body.innerHTML = '<input type="checkbox" aria-label="Opt in">';
+    const result = checkElement(first("Opt in"), false);
+    expect(result.checked).toBe(false);
   });
 
-  it("returns error for missing checkbox", () => {
+  it("returns error when no checkbox is nearby", () => {
     document.body.innerHTML = "<p>No checkboxes</p>";
-    const result = checkElement("Missing", true);
+    const result = checkElement(document.querySelector("p"), true);
     expect(result.error).toContain("No checkbox found");
   });
 });
 
 describe("hoverElement", () => {
-  beforeEach(() => {
-    document.body.innerHTML = "";
-  });
-
-  it("returns coordinates for a button", () => {
+  it("returns coordinates for an element", () => {
     document.body.innerHTML = '<button>Menu</button>';
-    const result = hoverElement("Menu");
+    const result = hoverElement(first("Menu"));
     expect(result).toHaveProperty("x");
     expect(result).toHaveProperty("y");
   });
+});
 
-  it("returns error for missing element", () => {
-    document.body.innerHTML = "<p>Nothing</p>";
-    const result = hoverElement("Missing");
-    expect(result.error).toContain("No element found");
+describe("offsetPoint", () => {
+  it("offsets from the element's top-left corner", () => {
+    document.body.innerHTML = "<div>Done</div>";
+    const el = document.querySelector("div");
+    el.getBoundingClientRect = () => ({ x: 60, y: 160, width: 100, height: 100 });
+    expect(offsetPoint(el, 10, 5)).toEqual({ x: 70, y: 165 });
   });
 });
 
-describe("dblclickElement", () => {
-  beforeEach(() => {
-    document.body.innerHTML = "";
+describe("watchDragStart", () => {
+  const move = () => window.dispatchEvent(new MouseEvent("mousemove"));
+  const dragstart = () => document.body.dispatchEvent(new Event("dragstart", { bubbles: true, cancelable: true }));
+
+  it("reports a dragstart caused by the next mouse move", async () => {
+    watchDragStart();
+    move();
+    dragstart();
+    expect(await dragStarted()).toBe(true);
+    expect(window.__pwDragStarted).toBeUndefined();
   });
 
-  it("dispatches dblclick on element", () => {
-    document.body.innerHTML = '<button id="btn">Item</button>';
-    let dblClicked = false;
-    document.getElementById("btn").addEventListener("dblclick", () => { dblClicked = true; });
-    const result = dblclickElement("Item");
-    expect(result.success).toBe(true);
-    expect(dblClicked).toBe(true);
+  it("ignores cancelled drags and moves without one", async () => {
+    watchDragStart();
+    move();
+    document.body.addEventListener("dragstart", e => e.preventDefault(), { once: true });
+    dragstart();
+    expect(await dragStarted()).toBe(false);
+
+    watchDragStart();
+    move();
+    expect(await dragStarted()).toBe(false);
+  });
+});
+
+describe("fileInputOf", () => {
+  it("finds the file input behind a label or inside a container", () => {
+    document.body.innerHTML = '<label for="f">Avatar</label><div id="drop"><input type="file" id="f" hidden></div><p>Text</p>';
+    const input = document.getElementById("f");
+    expect(fileInputOf(document.querySelector("label"), 1)).toBe(input);
+    expect(fileInputOf(document.getElementById("drop"), 1)).toBe(input);
+    expect(fileInputOf(document.querySelector("p"), 1).error).toBe("Not a file input: <p>");
   });
 
-  it("returns error for missing element", () => {
-    document.body.innerHTML = "<p>Nothing</p>";
-    const result = dblclickElement("Missing");
-    expect(result.error).toContain("No element found");
+  it("rejects disabled inputs and several files for a single input", () => {
+    document.body.innerHTML = '<input type="file" id="one"><input type="file" id="off" disabled>';
+    expect(fileInputOf(document.getElementById("one"), 2).error).toContain("multiple files");
+    expect(fileInputOf(document.getElementById("off"), 1).error).toContain("disabled");
   });
 });
 
-describe("verifyElementExists", () => {
-  beforeEach(() => {
-    document.body.innerHTML = "";
+describe("setInputFiles", () => {
+  it("sets files and fires input and change", () => {
+    document.body.innerHTML = '<input type="file" multiple>';
+    const input = document.querySelector("input");
+    const events = [];
+    input.addEventListener("input", () => events.push("input"));
+    input.addEventListener("change", () => events.push("change"));
+    let transferred;
+    Object.defineProperty(input, "files", { set(files) { transferred = files; }, get() { return transferred; } });
+    const count = setInputFiles.call(input, [
+      { name: "avatar.png", type: "image/png", lastModified: 7, base64: btoa("PNG") },
+      { name: "docs/cv.pdf", type: "application/pdf", lastModified: 7, base64: btoa("%PDF") },
+    ]);
+    expect(count).toBe(2);
+    expect([...transferred].map(f => [f.name, f.type, f.size])).toEqual([["avatar.png", "image/png", 3], ["cv.pdf", "application/pdf", 4]]);
+    expect(events).toEqual(["input", "change"]);
   });
+});
 
-  it("returns true when button exists", () => {
-    document.body.innerHTML = '<button>Submit</button>';
-    expect(verifyElementExists("Submit")).toBe(true);
+describe("elementBox", () => {
+  it("returns the element's box in document coordinates", () => {
+    document.body.innerHTML = '<form>Login form</form>';
+    const el = first("Login form");
+    el.getBoundingClientRect = () => ({ x: 10, y: 20, width: 300, height: 200 });
+    window.scrollY = 100;
+    expect(elementBox(el)).toEqual({ x: 10, y: 120, width: 300, height: 200 });
+    window.scrollY = 0;
   });
 
-  it("returns true for element with aria-label", () => {
-    document.body.innerHTML = '<button aria-label="Close">X</button>';
-    expect(verifyElementExists("Close")).toBe(true);
+  it("rejects elements without a size", () => {
+    document.body.innerHTML = '<span>Empty</span>';
+    expect(elementBox(first("Empty"))).toEqual({ error: "Element has no size: <span>" });
   });
+});
 
-  it("returns false when element is missing", () => {
-    document.body.innerHTML = "<p>Nothing</p>";
-    expect(verifyElementExists("Missing Button")).toBe(false);
+describe("documentBox", () => {
+  it("returns the box in document coordinates without scrolling", () => {
+    document.body.innerHTML = '<span>Clock</span>';
+    const el = first("Clock");
+    el.getBoundingClientRect = () => ({ x: 5, y: 8, width: 40, height: 12 });
+    el.scrollIntoView = vi.fn();
+    window.scrollY = 50;
+    expect(documentBox(el)).toEqual({ x: 5, y: 58, width: 40, height: 12 });
+    expect(el.scrollIntoView).not.toHaveBeenCalled();
+    window.scrollY = 0;
   });
+});
 
-  it("finds label elements", () => {
+describe("frameContentBox", () => {
+  it("returns where the iframe's document starts, inside border and padding", () => {
+    document.body.innerHTML = '<iframe style="padding: 4px 0 0 6px"></iframe>';
+    const iframe = document.querySelector("iframe");
+    iframe.getBoundingClientRect = () => ({ x: 100, y: 50, width: 300, height: 200 });
+    Object.defineProperty(iframe, "clientLeft", { value: 2 });
+    Object.defineProperty(iframe, "clientTop", { value: 3 });
+    expect(frameContentBox.call(iframe)).toEqual({ x: 108, y: 57 });
+  });
+});
+
+describe("webStorage", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("sets, gets and clears items", () => {
+    expect(webStorage("local", "set", "theme", "dark")).toEqual({ origin: location.origin });
+    expect(webStorage("local", "get", "theme", null).value).toBe("dark");
+    expect(webStorage("local", "get", null, null).items).toEqual([{ name: "theme", value: "dark" }]);
+    expect(webStorage("local", "clear", null, null).count).toBe(1);
+    expect(webStorage("local", "get", "theme", null).value).toBeNull();
+  });
+});
+
+describe("elementExists", () => {
+  it("returns true for a resolved element", () => {
     document.body.innerHTML = '<label>Email</label>';
-    expect(verifyElementExists("Email")).toBe(true);
+    expect(elementExists(first("Email"))).toBe(true);
   });
 });
 
@@ -325,6 +678,12 @@ describe("verifyTextOnPage", () => {
     document.body.innerHTML = "<p>Hello World</p>";
     expect(verifyTextOnPage("Goodbye")).toBe(false);
   });
+
+  it("finds text inside shadow roots", () => {
+    shadowHost("<style>.total {}</style><p>Total: 42</p>");
+    expect(verifyTextOnPage("Total: 42")).toBe(true);
+    expect(verifyTextOnPage(".total")).toBe(false);
+  });
 });
 
 describe("dispatchFillEvents", () => {
@@ -341,3 +700,18 @@ describe("dispatchFillEvents", () => {
     expect(changeFired).toBe(true);
   });
 });
+
+describe("clearActiveElement", () => {
+  it("empties the field focused inside a shadow root", () => {
+    document.body.innerHTML = "";
+    const host = shadowHost('<input value="old">');
+    const field = host.shadowRoot.querySelector("input");
+    field.focus();
+    let changeFired = false;
+    field.addEventListener("change", () => { changeFired = true; });
+    clearActiveElement();
+    expect(field.value).toBe("");
+    dispatchFillEvents();
+    expect(changeFired).toBe(true);
+  });
+});
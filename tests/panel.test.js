@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { chrome } from "vitest-chrome/lib/index.esm.js";
+import { readFixture } from "../lib/fixtures.js";
+import { createIndexedDB } from "./indexeddb-stub.js";
 
 let mockPort;
 
@@ -15,6 +17,7 @@ describe("panel.js", () => {
           <button id="open-btn">Open</button>
           <button id="save-btn" disabled>Save</button>
           <button id="copy-btn" disabled>Copy</button>
+          <button id="fixtures-btn">Fixtures</button>
           <span class="toolbar-sep"></span>
           <button id="record-btn">&#9210; Record</button>
           <button id="run-btn">&#9654;</button>
@@ -51,7 +54,7 @@ describe("panel.js", () => {
           </div>
         </div>
       </div>
-      <div id="lightbox" hidden><button id="lightbox-close-btn">&times;</button><button id="lightbox-save-btn">Save</button><img id="lightbox-img"></div>
+      <div id="lightbox" hidden><button id="lightbox-close-btn">&times;</button><button id="lightbox-save-btn">Save</button><img id="lightbox-img"><div id="lightbox-compare" hidden></div></div>
     `;
 
     // Remove any theme class from previous test
@@ -73,6 +76,8 @@ describe("panel.js", () => {
     chrome.runtime.id = "mock-extension-id";
     chrome.runtime.connect.mockReturnValue(mockPort);
     chrome.runtime.sendMessage.mockResolvedValue({ type: "success", data: "OK" });
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue(undefined);
   });
 
   // --- Init ---
@@ -177,7 +182,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "help",
+        tokens: ["help"],
         tabId: 42,
       });
     });
@@ -251,6 +256,121 @@ describe("panel.js", () => {
     });
   });
 
+  it("saves a named screenshot under its name", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ type: "screenshot", data: "fakebase64", name: "checkout" });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "screenshot --name checkout";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => expect(document.querySelector(".screenshot-btn")).not.toBeNull());
+    let downloaded;
+    vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () { downloaded = this.download; });
+    document.querySelector(".screenshot-btn").click();
+    expect(downloaded).toBe("checkout.png");
+  });
+
+  it("offers a PDF for download under its name", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ type: "pdf", data: btoa("%PDF-1.4"), name: "report" });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "pdf --name report";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => expect(document.querySelector(".pdf-block")).not.toBeNull());
+    expect(document.querySelector(".pdf-block").textContent).toContain("report.pdf (1 kB)");
+    let saved;
+    vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () { saved = { download: this.download, href: this.href }; });
+    const [, saveButton] = document.querySelectorAll(".pdf-block button");
+    saveButton.click();
+    expect(saved.download).toBe("report.pdf");
+    expect(saved.href).toContain("data:application/pdf;base64,");
+  });
+
+  it("opens a PDF in a new tab and revokes its blob URL later", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ type: "pdf", data: btoa("%PDF-1.4"), name: "report" });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "pdf --name report";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => expect(document.querySelector(".pdf-block")).not.toBeNull());
+
+    URL.createObjectURL = vi.fn(() => "blob:pdf");
+    URL.revokeObjectURL = vi.fn();
+    const open = vi.spyOn(window, "open").mockImplementation(() => null);
+    vi.useFakeTimers();
+    document.querySelector(".pdf-block button").click();
+    expect(open).toHaveBeenCalledWith("blob:pdf");
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:pdf");
+    vi.useRealTimers();
+  });
+
+  it("stores files picked with the Fixtures button for upload", async () => {
+    vi.stubGlobal("indexedDB", createIndexedDB());
+    await import("../panel/panel.js");
+    let picker;
+    vi.spyOn(HTMLInputElement.prototype, "click").mockImplementation(function () { picker = this; });
+    document.getElementById("fixtures-btn").click();
+    expect(picker.type).toBe("file");
+    const file = new File(["PNG"], "avatar.png", { type: "image/png" });
+    Object.defineProperty(picker, "files", { value: [file] });
+    picker.dispatchEvent(new Event("change"));
+    await vi.waitFor(() => expect(document.getElementById("output").textContent).toContain("Added fixture fixtures/avatar.png"));
+    expect(await readFixture("fixtures/avatar.png")).toMatchObject({ name: "avatar.png", type: "image/png", size: 3 });
+    vi.unstubAllGlobals();
+  });
+
+  it("offers a Run's screenshots as a zip named by script line", async () => {
+    chrome.runtime.sendMessage.mockImplementation(async ({ tokens }) =>
+      tokens[0] === "screenshot" ? { type: "screenshot", data: btoa("png"), name: tokens.includes("--name") ? "cart" : undefined } : { type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'goto https://example.com\nscreenshot\nscreenshot --name cart';
+    editor.dispatchEvent(new Event("input"));
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => expect(document.querySelector(".screenshot-zip")).not.toBeNull(), { timeout: 3000 });
+    expect(document.querySelector(".screenshot-zip").textContent).toContain("2 screenshots taken during this run");
+
+    URL.createObjectURL = vi.fn(() => "blob:zip");
+    URL.revokeObjectURL = vi.fn();
+    let downloaded;
+    vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () { downloaded = this.download; });
+    document.querySelector(".screenshot-zip button").click();
+    expect(downloaded).toMatch(/^screenshots-.*\.zip$/);
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const text = new TextDecoder().decode(new Uint8Array(await blob.arrayBuffer()));
+    expect(text).toContain("line-2.png");
+    expect(text).toContain("line-3-cart.png");
+    // Revoked later, so the download can still read the blob
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  });
+
+  it("shows a failed verify-screenshot as expected, actual and diff", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({
+      type: "error", data: 'FAIL: 12 pixels (0.10%) differ from baseline "header"',
+      images: { expected: "expectedbase64", actual: "actualbase64", diff: "diffbase64" },
+    });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = 'verify-screenshot "header"';
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => expect(document.querySelector(".screenshot-compare")).not.toBeNull());
+    const captions = [...document.querySelectorAll(".screenshot-compare figcaption")].map(c => c.textContent);
+    expect(captions).toEqual(["Expected", "Actual", "Diff"]);
+
+    document.querySelector(".screenshot-compare").click();
+    const compare = document.getElementById("lightbox-compare");
+    expect(document.getElementById("lightbox").hidden).toBe(false);
+    expect(compare.hidden).toBe(false);
+    expect(compare.querySelectorAll("img")[2].src).toContain("diffbase64");
+    expect(document.getElementById("lightbox-save-btn").hidden).toBe(true);
+
+    document.getElementById("lightbox-close-btn").click();
+    expect(compare.hidden).toBe(true);
+    expect(compare.children).toHaveLength(0);
+    expect(document.getElementById("lightbox-save-btn").hidden).toBe(false);
+  });
+
   it("displays info response in output", async () => {
     chrome.runtime.sendMessage.mockResolvedValue({ type: "info", data: "Available commands:" });
     await import("../panel/panel.js");
@@ -487,6 +607,24 @@ describe("panel.js", () => {
     expect(document.getElementById("copy-btn").disabled).toBe(false);
   });
 
+  it("shows page events from the background in the console", async () => {
+    await import("../panel/panel.js");
+    const onMessageCallback = mockPort.onMessage.addListener.mock.calls[0][0];
+    onMessageCallback({ type: "pw-event", level: "info", text: 'alert dialog "Saved" is open.' });
+    const output = document.getElementById("output");
+    expect(output.lastElementChild.textContent).toBe('alert dialog "Saved" is open.');
+    expect(document.getElementById("editor").value).toBe("");
+  });
+
+  it("shows streamed page console output with its level style", async () => {
+    await import("../panel/panel.js");
+    const onMessageCallback = mockPort.onMessage.addListener.mock.calls[0][0];
+    onMessageCallback({ type: "pw-console", level: "error", text: "error  Failed to load" });
+    const line = document.getElementById("output").lastElementChild;
+    expect(line.textContent).toBe("error  Failed to load");
+    expect(line.className).toBe("line line-console line-console-error");
+  });
+
   // --- Run button ---
 
   it("run button executes editor lines", async () => {
@@ -505,12 +643,12 @@ describe("panel.js", () => {
 
     expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
       type: "pw-command",
-      raw: "goto https://example.com",
+      tokens: ["goto", "https://example.com"],
       tabId: 42,
     });
     expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
       type: "pw-command",
-      raw: 'click "OK"',
+      tokens: ["click", "OK"],
       tabId: 42,
     });
   });
@@ -558,7 +696,269 @@ describe("panel.js", () => {
       (c) => c[0].type === "pw-command"
     );
     expect(pwCalls.length).toBe(1);
-    expect(pwCalls[0][0].raw).toBe("goto https://example.com");
+    expect(pwCalls[0][0].tokens).toEqual(["goto", "https://example.com"]);
+  });
+
+  // --- Variables ---
+
+  it("substitutes variables set earlier in the run", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'set user "alice"\nfill "User" "${user}"';
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const pwCalls = chrome.runtime.sendMessage.mock.calls.filter((c) => c[0].type === "pw-command");
+    expect(pwCalls.map((c) => c[0].tokens)).toEqual([["fill", "User", "alice"]]);
+    expect(document.getElementById("console-stats").textContent).toContain("2 passed");
+  });
+
+  it("captures command results with set name = eval", async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (msg) => {
+      if (msg.tokens[0] === "eval") return { success: true, type: "info", data: '"$42"', value: "$42" };
+      return { success: true, type: "success", data: "OK" };
+    });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = "set total = eval document.querySelector('.total').textContent\nverify-text \"${total}\"";
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const sent = chrome.runtime.sendMessage.mock.calls.map((c) => c[0].tokens);
+    expect(sent).toEqual([
+      ["eval", "document.querySelector('.total').textContent"],
+      ["verify-text", "$42"],
+    ]);
+  });
+
+  it("keeps captured text with quotes and spaces as one argument", async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (msg) => {
+      if (msg.tokens[0] === "eval") return { success: true, type: "info", data: "", value: `Say "hi", it's John Smith` };
+      return { success: true, type: "success", data: "OK" };
+    });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = "set who = eval document.title\nverify-text \"${who}\"\nfill 'Note' '${who}'\nfill Name ${who}";
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    }, { timeout: 5000 });
+    const sent = chrome.runtime.sendMessage.mock.calls.map((c) => c[0].tokens).slice(1);
+    expect(sent).toEqual([
+      ["verify-text", `Say "hi", it's John Smith`],
+      ["fill", "Note", `Say "hi", it's John Smith`],
+      ["fill", "Name", `Say "hi", it's John Smith`],
+    ]);
+  });
+
+  it("fails lines that use undefined variables without sending them", async () => {
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "goto ${nowhere}";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Undefined variable: nowhere");
+    });
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it("uses defaults from the active environment profile", async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      pwEnvProfiles: { staging: { baseUrl: "https://staging.example.com" } },
+    });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "env staging";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain('Using environment "staging"');
+    });
+    input.value = "goto ${baseUrl}/login";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "pw-command",
+        tokens: ["goto", "https://staging.example.com/login"],
+        tabId: 42,
+      });
+    });
+  });
+
+  it("saves environment variables to extension storage", async () => {
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = 'env dev baseUrl "http://localhost:3000"';
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        pwEnvProfiles: { dev: { baseUrl: "http://localhost:3000" } },
+      });
+    });
+  });
+
+  it("export reads profile variables from process.env", async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      pwEnvProfiles: { dev: { baseUrl: "http://localhost:3000" } },
+    });
+    await import("../panel/panel.js");
+    const input = document.getElementById("command-input");
+    input.value = "env dev";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain('Using environment "dev"');
+    });
+    const editor = document.getElementById("editor");
+    editor.value = "goto ${baseUrl}";
+    editor.dispatchEvent(new Event("input"));
+    document.getElementById("export-btn").click();
+    const code = document.querySelector(".code-block").textContent;
+    expect(code).toContain('const baseUrl = process.env.baseUrl ?? "http://localhost:3000";');
+  });
+
+  // --- Control flow ---
+
+  it("runs repeat and foreach blocks", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'repeat 2 as n\n  fill "New" "Todo ${n}"\nend\nforeach item in "a,b"\n  click "${item}"\nend';
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    }, { timeout: 5000 });
+    const sent = chrome.runtime.sendMessage.mock.calls.map((c) => c[0].tokens);
+    expect(sent).toEqual([
+      ["fill", "New", "Todo 1"],
+      ["fill", "New", "Todo 2"],
+      ["click", "a"],
+      ["click", "b"],
+    ]);
+  });
+
+  it("skips an if block when its condition fails", async () => {
+    chrome.runtime.sendMessage.mockImplementation(async (msg) => {
+      if (msg.tokens[0] === "verify-element") return { success: false, type: "error", data: "FAIL" };
+      return { success: true, type: "success", data: "OK" };
+    });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'if element "Accept cookies"\n  click "Accept cookies"\nend\nclick "Next"';
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const sent = chrome.runtime.sendMessage.mock.calls.map((c) => c[0].tokens);
+    expect(sent).toEqual([
+      ["verify-element", "Accept cookies", "--timeout", "0"],
+      ["click", "Next"],
+    ]);
+    expect(document.getElementById("console-stats").textContent).toContain("1 passed");
+  });
+
+  it("keeps a failed loop line marked in the gutter", async () => {
+    let calls = 0;
+    chrome.runtime.sendMessage.mockImplementation(async () => {
+      calls++;
+      return calls === 1
+        ? { success: false, type: "error", data: "Not found" }
+        : { success: true, type: "success", data: "OK" };
+    });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'repeat 2\n  click "A"\nend';
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const gutter = document.getElementById("line-numbers").children;
+    expect(gutter[1].className).toBe("line-fail");
+  });
+
+  it("refuses to run a script with unbalanced blocks", async () => {
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'repeat 2\n  click "A"';
+    editor.dispatchEvent(new Event("input"));
+
+    document.getElementById("run-btn").click();
+    const output = document.getElementById("output");
+    expect(output.textContent).toContain("Line 1: 'repeat' is missing 'end'");
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    expect(document.getElementById("line-numbers").children[0].className).toBe("line-fail");
+  });
+
+  // --- Procedures and library ---
+
+  it("runs procedures from an included library script", async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      pwLibrary: { "common/login.pw": 'define login(user)\n  fill "User" "${user}"\n  click "Sign in"\nend' },
+    });
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'include "common/login.pw"\ncall login "alice"';
+    editor.dispatchEvent(new Event("input"));
+
+    await vi.waitFor(() => expect(chrome.storage.local.get).toHaveBeenCalledWith("pwLibrary"));
+    await Promise.resolve();
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const sent = chrome.runtime.sendMessage.mock.calls.map((c) => c[0].tokens);
+    expect(sent).toEqual([
+      ["fill", "User", "alice"],
+      ["click", "Sign in"],
+    ]);
+  });
+
+  it("saves the editor to the library", async () => {
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'fill "User" "${user}"';
+    editor.dispatchEvent(new Event("input"));
+    const input = document.getElementById("command-input");
+    input.value = "library save common/login.pw";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await vi.waitFor(() => {
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        pwLibrary: { "common/login.pw": 'fill "User" "${user}"' },
+      });
+    });
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Saved editor to library as common/login.pw");
+    });
+  });
+
+  it("steps into loop iterations", async () => {
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'repeat 2\n  click "A"\nend';
+    editor.dispatchEvent(new Event("input"));
+    const stepBtn = document.getElementById("step-btn");
+
+    for (let i = 0; i < 3; i++) {
+      stepBtn.click();
+      await vi.waitFor(() => expect(stepBtn.disabled).toBe(false));
+    }
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(2);
+    expect(document.getElementById("output").textContent).toContain("Step complete. All lines executed.");
   });
 
   // --- Ctrl+Enter ---
@@ -766,6 +1166,27 @@ describe("panel.js", () => {
 
   // --- Step button ---
 
+  it("echoes an if from a called procedure with its own source line", async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      pwLibrary: { "common/cookies.pw": 'define dismiss()\n  if element "Accept cookies"\n    click "Accept cookies"\n  end\nend' },
+    });
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true, type: "success", data: "OK" });
+    await import("../panel/panel.js");
+    const editor = document.getElementById("editor");
+    editor.value = 'include "common/cookies.pw"\ncall dismiss';
+    editor.dispatchEvent(new Event("input"));
+
+    await vi.waitFor(() => expect(chrome.storage.local.get).toHaveBeenCalledWith("pwLibrary"));
+    await Promise.resolve();
+    document.getElementById("run-btn").click();
+    await vi.waitFor(() => {
+      expect(document.getElementById("output").textContent).toContain("Run complete.");
+    });
+    const echoed = [...document.querySelectorAll("#output .line-command")].map((el) => el.textContent);
+    expect(echoed.some((text) => text.includes('if element "Accept cookies"'))).toBe(true);
+    expect(echoed.some((text) => text.includes('include "common/cookies.pw"'))).toBe(false);
+  });
+
   it("step button executes the first executable line", async () => {
     chrome.runtime.sendMessage.mockResolvedValue({ type: "success", data: "OK" });
     await import("../panel/panel.js");
@@ -777,7 +1198,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "goto https://example.com",
+        tokens: ["goto", "https://example.com"],
         tabId: 42,
       });
     });
@@ -794,7 +1215,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "goto https://example.com",
+        tokens: ["goto", "https://example.com"],
         tabId: 42,
       });
     });
@@ -811,7 +1232,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "goto https://example.com",
+        tokens: ["goto", "https://example.com"],
         tabId: 42,
       });
     });
@@ -826,7 +1247,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: 'click "OK"',
+        tokens: ["click", "OK"],
         tabId: 42,
       });
     });
@@ -862,7 +1283,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "goto https://example.com",
+        tokens: ["goto", "https://example.com"],
         tabId: 42,
       });
     });
@@ -882,7 +1303,7 @@ describe("panel.js", () => {
     await vi.waitFor(() => {
       expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
         type: "pw-command",
-        raw: "goto https://other.com",
+        tokens: ["goto", "https://other.com"],
         tabId: 42,
       });
     });
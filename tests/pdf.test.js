@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { parseMargin, pdfParams } from "../lib/pdf.js";
+
+describe("parseMargin", () => {
+  it("applies one value to every side", () => {
+    expect(parseMargin("1cm")).toEqual({ top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" });
+  });
+
+  it("takes four values in CSS order", () => {
+    expect(parseMargin("1cm, 2mm, 0.5in, 40")).toEqual({ top: "1cm", right: "2mm", bottom: "0.5in", left: "40" });
+  });
+
+  it("rejects other lengths", () => {
+    expect(parseMargin("1em")).toBeNull();
+    expect(parseMargin("1cm,2cm")).toBeNull();
+  });
+});
+
+describe("pdfParams", () => {
+  it("defaults to Letter without margins or backgrounds", () => {
+    expect(pdfParams().params).toEqual({
+      landscape: false, printBackground: false, paperWidth: 8.5, paperHeight: 11,
+      marginTop: 0, marginRight: 0, marginBottom: 0, marginLeft: 0,
+    });
+  });
+
+  it("maps format, landscape, background and margins", () => {
+    const { params } = pdfParams({ format: "a4", landscape: true, background: true, margin: "2.54cm,1in,96px,25.4mm" });
+    expect(params).toMatchObject({ landscape: true, printBackground: true, paperWidth: 8.27, paperHeight: 11.7 });
+    for (const side of ["marginTop", "marginRight", "marginBottom", "marginLeft"]) expect(params[side]).toBeCloseTo(1);
+  });
+
+  it("reports unknown formats and invalid margins", () => {
+    expect(pdfParams({ format: "B5" }).error).toContain('Unknown paper format: "B5" (use Letter, Legal');
+    expect(pdfParams({ margin: "wide" }).error).toBe('Invalid margin: "wide" (use e.g. 1cm, or top,right,bottom,left)');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { maskImage, compareImages } from "../lib/pixel-diff.js";
+
+// A width x height image filled with one RGBA color
+function solid(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < data.length; p += 4) data.set(rgba, p);
+  return { width, height, data };
+}
+
+function pixel(image, x, y) {
+  const p = (y * image.width + x) * 4;
+  return Array.from(image.data.slice(p, p + 4));
+}
+
+describe("compareImages", () => {
+  it("finds no differences between identical images", () => {
+    const result = compareImages(solid(4, 3, [10, 20, 30, 255]), solid(4, 3, [10, 20, 30, 255]));
+    expect(result).toMatchObject({ sizeMismatch: false, diffPixels: 0 });
+    expect(result.diff).toMatchObject({ width: 4, height: 3 });
+  });
+
+  it("counts differing pixels and paints them red", () => {
+    const actual = solid(4, 3, [255, 255, 255, 255]);
+    actual.data.set([0, 0, 0, 255], (1 * 4 + 2) * 4);
+    const { diffPixels, diff } = compareImages(solid(4, 3, [255, 255, 255, 255]), actual);
+    expect(diffPixels).toBe(1);
+    expect(pixel(diff, 2, 1)).toEqual([255, 0, 0, 255]);
+    expect(pixel(diff, 0, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  it("ignores differences within the threshold", () => {
+    const expected = solid(2, 2, [200, 200, 200, 255]);
+    const actual = solid(2, 2, [190, 190, 190, 255]);
+    expect(compareImages(expected, actual).diffPixels).toBe(0);
+    expect(compareImages(expected, actual, { threshold: 0 }).diffPixels).toBe(4);
+  });
+
+  it("reports images of different sizes", () => {
+    expect(compareImages(solid(4, 3, [0, 0, 0, 255]), solid(3, 4, [0, 0, 0, 255]))).toEqual({ sizeMismatch: true });
+  });
+});
+
+describe("maskImage", () => {
+  it("paints rects in the mask color, clipped to the image", () => {
+    const image = maskImage(solid(4, 4, [0, 0, 0, 255]), [{ x: 2.5, y: -1, width: 5, height: 2 }]);
+    expect(pixel(image, 2, 0)).toEqual([255, 0, 255, 255]);
+    expect(pixel(image, 3, 0)).toEqual([255, 0, 255, 255]);
+    expect(pixel(image, 2, 1)).toEqual([0, 0, 0, 255]);
+    expect(pixel(image, 1, 0)).toEqual([0, 0, 0, 255]);
+  });
+
+  it("makes masked differences match", () => {
+    const expected = solid(2, 2, [255, 255, 255, 255]);
+    const actual = solid(2, 2, [255, 255, 255, 255]);
+    actual.data.set([0, 0, 0, 255], 0);
+    const mask = [{ x: 0, y: 0, width: 1, height: 1 }];
+    expect(compareImages(maskImage(expected, mask), maskImage(actual, mask)).diffPixels).toBe(0);
+  });
+});
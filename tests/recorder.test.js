@@ -487,4 +487,132 @@ describe("content/recorder.js", () => {
     const pwCalls = debugSpy.mock.calls.filter(c => String(c[0]).startsWith("__pw:"));
     expect(pwCalls).toHaveLength(0);
   });
+  it("records a press released over another element as drag", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+
+    document.body.innerHTML = '<section><span id="card">Card A</span><h2 id="column">Done column</h2></section>';
+
+    await import("../content/recorder.js");
+
+    const mouse = (type, el, x) => el.dispatchEvent(new MouseEvent(type, { bubbles: true, clientX: x, clientY: 10 }));
+    mouse("mousedown", document.getElementById("card"), 10);
+    mouse("mouseup", document.getElementById("column"), 200);
+    // The click the browser may send to the common ancestor is not recorded
+    document.querySelector("section").setAttribute("role", "list");
+    document.querySelector("section").click();
+
+    const pwCalls = debugSpy.mock.calls.map(c => c[0]).filter(c => c.startsWith("__pw:"));
+    expect(pwCalls).toEqual(['__pw:drag "Card A" "Done column"']);
+  });
+
+  it("records HTML5 drag and drop", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+
+    document.body.innerHTML = '<li id="card" draggable="true">Card A</li><h2 id="column">Done column</h2>';
+
+    await import("../content/recorder.js");
+
+    document.getElementById("card").dispatchEvent(new Event("dragstart", { bubbles: true }));
+    document.getElementById("column").dispatchEvent(new Event("drop", { bubbles: true }));
+
+    expect(debugSpy).toHaveBeenCalledWith('__pw:drag "Card A" "Done column"');
+  });
+
+  it("records a press released in place as a click, not a drag", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+
+    document.body.innerHTML = '<button id="btn">Save</button><h2 id="title">Title</h2>';
+
+    await import("../content/recorder.js");
+
+    const btn = document.getElementById("btn");
+    btn.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 10, clientY: 10 }));
+    btn.dispatchEvent(new MouseEvent("mouseup", { bubbles: true, clientX: 12, clientY: 10 }));
+    btn.click();
+
+    const pwCalls = debugSpy.mock.calls.map(c => c[0]).filter(c => c.startsWith("__pw:"));
+    expect(pwCalls).toEqual(['__pw:click "Save"']);
+  });
+  it("records files picked for a file input as upload", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+
+    document.body.innerHTML = '<label for="avatar">Avatar</label><input type="file" id="avatar" multiple><input type="file" name="cv">';
+
+    await import("../content/recorder.js");
+
+    // Clicking the label only opens the file chooser
+    document.querySelector("label").click();
+    const pick = (input, names) => {
+      Object.defineProperty(input, "files", { value: names.map(n => new File(["x"], n)), configurable: true });
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+    };
+    pick(document.getElementById("avatar"), ["me.png", "me@2x.png"]);
+    pick(document.querySelector("[name=cv]"), ["cv.pdf"]);
+
+    const pwCalls = debugSpy.mock.calls.map(c => c[0]).filter(c => c.startsWith("__pw:"));
+    expect(pwCalls).toEqual([
+      '__pw:upload "Avatar" "fixtures/me.png" "fixtures/me@2x.png"',
+      '__pw:upload "css=input[type=file][name=cv]" "fixtures/cv.pdf"',
+    ]);
+  });
+
+  it("names the frame of commands recorded in an iframe", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+    vi.stubGlobal("top", {});
+    window.name = "payment";
+
+    document.body.innerHTML = '<button>Pay</button>';
+
+    try {
+      await import("../content/recorder.js");
+      document.querySelector("button").click();
+      window.name = "";
+      document.querySelector("button").click();
+    } finally {
+      vi.unstubAllGlobals();
+      window.name = "";
+    }
+
+    const pwCalls = debugSpy.mock.calls.map(c => c[0]).filter(c => c.startsWith("__pw:"));
+    expect(pwCalls).toEqual([
+      '__pw:@frame "payment" click "Pay"',
+      `__pw:@frame "${location.origin}${location.pathname}" click "Pay"`,
+    ]);
+  });
+
+  it("records elements inside open shadow roots instead of their host", async () => {
+    vi.resetModules();
+    delete window.__pwRecorderActive;
+    delete window.__pwRecorderCleanup;
+
+    document.body.innerHTML = "<ds-form></ds-form>";
+    const root = document.querySelector("ds-form").attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <label for="size">Size</label>
+      <select id="size"><option>S</option><option>M</option></select>
+      <button>Submit</button>
+    `;
+
+    await import("../content/recorder.js");
+
+    // change stays inside the shadow root: the press before it subscribes
+    const select = root.getElementById("size");
+    select.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, composed: true }));
+    select.value = "M";
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+    root.querySelector("button").click();
+
+    const pwCalls = debugSpy.mock.calls.map(c => c[0]).filter(c => c.startsWith("__pw:"));
+    expect(pwCalls).toEqual(['__pw:select "Size" "M"', '__pw:click "Submit"']);
+  });
 });
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { routeRegExp, fetchPattern, findRoute, guessContentType, formatRoutes } from "../lib/routes.js";
+
+describe("routeRegExp", () => {
+  it("matches URLs containing the pattern", () => {
+    expect(routeRegExp("/api/user").test("https://app.test/api/user?id=1")).toBe(true);
+    expect(routeRegExp("/api/user").test("https://app.test/api/users")).toBe(true);
+    expect(routeRegExp("/api/user").test("https://app.test/api/other")).toBe(false);
+  });
+
+  it("treats * as any run of characters and escapes the rest", () => {
+    expect(String(routeRegExp("*.png"))).toBe("/\\.png/");
+    expect(routeRegExp("/api/*/items").test("https://app.test/api/42/items")).toBe(true);
+    expect(routeRegExp("a+b").test("a+b")).toBe(true);
+  });
+});
+
+describe("fetchPattern", () => {
+  it("wraps the pattern in wildcards and escapes ?", () => {
+    expect(fetchPattern("/api/user")).toBe("*/api/user*");
+    expect(fetchPattern("/search?q=1")).toBe("*/search\\?q=1*");
+  });
+});
+
+describe("findRoute", () => {
+  it("prefers the most recently added match", () => {
+    const routes = [{ pattern: "/api/" }, { pattern: "/api/user" }];
+    expect(findRoute(routes, "https://app.test/api/user")).toBe(routes[1]);
+    expect(findRoute(routes, "https://app.test/api/todos")).toBe(routes[0]);
+    expect(findRoute(routes, "https://app.test/")).toBeNull();
+  });
+});
+
+describe("guessContentType", () => {
+  it("uses the file extension, then JSON detection", () => {
+    expect(guessContentType("", "mocks/user.json")).toBe("application/json");
+    expect(guessContentType("", "mocks/blob.bin")).toBe("application/octet-stream");
+    expect(guessContentType('{"error":1}')).toBe("application/json");
+    expect(guessContentType("Server error")).toBe("text/plain");
+  });
+});
+
+describe("formatRoutes", () => {
+  it("lists each route's answer and hits", () => {
+    expect(formatRoutes([
+      { pattern: "/api/user", status: 500, contentType: "application/json", body: '{"error":1}', file: null, hits: 2 },
+      { pattern: "*.png", abort: true, hits: 1 },
+      { pattern: "/api/todos", status: 200, contentType: "application/json", body: "[]", file: "mocks/todos.json", hits: 0 },
+    ])).toBe([
+      '1. "/api/user" → 500 application/json (11 bytes), 2 hits',
+      '2. "*.png" → abort, 1 hit',
+      '3. "/api/todos" → 200 application/json (from mocks/todos.json), 0 hits',
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,238 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCondition,
+  conditionCommand,
+  compileScript,
+  createRunState,
+  stepScript,
+  isFinished,
+} from "../lib/script.js";
+import { tokenize, parseCommand } from "../lib/commands.js";
+
+// Runs a script to completion, recording executed commands by line
+async function run(text, { holds = () => true, vars = {}, library = {} } = {}) {
+  const { program, errors } = compileScript(text, library);
+  expect(errors).toEqual([]);
+  const executed = [];
+  const ctx = {
+    enter() {},
+    async execute(instr) {
+      if (instr.op === "command") executed.push(instr.raw.replace(/\$\{(\w+)\}/g, (m, n) => vars[n]));
+    },
+    async test(condition) { return holds(condition); },
+    expand(text) { return text.replace(/\$\{(\w+)\}/g, (m, n) => vars[n]); },
+    getVariable(name) { return vars[name]; },
+    setVariable(name, value) {
+      if (value === undefined) delete vars[name];
+      else vars[name] = value;
+    },
+  };
+  const state = createRunState();
+  while (await stepScript(program, state, ctx)) { /* run */ }
+  return executed;
+}
+
+describe("parseCondition", () => {
+  it("parses element, text, url and title conditions", () => {
+    expect(parseCondition(["element", "Accept cookies"])).toEqual({ kind: "element", value: "Accept cookies", negate: false });
+    expect(parseCondition(["not", "url", "/login"])).toEqual({ kind: "url", value: "/login", negate: true });
+  });
+
+  it("rejects unknown conditions and missing values", () => {
+    expect(parseCondition(["cookie", "x"]).error).toContain("Unknown condition");
+    expect(parseCondition(["text"]).error).toContain("Usage");
+  });
+
+  it("maps a condition to a non-retrying verify command", () => {
+    expect(conditionCommand({ kind: "element", value: "Accept cookies" }))
+      .toBe('verify-element "Accept cookies" --timeout 0');
+  });
+
+  it("keeps quotes in the value when the verify command is parsed again", () => {
+    const condition = parseCondition(tokenize('if element role=button[name="Save"]').slice(1));
+    expect(condition.value).toBe('role=button[name="Save"]');
+    expect(parseCommand(conditionCommand(condition))).toEqual({
+      command: "verify-element",
+      args: ['role=button[name="Save"]', "--timeout", "0"],
+    });
+  });
+});
+
+describe("compileScript", () => {
+  it("reports an end without a block", () => {
+    const { errors } = compileScript('click "A"\nend');
+    expect(errors).toEqual([{ line: 1, message: "'end' without a matching block" }]);
+  });
+
+  it("reports unclosed blocks", () => {
+    const { errors } = compileScript('repeat 3\n  click "A"');
+    expect(errors).toEqual([{ line: 0, message: "'repeat' is missing 'end'" }]);
+  });
+
+  it("validates block headers", () => {
+    const { errors } = compileScript('repeat many\nend\nforeach x "a,b"\nend\nif maybe "x"\nend\nelse');
+    expect(errors.map(e => e.line)).toEqual([0, 2, 4, 6]);
+  });
+
+  it("checks calls against defined procedures", () => {
+    const { errors } = compileScript('define login(user, pass)\nend\ncall login "a"\ncall logout');
+    expect(errors).toEqual([
+      { line: 2, message: "login expects 2 arguments, got 1" },
+      { line: 3, message: "Unknown procedure: logout" },
+    ]);
+  });
+
+  it("rejects nested and duplicate procedures", () => {
+    expect(compileScript("repeat 2\ndefine a\nend\nend").errors[0].message).toBe("'define' must be at the top level");
+    expect(compileScript("define a\nend\ndefine a\nend").errors[0].message).toBe("Procedure already defined: a");
+    expect(compileScript("define a(1x)\nend").errors[0].message).toContain("Usage: define");
+  });
+
+  it("inlines included library files at the include line", () => {
+    const library = { "common/login.pw": 'define login(user)\n  fill "User" "${user}"\nend' };
+    const { program, errors } = compileScript('goto /\ninclude "./common/login.pw"\ncall login "bob"', library);
+    expect(errors).toEqual([]);
+    expect(program.map(i => [i.op, i.line])).toEqual([
+      ["command", 0], ["define", 1], ["command", 1], ["end", 1], ["call", 2],
+    ]);
+  });
+
+  it("keeps the source text of if lines from included files", () => {
+    const library = { "common/cookies.pw": 'if element "Accept"\n  click "Accept"\nend' };
+    const { program } = compileScript('include "common/cookies.pw"', library);
+    expect(program[0]).toMatchObject({ op: "if", line: 0, raw: 'if element "Accept"' });
+  });
+
+  it("reports missing includes, include cycles and errors inside included files", () => {
+    expect(compileScript('include "nope.pw"').errors).toEqual([{ line: 0, message: "Script not found in library: nope.pw" }]);
+    const library = { "a.pw": 'include "b.pw"', "b.pw": 'click "x"\ninclude "a.pw"', "c.pw": "click \"x\"\nend" };
+    expect(compileScript('include "a.pw"', library).errors[0].message).toBe("b.pw:2: Include cycle: a.pw -> b.pw -> a.pw");
+    expect(compileScript('\ninclude "c.pw"', library).errors).toEqual([{ line: 1, message: "c.pw:2: 'end' without a matching block" }]);
+  });
+
+  it("keeps comments and commands with their line numbers", () => {
+    const { program } = compileScript('# hi\n\nclick "A"');
+    expect(program).toEqual([
+      { op: "comment", line: 0, raw: "# hi" },
+      { op: "command", line: 2, raw: 'click "A"' },
+    ]);
+  });
+});
+
+describe("stepScript", () => {
+  it("repeats a block", async () => {
+    expect(await run('repeat 3 as n\n  fill "New" "Todo ${n}"\nend')).toEqual([
+      'fill "New" "Todo 1"', 'fill "New" "Todo 2"', 'fill "New" "Todo 3"',
+    ]);
+  });
+
+  it("iterates foreach items", async () => {
+    expect(await run('foreach item in "a, b,c"\n  click "${item}"\nend\nclick "done"')).toEqual([
+      'click "a"', 'click "b"', 'click "c"', 'click "done"',
+    ]);
+  });
+
+  it("runs the if branch only when the condition holds", async () => {
+    const script = 'if element "Accept cookies"\n  click "Accept cookies"\nend\nclick "Next"';
+    expect(await run(script, { holds: () => true })).toEqual(['click "Accept cookies"', 'click "Next"']);
+    expect(await run(script, { holds: () => false })).toEqual(['click "Next"']);
+  });
+
+  it("runs the else branch and honours not", async () => {
+    const script = 'if not text "Welcome"\n  click "Log in"\nelse\n  click "Log out"\nend';
+    expect(await run(script, { holds: () => true })).toEqual(['click "Log out"']);
+    expect(await run(script, { holds: () => false })).toEqual(['click "Log in"']);
+  });
+
+  it("nests loops and conditions", async () => {
+    const script = [
+      'foreach row in "1,2"',
+      '  repeat 2',
+      '    if text "x"',
+      '      click "${row}"',
+      '    end',
+      '  end',
+      'end',
+    ].join("\n");
+    expect(await run(script)).toEqual(['click "1"', 'click "1"', 'click "2"', 'click "2"']);
+  });
+
+  it("takes repeat counts from variables", async () => {
+    expect(await run('repeat ${n}\n  click "A"\nend', { vars: { n: "2" } })).toEqual(['click "A"', 'click "A"']);
+  });
+
+  it("refuses repeat counts above the limit", async () => {
+    await expect(run('repeat ${n}\n  click "A"\nend', { vars: { n: "1000000000" } }))
+      .rejects.toThrow("Repeat count 1000000000 is above the limit (10000)");
+  });
+
+  it("reports the header line before running it", async () => {
+    const { program } = compileScript('click "A"\nrepeat 1\n  click "B"\nend');
+    const entered = [];
+    const ctx = {
+      enter(instr) { entered.push(instr.line); },
+      async execute() {},
+      async test() { return true; },
+      expand: (t) => t,
+      setVariable() {},
+    };
+    const state = createRunState();
+    while (await stepScript(program, state, ctx)) { /* run */ }
+    expect(entered).toEqual([0, 1, 2]);
+    expect(isFinished(program, state)).toBe(true);
+  });
+
+  it("is not finished while a loop has iterations left", async () => {
+    const { program } = compileScript('repeat 2\n  click "A"\nend');
+    const ctx = { enter() {}, async execute() {}, async test() { return true; }, expand: (t) => t, setVariable() {} };
+    const state = createRunState();
+    await stepScript(program, state, ctx); // repeat
+    await stepScript(program, state, ctx); // click, first iteration
+    expect(isFinished(program, state)).toBe(false);
+    await stepScript(program, state, ctx); // click, second iteration
+    expect(isFinished(program, state)).toBe(true);
+  });
+
+  it("runs procedures with their arguments only when called", async () => {
+    const text = [
+      'define login(user, pass)',
+      '  fill "User" "${user}"',
+      '  fill "Password" "${pass}"',
+      'end',
+      'call login "alice" "s3cret"',
+      'call login "${who}" "x"',
+    ].join("\n");
+    expect(await run(text, { vars: { who: "bob" } })).toEqual([
+      'fill "User" "alice"', 'fill "Password" "s3cret"',
+      'fill "User" "bob"', 'fill "Password" "x"',
+    ]);
+  });
+
+  it("restores variables shadowed by parameters on return", async () => {
+    const vars = { user: "outer" };
+    await run('define greet(user)\n  click "${user}"\nend\ncall greet "inner"', { vars });
+    expect(vars).toEqual({ user: "outer" });
+    const fresh = {};
+    await run('define greet(user)\nend\ncall greet "x"', { vars: fresh });
+    expect(fresh).toEqual({});
+  });
+
+  it("returns into the caller's loop", async () => {
+    const text = 'define tap(n)\n  click "${n}"\nend\nforeach x in "a,b"\n  call tap "${x}"\nend\nclick "done"';
+    expect(await run(text)).toEqual(['click "a"', 'click "b"', 'click "done"']);
+  });
+
+  it("stops runaway recursion", async () => {
+    await expect(run("define loop\n  call loop\nend\ncall loop")).rejects.toThrow("Maximum call depth (100) exceeded in loop");
+  });
+
+  it("is finished once the last call has returned", async () => {
+    const { program } = compileScript('define a\n  click "A"\nend\ncall a');
+    const ctx = { enter() {}, async execute() {}, async test() { return true; }, expand: (t) => t, getVariable() {}, setVariable() {} };
+    const state = createRunState();
+    await stepScript(program, state, ctx); // call
+    expect(isFinished(program, state)).toBe(false);
+    await stepScript(program, state, ctx); // click
+    expect(isFinished(program, state)).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeSameSite,
+  toStateCookie,
+  toCdpCookie,
+  buildStorageState,
+  parseStorageState,
+  formatCookies,
+} from "../lib/storage-state.js";
+
+const session = {
+  name: "sid", value: "abc123", domain: "app.test", path: "/", expires: -1, size: 9,
+  httpOnly: true, secure: true, session: true, sameSite: "Strict",
+};
+const persistent = {
+  name: "theme", value: "dark", domain: ".app.test", path: "/", expires: 1893456000, size: 9,
+  httpOnly: false, secure: false, session: false,
+};
+
+describe("normalizeSameSite", () => {
+  it("spells SameSite values like CDP", () => {
+    expect(normalizeSameSite("lax")).toBe("Lax");
+    expect(normalizeSameSite("NONE")).toBe("None");
+    expect(normalizeSameSite("loose")).toBeNull();
+  });
+});
+
+describe("toStateCookie / toCdpCookie", () => {
+  it("converts CDP cookies to storageState cookies", () => {
+    expect(toStateCookie(session)).toEqual({
+      name: "sid", value: "abc123", domain: "app.test", path: "/", expires: -1,
+      httpOnly: true, secure: true, sameSite: "Strict",
+    });
+    expect(toStateCookie(persistent)).toMatchObject({ expires: 1893456000, sameSite: "Lax" });
+  });
+
+  it("converts storageState cookies to Network.setCookies params", () => {
+    expect(toCdpCookie(toStateCookie(session))).toEqual({
+      name: "sid", value: "abc123", domain: "app.test", path: "/", httpOnly: true, secure: true, sameSite: "Strict",
+    });
+    expect(toCdpCookie({ name: "a", value: "1", domain: "x.test", expires: 1893456000, sameSite: "lax" }))
+      .toEqual({ name: "a", value: "1", domain: "x.test", path: "/", httpOnly: false, secure: false, expires: 1893456000, sameSite: "Lax" });
+  });
+});
+
+describe("buildStorageState / parseStorageState", () => {
+  it("round-trips cookies and origins", () => {
+    const origins = [{ origin: "https://app.test", localStorage: [{ name: "token", value: "t1" }] }];
+    const text = JSON.stringify(buildStorageState([session], origins));
+    expect(parseStorageState(text)).toEqual({ cookies: [toStateCookie(session)], origins });
+  });
+
+  it("treats missing sections as empty", () => {
+    expect(parseStorageState("{}")).toEqual({ cookies: [], origins: [] });
+  });
+
+  it("rejects other files", () => {
+    expect(parseStorageState("nope").error).toContain("Not a storage state file");
+    expect(parseStorageState('{"cookies":[{"name":"a"}]}').error).toBe("Not a storage state file: cookies need a name, value and domain");
+    expect(parseStorageState('{"origins":[{"origin":"x"}]}').error).toBe("Not a storage state file: origins need an origin and localStorage items");
+  });
+});
+
+describe("formatCookies", () => {
+  it("aligns name=value, domain, path, expiry and flags", () => {
+    expect(formatCookies([session, persistent]).split("\n")).toEqual([
+      "sid=abc123  app.test   /  session               HttpOnly Secure SameSite=Strict",
+      "theme=dark  .app.test  /  2030-01-01T00:00:00Z",
+    ]);
+  });
+
+  it("shortens long values", () => {
+    expect(formatCookies([{ ...persistent, value: "x".repeat(50) }])).toContain(`theme=${"x".repeat(40)}…`);
+  });
+});
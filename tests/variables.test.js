@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { interpolate, interpolateTokens, variableNames, parseSet, capturedValue } from "../lib/variables.js";
+
+describe("interpolate", () => {
+  it("substitutes ${name} references", () => {
+    expect(interpolate('fill "Email" "${user}@example.com"', { user: "alice" }))
+      .toBe('fill "Email" "alice@example.com"');
+  });
+
+  it("substitutes several variables in one line", () => {
+    expect(interpolate("goto ${base}/users/${id}", { base: "https://x.test", id: 7 }))
+      .toBe("goto https://x.test/users/7");
+  });
+
+  it("leaves text without references untouched", () => {
+    expect(interpolate("eval `a` + $b", {})).toBe("eval `a` + $b");
+  });
+
+  it("throws on undefined variables", () => {
+    expect(() => interpolate("click ${missing}", {})).toThrow("Undefined variable: missing");
+  });
+
+  it("does not resolve inherited object properties", () => {
+    expect(() => interpolate("${toString}", {})).toThrow("Undefined variable");
+  });
+});
+
+describe("interpolateTokens", () => {
+  it("keeps a value with quotes or spaces as one argument", () => {
+    const vars = { who: 'Say "hi"', full: "John Smith", q: "it's" };
+    expect(interpolateTokens(["verify-text", "${who}"], vars)).toEqual(["verify-text", 'Say "hi"']);
+    expect(interpolateTokens(["fill", "Name", "${full}"], vars)).toEqual(["fill", "Name", "John Smith"]);
+    expect(interpolateTokens(["fill", "Note", "${q}"], vars)).toEqual(["fill", "Note", "it's"]);
+  });
+
+  it("substitutes inside a token and throws on undefined variables", () => {
+    expect(interpolateTokens(['role=button[name="${n}"]'], { n: "Save" })).toEqual(['role=button[name="Save"]']);
+    expect(() => interpolateTokens(["click", "${missing}"], {})).toThrow("Undefined variable: missing");
+  });
+});
+
+describe("variableNames", () => {
+  it("lists referenced names once, in order", () => {
+    expect(variableNames("${a} ${b} ${a}")).toEqual(["a", "b"]);
+  });
+
+  it("returns an empty list when nothing is referenced", () => {
+    expect(variableNames("click Save")).toEqual([]);
+  });
+});
+
+describe("parseSet", () => {
+  it("parses a literal value", () => {
+    expect(parseSet('set email "a@b.c"')).toEqual({ name: "email", value: "a@b.c" });
+  });
+
+  it("parses a capture", () => {
+    expect(parseSet("set total = eval document.querySelector('.total').textContent")).toEqual({
+      name: "total",
+      command: "eval document.querySelector('.total').textContent",
+    });
+  });
+
+  it("treats a quoted equals sign as a value", () => {
+    expect(parseSet('set op "="')).toEqual({ name: "op", value: "=" });
+  });
+
+  it("rejects invalid names", () => {
+    expect(parseSet('set 1st "x"').error).toContain("Invalid variable name");
+  });
+
+  it("rejects missing values", () => {
+    expect(parseSet("set name").error).toContain("Usage");
+    expect(parseSet("set name =").error).toContain("Usage");
+  });
+});
+
+describe("capturedValue", () => {
+  it("prefers the raw value over the display text", () => {
+    expect(capturedValue({ data: '"$42"', value: "$42" })).toBe("$42");
+  });
+
+  it("serializes non-string values", () => {
+    expect(capturedValue({ data: "3", value: 3 })).toBe("3");
+  });
+
+  it("falls back to data", () => {
+    expect(capturedValue({ data: "Clicked" })).toBe("Clicked");
+  });
+});
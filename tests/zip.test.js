@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { crc32, createZip } from "../lib/zip.js";
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(bytes("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe("createZip", () => {
+  it("stores each file with a local header and a central directory entry", () => {
+    const zip = createZip([
+      { name: "line-3.png", data: bytes("first") },
+      { name: "line-7-checkout.png", data: bytes("second!") },
+    ], new Date(2024, 0, 2, 3, 4, 6));
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(crc32(bytes("first")));
+    expect(view.getUint32(18, true)).toBe(5);
+    expect(new TextDecoder().decode(zip.slice(30, 40))).toBe("line-3.png");
+    expect(new TextDecoder().decode(zip.slice(40, 45))).toBe("first");
+
+    // End of central directory: entry count, directory size and offset
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const directoryOffset = view.getUint32(end + 16, true);
+    expect(directoryOffset).toBe(45 + 30 + 19 + 7);
+    expect(view.getUint32(directoryOffset, true)).toBe(0x02014b50);
+    expect(view.getUint32(end + 12, true)).toBe(end - directoryOffset);
+
+    // DOS time 03:04:06 and date 2024-01-02
+    expect(view.getUint16(10, true)).toBe((3 << 11) | (4 << 5) | 3);
+    expect(view.getUint16(12, true)).toBe((44 << 9) | (1 << 5) | 2);
+  });
+});